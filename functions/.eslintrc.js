@@ -6,6 +6,8 @@ module.exports = {
   parserOptions: {
     "ecmaVersion": 2018,
   },
+  // Copied from src/shared, and linted there.
+  ignorePatterns: ["shared/"],
   extends: [
     "eslint:recommended",
     "google",
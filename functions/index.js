@@ -1,19 +1,28 @@
 // functions/index.js
 
 const functions = require("firebase-functions");
+const {onSchedule} = require("firebase-functions/v2/scheduler");
 const admin = require("firebase-admin");
-const cors = require("cors")({ origin: true });
+const cors = require("cors")({origin: true});
+const {completeTrade} = require("./trades");
+const {ITEM_SCHEMA_VERSION, migrateItem} = require("./shared/items");
+const {DEFAULT_TRASH_RETENTION_DAYS} = require("./shared/trash");
+const {
+  splitSnapshot, readSnapshotContents,
+} = require("./shared/snapshots");
 
 admin.initializeApp();
 const db = admin.firestore();
 
 /**
- * A Firebase Cloud Function triggered by an HTTPS request to permanently delete a user's account
- * and all associated data across the application. It verifies the user's auth token before proceeding.
+ * A Firebase Cloud Function triggered by an HTTPS request to permanently
+ * delete a user's account and all associated data across the application. It
+ * verifies the user's auth token before proceeding.
  * It deletes:
  * - The Firebase Auth user.
  * - The user's document in the 'users' collection.
- * - The user's inventory from any campaigns they were a player in.
+ * - The user's inventory, with its containers and items, from any campaigns
+ *   they were a player in.
  * - Any campaigns owned by the user, along with all sub-collections.
  * @param {functions.https.Request} req - The HTTPS request object.
  * @param {functions.Response} res - The HTTPS response object.
@@ -22,13 +31,17 @@ exports.deleteUserAccount = functions.https.onRequest((req, res) => {
   // Manually handle CORS to allow requests from your website
   cors(req, res, async () => {
     // Check for an authentication token in the request headers
-    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
-      console.error('No Firebase ID token was passed in the Authorization header.');
-      res.status(401).send({ error: { message: 'Unauthorized: No token provided.' } });
+    if (!req.headers.authorization ||
+        !req.headers.authorization.startsWith("Bearer ")) {
+      console.error(
+          "No Firebase ID token was passed in the Authorization header.");
+      res.status(401).send({
+        error: {message: "Unauthorized: No token provided."},
+      });
       return;
     }
 
-    const idToken = req.headers.authorization.split('Bearer ')[1];
+    const idToken = req.headers.authorization.split("Bearer ")[1];
 
     try {
       // Manually verify the token
@@ -37,174 +50,489 @@ exports.deleteUserAccount = functions.https.onRequest((req, res) => {
 
       // --- The rest of the deletion logic is the same ---
       await admin.auth().deleteUser(uid);
-      const batch = db.batch();
       const userDocRef = db.collection("users").doc(uid);
-      batch.delete(userDocRef);
+      const writes = [(batch) => batch.delete(userDocRef)];
       const campaignsQuery = await db.collection("campaigns")
           .where("players", "array-contains", uid).get();
-      campaignsQuery.forEach((campaignDoc) => {
-        const inventoryDocRef = campaignDoc.ref.collection("inventories").doc(uid);
-        batch.delete(inventoryDocRef);
-        batch.update(campaignDoc.ref, {
-          players: admin.firestore.FieldValue.arrayRemove(uid),
+      for (const campaignDoc of campaignsQuery.docs) {
+        const inventoryRef = campaignDoc.ref.collection("inventories").doc(uid);
+        // The inventory goes with its containers and items, as when the DM
+        // removes a player.
+        const [containersSnapshot, itemsSnapshot] = await Promise.all([
+          inventoryRef.collection("containers").get(),
+          campaignDoc.ref.collection("items")
+              .where("inventoryId", "==", uid).get(),
+        ]);
+        [...containersSnapshot.docs, ...itemsSnapshot.docs].forEach((doc) => {
+          writes.push((batch) => batch.delete(doc.ref));
         });
-      });
-       const ownedCampaignsQuery = await db.collection("campaigns")
-        .where("dmId", "==", uid).get();
-      const deleteSubcollectionsPromises = [];
-      ownedCampaignsQuery.forEach((campaignDoc) => {
-          const inventoriesRef = campaignDoc.ref.collection("inventories");
-          const deletePromise = inventoriesRef.get().then(invSnapshot => {
-              invSnapshot.forEach(doc => batch.delete(doc.ref));
-          });
-          deleteSubcollectionsPromises.push(deletePromise);
-          batch.delete(campaignDoc.ref);
-      });
-      await Promise.all(deleteSubcollectionsPromises);
-      await batch.commit();
+        writes.push((batch) => batch.delete(inventoryRef));
+        writes.push((batch) => batch.update(campaignDoc.ref, {
+          players: admin.firestore.FieldValue.arrayRemove(uid),
+        }));
+      }
+      await commitInBatches(writes);
+      // Campaigns the user runs go with everything in them.
+      const ownedCampaignsQuery = await db.collection("campaigns")
+          .where("dmId", "==", uid).get();
+      await Promise.all(ownedCampaignsQuery.docs.map((campaignDoc) => (
+        db.recursiveDelete(campaignDoc.ref)
+      )));
 
-      res.status(200).send({ data: { success: true, message: "Account deleted successfully." } });
+      res.status(200).send({
+        data: {success: true, message: "Account deleted successfully."},
+      });
     } catch (error) {
       console.error("Error during account deletion:", error);
-      res.status(500).send({ error: { message: "An internal error occurred." } });
+      res.status(500).send({
+        error: {message: "An internal error occurred."},
+      });
     }
   });
 });
 
 /**
- * A transactional Firebase Cloud Function to finalize a trade between two players.
- * This function is designed to be called via HTTPS, ensuring atomicity. It verifies
- * that both players have accepted the trade before swapping the items between their
- * respective inventory documents.
- * @param {functions.https.Request} req - The HTTPS request object, containing the tradeId.
- * @param {functions.Response} res - The HTTPS response object.
+ * A Firebase Cloud Function that completes a trade once everyone taking part
+ * has accepted it, called by one of them. It is the only place trades are
+ * completed: the items and coins each player offered go to whoever they chose,
+ * in a single transaction (see `completeTrade` in trades.js).
+ * Takes `{tradeId}` and returns `{itemCount}`.
  */
-exports.finalizeTrade = functions.https.onRequest(async (req, res) => {
-  const cors = require("cors")({ origin: true });
-  cors(req, res, async () => {
-    if (req.method !== 'POST') {
-      return res.status(405).send({ error: { message: 'Method Not Allowed' } });
-    }
-    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
-      return res.status(401).send({ error: { message: 'Unauthorized: No token provided.' } });
-    }
+exports.finalizeTrade = authenticatedRequest("finalizing trade",
+    (uid, {tradeId}) => completeTrade(db, tradeId, uid));
 
-    const idToken = req.headers.authorization.split('Bearer ')[1];
-    const { tradeId } = req.body.data;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    try {
-      const decodedToken = await admin.auth().verifyIdToken(idToken);
-      const uid = decodedToken.uid;
+// Firestore accepts at most 500 writes per batch.
+const MAX_BATCH_WRITES = 500;
 
-      if (!tradeId) {
-        throw new Error("tradeId is required.");
-      }
+/**
+ * A scheduled Firebase Cloud Function that empties the trash of every campaign:
+ * whatever was deleted longer ago than the campaign's `trashRetentionDays` is
+ * removed for good.
+ */
+exports.purgeTrash = onSchedule("every 24 hours", async () => {
+  const campaignsSnapshot = await db.collection("campaigns").get();
+  let purgedCount = 0;
 
-      const tradeDocRef = db.collection("trades").doc(tradeId);
-
-      await db.runTransaction(async (transaction) => {
-        const tradeDoc = await transaction.get(tradeDocRef);
-        if (!tradeDoc.exists) {
-          throw new Error("Trade does not exist.");
-        }
-        const tradeData = tradeDoc.data();
-
-        if (uid !== tradeData.playerA && uid !== tradeData.playerB) {
-          throw new Error("You are not a participant in this trade.");
-        }
-        if (!tradeData.acceptedA || !tradeData.acceptedB) {
-          throw new Error("Both players must accept the trade.");
-        }
-
-        const campaignId = tradeData.campaignId;
-        const inventoryRefA = db.collection("campaigns").doc(campaignId).collection("inventories").doc(tradeData.playerA);
-        const inventoryRefB = db.collection("campaigns").doc(campaignId).collection("inventories").doc(tradeData.playerB);
-        
-        const invDocA = await transaction.get(inventoryRefA);
-        const invDocB = await transaction.get(inventoryRefB);
-
-        if (!invDocA.exists || !invDocB.exists) {
-          throw new Error("Could not find player inventories.");
-        }
-
-        // --- THIS IS THE CORE FIX ---
-        // Robustly handle the inventory swap.
-
-        const invDataA = invDocA.data();
-        const offerA_Ids = new Set((tradeData.offerA || []).map(i => i.id));
-        // Create new, completely separate arrays for the final state.
-        let finalGridA = (invDataA.gridItems || []).filter(item => !offerA_Ids.has(item.id));
-        let finalTrayA = (invDataA.trayItems || []).filter(item => !offerA_Ids.has(item.id));
-        // Add received items to the new tray array.
-        (tradeData.offerB || []).forEach(item => finalTrayA.push(item));
-        
-        // Update Player A's inventory in the transaction.
-        transaction.update(inventoryRefA, { gridItems: finalGridA, trayItems: finalTrayA });
-
-        const invDataB = invDocB.data();
-        const offerB_Ids = new Set((tradeData.offerB || []).map(i => i.id));
-        let finalGridB = (invDataB.gridItems || []).filter(item => !offerB_Ids.has(item.id));
-        let finalTrayB = (invDataB.trayItems || []).filter(item => !offerB_Ids.has(item.id));
-        (tradeData.offerA || []).forEach(item => finalTrayB.push(item));
-        
-        // Update Player B's inventory in the transaction.
-        transaction.update(inventoryRefB, { gridItems: finalGridB, trayItems: finalTrayB });
-        
-        // Finally, delete the trade document.
-        transaction.delete(tradeDocRef);
-      });
-      
-      return res.status(200).send({ data: { message: "Trade completed successfully!" } });
-    } catch (error) {
-      console.error("Error finalizing trade:", error);
-      return res.status(500).send({ error: { message: error.message || "An internal error occurred." } });
+  for (const campaignDoc of campaignsSnapshot.docs) {
+    const retentionDays = campaignDoc.data().trashRetentionDays ||
+        DEFAULT_TRASH_RETENTION_DAYS;
+    const cutoff = admin.firestore.Timestamp.fromMillis(
+        Date.now() - retentionDays * DAY_MS);
+    const expiredSnapshot = await campaignDoc.ref.collection("trash")
+        .where("deletedAt", "<", cutoff).get();
+
+    const expiredDocs = expiredSnapshot.docs;
+    for (let start = 0; start < expiredDocs.length; start += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      expiredDocs.slice(start, start + MAX_BATCH_WRITES)
+          .forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
     }
-  });
+    purgedCount += expiredSnapshot.size;
+  }
+
+  console.log(`Purged ${purgedCount} trashed item(s) and container(s).`);
 });
 
 /**
- * A Firebase Cloud Function to cancel an active trade.
- * It verifies the calling user is part of the trade and then deletes the trade document.
- * @param {functions.https.Request} req - The HTTPS request object, containing the tradeId.
- * @param {functions.Response} res - The HTTPS response object.
+ * A scheduled Firebase Cloud Function that brings the item documents of every
+ * campaign up to the current schema version, with the migrations the app
+ * runs (see src/shared/items.js), so old items don't have to be migrated each
+ * time a client reads them. A campaign's `itemSchemaVersion`
+ * says its items are already there. Each item is only written if nobody
+ * changed it since it was read; if someone did, the campaign is tried again
+ * on the next run.
  */
-exports.cancelTrade = functions.https.onRequest(async (req, res) => {
-  const cors = require("cors")({ origin: true });
-  cors(req, res, async () => {
-    if (req.method !== 'POST') {
-      return res.status(405).send({ error: { message: 'Method Not Allowed' } });
-    }
-    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer ')) {
-      return res.status(401).send({ error: { message: 'Unauthorized: No token provided.' } });
+exports.migrateItemSchema = onSchedule("every 24 hours", async () => {
+  const campaignsSnapshot = await db.collection("campaigns")
+      .where("itemsInCollection", "==", true).get();
+  let migratedCount = 0;
+
+  for (const campaignDoc of campaignsSnapshot.docs) {
+    const campaignVersion = campaignDoc.data().itemSchemaVersion || 0;
+    if (campaignVersion >= ITEM_SCHEMA_VERSION) continue;
+    const itemsSnapshot = await campaignDoc.ref.collection("items").get();
+    const outdatedDocs = itemsSnapshot.docs
+        .filter((itemDoc) => (
+          (itemDoc.data().schemaVersion || 0) < ITEM_SCHEMA_VERSION
+        ));
+    try {
+      await commitInBatches(outdatedDocs.map((itemDoc) => (batch) => (
+        batch.update(itemDoc.ref, migrateItem(itemDoc.data()), {
+          lastUpdateTime: itemDoc.updateTime,
+        })
+      )));
+      await campaignDoc.ref.update({itemSchemaVersion: ITEM_SCHEMA_VERSION});
+      migratedCount += outdatedDocs.length;
+    } catch (error) {
+      console.error(
+          `Failed to migrate the items of campaign ${campaignDoc.id}:`, error);
     }
+  }
 
-    const idToken = req.headers.authorization.split('Bearer ')[1];
-    const { tradeId } = req.body.data;
+  console.log(`Migrated ${migratedCount} item(s) to schema version ` +
+      `${ITEM_SCHEMA_VERSION}.`);
+});
 
-    try {
-      const decodedToken = await admin.auth().verifyIdToken(idToken);
-      const uid = decodedToken.uid;
-      
-      if (!tradeId) {
-        throw new Error("tradeId is required.");
-      }
+/**
+ * Verifies the Firebase ID token sent in the Authorization header of a request.
+ * @param {functions.https.Request} req - The HTTPS request object.
+ * @return {Promise<string>} The UID of the caller.
+ */
+async function authenticate(req) {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer ")) {
+    throw requestError(401, "Unauthorized: No token provided.");
+  }
+  const decodedToken =
+      await admin.auth().verifyIdToken(header.split("Bearer ")[1]);
+  return decodedToken.uid;
+}
+
+/**
+ * Creates an error that is sent back to the caller with an HTTP status.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The message shown to the caller.
+ * @return {Error}
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Loads a campaign and checks that the caller is its DM.
+ * @param {string} campaignId - The ID of the campaign.
+ * @param {string} uid - The UID of the caller.
+ * @return {Promise<FirebaseFirestore.DocumentSnapshot>} The campaign document.
+ */
+async function getCampaignAsDM(campaignId, uid) {
+  if (!campaignId) throw requestError(400, "campaignId is required.");
+  const campaignDoc = await db.collection("campaigns").doc(campaignId).get();
+  if (!campaignDoc.exists) throw requestError(404, "Campaign not found.");
+  if (campaignDoc.data().dmId !== uid) {
+    throw requestError(403, "Only the DM can manage snapshots.");
+  }
+  return campaignDoc;
+}
 
-      const tradeDocRef = db.collection("trades").doc(tradeId);
-      const tradeDoc = await tradeDocRef.get();
-      if (!tradeDoc.exists) {
-        return res.status(200).send({ data: { message: "Trade already resolved." } });
+/**
+ * Reads every inventory of a campaign together with its containers, and every
+ * item, in the shape snapshots store them: `inventories` is
+ * `{[inventoryId]: {...data, containers}}` and `items` the item documents
+ * keyed by ID.
+ * @param {FirebaseFirestore.DocumentReference} campaignRef - The campaign.
+ * @return {Promise<{inventories: object, items: object}>}
+ */
+async function captureInventories(campaignRef) {
+  const inventoriesSnapshot = await campaignRef.collection("inventories").get();
+  const inventories = {};
+  await Promise.all(inventoriesSnapshot.docs.map(async (inventoryDoc) => {
+    const containersSnapshot =
+        await inventoryDoc.ref.collection("containers").get();
+    const containers = {};
+    containersSnapshot.forEach((containerDoc) => {
+      containers[containerDoc.id] = containerDoc.data();
+    });
+    inventories[inventoryDoc.id] = {...inventoryDoc.data(), containers};
+  }));
+  const itemsSnapshot = await campaignRef.collection("items").get();
+  const items = {};
+  itemsSnapshot.forEach((itemDoc) => {
+    items[itemDoc.id] = itemDoc.data();
+  });
+  return {inventories, items};
+}
+
+/**
+ * Saves a snapshot: its contents go into the `chunks` sub-collection of the
+ * snapshot document (see src/shared/snapshots.js), which is written last, with
+ * the number of chunks in `chunkCount`, so a listed snapshot always has all of
+ * them.
+ * @param {FirebaseFirestore.DocumentReference} campaignRef - The campaign.
+ * @param {object} fields - The name and creator of the snapshot, and whether
+ * it was taken automatically.
+ * @param {{inventories: object, items: object}} contents - As returned by
+ * `captureInventories`.
+ * @return {Promise<FirebaseFirestore.DocumentReference>} The snapshot.
+ */
+async function saveSnapshot(campaignRef, fields, contents) {
+  const snapshotRef = campaignRef.collection("snapshots").doc();
+  const chunks = splitSnapshot(contents);
+  // Written one by one: a batch is limited in size as well as in writes.
+  await Promise.all(chunks.map((chunk, index) => (
+    snapshotRef.collection("chunks").doc(String(index)).set(chunk)
+  )));
+  await snapshotRef.set({
+    ...fields,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    chunkCount: chunks.length,
+  });
+  return snapshotRef;
+}
+
+/**
+ * Reads the contents of a snapshot in the shape `captureInventories` returns
+ * (see `readSnapshotContents`).
+ * @param {FirebaseFirestore.DocumentSnapshot} snapshotDoc - The snapshot.
+ * @return {Promise<{inventories: object, items: (object|undefined)}>}
+ */
+function readSnapshot(snapshotDoc) {
+  return readSnapshotContents(snapshotDoc.data(), async () => {
+    const chunksSnapshot = await snapshotDoc.ref.collection("chunks").get();
+    return chunksSnapshot.docs.map((chunkDoc) => chunkDoc.data());
+  });
+}
+
+/**
+ * Applies a list of writes in as many batches as needed.
+ * @param {Array<function(FirebaseFirestore.WriteBatch): void>} writes - Each
+ * adds one write to the batch it is given.
+ */
+async function commitInBatches(writes) {
+  for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(start, start + MAX_BATCH_WRITES)
+        .forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Wraps the handler of a function called by the app: handles CORS, POST-only
+ * access and authentication, and turns thrown errors into responses.
+ * @param {string} label - What the function does, for the logs.
+ * @param {function(string, object): Promise<object>} handler - Called with the
+ * UID of the caller and `req.body.data`; its result is sent back as `data`.
+ * @return {functions.HttpsFunction}
+ */
+function authenticatedRequest(label, handler) {
+  return functions.https.onRequest((req, res) => {
+    cors(req, res, async () => {
+      if (req.method !== "POST") {
+        return res.status(405).send({error: {message: "Method Not Allowed"}});
       }
-      const tradeData = tradeDoc.data();
-      if (uid !== tradeData.playerA && uid !== tradeData.playerB) {
-        return res.status(403).send({ error: { message: 'Permission denied.' } });
+      try {
+        const uid = await authenticate(req);
+        const data = await handler(uid, (req.body && req.body.data) || {});
+        return res.status(200).send({data});
+      } catch (error) {
+        console.error(`Error ${label}:`, error);
+        return res.status(error.status || 500).send({
+          error: {
+            message: error.status ?
+              error.message :
+              "An internal error occurred.",
+          },
+        });
       }
-      
-      await tradeDocRef.delete();
-      return res.status(200).send({ data: { message: "Trade cancelled." } });
+    });
+  });
+}
 
-    } catch (error) {
-      console.error("Error cancelling trade:", error);
-      return res.status(500).send({ error: { message: "An internal error occurred." } });
+/**
+ * A Firebase Cloud Function, called by the DM over HTTPS, that saves the whole
+ * state of a campaign as a snapshot: every inventory (players, loot pile and
+ * merchants) with its containers, items and coins. Snapshots are stored in the
+ * `snapshots` sub-collection of the campaign, one document each, with their
+ * contents split into chunks (see `saveSnapshot`).
+ */
+exports.createCampaignSnapshot = authenticatedRequest("creating snapshot",
+    async (uid, {campaignId, name}) => {
+      const campaignDoc = await getCampaignAsDM(campaignId, uid);
+      const contents = await captureInventories(campaignDoc.ref);
+      const snapshotRef = await saveSnapshot(campaignDoc.ref, {
+        name: (name || "").trim() || "Snapshot",
+        createdBy: uid,
+      }, contents);
+      return {snapshotId: snapshotRef.id};
+    });
+
+/**
+ * Rolls the inventories of a campaign back to the contents of a snapshot,
+ * compared with the current ones. Inventories are restored as a whole,
+ * containers included; loot piles and merchants that aren't in the snapshot
+ * are deleted. Players keep their place on the roster: the inventory of a
+ * player who isn't in the snapshot is left as it is, and the inventory of a
+ * player who has left since is not brought back. Writing the same snapshot
+ * again gives the same result, whatever part of it was already written.
+ * @param {FirebaseFirestore.DocumentSnapshot} campaignDoc - The campaign.
+ * @param {{inventories: object, items: (object|undefined)}} snapshot - The
+ * contents to restore, as returned by `readSnapshot`.
+ * @param {{inventories: object, items: object}} current - The current
+ * contents, as returned by `captureInventories`.
+ * @param {object} campaignChanges - Changes to the campaign document, written
+ * in the last batch, once everything else is.
+ * @return {Promise<number>} How many inventories were not brought back.
+ */
+async function applySnapshot(campaignDoc, snapshot, current, campaignChanges) {
+  const players = campaignDoc.data().players || [];
+  const isSharedInventory = (inventory) => (
+    inventory.isLootPile || inventory.isMerchant
+  );
+  const inventoriesRef = campaignDoc.ref.collection("inventories");
+  const containerRef = (inventoryId, containerId) => (
+    inventoriesRef.doc(inventoryId).collection("containers").doc(containerId)
+  );
+  const deleteContainer = (inventoryId, containerId) => (batch) => (
+    batch.delete(containerRef(inventoryId, containerId))
+  );
+  const writes = [];
+  // The inventories whose items are replaced by the ones of the snapshot.
+  const replacedIds = new Set();
+
+  Object.entries(current.inventories).forEach(([inventoryId, inventory]) => {
+    if (snapshot.inventories[inventoryId] || !isSharedInventory(inventory)) {
+      return;
+    }
+    replacedIds.add(inventoryId);
+    Object.keys(inventory.containers).forEach((containerId) => {
+      writes.push(deleteContainer(inventoryId, containerId));
+    });
+    writes.push((batch) => batch.delete(inventoriesRef.doc(inventoryId)));
+  });
+
+  let skippedCount = 0;
+  Object.entries(snapshot.inventories).forEach(([inventoryId, saved]) => {
+    const {containers, ...data} = saved;
+    if (!players.includes(inventoryId) && !isSharedInventory(data)) {
+      skippedCount++;
+      return;
     }
+    replacedIds.add(inventoryId);
+    const currentContainers =
+        (current.inventories[inventoryId] || {}).containers || {};
+    writes.push((batch) => batch.set(inventoriesRef.doc(inventoryId), data));
+    Object.keys(currentContainers).forEach((containerId) => {
+      if (containers[containerId]) return;
+      writes.push(deleteContainer(inventoryId, containerId));
+    });
+    Object.entries(containers || {}).forEach(([containerId, container]) => {
+      writes.push((batch) => (
+        batch.set(containerRef(inventoryId, containerId), container)
+      ));
+    });
+  });
+
+  const itemsRef = campaignDoc.ref.collection("items");
+  const savedItems = snapshot.items || {};
+  const isReplaced = (item) => (
+    Boolean(item) && replacedIds.has(item.inventoryId)
+  );
+  Object.entries(current.items).forEach(([itemId, item]) => {
+    if (!isReplaced(item) || isReplaced(savedItems[itemId])) return;
+    writes.push((batch) => batch.delete(itemsRef.doc(itemId)));
   });
-});
\ No newline at end of file
+  Object.entries(savedItems).forEach(([itemId, item]) => {
+    if (!isReplaced(item)) return;
+    writes.push((batch) => batch.set(itemsRef.doc(itemId), item));
+  });
+  writes.push((batch) => batch.update(campaignDoc.ref, campaignChanges));
+
+  await commitInBatches(writes);
+  return skippedCount;
+}
+
+/**
+ * Rolls a campaign whose restore didn't finish back to the automatic snapshot
+ * taken before it, and puts back its item flags. If that snapshot was deleted
+ * in the meantime, there is nothing to roll back to and the campaign is only
+ * marked as no longer restoring.
+ * @param {FirebaseFirestore.DocumentSnapshot} campaignDoc - The campaign,
+ * with the unfinished restore in `restoring`.
+ */
+async function rollBackRestore(campaignDoc) {
+  const {backupId, itemsInCollection, itemSchemaVersion} =
+      campaignDoc.data().restoring;
+  const backupDoc = await campaignDoc.ref.collection("snapshots")
+      .doc(backupId).get();
+  const orDelete = (value) => (
+    value === null ? admin.firestore.FieldValue.delete() : value
+  );
+  const campaignChanges = {
+    itemsInCollection: orDelete(itemsInCollection),
+    itemSchemaVersion: orDelete(itemSchemaVersion),
+    restoring: admin.firestore.FieldValue.delete(),
+  };
+  if (!backupDoc.exists) {
+    console.warn(`The snapshot taken before restoring campaign ` +
+        `${campaignDoc.id} is gone; it can't be rolled back.`);
+    await campaignDoc.ref.update(campaignChanges);
+    return;
+  }
+  const backup = await readSnapshot(backupDoc);
+  const current = await captureInventories(campaignDoc.ref);
+  await applySnapshot(campaignDoc, backup, current, campaignChanges);
+}
+
+const withDefault = (value, fallback) => (
+  value === undefined || value === null ? fallback : value
+);
+
+/**
+ * A Firebase Cloud Function, called by the DM over HTTPS, that rolls a campaign
+ * back to one of its snapshots (see `applySnapshot`). The current state is
+ * saved as a new snapshot first, so the restore can be undone.
+ * A restore takes several batches, so while it runs the campaign is marked as
+ * `restoring`, with the snapshot it is restored to and the automatic one taken
+ * before. If a batch fails, the campaign is rolled back to that automatic
+ * snapshot; if the function stops before it could, the next restore of the
+ * campaign rolls it back first.
+ * Snapshots taken before items had their own collection hold the items in
+ * the arrays of the inventories; those are written back as they are and the
+ * campaign loses its `itemsInCollection` flag, so the app migrates it again.
+ */
+exports.restoreCampaignSnapshot = authenticatedRequest("restoring snapshot",
+    async (uid, {campaignId, snapshotId}) => {
+      let campaignDoc = await getCampaignAsDM(campaignId, uid);
+      if (!snapshotId) throw requestError(400, "snapshotId is required.");
+      const snapshotDoc = await campaignDoc.ref.collection("snapshots")
+          .doc(snapshotId).get();
+      if (!snapshotDoc.exists) throw requestError(404, "Snapshot not found.");
+      if (campaignDoc.data().restoring) {
+        await rollBackRestore(campaignDoc);
+        campaignDoc = await campaignDoc.ref.get();
+      }
+      const snapshot = await readSnapshot(snapshotDoc);
+
+      const current = await captureInventories(campaignDoc.ref);
+      const backupRef = await saveSnapshot(campaignDoc.ref, {
+        name: `Before restoring "${snapshotDoc.data().name}"`,
+        createdBy: uid,
+        isAutomatic: true,
+      }, current);
+      const campaign = campaignDoc.data();
+      await campaignDoc.ref.update({
+        restoring: {
+          snapshotId,
+          backupId: backupRef.id,
+          itemsInCollection: withDefault(campaign.itemsInCollection, null),
+          itemSchemaVersion: withDefault(campaign.itemSchemaVersion, null),
+        },
+      });
+
+      // The restored items may be from an older schema, and those of a
+      // snapshot taken before items had their own collection are still in the
+      // inventories.
+      const campaignChanges = {
+        itemSchemaVersion: admin.firestore.FieldValue.delete(),
+        ...(!snapshot.items && {
+          itemsInCollection: admin.firestore.FieldValue.delete(),
+        }),
+        restoring: admin.firestore.FieldValue.delete(),
+      };
+      try {
+        const skippedCount = await applySnapshot(campaignDoc, snapshot, current,
+            campaignChanges);
+        return {skippedCount};
+      } catch (error) {
+        console.error(`Error restoring snapshot ${snapshotId}, rolling back:`,
+            error);
+        await rollBackRestore(await campaignDoc.ref.get());
+        throw requestError(500,
+            "The snapshot could not be restored, so nothing was changed.");
+      }
+    });
@@ -0,0 +1,211 @@
+// Runs against the Firestore emulator: `npm test` starts one and points
+// FIRESTORE_EMULATOR_HOST at it.
+const {test, beforeEach} = require("node:test");
+const assert = require("node:assert");
+const admin = require("firebase-admin");
+const {completeTrade} = require("../trades");
+
+const PROJECT_ID = "demo-trades";
+admin.initializeApp({projectId: PROJECT_ID});
+const db = admin.firestore();
+
+const campaignRef = db.collection("campaigns").doc("c1");
+const itemRef = (itemId) => campaignRef.collection("items").doc(itemId);
+const inventoryRef = (inventoryId) => (
+  campaignRef.collection("inventories").doc(inventoryId)
+);
+const tradeRef = db.collection("trades").doc("t1");
+
+const readItem = async (itemId) => (await itemRef(itemId).get()).data();
+const readCurrency = async (inventoryId) => (
+  (await inventoryRef(inventoryId).get()).data().currency
+);
+const findArrowsOf = (inventoryId) => campaignRef.collection("items")
+    .where("inventoryId", "==", inventoryId)
+    .where("name", "==", "Arrows").get();
+
+beforeEach(async () => {
+  const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+  await fetch(`http://${emulator}/emulator/v1/projects/${PROJECT_ID}` +
+      `/databases/(default)/documents`, {method: "DELETE"});
+  const batch = db.batch();
+  batch.set(inventoryRef("aria"), {
+    characterName: "Aria", currency: {gp: 10, sp: 0, cp: 0},
+  });
+  batch.set(inventoryRef("borin"), {
+    characterName: "Borin", currency: {gp: 0, sp: 3, cp: 0},
+  });
+  batch.set(itemRef("bag"), {
+    id: "bag", name: "Bag", x: 0, y: 0, contents: {gridWidth: 2, gridHeight: 2},
+    inventoryId: "aria", source: "grid", containerId: "backpack", order: 0,
+  });
+  batch.set(itemRef("gem"), {
+    id: "gem", name: "Gem", x: 1, y: 1,
+    inventoryId: "aria", source: "grid", containerId: "nested:bag", order: 0,
+  });
+  batch.set(itemRef("ring"), {
+    id: "ring", name: "Ring",
+    inventoryId: "aria", source: "equipped", containerId: "equipped", order: 0,
+  });
+  batch.set(itemRef("arrows"), {
+    id: "arrows", name: "Arrows", quantity: 20, stackable: true,
+    inventoryId: "aria", source: "tray", containerId: "tray", order: 1,
+  });
+  batch.set(itemRef("coin"), {
+    id: "coin", name: "Coin",
+    inventoryId: "borin", source: "tray", containerId: "tray", order: 0,
+  });
+  batch.set(tradeRef, {
+    campaignId: "c1", players: ["aria", "borin"], joined: ["aria", "borin"],
+    offers: {
+      aria: [
+        {id: "bag", name: "Bag", quantity: 1, to: "borin"},
+        {id: "ring", name: "Ring", quantity: 1, to: "borin"},
+      ],
+      borin: [{id: "coin", name: "Coin", quantity: 1, to: "aria"}],
+    },
+    coins: {aria: {borin: {gp: 4}}, borin: {aria: {sp: 3}}},
+    accepted: {aria: true, borin: true},
+  });
+  await batch.commit();
+});
+
+test("moves each offered item, with what is inside it", async () => {
+  const result = await completeTrade(db, "t1", "borin");
+  assert.deepStrictEqual(result, {itemCount: 3});
+
+  const bag = await readItem("bag");
+  assert.strictEqual(bag.inventoryId, "borin");
+  assert.strictEqual(bag.containerId, "tray");
+  assert.strictEqual(bag.x, undefined);
+  assert.strictEqual((await readItem("gem")).inventoryId, "borin");
+  assert.strictEqual((await readItem("gem")).containerId, "nested:bag");
+  assert.strictEqual((await readItem("ring")).source, "tray");
+  assert.strictEqual((await readItem("coin")).inventoryId, "aria");
+  assert.strictEqual((await tradeRef.get()).exists, false);
+});
+
+test("moves the coins each side offered", async () => {
+  await completeTrade(db, "t1", "aria");
+  assert.deepStrictEqual(await readCurrency("aria"), {gp: 6, sp: 3, cp: 0});
+  assert.deepStrictEqual(await readCurrency("borin"), {gp: 4, sp: 0, cp: 0});
+});
+
+test("only completes a trade everyone accepted, for one of them", async () => {
+  await assert.rejects(completeTrade(db, "t1", "cora"), {status: 403});
+  await tradeRef.update({accepted: {aria: true}});
+  await assert.rejects(completeTrade(db, "t1", "aria"), {status: 409});
+});
+
+test("changes nothing if an offered item has left its owner", async () => {
+  await itemRef("ring").update({inventoryId: "cora"});
+  await assert.rejects(completeTrade(db, "t1", "aria"), {
+    message: "Ring is no longer in the inventory it was offered from.",
+  });
+  assert.strictEqual((await readItem("bag")).inventoryId, "aria");
+  assert.deepStrictEqual(await readCurrency("aria"), {gp: 10, sp: 0, cp: 0});
+  assert.strictEqual((await tradeRef.get()).exists, true);
+});
+
+test("refuses an item offered along with the bag it is in", async () => {
+  await inventoryRef("cora").set({
+    characterName: "Cora", currency: {gp: 0, sp: 0, cp: 0},
+  });
+  await tradeRef.update({
+    "players": ["aria", "borin", "cora"],
+    "offers.aria": [
+      {id: "bag", name: "Bag", quantity: 1, to: "borin"},
+      {id: "gem", name: "Gem", quantity: 1, to: "cora"},
+    ],
+    "accepted.cora": true,
+  });
+  await assert.rejects(completeTrade(db, "t1", "aria"), {
+    status: 400, message: "Gem is inside Bag, which is offered too.",
+  });
+  assert.strictEqual((await readItem("gem")).inventoryId, "aria");
+  assert.strictEqual((await readItem("bag")).inventoryId, "aria");
+});
+
+test("changes nothing if a player lacks the coins they offered", async () => {
+  await inventoryRef("aria").update({currency: {gp: 1, sp: 0, cp: 0}});
+  await assert.rejects(completeTrade(db, "t1", "aria"), {
+    message: "Aria no longer has the coins they offered.",
+  });
+  assert.strictEqual((await readItem("coin")).inventoryId, "borin");
+});
+
+test("puts what the DM receives in their first container", async () => {
+  await inventoryRef("borin").set({
+    characterName: "DM", currency: {gp: 0, sp: 3, cp: 0},
+  });
+  await inventoryRef("borin").collection("containers").doc("chest")
+      .set({name: "Chest"});
+  await completeTrade(db, "t1", "aria");
+  assert.strictEqual((await readItem("bag")).containerId, "chest");
+  assert.strictEqual((await readItem("coin")).containerId, "tray");
+});
+
+test("splits a stack when only part of it was offered", async () => {
+  await tradeRef.update({
+    "offers.aria": [{id: "arrows", name: "Arrows", quantity: 5, to: "borin"}],
+  });
+  await completeTrade(db, "t1", "aria");
+  assert.strictEqual((await readItem("arrows")).quantity, 15);
+  const received = await findArrowsOf("borin");
+  assert.strictEqual(received.size, 1);
+  assert.strictEqual(received.docs[0].data().quantity, 5);
+  assert.strictEqual(received.docs[0].data().id, received.docs[0].id);
+});
+
+test("changes nothing if a stack has fewer left than offered", async () => {
+  await tradeRef.update({
+    "offers.aria": [{id: "arrows", name: "Arrows", quantity: 5, to: "borin"}],
+  });
+  await itemRef("arrows").update({quantity: 3});
+  await assert.rejects(completeTrade(db, "t1", "aria"), {
+    message: "There are no longer 5 Arrows to trade.",
+  });
+  assert.strictEqual((await readItem("coin")).inventoryId, "borin");
+});
+
+test("gives each of three players what was offered to them", async () => {
+  await inventoryRef("cora").set({
+    characterName: "Cora", currency: {gp: 0, sp: 0, cp: 0},
+  });
+  await tradeRef.update({
+    "players": ["aria", "borin", "cora"],
+    "offers.aria": [
+      {id: "arrows", name: "Arrows", quantity: 5, to: "borin"},
+      {id: "arrows", name: "Arrows", quantity: 15, to: "cora"},
+    ],
+    "coins.aria": {borin: {gp: 4}, cora: {gp: 6}},
+    "accepted.cora": true,
+  });
+  await completeTrade(db, "t1", "cora");
+
+  const arrows = await readItem("arrows");
+  assert.strictEqual(arrows.inventoryId, "cora");
+  assert.strictEqual(arrows.quantity, 15);
+  const borinsArrows = await findArrowsOf("borin");
+  assert.strictEqual(borinsArrows.docs[0].data().quantity, 5);
+  assert.deepStrictEqual(await readCurrency("aria"), {gp: 0, sp: 3, cp: 0});
+  assert.deepStrictEqual(await readCurrency("cora"), {gp: 6, sp: 0, cp: 0});
+});
+
+test("keeps a record of the completed trade", async () => {
+  await completeTrade(db, "t1", "borin");
+  const recordRef = campaignRef.collection("tradeHistory").doc("t1");
+  const record = (await recordRef.get()).data();
+  assert.deepStrictEqual(record.participants, ["aria", "borin"]);
+  assert.deepStrictEqual(record.names, {aria: "Aria", borin: "Borin"});
+  assert.deepStrictEqual(record.items[0], {
+    from: "aria", to: "borin", id: "bag", name: "Bag", quantity: 1,
+  });
+  assert.deepStrictEqual(record.coins, [
+    {from: "aria", to: "borin", gp: 4, sp: 0, cp: 0},
+    {from: "borin", to: "aria", gp: 0, sp: 3, cp: 0},
+  ]);
+  assert.strictEqual(record.outcome, "completed");
+  assert.strictEqual(record.closedBy, "borin");
+  assert.ok(record.closedAt);
+});
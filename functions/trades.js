@@ -0,0 +1,86 @@
+// functions/trades.js
+const {randomUUID} = require("crypto");
+const admin = require("firebase-admin");
+const {
+  tradeError, planTradeCompletion, buildTradeRecord,
+} = require("./shared/trades");
+
+/**
+ * Completes a trade everyone taking part has accepted, in a single
+ * transaction (see `planTradeCompletion` in src/shared/trades.js). What the
+ * DM receives goes on the tray of their first container, as they have no tray
+ * of their own. The trade is deleted, leaving a record in the trade history.
+ * Nothing is written if an item has left the giver's inventory, a stack has
+ * fewer left than offered, or a giver no longer has the coins they offered.
+ * @param {FirebaseFirestore.Firestore} db - The database.
+ * @param {string} tradeId - The ID of the trade.
+ * @param {string} uid - The UID of the caller, who must take part in the
+ * trade.
+ * @return {Promise<{itemCount: number}>} How many offered items changed hands.
+ */
+async function completeTrade(db, tradeId, uid) {
+  if (!tradeId) throw tradeError(400, "tradeId is required.");
+  const tradeRef = db.collection("trades").doc(tradeId);
+
+  return db.runTransaction(async (transaction) => {
+    const tradeDoc = await transaction.get(tradeRef);
+    if (!tradeDoc.exists) throw tradeError(404, "Trade does not exist.");
+    const trade = tradeDoc.data();
+    const players = trade.players || [];
+    if (!players.includes(uid)) {
+      throw tradeError(403, "You are not a participant in this trade.");
+    }
+
+    const campaignRef = db.collection("campaigns").doc(trade.campaignId);
+    const inventoryRefs = {};
+    const inventories = {};
+    const destinations = {};
+    for (const playerId of players) {
+      const inventoryRef = campaignRef.collection("inventories").doc(playerId);
+      const inventoryDoc = await transaction.get(inventoryRef);
+      if (!inventoryDoc.exists) {
+        throw tradeError(404, "Could not find player inventories.");
+      }
+      inventoryRefs[playerId] = inventoryRef;
+      inventories[playerId] = inventoryDoc.data();
+      destinations[playerId] = "tray";
+      if (inventories[playerId].characterName === "DM") {
+        const containers = await transaction.get(
+            inventoryRef.collection("containers").limit(1));
+        if (!containers.empty) destinations[playerId] = containers.docs[0].id;
+      }
+    }
+
+    const itemsRef = campaignRef.collection("items");
+    const itemsSnapshot = await transaction.get(
+        itemsRef.where("inventoryId", "in", players));
+    const itemDocs = {};
+    itemsSnapshot.docs.forEach((doc) => {
+      itemDocs[doc.id] = {...doc.data(), id: doc.id};
+    });
+
+    const plan = planTradeCompletion(
+        trade, uid, inventories, destinations, itemDocs, randomUUID);
+    plan.itemSets.forEach(([itemId, data]) => {
+      transaction.set(itemsRef.doc(itemId), data);
+    });
+    plan.itemUpdates.forEach(([itemId, changes]) => {
+      transaction.update(itemsRef.doc(itemId), changes);
+    });
+    if (plan.wallets) {
+      players.forEach((playerId) => {
+        transaction.update(inventoryRefs[playerId], {
+          currency: plan.wallets[playerId],
+        });
+      });
+    }
+    transaction.set(campaignRef.collection("tradeHistory").doc(tradeId), {
+      ...buildTradeRecord(trade, plan.names, "completed", uid),
+      closedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.delete(tradeRef);
+    return {itemCount: plan.itemCount};
+  });
+}
+
+module.exports = {completeTrade};
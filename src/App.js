@@ -1,9 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { onAuthStateChanged } from 'firebase/auth';
-import { doc, onSnapshot } from 'firebase/firestore';
 import { Tooltip } from 'react-tooltip';
 import { Toaster } from 'react-hot-toast';
-import { auth, db } from './firebase';
+import { auth } from './firebase';
+import { repository, isDemoMode, DEMO_USER } from './repositories';
 import './App.css';
 
 // Component imports
@@ -35,6 +35,12 @@ export default function App() {
    * Monitor when the user logs in or logs out and set the related states accordingly
    */
   useEffect(() => {
+    // The demo mode is always signed in as the demo user
+    if (isDemoMode) {
+      setUser(DEMO_USER);
+      return;
+    }
+
     const unsubscribeAuth = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
       if (!currentUser) {
@@ -48,23 +54,34 @@ export default function App() {
   }, []);
 
   /**
-   * Listens for real-time updates to the user's profile document in Firestore
+   * Listens for real-time updates to the user's profile document
    * and updates the userProfile state accordingly.
    */
   useEffect(() => {
     if (user) {
-      const userDocRef = doc(db, 'users', user.uid);
-      const unsubscribeProfile = onSnapshot(userDocRef, (doc) => {
-        if (doc.exists()) {
-          setUserProfile(doc.data());
+      const unsubscribeProfile = repository.users.subscribe(user.uid, (profile) => {
+        if (profile) {
+          setUserProfile(profile);
         }
         setLoading(false);
       });
-      // Clean up the Firestore listener when the component unmounts or the user changes.
+      // Clean up the listener when the component unmounts or the user changes.
       return () => unsubscribeProfile();
     }
   }, [user]);
 
+  /**
+   * Signs the user out. In the demo mode, leaves the demo by reloading the page without `?demo`.
+   */
+  const handleSignOut = () => {
+    setIsUserMenuOpen(false);
+    if (isDemoMode) {
+      window.location.search = '';
+      return;
+    }
+    auth.signOut();
+  };
+
   /**
    * Copies the current campaign ID to the clipboard and displays a confirmation state for 2 seconds.
    */
@@ -251,7 +268,7 @@ export default function App() {
                       <div className="absolute right-0 mt-2 w-48 bg-gradient-to-b from-surface to-background rounded-md shadow-lg py-1 z-50 border border-accent/20" onMouseLeave={() => setIsUserMenuOpen(false)}>
                         <div className="px-4 py-2 text-sm text-text-muted border-b border-surface/50">Signed in as<br/><strong className="font-medium text-text-base">{userProfile?.displayName || user.email}</strong></div>
                         <button onClick={() => { setShowSettings(true); setIsUserMenuOpen(false); }} className="block w-full text-left px-4 py-2 text-sm text-text-base hover:bg-accent hover:text-background transition-colors duration-200">Profile</button>
-                        <button onClick={() => { auth.signOut(); setIsUserMenuOpen(false); }} className="block w-full text-left px-4 py-2 text-sm text-text-base hover:bg-accent hover:text-background transition-colors duration-200">Sign Out</button>
+                        <button onClick={handleSignOut} className="block w-full text-left px-4 py-2 text-sm text-text-base hover:bg-accent hover:text-background transition-colors duration-200">{isDemoMode ? 'Leave Demo' : 'Sign Out'}</button>
                         <button 
                           onClick={() => { setCurrentPage('compendium'); setIsUserMenuOpen(false); }} 
                           className="block w-full text-left px-4 py-2 text-sm text-text-base hover:bg-accent hover:text-background transition-colors duration-200"
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { repository } from '../repositories';
+import Spinner from './Spinner';
+import { ACTIVITY_TYPES, getActivityTime, groupIntoSessions, involvesPlayer, describeActivity } from '../utils/activityUtils';
+
+// How many of the latest entries the feed loads.
+const FEED_SIZE = 300;
+
+const formatSession = (session) => new Date(session.startedAt).toLocaleString(undefined, {
+  weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const formatTime = (entry) => new Date(getActivityTime(entry)).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * A panel listing what happened in the campaign (items added, moved, sent, traded or bought,
+ * coins changed, things revealed), newest first and grouped by play session. It can be
+ * narrowed down to one player, one session, one kind of activity or an item name.
+ * @param {object} props - The component props.
+ * @param {string} props.campaignId - The ID of the campaign.
+ * @param {object} props.inventories - All inventories, used for their names and the player filter.
+ * @param {object} props.playerProfiles - The players' profiles, for names without an inventory.
+ * @param {Function} props.onClose - Closes the panel.
+ * @returns {JSX.Element}
+ */
+export default function ActivityFeed({ campaignId, inventories, playerProfiles, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [playerFilter, setPlayerFilter] = useState('');
+  const [sessionFilter, setSessionFilter] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    if (!campaignId) return;
+    const unsubscribe = repository.activity.subscribeRecent(campaignId, FEED_SIZE, (latestEntries) => {
+      setEntries(latestEntries);
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Failed to load the activity log:", error);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [campaignId]);
+
+  const getName = (id) => inventories[id]?.characterName || playerProfiles[id]?.displayName;
+
+  const sessions = useMemo(() => groupIntoSessions(entries), [entries]);
+
+  const visibleSessions = useMemo(() => {
+    const search = searchTerm.trim().toLowerCase();
+    return sessions
+      .filter(session => !sessionFilter || session.id === sessionFilter)
+      .map(session => ({
+        ...session,
+        entries: session.entries.filter(entry => (
+          (!playerFilter || involvesPlayer(entry, playerFilter)) &&
+          (!typeFilter || entry.type === typeFilter) &&
+          (!search || entry.item?.name?.toLowerCase().includes(search))
+        )),
+      }))
+      .filter(session => session.entries.length > 0);
+  }, [sessions, sessionFilter, playerFilter, typeFilter, searchTerm]);
+
+  const selectClassName = "p-2 bg-background border border-surface/50 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-accent";
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-30 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col text-text-base" onClick={e => e.stopPropagation()}>
+        <h3 className="text-2xl font-bold mb-4 font-fantasy text-accent text-center">Campaign Activity</h3>
+
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search items..."
+            aria-label="Search items"
+            className={`${selectClassName} col-span-2`}
+          />
+          <select value={playerFilter} onChange={(e) => setPlayerFilter(e.target.value)} aria-label="Filter by player" className={selectClassName}>
+            <option value="">All players</option>
+            {Object.entries(inventories).map(([id, inventory]) => (
+              <option key={id} value={id}>{inventory.characterName || playerProfiles[id]?.displayName || id}</option>
+            ))}
+          </select>
+          <select value={sessionFilter} onChange={(e) => setSessionFilter(e.target.value)} aria-label="Filter by session" className={selectClassName}>
+            <option value="">All sessions</option>
+            {sessions.map(session => (
+              <option key={session.id} value={session.id}>{formatSession(session)}</option>
+            ))}
+          </select>
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} aria-label="Filter by activity" className={`${selectClassName} col-span-2`}>
+            <option value="">All activity</option>
+            {Object.entries(ACTIVITY_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex-grow overflow-y-auto space-y-4 pr-1">
+          {isLoading ? (
+            <Spinner />
+          ) : visibleSessions.length === 0 ? (
+            <p className="text-center text-text-muted text-sm py-8">Nothing recorded yet.</p>
+          ) : (
+            visibleSessions.map(session => (
+              <section key={session.id}>
+                <h4 className="text-xs font-bold uppercase tracking-wider text-text-muted mb-2">Session of {formatSession(session)}</h4>
+                <ul className="space-y-1">
+                  {session.entries.map(entry => (
+                    <li key={entry.id} className="text-sm bg-background/50 rounded-md px-3 py-2 flex justify-between gap-3">
+                      <span>{describeActivity(entry, getName)}</span>
+                      <span className="text-xs text-text-muted whitespace-nowrap">{formatTime(entry)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))
+          )}
+        </div>
+
+        <div className="flex justify-end pt-4">
+          <button type="button" onClick={onClose} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
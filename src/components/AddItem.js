@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { getColorForItemType } from '../utils/itemUtils';
+import { outOfBounds } from '../utils/gridUtils';
 import IconPicker from './IconPicker';
 import DynamicIcon from './DynamicIcon';
 import CollapsibleSection from './CollapsibleSection';
@@ -8,6 +9,24 @@ import * as SolidIcons from '@heroicons/react/24/solid';
 
 const itemTypes = ['Weapon', 'Armor', 'Potion', 'Magic', 'Ammunition', 'Tool', 'Treasure', 'Gear', 'Other'];
 
+/**
+ * Resizes a cell mask to new dimensions, keeping the cells that are still inside
+ * and filling any new cells.
+ * @param {string[]} shape The current cell mask.
+ * @param {number} width The new width.
+ * @param {number} height The new height.
+ * @returns {string[]} The resized mask.
+ */
+const resizeShape = (shape, width, height) => {
+  const rows = [];
+  for (let row = 0; row < height; row++) {
+    let line = '';
+    for (let col = 0; col < width; col++) line += shape[row]?.[col] ?? '#';
+    rows.push(line);
+  }
+  return rows;
+};
+
 export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
   
   const isEditMode = !!itemToEdit;
@@ -17,7 +36,11 @@ export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
   const [name, setName] = useState(isEditMode ? itemBeingEdited.name : '');
   const [w, setW] = useState(isEditMode ? itemBeingEdited.w : 1);
   const [h, setH] = useState(isEditMode ? itemBeingEdited.h : 1);
+  const [shape, setShape] = useState(isEditMode ? itemBeingEdited.shape ?? null : null);
   const [type, setType] = useState(isEditMode ? itemBeingEdited.type : 'Gear');
+  const [holdsItems, setHoldsItems] = useState(isEditMode ? !!itemBeingEdited.contents : false);
+  const [contentsWidth, setContentsWidth] = useState(isEditMode ? itemBeingEdited.contents?.gridWidth ?? 4 : 4);
+  const [contentsHeight, setContentsHeight] = useState(isEditMode ? itemBeingEdited.contents?.gridHeight ?? 4 : 4);
   const [stackable, setStackable] = useState(isEditMode ? itemBeingEdited.stackable ?? false : false);
   const [maxStack, setMaxStack] = useState(isEditMode ? itemBeingEdited.maxStack ?? 20 : 20);
   const [quantity, setQuantity] = useState(isEditMode ? itemBeingEdited.quantity ?? 1 : 1);
@@ -86,10 +109,46 @@ export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
     }
     
     // Create the data object with all the fields
+    let finalShape = null;
+    if (shape) {
+      const cells = shape.join('');
+      if (!cells.includes('#')) {
+        toast.error("A custom shape needs at least one filled cell.");
+        return;
+      }
+      // A mask that fills the whole rectangle is just a regular item.
+      finalShape = cells.includes('.') ? shape : null;
+    }
+
+    // Items that hold other items keep whatever they already carry.
+    let contents = null;
+    if (holdsItems) {
+      const gridWidth = parseInt(contentsWidth, 10);
+      const gridHeight = parseInt(contentsHeight, 10);
+      if (!(gridWidth > 0) || !(gridHeight > 0)) {
+        toast.error("A container needs a grid of at least 1x1.");
+        return;
+      }
+      if (stackable) {
+        toast.error("Stackable items can't hold other items.");
+        return;
+      }
+      const carriedItems = isEditMode ? itemBeingEdited.contents?.gridItems || [] : [];
+      if (carriedItems.some(i => outOfBounds(i.x, i.y, i, gridWidth, gridHeight))) {
+        toast.error("The new size is too small for the items inside.");
+        return;
+      }
+      contents = { gridWidth, gridHeight, gridItems: carriedItems };
+    } else if (isEditMode && itemBeingEdited.contents?.gridItems?.length > 0) {
+      toast.error("Empty this container before making it a regular item.");
+      return;
+    }
+
     const itemData = {
         name,
         w: parseInt(w, 10),
         h: parseInt(h, 10),
+        shape: finalShape,
         type,
         stackable,
         maxStack: stackable ? parseInt(maxStack, 10) : null,
@@ -102,6 +161,7 @@ export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
         magicPropertiesVisible: isEditMode ? itemBeingEdited.magicPropertiesVisible ?? false : false,
         attunement,
         icon: selectedIcon ? selectedIcon : null,
+        contents,
     };
 
     if (type === 'Weapon') {
@@ -135,6 +195,33 @@ export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
     onClose();
   };
 
+  /**
+   * Updates one of the item's dimensions, resizing the custom shape (if any) to match.
+   * @param {('w'|'h')} dimension - The dimension being changed.
+   * @param {string} value - The raw input value.
+   */
+  const handleDimensionChange = (dimension, value) => {
+    const newW = dimension === 'w' ? value : w;
+    const newH = dimension === 'h' ? value : h;
+    if (dimension === 'w') setW(value); else setH(value);
+    const width = parseInt(newW, 10);
+    const height = parseInt(newH, 10);
+    if (width > 0 && height > 0) {
+      setShape(prev => prev && resizeShape(prev, width, height));
+    }
+  };
+
+  /**
+   * Flips a single cell of the custom shape between filled and empty.
+   * @param {number} col - The column of the cell.
+   * @param {number} row - The row of the cell.
+   */
+  const handleToggleShapeCell = (col, row) => {
+    setShape(prev => prev.map((line, r) => r !== row ? line :
+      line.slice(0, col) + (line[col] === '#' ? '.' : '#') + line.slice(col + 1)
+    ));
+  };
+
   return (
     <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-20 backdrop-blur-sm" onClick={onClose}>
       
@@ -242,12 +329,69 @@ export default function AddItem({ onAddItem, onClose, itemToEdit, isDM }) {
             <fieldset className="flex space-x-4">
               <div className="w-1/3">
                 <label className="block text-sm font-bold mb-2 text-text-muted">Width</label>
-                <input type="number" min="1" value={w} onChange={(e) => setW(e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
+                <input type="number" min="1" value={w} onChange={(e) => handleDimensionChange('w', e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
               </div>
               <div className="w-1/3">
                 <label className="block text-sm font-bold mb-2 text-text-muted">Height</label>
-                <input type="number" min="1" value={h} onChange={(e) => setH(e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
+                <input type="number" min="1" value={h} onChange={(e) => handleDimensionChange('h', e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
+              </div>
+            </fieldset>
+
+            <fieldset>
+              <div className="flex items-center">
+                <input
+                  id="customShape"
+                  type="checkbox"
+                  checked={!!shape}
+                  onChange={(e) => setShape(e.target.checked ? resizeShape([], parseInt(w, 10) || 1, parseInt(h, 10) || 1) : null)}
+                  className="w-4 h-4 text-primary bg-background border-surface/50 rounded focus:ring-accent"
+                />
+                <label htmlFor="customShape" className="ml-2 text-sm font-medium text-text-muted">Custom shape</label>
+              </div>
+              {shape && (
+                <div className="mt-2">
+                  <p className="text-xs text-text-muted mb-2">Click cells to remove them from the item's footprint.</p>
+                  <div
+                    className="grid gap-px w-full max-w-[12rem]"
+                    style={{ gridTemplateColumns: `repeat(${shape[0]?.length || 1}, 1fr)` }}
+                  >
+                    {shape.map((line, row) => line.split('').map((cell, col) => (
+                      <button
+                        type="button"
+                        key={`${col},${row}`}
+                        onClick={() => handleToggleShapeCell(col, row)}
+                        className={`aspect-square rounded-sm border border-surface/50 ${cell === '#' ? getColorForItemType(type) : 'bg-background'}`}
+                        aria-label={`Cell ${col + 1}, ${row + 1}: ${cell === '#' ? 'filled' : 'empty'}`}
+                      />
+                    )))}
+                  </div>
+                </div>
+              )}
+            </fieldset>
+
+            <fieldset>
+              <div className="flex items-center">
+                <input
+                  id="holdsItems"
+                  type="checkbox"
+                  checked={holdsItems}
+                  onChange={(e) => setHoldsItems(e.target.checked)}
+                  className="w-4 h-4 text-primary bg-background border-surface/50 rounded focus:ring-accent"
+                />
+                <label htmlFor="holdsItems" className="ml-2 text-sm font-medium text-text-muted">Holds other items (bag, chest...)</label>
               </div>
+              {holdsItems && (
+                <div className="flex space-x-4 mt-2">
+                  <div className="w-1/3">
+                    <label className="block text-sm font-bold mb-2 text-text-muted">Inner Width</label>
+                    <input type="number" min="1" value={contentsWidth} onChange={(e) => setContentsWidth(e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
+                  </div>
+                  <div className="w-1/3">
+                    <label className="block text-sm font-bold mb-2 text-text-muted">Inner Height</label>
+                    <input type="number" min="1" value={contentsHeight} onChange={(e) => setContentsHeight(e.target.value)} className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200" />
+                  </div>
+                </div>
+              )}
             </fieldset>
 
             <fieldset>
@@ -1,27 +1,25 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db, auth } from '../firebase';
-import { doc, setDoc, serverTimestamp, getDoc } from "firebase/firestore";
+import { auth } from '../firebase';
+import { repository } from '../repositories';
 import { GoogleAuthProvider, signInWithPopup } from "firebase/auth";
 import Login from './Login';
 import SignUp from './SignUp';
 
 /**
- * Checks if a user profile document exists in Firestore for a given user.
+ * Checks if a user profile document exists for a given user.
  * If the profile does not exist, it creates a new one with default settings
  * and a default display name.
  * @param {object} user - The Firebase Authentication user object, obtained after sign-in.
  * @returns {Promise<void>} A promise that resolves once the check and potential creation are complete.
  */
 const checkAndCreateUserProfile = async (user) => {
-  const userDocRef = doc(db, "users", user.uid);
-  const docSnap = await getDoc(userDocRef);
+  const userProfile = await repository.users.get(user.uid);
   
-  if (!docSnap.exists()) {
-    await setDoc(userDocRef, {
+  if (!userProfile) {
+    await repository.users.create(user.uid, {
       email: user.email,
       displayName: user.displayName || user.email.split('@')[0],
-      createdAt: serverTimestamp(),
       gridWidth: 30,
       gridHeight: 10,
     });
@@ -81,6 +79,9 @@ export default function Auth({ onShowPolicy }) {
           />
         )}
       </div>
+      <a href="?demo" className="mt-4 block text-center text-sm text-text-muted hover:text-accent transition-colors duration-200">
+        Try the demo without an account
+      </a>
       <BuyMeACoffeeButton />
     </>
   );
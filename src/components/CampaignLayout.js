@@ -1,11 +1,12 @@
 import React, { useState, useMemo } from 'react';
 import toast from 'react-hot-toast';
-import { db } from '../firebase';
-import { doc, updateDoc, getDocs, writeBatch, collection } from 'firebase/firestore';
+import { repository } from '../repositories';
 import { DndContext, closestCenter, PointerSensor, TouchSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { arrayMove, SortableContext, useSortable, verticalListSortingStrategy} from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import CampaignSettings from './CampaignSettings';
+import CampaignSnapshots from './CampaignSnapshots';
+import CollapsibleSection from './CollapsibleSection';
 
 /**
  * Renders a single player item within a sortable list. It uses the `useSortable`
@@ -110,17 +111,15 @@ export default function CampaignLayout({ campaign, inventories, playerProfiles,
 
     /**
      * Asynchronously saves the current player order and visibility settings to the
-     * campaign document in Firestore. It provides user feedback via toasts and
+     * campaign document. It provides user feedback via toasts and
      * handles the loading state during the operation.
      * @returns {Promise<void>} A promise that resolves when the save operation finishes.
      */
     const handleSave = async () => {
         setLoading(true);
         try {
-            const campaignDocRef = doc(db, 'campaigns', campaign.id);
-            await updateDoc(campaignDocRef, {
-                'layout.order': playerOrder,
-                'layout.visible': visiblePlayers
+            await repository.campaigns.update(campaign.id, {
+                layout: { ...campaign.layout, order: playerOrder, visible: visiblePlayers },
             });
             toast.success("Layout saved!");
             onClose();
@@ -145,29 +144,9 @@ export default function CampaignLayout({ campaign, inventories, playerProfiles,
         }
         setLoading(true);
         try {
-            const batch = writeBatch(db);
-
-            // 1. Delete the player's inventory sub-collection (requires a separate fetch)
-            const inventoryRef = doc(db, 'campaigns', campaign.id, 'inventories', playerId);
-            const containersRef = collection(inventoryRef, 'containers');
-            const containersSnap = await getDocs(containersRef);
-            containersSnap.forEach(doc => batch.delete(doc.ref)); // Delete all containers
-            batch.delete(inventoryRef); // Delete the main inventory doc
-
-            // 2. Update the main campaign document
-            const campaignDocRef = doc(db, 'campaigns', campaign.id);
-            const newPlayers = campaign.players.filter(p => p !== playerId);
+            // Deletes the player's inventory and containers and takes them off the roster and layout
+            await repository.campaigns.removePlayer(campaign.id, playerId);
             const newOrder = playerOrder.filter(p => p !== playerId);
-            const newVisible = { ...visiblePlayers };
-            delete newVisible[playerId];
-
-            batch.update(campaignDocRef, {
-                players: newPlayers,
-                'layout.order': newOrder,
-                'layout.visible': newVisible,
-            });
-
-            await batch.commit();
             toast.success(`${playerName} has been removed from the campaign.`);
             // Update local state to match
             setPlayerOrder(newOrder);
@@ -190,7 +169,7 @@ export default function CampaignLayout({ campaign, inventories, playerProfiles,
             />
 
             )}
-            <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-md" onClick={e => e.stopPropagation()}>
+            <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-md max-h-[90vh] overflow-y-auto" onClick={e => e.stopPropagation()}>
                 <h3 className="text-2xl font-bold mb-4 font-fantasy text-accent">Manage Layout</h3>
                 <p className="text-text-muted mb-6 text-sm">Drag players to reorder them and use the checkbox to toggle their visibility.</p>
                 <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
@@ -209,6 +188,11 @@ export default function CampaignLayout({ campaign, inventories, playerProfiles,
                         </ul>
                     </SortableContext>
                 </DndContext>
+                <div className="mt-6">
+                    <CollapsibleSection title="Snapshots">
+                        <CampaignSnapshots campaignId={campaign.id} isRestoreUnfinished={Boolean(campaign.restoring)} />
+                    </CollapsibleSection>
+                </div>
                 <div className="flex justify-end space-x-4 pt-6">
                     <button type="button" onClick={() => setShowCampaignSettings(true)} disabled={loading} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Campaign settings</button>
                     <button type="button" onClick={onClose} disabled={loading} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Cancel</button>
@@ -1,7 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
-import { collection, doc, setDoc, getDoc, query, where, getDocs, deleteDoc, writeBatch } from 'firebase/firestore';
-import { db, auth } from '../firebase';
+import { repository, getCurrentUser } from '../repositories';
 import JoinCampaign from './JoinCampaign';
 import WhatsNewModal, { whatsNewConfig } from './WhatsNewModal';
 import { generateJoinCode } from '../utils/codeGenerator';
@@ -35,20 +34,13 @@ export default function CampaignSelector({ onCampaignSelected }) {
   const [campaignForNewCharacter, setCampaignForNewCharacter] = useState(null);
 
   useEffect(() => {
-    const currentUser = auth.currentUser;
+    const currentUser = getCurrentUser();
     if (!currentUser) return;
 
     setLoading(true);
-    // Create a query to find campaigns where the user's ID is in the 'players' array
-    const campaignsRef = collection(db, 'campaigns');
-    const q = query(campaignsRef, where('players', 'array-contains', currentUser.uid));
-
-    getDocs(q)
-      .then((querySnapshot) => {
-        const campaigns = [];
-        querySnapshot.forEach((doc) => {
-          campaigns.push({ id: doc.id, ...doc.data() });
-        });
+    // Find the campaigns where the user's ID is in the 'players' array
+    repository.campaigns.listForPlayer(currentUser.uid)
+      .then((campaigns) => {
         setMyCampaigns(campaigns);
       })
       .catch((error) => {
@@ -83,7 +75,7 @@ export default function CampaignSelector({ onCampaignSelected }) {
   };
 
   /**
-   * Asynchronously creates a new campaign in Firestore.
+   * Asynchronously creates a new campaign.
    * It sets the current user as the DM, creates a default inventory and backpack for them,
    * and then sets the newly created campaign as the active one.
    * @returns {Promise<void>} A promise that resolves when the campaign is created.
@@ -94,7 +86,7 @@ export default function CampaignSelector({ onCampaignSelected }) {
       return;
     }
     setLoading(true);
-    const currentUser = auth.currentUser;
+    const currentUser = getCurrentUser();
 
     try {
       // 1. Generate a human-readable ID
@@ -104,9 +96,8 @@ export default function CampaignSelector({ onCampaignSelected }) {
 
       // 2. Ensure it's unique (retry up to 5 times)
       while (!isUnique && attempts < 5) {
-        const docRef = doc(db, 'campaigns', customId);
-        const docSnap = await getDoc(docRef);
-        if (!docSnap.exists()) {
+        const existingCampaign = await repository.campaigns.get(customId);
+        if (!existingCampaign) {
           isUnique = true;
         } else {
           customId = generateJoinCode(); // Try again
@@ -120,8 +111,8 @@ export default function CampaignSelector({ onCampaignSelected }) {
         return;
       }
 
-      // 3. Create the campaign with the custom ID using setDoc
-      await setDoc(doc(db, "campaigns", customId), {
+      // 3. Create the campaign with the custom ID
+      await repository.campaigns.create(customId, {
         dmId: currentUser.uid,
         name: campaignName,
         players: [currentUser.uid],
@@ -131,19 +122,17 @@ export default function CampaignSelector({ onCampaignSelected }) {
         }
       });
 
-      const inventoryDocRef = doc(db, "campaigns", customId, "inventories", currentUser.uid);
-      await setDoc(inventoryDocRef, {
+      await repository.inventories.create(customId, currentUser.uid, {
         characterName: "DM",
         ownerId: currentUser.uid,
         trayItems: [],
-      });
-
-      const backpackRef = doc(inventoryDocRef, "containers", "backpack");
-      await setDoc(backpackRef, {
-        name: "Backpack",
-        gridItems: [],
-        gridWidth: 10,
-        gridHeight: 5,
+      }, {
+        backpack: {
+          name: "Backpack",
+          gridItems: [],
+          gridWidth: 10,
+          gridHeight: 5,
+        },
       });
 
       onCampaignSelected(customId);
@@ -170,10 +159,9 @@ export default function CampaignSelector({ onCampaignSelected }) {
     }
     setLoading(true);
     try {
-      const campaignDocRef = doc(db, 'campaigns', code);
-      const campaignSnap = await getDoc(campaignDocRef);
+      const campaign = await repository.campaigns.get(code);
 
-      if (!campaignSnap.exists()) {
+      if (!campaign) {
         toast.error("Campaign not found. Please check the code.");
         return;
       }
@@ -189,7 +177,7 @@ export default function CampaignSelector({ onCampaignSelected }) {
   };
 
   /**
-   * Asynchronously deletes a campaign and all its associated sub-collections from Firestore.
+   * Asynchronously deletes a campaign and all its associated sub-collections.
    * It first deletes all 'inventories' and their nested 'containers', then deletes the main campaign document.
    * A confirmation dialog is shown to the user before proceeding.
    * @param {string} campaignId - The ID of the campaign to delete.
@@ -204,18 +192,7 @@ export default function CampaignSelector({ onCampaignSelected }) {
 
     setLoading(true);
     try {
-      const inventoriesRef = collection(db, 'campaigns', campaignId, 'inventories');
-      const inventorySnapshot = await getDocs(inventoriesRef);
-      
-      // Use a batched write to delete all sub-collection documents first
-      const batch = writeBatch(db);
-      inventorySnapshot.forEach(doc => {
-        batch.delete(doc.ref);
-      });
-      await batch.commit();
-
-      // Now delete the main campaign document
-      await deleteDoc(doc(db, 'campaigns', campaignId));
+      await repository.campaigns.delete(campaignId);
 
       // Update the UI locally to remove the campaign from the list
       setMyCampaigns(prev => prev.filter(c => c.id !== campaignId));
@@ -273,7 +250,7 @@ export default function CampaignSelector({ onCampaignSelected }) {
                 >
                   {campaign.name}
                 </button>
-                {auth.currentUser?.uid === campaign.dmId && (
+                {getCurrentUser()?.uid === campaign.dmId && (
                   <div className="flex space-x-2 justify-end">
                     <button
                       onClick={() => {
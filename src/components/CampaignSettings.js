@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db } from '../firebase';
-import { doc, updateDoc } from 'firebase/firestore';
+import { repository } from '../repositories';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../utils/trashUtils';
 
 export default function CampaignSettings({ campaign, onClose }) {
   const [campaignName, setCampaignName] = useState(campaign.name || '');
@@ -9,11 +9,13 @@ export default function CampaignSettings({ campaign, onClose }) {
     width: 10,
     height: 5,
   });
+  const [trashRetentionDays, setTrashRetentionDays] = useState(campaign.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS);
   const [loading, setLoading] = useState(false);
 
   /**
-   * Handles the form submission to update the campaign settings in Firestore.
-   * This includes the campaign name and the default backpack size for new characters.
+   * Handles the form submission to update the campaign settings.
+   * This includes the campaign name, the default backpack size for new characters and how
+   * many days deleted things stay in the trash.
    * @param {React.FormEvent} e - The form submission event.
    */
   const handleSave = async (e) => {
@@ -21,13 +23,13 @@ export default function CampaignSettings({ campaign, onClose }) {
     setLoading(true);
 
     try {
-      const campaignDocRef = doc(db, 'campaigns', campaign.id);
-      await updateDoc(campaignDocRef, {
+      await repository.campaigns.update(campaign.id, {
         name: campaignName,
         defaultBackpackSize: {
           width: Number(defaultBackpackSize.width),
           height: Number(defaultBackpackSize.height),
         },
+        trashRetentionDays: Math.max(1, Math.round(Number(trashRetentionDays)) || DEFAULT_TRASH_RETENTION_DAYS),
       });
       toast.success('Campaign settings updated!');
       onClose();
@@ -61,6 +63,10 @@ export default function CampaignSettings({ campaign, onClose }) {
               </div>
             </div>
           </div>
+          <div>
+            <label className="block text-sm font-bold mb-2 text-text-muted">Days Deleted Items Stay in the Trash</label>
+            <input type="number" min="1" value={trashRetentionDays} onChange={(e) => setTrashRetentionDays(e.target.value)} className="w-20 p-2 bg-background border border-surface/50 rounded-md" />
+          </div>
           <div className="flex justify-end space-x-4 pt-4">
             <button
               type="button"
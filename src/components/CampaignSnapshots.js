@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { repository, isDemoMode } from '../repositories';
+import { useCampaignStore } from '../stores/useCampaignStore';
+import Spinner from './Spinner';
+import { summarizeSnapshotDiff, getSnapshotInventories } from '../utils/snapshotUtils';
+import { formatCurrency } from '../utils/activityUtils';
+import { timestampToMillis } from '../utils/timeUtils';
+
+const formatCreatedAt = (snapshot) => new Date(timestampToMillis(snapshot.createdAt)).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Describes in one line what changed in an inventory since a snapshot.
+ * @param {object} summary - One entry of `summarizeSnapshotDiff`.
+ * @returns {string}
+ */
+const describeSummary = (summary) => {
+  if (summary.status === 'added') return `${summary.name} is new.`;
+  if (summary.status === 'removed') return `${summary.name} is gone.`;
+  const changes = [];
+  if (summary.itemsAdded) changes.push(`${plural(summary.itemsAdded, 'item')} added`);
+  if (summary.itemsRemoved) changes.push(`${plural(summary.itemsRemoved, 'item')} removed`);
+  if (summary.itemsChanged) changes.push(`${plural(summary.itemsChanged, 'item')} changed`);
+  if (summary.containersAdded) changes.push(`${plural(summary.containersAdded, 'container')} added`);
+  if (summary.containersRemoved) changes.push(`${plural(summary.containersRemoved, 'container')} removed`);
+  if (summary.currency) changes.push(`coins ${formatCurrency(summary.currency.before)} → ${formatCurrency(summary.currency.after)}`);
+  return `${summary.name}: ${changes.join(', ')}.`;
+};
+
+/**
+ * Lets the DM save the state of every inventory of the campaign before a big event and roll
+ * back to it later. Each snapshot lists what changed since it was taken.
+ * @param {object} props - The component props.
+ * @param {string} props.campaignId - The ID of the campaign.
+ * @param {boolean} [props.isRestoreUnfinished] - Whether a restore of the campaign started but never finished.
+ * @returns {JSX.Element}
+ */
+export default function CampaignSnapshots({ campaignId, isRestoreUnfinished }) {
+  // The inventories as they are now, to compare the snapshots with.
+  const inventories = useCampaignStore(state => state.inventories);
+  const [snapshots, setSnapshots] = useState([]);
+  const [contents, setContents] = useState({});
+  const requestedIds = useRef(new Set());
+  const [isLoading, setIsLoading] = useState(!isDemoMode);
+  const [snapshotName, setSnapshotName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (!campaignId || isDemoMode) return;
+    const unsubscribe = repository.snapshots.subscribeAll(campaignId, (campaignSnapshots) => {
+      setSnapshots(campaignSnapshots);
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Failed to load snapshots:", error);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [campaignId]);
+
+  // Snapshots never change, so what each one saved is only read once.
+  useEffect(() => {
+    snapshots.filter(snapshot => !requestedIds.current.has(snapshot.id)).forEach(snapshot => {
+      requestedIds.current.add(snapshot.id);
+      repository.snapshots.getContents(campaignId, snapshot)
+        .then(snapshotContents => setContents(prev => ({ ...prev, [snapshot.id]: snapshotContents })))
+        .catch(error => console.error("Failed to load a snapshot:", error));
+    });
+  }, [campaignId, snapshots]);
+
+  const handleCreate = async () => {
+    setBusy(true);
+    try {
+      await repository.snapshots.create(campaignId, snapshotName.trim() || 'Snapshot');
+      setSnapshotName('');
+      toast.success("Snapshot saved!");
+    } catch (error) {
+      toast.error(error.message || "Failed to save the snapshot.");
+      console.error(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    if (!window.confirm(`Roll every inventory back to "${snapshot.name}"? The current state will be saved as a snapshot first.`)) return;
+    setBusy(true);
+    try {
+      const { skippedCount } = await repository.snapshots.restore(campaignId, snapshot.id);
+      toast.success(`Restored "${snapshot.name}".`);
+      if (skippedCount > 0) toast(`The inventories of players who have left the campaign were not brought back (${skippedCount}).`);
+    } catch (error) {
+      toast.error(error.message || "Failed to restore the snapshot.");
+      console.error(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot "${snapshot.name}"? This cannot be undone.`)) return;
+    try {
+      await repository.snapshots.delete(campaignId, snapshot.id);
+    } catch (error) {
+      toast.error("Failed to delete the snapshot.");
+      console.error(error);
+    }
+  };
+
+  // The inventories are compared once all of them are loaded (see `watchInventories`).
+  const isComparing = Object.values(inventories).some(inventory => inventory.isPartial);
+
+  if (isDemoMode) {
+    return <p className="text-sm text-text-muted">Snapshots are taken by the server, so they aren't available in the demo.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {isRestoreUnfinished && !busy && (
+        <p className="text-sm text-destructive">A restore didn't finish, so some inventories may be only partly restored. Restoring any snapshot first rolls them back to how they were before.</p>
+      )}
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={snapshotName}
+          onChange={(e) => setSnapshotName(e.target.value)}
+          placeholder="e.g. Before the dragon fight"
+          aria-label="Snapshot name"
+          className="flex-grow p-2 bg-background border border-surface/50 rounded-md text-sm"
+        />
+        <button type="button" onClick={handleCreate} disabled={busy} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors text-sm disabled:opacity-50">
+          Take snapshot
+        </button>
+      </div>
+
+      {isLoading || isComparing ? (
+        <Spinner />
+      ) : snapshots.length === 0 ? (
+        <p className="text-sm text-text-muted">No snapshots yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {snapshots.map(snapshot => {
+            const summaries = contents[snapshot.id] && summarizeSnapshotDiff(getSnapshotInventories(contents[snapshot.id]), inventories);
+            return (
+              <li key={snapshot.id} className="p-3 bg-background rounded-md shadow-sm">
+                <div className="flex justify-between items-start gap-3">
+                  <div className="min-w-0">
+                    <p className="font-bold text-sm truncate">{snapshot.name}</p>
+                    <p className="text-xs text-text-muted">{formatCreatedAt(snapshot)}{snapshot.isAutomatic && ' · saved automatically'}</p>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button type="button" onClick={() => handleRestore(snapshot)} disabled={busy} className="bg-surface hover:bg-surface/80 text-text-base text-xs font-bold py-1 px-3 rounded transition-colors disabled:opacity-50">Restore</button>
+                    <button type="button" onClick={() => handleDelete(snapshot)} disabled={busy} className="text-destructive/70 hover:text-destructive text-xs font-bold py-1 px-2 rounded transition-colors disabled:opacity-50">Delete</button>
+                  </div>
+                </div>
+                <div className="mt-2 text-xs text-text-muted">
+                  {!summaries ? (
+                    <p>Comparing…</p>
+                  ) : summaries.length === 0 ? (
+                    <p>Nothing has changed since.</p>
+                  ) : (
+                    <>
+                      <p className="font-bold">Changed since:</p>
+                      <ul className="list-disc list-inside">
+                        {summaries.map(summary => <li key={summary.inventoryId}>{describeSummary(summary)}</li>)}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
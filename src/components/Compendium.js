@@ -1,7 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import toast from 'react-hot-toast';
-import { db, auth } from '../firebase';
-import { collection, onSnapshot, addDoc, doc, deleteDoc } from 'firebase/firestore';
+import { repository, getCurrentUser } from '../repositories';
 import AddItem from './AddItem';
 import Spinner from './Spinner';
 import ContextMenu from './ContextMenu';
@@ -22,7 +21,7 @@ export default function Compendium({ onClose }) {
   const [contextMenu, setContextMenu] = useState({ visible: false, position: null, actions: [] });
   const [itemToCustomize, setItemToCustomize] = useState(null);
 
-  const currentUser = auth.currentUser;
+  const currentUser = getCurrentUser();
 
   useEffect(() => {
     if (!currentUser) return;
@@ -30,15 +29,13 @@ export default function Compendium({ onClose }) {
 
     /**
      * Subscribes to real-time updates for both the global compendium and the user's
-     * personal custom item collection from Firestore.
+     * personal custom item collection.
      */
-    const globalUnsubscribe = onSnapshot(collection(db, 'globalCompendium'), (snapshot) => {
-      const items = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const globalUnsubscribe = repository.compendium.subscribeGlobalItems((items) => {
       setGlobalItems(items);
     });
 
-    const customUnsubscribe = onSnapshot(collection(db, 'compendiums', currentUser.uid, 'masterItems'), (snapshot) => {
-      const items = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const customUnsubscribe = repository.compendium.subscribeCustomItems(currentUser.uid, (items) => {
       setCustomItems(items);
       setIsLoading(false);
     });
@@ -100,13 +97,12 @@ export default function Compendium({ onClose }) {
   };
 
   /**
-   * Adds a new item to the user's personal custom item compendium in Firestore.
+   * Adds a new item to the user's personal custom item compendium.
    * @param {object} itemData - The data for the new custom item.
    */
   const handleAddItem = async (itemData) => {
-    const customItemsRef = collection(db, 'compendiums', currentUser.uid, 'masterItems');
     try {
-      await addDoc(customItemsRef, itemData);
+      await repository.compendium.addCustomItem(currentUser.uid, itemData);
       toast.success("Custom item saved.");
     } catch (error) {
       toast.error("Failed to save custom item.");
@@ -120,7 +116,7 @@ export default function Compendium({ onClose }) {
   const handleDeleteItem = async (itemId) => {
     if (!window.confirm("Are you sure?")) return;
     try {
-      await deleteDoc(doc(db, 'compendiums', currentUser.uid, 'masterItems', itemId));
+      await repository.compendium.deleteCustomItem(currentUser.uid, itemId);
       toast.success("Custom item deleted.");
     } catch (error) {
       toast.error("Failed to delete item.");
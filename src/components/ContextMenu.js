@@ -1,11 +1,57 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 
 export default function ContextMenu({ menuPosition, actions, onClose }) {
   const [activeSubmenu, setActiveSubmenu] = useState(null);
   const closeTimer = useRef(null);
+  const menuRef = useRef(null);
+
+  // Focus the first action so the menu can be used from the keyboard, and give
+  // the focus back to whatever opened the menu once it closes.
+  useEffect(() => {
+    const previouslyFocused = document.activeElement;
+    menuRef.current?.querySelector('[role="menuitem"]')?.focus();
+    return () => {
+      if (previouslyFocused && document.contains(previouslyFocused)) previouslyFocused.focus();
+    };
+  }, []);
 
   if (!menuPosition) return null;
 
+  /**
+   * Moves the focus between the actions of the menu (or of the open submenu) with the
+   * arrow keys. Right opens a submenu, Left goes back to the main menu, Escape closes.
+   * @param {React.KeyboardEvent} e - The keydown event.
+   */
+  const handleKeyDown = (e) => {
+    const current = document.activeElement;
+    const inSubmenu = !!current?.closest('[data-submenu]');
+    const list = inSubmenu ? current.closest('[data-submenu]') : menuRef.current;
+    const items = Array.from(list?.querySelectorAll(':scope > ul > li > [role="menuitem"]') || []);
+    const index = items.indexOf(current);
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      items[(index + step + items.length) % items.length]?.focus();
+    } else if (e.key === 'ArrowRight' && !inSubmenu) {
+      const actionIndex = Number(current?.dataset.index);
+      if (actions[actionIndex]?.submenu) {
+        e.preventDefault();
+        setActiveSubmenu(actionIndex);
+        // The submenu renders on the next frame.
+        requestAnimationFrame(() => menuRef.current?.querySelector('[data-submenu] [role="menuitem"]')?.focus());
+      }
+    } else if (e.key === 'ArrowLeft' && inSubmenu) {
+      e.preventDefault();
+      const parentIndex = activeSubmenu;
+      setActiveSubmenu(null);
+      menuRef.current?.querySelector(`[data-index="${parentIndex}"]`)?.focus();
+    }
+  };
+
   const menuStyle = {
     top: `${menuPosition.y}px`,
     left: `${menuPosition.x}px`,
@@ -46,9 +92,12 @@ export default function ContextMenu({ menuPosition, actions, onClose }) {
       />
       
       <div
+        ref={menuRef}
+        role="menu"
         style={menuStyle}
         className="fixed bg-gradient-to-b from-surface to-background text-text-base rounded-md shadow-lg py-1 z-50 border border-accent/20"
         onMouseLeave={handleMouseLeave} // Close submenu when leaving the entire menu area
+        onKeyDown={handleKeyDown}
       >
         <ul>
           {actions.map((action, index) => (
@@ -58,13 +107,19 @@ export default function ContextMenu({ menuPosition, actions, onClose }) {
               onMouseEnter={() => handleMouseEnter(index)}
             >
               <button
+                role="menuitem"
+                data-index={index}
+                aria-haspopup={action.submenu ? 'menu' : undefined}
+                aria-expanded={action.submenu ? activeSubmenu === index : undefined}
                 onClick={() => {
                   if (!action.submenu) {
                     action.onClick();
                     onClose();
+                  } else {
+                    setActiveSubmenu(index);
                   }
                 }}
-                className="w-full text-left px-4 py-2 text-sm hover:bg-accent hover:text-background transition-colors duration-200 flex justify-between items-center"
+                className="w-full text-left px-4 py-2 text-sm hover:bg-accent hover:text-background focus:bg-accent focus:text-background focus:outline-none transition-colors duration-200 flex justify-between items-center"
               >
                 <span>{action.label}</span>
                 {action.submenu && <span>&raquo;</span>}
@@ -73,6 +128,8 @@ export default function ContextMenu({ menuPosition, actions, onClose }) {
               {/* The Submenu */}
               {action.submenu && activeSubmenu === index && (
                 <div 
+                  data-submenu
+                  role="menu"
                   className="absolute left-full top-0 ml-1 w-48 bg-gradient-to-b from-surface to-background rounded-md shadow-lg py-1 border border-accent/20"
                   // Also manage hover state on the submenu itself to keep it open
                   onMouseEnter={() => clearTimeout(closeTimer.current)}
@@ -81,11 +138,12 @@ export default function ContextMenu({ menuPosition, actions, onClose }) {
                     {action.submenu.map((subAction, subIndex) => (
                       <li key={subIndex}>
                         <button
+                          role="menuitem"
                           onClick={() => {
                             subAction.onClick();
                             onClose();
                           }}
-                          className="w-full text-left px-4 py-2 text-sm hover:bg-accent hover:text-background transition-colors duration-200"
+                          className="w-full text-left px-4 py-2 text-sm hover:bg-accent hover:text-background focus:bg-accent focus:text-background focus:outline-none transition-colors duration-200"
                         >
                           {subAction.label}
                         </button>
@@ -1,36 +1,87 @@
-import React, { useState, useRef, useEffect, useMemo } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import toast from 'react-hot-toast';
-import { doc, updateDoc, writeBatch, setDoc, collection, query, where, onSnapshot } from "firebase/firestore";
-import { db } from '../firebase';
-import { DndContext, DragOverlay, PointerSensor, useSensor, useSensors, pointerWithin } from '@dnd-kit/core';
+import { repository } from '../repositories';
+import { DndContext, DragOverlay, PointerSensor, KeyboardSensor, useSensor, useSensors, pointerWithin, rectIntersection } from '@dnd-kit/core';
 import PlayerInventoryGrid from './PlayerInventoryGrid';
-import { findFirstAvailableSlot, onOtherItem, outOfBounds } from '../utils/gridUtils';
+import { findFirstAvailableSlot, findAvailableSlotWithRotation, onOtherItem, outOfBounds, rotateItem, canSwapItems } from '../utils/gridUtils';
 import AddItem from './AddItem';
 import ContextMenu from './ContextMenu';
 import SplitStack from './SplitStack';
 import Spinner from './Spinner';
 import ItemTray from './ItemTray';
 import InventorySettings from './InventorySettings';
+import OrganizeContainer from './OrganizeContainer';
+import ItemShape from './ItemShape';
 import { getColorForItemType } from '../utils/itemUtils';
 import AddFromCompendium from './AddFromCompendium';
 import StartTrade from './StartTrade';
 import TradeNotifications from './TradeNotifications';
 import Trade from './Trade';
+import { useShallow } from 'zustand/react/shallow';
 import { useCampaignStore } from '../stores/useCampaignStore';
 import { usePlayerProfiles } from '../hooks/usePlayerProfiles';
 import CampaignLayout from './CampaignLayout';
 import WeightCounter from './WeightCounter';
 import Wallet from './Wallet';
+import ActivityFeed from './ActivityFeed';
+import TrashBin from './TrashBin';
+import TradeHistory from './TradeHistory';
+import PendingSyncBadge from './PendingSyncBadge';
+import SyncConflictDialog from './SyncConflictDialog';
 import { parseCostToCp, deductCurrency } from '../utils/currencyUtils';
+import { isStaleChangeError } from '../utils/deltaUtils';
+import { nestedContainerId, isNestedContainerId, nestedContainerItemId, flattenItems, findItemInInventory, resolveGridContainer, getItemList, removeItemFromInventory, itemContains, cloneItemWithNewIds, canStackWith, getStackRoom } from '../utils/inventoryUtils';
 
 /**
- * Renders the complete inventory for a single player.
+ * Picks the message to show when saving an item change fails. A change rejected because
+ * someone else modified the same items first says so; anything else gets the fallback.
+ * @param {Error} error - The error thrown by `commitInventoryChange`.
+ * @param {string} fallback - The message for any other failure.
+ * @returns {string}
  */
-const PlayerInventory = ({
-  playerId, inventoryData, campaign, playerProfiles, user,
-  setEditingSettings, cellSizes, gridRefs, onContextMenu, onToggleEquipped, isEquippedVisible,
-  isLootPile = false
+const getCommitErrorMessage = (error, fallback) =>
+  isStaleChangeError(error) ? `${error.message} Your change was cancelled.` : fallback;
+
+// Shared fallbacks for missing lists, so memoized components see the same value every render.
+const NO_ITEMS = [];
+const NO_PROFILES = {};
+
+/**
+ * Picks what the page shows of each inventory itself: which inventories there are, what they
+ * are called and what kind they are. It is a string so that the page only re-renders when one
+ * of these changes, not whenever an item moves; each `PlayerInventory` reads its own items.
+ * @param {object} state - The state of the campaign store.
+ * @returns {string}
+ */
+const selectInventorySummaries = (state) => JSON.stringify(Object.entries(state.inventories).map(
+  ([id, { characterName, ownerId, isMerchant, isLootPile, isVisibleToPlayers }]) => ({ id, characterName, ownerId, isMerchant, isLootPile, isVisibleToPlayers })
+));
+
+/**
+ * Lists the size of every container on screen, so the grids are measured again when one
+ * changes or appears (an inventory shows its containers once it is loaded).
+ * @param {object} state - The state of the campaign store.
+ * @returns {string}
+ */
+const selectContainerStructure = (state) => Object.values(state.inventories)
+  .flatMap(inv => (inv.isPartial ? [] : Object.values(inv.containers || {})))
+  .map(c => `${c.id}-${c.gridWidth}-${c.gridHeight}`)
+  .join(',');
+
+/**
+ * Renders the complete inventory for a single player. It reads its inventory from the store
+ * itself and is memoized, so it only re-renders when that inventory (or one of its props)
+ * changes, not whenever another inventory does. The handlers it gets take the inventory ID
+ * as their first argument, so the parent can pass the same functions to every inventory.
+ */
+const PlayerInventory = React.memo(({
+  playerId, campaign, playerProfiles, user,
+  onEditSettings, cellSizes, gridRefs, onContextMenu, onToggleEquipped, isEquippedVisible,
+  onOrganizeContainer, openNestedContainers = NO_ITEMS, onCloseNestedContainer, isLootPile = false,
+  selectedItemIds, onSelectItem, onLassoSelect, onRotateItem, pendingSyncCount = 0, isOnline = true
 }) => {
+  const inventoryData = useCampaignStore(state => state.inventories[playerId]);
+
   // We use optional chaining (?.) to prevent errors if inventoryData is not ready.
   const containers = useMemo(() => Object.values(inventoryData?.containers || {}), [inventoryData]);
   const isViewerDM = campaign?.dmId === user.uid;
@@ -43,8 +94,9 @@ const PlayerInventory = ({
     const equippedItems = inventoryData.equippedItems || [];
 
     // Items on the floor/ground (playerTrayItems) should not count towards encumbrance.
-    // Only items in containers and equipped items affect the character's weight.
-    const allItems = [...containerGridItems, ...equippedItems];
+    // Only items in containers and equipped items affect the character's weight,
+    // including whatever is carried inside bags and chests.
+    const allItems = flattenItems([...containerGridItems, ...equippedItems]);
     return allItems.reduce((total, item) => {
         const weightValue = parseFloat(item.weight);
         if (!isNaN(weightValue)) {
@@ -54,8 +106,15 @@ const PlayerInventory = ({
       }, 0);
   }, [inventoryData, containers]);
   
+  // Container items of this inventory that are currently opened on screen.
+  const nestedContainers = inventoryData
+    ? openNestedContainers.map(itemId => findItemInInventory(inventoryData, itemId)).filter(item => item?.contents)
+    : [];
+
   // The conditional return now correctly happens AFTER all hooks are called.
   if (!inventoryData) return null;
+  // Its containers and items are still on their way (see `watchInventories`).
+  if (inventoryData.isPartial) return <Spinner />;
 
   const isPlayerDM = campaign?.dmId === playerId;
   const isMyInventory = user.uid === inventoryData.ownerId;
@@ -76,6 +135,7 @@ const PlayerInventory = ({
             {inventoryData.characterName || playerProfiles[playerId]?.displayName}
             </h2>
             <div className="flex items-center space-x-2 flex-shrink-0">
+            <PendingSyncBadge count={pendingSyncCount} isOnline={isOnline} />
             <Wallet 
                 campaignId={campaign.id}
                 inventoryId={playerId}
@@ -91,7 +151,7 @@ const PlayerInventory = ({
             )}
             {!isPlayerDM && (
                 <button
-                onClick={onToggleEquipped}
+                onClick={() => onToggleEquipped(playerId)}
                 className="p-2 rounded-full hover:bg-background transition-colors"
                 title="Toggle Equipped Items"
                 >
@@ -102,7 +162,7 @@ const PlayerInventory = ({
             )}
             {isMyInventory && (
                 <button
-                onClick={() => setEditingSettings({
+                onClick={() => onEditSettings({
                     playerId: playerId,
                     currentSettings: inventoryData,
                     isDMInventory: isPlayerDM
@@ -126,7 +186,7 @@ const PlayerInventory = ({
               <h3 className="font-bold font-fantasy text-text-muted px-2 text-sm">Equipped</h3>
               <div className="bg-background/50 rounded-lg p-2 border border-accent/10 shadow-inner">
                   <ItemTray
-                      items={inventoryData.equippedItems || []}
+                      items={inventoryData.equippedItems || NO_ITEMS}
                       containerId="equipped"
                       onContextMenu={onContextMenu}
                       playerId={playerId}
@@ -135,6 +195,9 @@ const PlayerInventory = ({
                       source="equipped"
                       layout="horizontal"
                       disabled={!isEquippedVisible}
+                      selectedItemIds={selectedItemIds}
+                      onSelectItem={onSelectItem}
+                      onLassoSelect={onLassoSelect}
                   />
               </div>
           </div>
@@ -156,17 +219,71 @@ const PlayerInventory = ({
                   >
                     <div className="flex justify-between items-center mb-2">
                       <h3 className="font-bold text-text-muted">{container.name}</h3>
+                      {(isMyInventory || isViewerDM) && onOrganizeContainer && (
+                        <button
+                          onClick={() => onOrganizeContainer(playerId, container.id)}
+                          className="text-xs font-bold text-text-muted hover:text-accent px-2 py-1 rounded hover:bg-background transition-colors"
+                          title="Repack this container"
+                        >
+                          Organize
+                        </button>
+                      )}
                     </div>
                     <PlayerInventoryGrid
-                      items={container.gridItems || []}
+                      items={container.gridItems || NO_ITEMS}
                       gridWidth={container.gridWidth}
                       gridHeight={container.gridHeight}
+                      blockedCells={container.blockedCells}
                       containerId={container.id}
                       onContextMenu={onContextMenu}
                       playerId={playerId}
-                      setGridRef={(node) => (gridRefs.current[container.id] = node)}
+                      gridRefs={gridRefs}
                       cellSize={cellSizes[container.id]}
                       isViewerDM={isViewerDM}
+                      selectedItemIds={selectedItemIds}
+                      onSelectItem={onSelectItem}
+                      onLassoSelect={onLassoSelect}
+                      onRotateItem={onRotateItem}
+                      label={container.name}
+                    />
+                  </div>
+                ))}
+              </div>
+          )}
+
+          {/* Opened container items (bags, chests...) */}
+          {nestedContainers.length > 0 && (
+              <div className="flex flex-row flex-wrap gap-4">
+                {nestedContainers.map((item) => (
+                  <div 
+                    key={item.id} 
+                    className="bg-surface/50 rounded-lg p-2 flex-grow border border-accent/20"
+                    style={{ flexBasis: `${item.contents.gridWidth * 3.5}rem`, minWidth: '12rem' }}
+                  >
+                    <div className="flex justify-between items-center mb-2">
+                      <h3 className="font-bold text-text-muted">{item.name}</h3>
+                      <button
+                        onClick={() => onCloseNestedContainer(playerId, item.id)}
+                        className="text-xs font-bold text-text-muted hover:text-accent px-2 py-1 rounded hover:bg-background transition-colors"
+                      >
+                        Close
+                      </button>
+                    </div>
+                    <PlayerInventoryGrid
+                      items={item.contents.gridItems || NO_ITEMS}
+                      gridWidth={item.contents.gridWidth}
+                      gridHeight={item.contents.gridHeight}
+                      containerId={nestedContainerId(item.id)}
+                      onContextMenu={onContextMenu}
+                      playerId={playerId}
+                      gridRefs={gridRefs}
+                      cellSize={cellSizes[nestedContainerId(item.id)]}
+                      isViewerDM={isViewerDM}
+                      selectedItemIds={selectedItemIds}
+                      onSelectItem={onSelectItem}
+                      onLassoSelect={onLassoSelect}
+                      onRotateItem={onRotateItem}
+                      label={item.name}
                     />
                   </div>
                 ))}
@@ -182,12 +299,15 @@ const PlayerInventory = ({
               
               <div className={`rounded-lg p-2 border shadow-inner ${isLootPile ? 'bg-black/20 border-yellow-900/30' : 'bg-background/50 border-accent/10'}`}>
                 <ItemTray
-                    items={inventoryData.trayItems || []}
+                    items={inventoryData.trayItems || NO_ITEMS}
                     containerId="tray" 
                     onContextMenu={onContextMenu}
                     playerId={playerId}
                     isViewerDM={isViewerDM}
                     emptyMessage={isLootPile ? "Empty" : "There is nothing on the ground."}
+                    selectedItemIds={selectedItemIds}
+                    onSelectItem={onSelectItem}
+                    onLassoSelect={onLassoSelect}
                 />
               </div>
           </div>
@@ -195,12 +315,11 @@ const PlayerInventory = ({
       </div>
     </div>
   );
-};
+});
 
 export default function InventoryGrid({ campaignId, user, userProfile, isTrading, setIsTrading }) {
 
   const {
-    inventories,
     campaignData: campaign,
     isLoading: inventoriesLoading,
     setInventoriesOptimistic,
@@ -210,8 +329,47 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     toggleLootPileVisibility,
     createMerchant,
     deleteMerchant,
-    updateCurrency,
-  } = useCampaignStore();
+    commitInventoryChange,
+    recordHistory,
+    logActivity,
+    trashItems,
+    undo,
+    redo,
+    isOnline,
+    pendingChanges,
+    syncConflict,
+    resolveSyncConflict,
+    watchInventories,
+  } = useCampaignStore(useShallow(state => ({
+    campaignData: state.campaignData,
+    isLoading: state.isLoading,
+    setInventoriesOptimistic: state.setInventoriesOptimistic,
+    fetchCampaign: state.fetchCampaign,
+    clearCampaign: state.clearCampaign,
+    createLootPile: state.createLootPile,
+    toggleLootPileVisibility: state.toggleLootPileVisibility,
+    createMerchant: state.createMerchant,
+    deleteMerchant: state.deleteMerchant,
+    commitInventoryChange: state.commitInventoryChange,
+    recordHistory: state.recordHistory,
+    logActivity: state.logActivity,
+    trashItems: state.trashItems,
+    undo: state.undo,
+    redo: state.redo,
+    isOnline: state.isOnline,
+    pendingChanges: state.pendingChanges,
+    syncConflict: state.syncConflict,
+    resolveSyncConflict: state.resolveSyncConflict,
+    watchInventories: state.watchInventories,
+  })));
+  // The handlers read the inventories from the store when they run (`useCampaignStore.getState()`).
+  const inventorySummariesKey = useCampaignStore(selectInventorySummaries);
+  const inventorySummaries = useMemo(() => (
+    Object.fromEntries(JSON.parse(inventorySummariesKey).map(summary => [summary.id, summary]))
+  ), [inventorySummariesKey]);
+  const containerStructureSignature = useCampaignStore(selectContainerStructure);
+  const undoLabel = useCampaignStore(state => state.history.past[state.history.past.length - 1]?.label ?? null);
+  const redoLabel = useCampaignStore(state => state.history.future[state.history.future.length - 1]?.label ?? null);
   
   const { playerProfiles, isLoading: profilesLoading } = usePlayerProfiles(campaignId);
   const isLoading = inventoriesLoading || profilesLoading;
@@ -229,7 +387,17 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
   const [activeTrade, setActiveTrade] = useState(null);
   const [showEquipped, setShowEquipped] = useState({});
   const [showLayoutSettings, setShowLayoutSettings] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [showTradeHistory, setShowTradeHistory] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
   const [isLootExpanded, setIsLootExpanded] = useState(true);
+  const [organizingContainer, setOrganizingContainer] = useState(null);
+  const organizingContainerData = useCampaignStore(state => (
+    organizingContainer && state.inventories[organizingContainer.playerId]?.containers?.[organizingContainer.containerId]
+  ));
+  const [openNestedContainers, setOpenNestedContainers] = useState({});
+  // Multi-selection is limited to one inventory at a time: `items` holds `{ id, source, containerId }`.
+  const [selection, setSelection] = useState({ playerId: null, items: [] });
 
   const gridRefs = useRef({});
 
@@ -240,16 +408,9 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     };
   }, [campaignId, fetchCampaign, clearCampaign]);
 
-  const containerStructureSignature = useMemo(() => {
-    return Object.values(inventories)
-        .flatMap(inv => Object.values(inv.containers || {}))
-        .map(c => `${c.id}-${c.gridWidth}-${c.gridHeight}`)
-        .join(',');
-  }, [inventories]);
-
   // Group inventories by type
   const { lootPileData, merchantData, playerInventories } = useMemo(() => {
-    const all = inventories || {};
+    const all = inventorySummaries;
     const loot = all['public-loot'];
     
     const merchants = Object.values(all)
@@ -261,7 +422,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     );
 
     return { lootPileData: loot, merchantData: merchants, playerInventories: players };
-  }, [inventories]);
+  }, [inventorySummaries]);
 
   const orderedAndVisibleInventories = useMemo(() => {
     if (!user || Object.keys(playerInventories).length === 0) return [];
@@ -291,6 +452,20 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
 
   }, [campaign, playerInventories, user, isDM]);
 
+  // Only the inventories on screen have their containers and items loaded, plus the user's
+  // own for trades. The tools that work across every inventory load them all while open.
+  const watchedInventoryKey = useMemo(() => {
+    if (!user) return '';
+    if (showCompendium || showTrash || showLayoutSettings) return Object.keys(inventorySummaries).sort().join(',');
+    const ids = new Set([user.uid, ...orderedAndVisibleInventories.map(([playerId]) => playerId), ...merchantData.map(merchant => merchant.ownerId)]);
+    if (lootPileData && isLootExpanded && (isDM || lootPileData.isVisibleToPlayers)) ids.add('public-loot');
+    return [...ids].filter(id => inventorySummaries[id]).sort().join(',');
+  }, [user, inventorySummaries, orderedAndVisibleInventories, merchantData, lootPileData, isLootExpanded, isDM, showCompendium, showTrash, showLayoutSettings]);
+
+  useEffect(() => {
+    watchInventories(campaignId, watchedInventoryKey ? watchedInventoryKey.split(',') : []);
+  }, [campaignId, watchedInventoryKey, watchInventories]);
+
   /**
    * Sets the active trade, which triggers the Trade component to be rendered.
    * @param {object} trade - The trade object.
@@ -299,16 +474,19 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     setActiveTrade(trade);
   };
 
-  const toggleEquipped = (playerId) => {
+  const toggleEquipped = useCallback((playerId) => {
     setShowEquipped(prev => ({ ...prev, [playerId]: !(prev[playerId] ?? false) }));
-  };
+  }, []);
+
+  const handleOrganizeContainerRequest = useCallback((playerId, containerId) => {
+    setOrganizingContainer({ playerId, containerId });
+  }, []);
 
   // --- RENAME LOOT PILE HANDLER ---
   const handleUpdateLootName = async (newName) => {
     if (!campaignId || !newName.trim()) return;
     try {
-        const lootRef = doc(db, 'campaigns', campaignId, 'inventories', 'public-loot');
-        await updateDoc(lootRef, { characterName: newName });
+        await repository.inventories.update(campaignId, 'public-loot', { characterName: newName });
     } catch (error) {
         toast.error("Failed to rename loot pile");
     }
@@ -318,27 +496,14 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (!user || !campaignId) return;
 
     /**
-     * Listens for a trade to become 'active' after the current user (as playerB) accepts an invitation.
-     * When an accepted trade is detected, it opens the trade window.
+     * Listens for the trades the current user has joined, which they do by accepting an invitation.
+     * When a joined trade is detected, it opens the trade window.
      */
-    const tradesRef = collection(db, 'trades');
-    
-    // Create a query that looks for trades in this campaign where:
-    // 1. The current user is the one being invited (playerB).
-    // 2. The trade has just become 'active'.
-    const q = query(
-      tradesRef,
-      where('campaignId', '==', campaignId),
-      where('playerB', '==', user.uid),
-      where('status', '==', 'active')
-    );
-
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      // If a trade matching this query appears, it means we just accepted an invitation.
-      if (!snapshot.empty) {
-        const tradeDoc = snapshot.docs[0];
+    const unsubscribe = repository.trades.subscribeJoined(campaignId, user.uid, (trades) => {
+      // If a trade matching this query appears, it means we just accepted an invitation (or started it).
+      if (trades.length > 0) {
         // Set this as the active trade, which will open the trade window UI.
-        setActiveTrade({ id: tradeDoc.id, ...tradeDoc.data() });
+        setActiveTrade(trades[0]);
       }
     });
 
@@ -358,21 +523,20 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       if (gridElement) {
         const measure = () => {
           let containerData;
-          for (const inv of Object.values(inventories)) {
-            if (inv.containers && inv.containers[containerId]) {
-              containerData = inv.containers[containerId];
-              break;
-            }
+          for (const inv of Object.values(useCampaignStore.getState().inventories)) {
+            containerData = resolveGridContainer(inv, containerId);
+            if (containerData) break;
           }
 
           if (containerData) {
-            setCellSizes(prev => ({
-              ...prev,
-              [containerId]: {
-                width: gridElement.offsetWidth / containerData.gridWidth,
-                height: gridElement.offsetHeight / containerData.gridHeight,
-              }
-            }));
+            const width = gridElement.offsetWidth / containerData.gridWidth;
+            const height = gridElement.offsetHeight / containerData.gridHeight;
+            // Keep the same object when nothing moved so the grid doesn't re-render.
+            setCellSizes(prev => (
+              prev[containerId]?.width === width && prev[containerId]?.height === height
+                ? prev
+                : { ...prev, [containerId]: { width, height } }
+            ));
           }
         };
 
@@ -390,15 +554,122 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         }
       });
     };
-  }, [containerStructureSignature, inventories]);
+  }, [containerStructureSignature, openNestedContainers]);
 
   useEffect(() => {
-      if (!isLoading && inventories && !inventories['public-loot'] && isDM) {
+      if (!isLoading && !inventorySummaries['public-loot'] && isDM) {
           createLootPile(campaignId);
       }
-  }, [inventories, isLoading, isDM, campaignId, createLootPile]);
+  }, [inventorySummaries, isLoading, isDM, campaignId, createLootPile]);
+
+  /**
+   * Undoes the last item change made in this session, restoring the affected
+   * inventories exactly as they were (containers, coordinates and all).
+   */
+  const handleUndo = async () => {
+    try {
+      const label = await undo(campaignId);
+      if (label) toast.success(`Undid: ${label}.`);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to undo. Please try again."));
+      console.error("Undo failed:", error);
+    }
+  };
+
+  /**
+   * Redoes the last undone item change.
+   */
+  const handleRedo = async () => {
+    try {
+      const label = await redo(campaignId);
+      if (label) toast.success(`Redid: ${label}.`);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to redo. Please try again."));
+      console.error("Redo failed:", error);
+    }
+  };
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (unless the user is typing).
+  const historyShortcutsRef = useRef({});
+  historyShortcutsRef.current = { handleUndo, handleRedo };
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        historyShortcutsRef.current.handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        historyShortcutsRef.current.handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const selectedItemIds = useMemo(() => new Set(selection.items.map(i => i.id)), [selection]);
+
+  // How many queued offline changes touch each inventory.
+  const pendingSyncCounts = useMemo(() => {
+    const counts = {};
+    pendingChanges.forEach(change => {
+      Object.keys(change.after).forEach(playerId => {
+        counts[playerId] = (counts[playerId] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [pendingChanges]);
+
+  // Tell the user when their changes start being kept on this device.
+  const wasOnlineRef = useRef(isOnline);
+  useEffect(() => {
+    if (wasOnlineRef.current === isOnline) return;
+    wasOnlineRef.current = isOnline;
+    if (isOnline) {
+      toast.success("Back online. Syncing your changes...");
+    } else {
+      toast("You're offline. Your changes will be saved on this device and synced when you reconnect.", { icon: '📡' });
+    }
+  }, [isOnline]);
+
+  /**
+   * Applies the user's choice in the sync conflict dialog.
+   * @param {boolean} keepMine - Whether to keep the user's version of the conflicting change.
+   */
+  const handleResolveConflict = async (keepMine) => {
+    try {
+      await resolveSyncConflict(campaignId, keepMine);
+      toast.success(keepMine ? "Your version was kept." : "Your change was discarded.");
+    } catch (error) {
+      toast.error("Failed to resolve the conflict. Please try again.");
+      console.error("Error resolving sync conflict:", error);
+    }
+  };
+
+  // The grids and trays are memoized, so they get item handlers that never change identity
+  // and always call the latest version of the handler (assigned below, once it's defined).
+  const itemHandlersRef = useRef({});
+  const itemHandlers = useMemo(() => ({
+    onContextMenu: (...args) => itemHandlersRef.current.handleContextMenu(...args),
+    onSelectItem: (...args) => itemHandlersRef.current.handleSelectItem(...args),
+    onLassoSelect: (...args) => itemHandlersRef.current.handleLassoSelect(...args),
+    onRotateItem: (...args) => itemHandlersRef.current.handleRotateItem(...args),
+  }), []);
+
+  useEffect(() => {
+    if (selection.items.length === 0) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setSelection({ playerId: null, items: [] });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selection]);
 
   const handleContextMenu = (event, item, playerId, source, containerId) => {
+    const { inventories } = useCampaignStore.getState();
     event.preventDefault();
 
     // Prevent the "ghost click" on mobile
@@ -420,6 +691,59 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     // Note: Players are never the owner of a merchant or loot pile, so this naturally blocks them.
     const canEdit = (user.uid === playerId && !isLootPile && !isMerchant) || isDM;
 
+    let position = {
+      x: event.touches ? event.touches[0].clientX : event.clientX,
+      y: event.touches ? event.touches[0].clientY : event.clientY,
+    };
+    // Opened from the keyboard: there is no pointer, so anchor the menu to the item.
+    if (position.x === undefined) {
+      const rect = event.currentTarget.getBoundingClientRect();
+      position = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    // --- BULK ACTIONS ---
+    // Right-clicking one of several selected items acts on the whole selection.
+    if (selection.playerId === playerId && selection.items.length > 1 && selectedItemIds.has(item.id)) {
+      const count = selection.items.length;
+      const bulkActions = [];
+
+      if (isDM) {
+        const otherPlayers = (campaign?.players || []).filter(id => id !== playerId);
+        if (otherPlayers.length > 0) {
+          bulkActions.push({
+            label: `Send ${count} Items to...`,
+            submenu: otherPlayers.map(targetId => ({
+              label: inventories[targetId]?.characterName || playerProfiles[targetId]?.displayName || targetId,
+              onClick: () => handleBulkAction('send', targetId),
+            })),
+          });
+        }
+        if (!isLootPile && inventories['public-loot']) {
+          bulkActions.push({ label: 'Drop to Loot Pile', onClick: () => handleBulkAction('send', 'public-loot') });
+        }
+      }
+      if (canEdit) {
+        const containers = Object.values(targetInventory?.containers || {});
+        if (!isPlayerDM && !isLootPile && containers.length > 0) {
+          bulkActions.push({
+            label: 'Move to...',
+            submenu: [
+              ...containers.map(container => ({ label: container.name, onClick: () => handleBulkAction('move', container.id) })),
+              { label: 'Floor / Ground', onClick: () => handleBulkAction('move', 'tray') },
+            ],
+          });
+        }
+        if (!isPlayerDM && !isLootPile && !isMerchant) {
+          bulkActions.push({ label: `Equip ${count} Items`, onClick: () => handleBulkAction('equip') });
+        }
+        bulkActions.push({ label: `Delete ${count} Items`, onClick: () => handleBulkAction('delete') });
+      }
+      bulkActions.push({ label: 'Clear Selection', onClick: () => setSelection({ playerId: null, items: [] }) });
+
+      setContextMenu({ visible: true, position, actions: bulkActions });
+      return;
+    }
+
     const availableActions = [];
 
     // --- ACTIONS ---
@@ -456,6 +780,15 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         });
     }
 
+    // 3b. Open / Close (Items that hold other items)
+    if (item.contents) {
+        const isOpen = (openNestedContainers[playerId] || []).includes(item.id);
+        availableActions.push({
+            label: isOpen ? 'Close Container' : 'Open Container',
+            onClick: () => isOpen ? handleCloseNestedContainer(playerId, item.id) : handleOpenNestedContainer(playerId, item.id),
+        });
+    }
+
     // 4. Send To... (DM Only)
     if (isDM) {
       const allPlayerIds = campaign?.players || [];
@@ -502,11 +835,6 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     }
 
     // --- RENDER ---
-    const position = {
-      x: event.touches ? event.touches[0].clientX : event.clientX,
-      y: event.touches ? event.touches[0].clientY : event.clientY,
-    };
-    
     setContextMenu({
       visible: true,
       position: position,
@@ -515,6 +843,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
   };
 
   const handleEquipItem = async (item, playerId, source, containerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId || !source) return;
 
     const originalInventories = inventories;
@@ -523,22 +852,12 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (!playerInv) return;
 
     let itemRemoved = false;
-    if (source === 'grid') {
-      const container = playerInv.containers?.[containerId];
-      if (container?.gridItems) {
-        const itemIndex = container.gridItems.findIndex(i => i.id === item.id);
-        if (itemIndex > -1) {
-          container.gridItems.splice(itemIndex, 1);
-          itemRemoved = true;
-        }
-      }
-    } else { 
-      if (playerInv.trayItems) {
-        const itemIndex = playerInv.trayItems.findIndex(i => i.id === item.id);
-        if (itemIndex > -1) {
-          playerInv.trayItems.splice(itemIndex, 1);
-          itemRemoved = true;
-        }
+    const sourceList = getItemList(playerInv, source, source === 'grid' ? containerId : 'tray');
+    if (sourceList) {
+      const itemIndex = sourceList.findIndex(i => i.id === item.id);
+      if (itemIndex > -1) {
+        sourceList.splice(itemIndex, 1);
+        itemRemoved = true;
       }
     }
 
@@ -553,27 +872,19 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
 
     setInventoriesOptimistic(newInventories);
 
-    const batch = writeBatch(db);
-    const playerInvRef = doc(db, "campaigns", campaignId, "inventories", playerId);
-    if (source === 'grid') {
-      const containerRef = doc(playerInvRef, "containers", containerId);
-      batch.update(containerRef, { gridItems: playerInv.containers[containerId].gridItems });
-    } else {
-      batch.update(playerInvRef, { trayItems: playerInv.trayItems });
-    }
-    batch.update(playerInvRef, { equippedItems: playerInv.equippedItems });
-
     try {
-      await batch.commit();
+      await commitInventoryChange(campaignId, inventories, newInventories, [playerId]);
+      recordHistory(`Equip ${item.name}`, originalInventories, newInventories, [playerId]);
       toast.success(`${item.name} equipped.`);
     } catch (error) {
-      toast.error("Failed to equip item. Reverting changes.");
+      toast.error(getCommitErrorMessage(error, "Failed to equip item. Reverting changes."));
       console.error("Firestore batch write failed:", error);
       setInventoriesOptimistic(originalInventories);
     }
   };
 
   const handleUnequipItem = async (item, playerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId) return;
 
     const originalInventories = inventories;
@@ -592,7 +903,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (playerInv.containers) {
       for (const container of Object.values(playerInv.containers)) {
         if (!container.gridItems) container.gridItems = [];
-        const availableSlot = findFirstAvailableSlot(container.gridItems, itemToPlace, container.gridWidth, container.gridHeight);
+        const availableSlot = findAvailableSlotWithRotation(container.gridItems, itemToPlace, container.gridWidth, container.gridHeight, container.blockedCells);
         if (availableSlot) {
           container.gridItems.push({ ...itemToPlace, ...availableSlot });
           placed = true;
@@ -608,26 +919,12 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
 
     setInventoriesOptimistic(newInventories);
 
-    const batch = writeBatch(db);
-    const playerInvRef = doc(db, "campaigns", campaignId, "inventories", playerId);
-
-    batch.update(playerInvRef, {
-      equippedItems: playerInv.equippedItems,
-      trayItems: playerInv.trayItems,
-    });
-
-    if (playerInv.containers) {
-      Object.values(playerInv.containers).forEach(container => {
-        const containerRef = doc(playerInvRef, 'containers', container.id);
-        batch.update(containerRef, { gridItems: container.gridItems });
-      });
-    }
-
     try {
-      await batch.commit();
+      await commitInventoryChange(campaignId, inventories, newInventories, [playerId]);
+      recordHistory(`Unequip ${item.name}`, originalInventories, newInventories, [playerId]);
       toast.success(`${item.name} unequipped.`);
     } catch (error) {
-      toast.error("Failed to unequip item. Reverting changes.");
+      toast.error(getCommitErrorMessage(error, "Failed to unequip item. Reverting changes."));
       console.error("Firestore batch write failed:", error);
       setInventoriesOptimistic(originalInventories);
     }
@@ -652,66 +949,56 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {string} containerId - The ID of the container holding the item.
    */
   const handleRevealMagicProperties = async (item, playerId, source, containerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId || !source) return;
 
-    const updatedItem = { ...item, magicPropertiesVisible: true };
-
-    if (containerId && containerId !== 'tray') {
-        const containerDocRef = doc(db, "campaigns", campaignId, "inventories", playerId, "containers", containerId);
-        const currentContainer = inventories[playerId]?.containers?.[containerId];
-        if (!currentContainer) return;
+    const originalInventories = inventories;
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const storedItem = findItemInInventory(newInventories[playerId], item.id);
+    if (!storedItem) return;
 
-        let updatePayload = {};
-        if (source === 'grid') {
-            updatePayload.gridItems = currentContainer.gridItems.map(i => i.id === item.id ? updatedItem : i);
-        } else { 
-            updatePayload.trayItems = currentContainer.trayItems.map(i => i.id === item.id ? updatedItem : i);
-        }
-        await updateDoc(containerDocRef, updatePayload);
-    
-    } else if (source === 'tray') {
-        const playerInvRef = doc(db, "campaigns", campaignId, "inventories", playerId);
-        const playerInv = inventories[playerId];
-        if (!playerInv?.trayItems) return;
+    storedItem.magicPropertiesVisible = true;
+    setInventoriesOptimistic(newInventories);
 
-        const updatedTrayItems = playerInv.trayItems.map(i => i.id === item.id ? updatedItem : i);
-        await updateDoc(playerInvRef, { trayItems: updatedTrayItems });
+    try {
+      await commitInventoryChange(campaignId, inventories, newInventories, [playerId]);
+      recordHistory(`Reveal ${item.name}`, originalInventories, newInventories, [playerId]);
+      logActivity(campaignId, { type: 'reveal', targetInventoryId: playerId, item: storedItem });
+      toast.success(`Revealed properties for ${item.name}.`);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to reveal properties. Reverting changes."));
+      console.error("Firestore batch write failed:", error);
+      setInventoriesOptimistic(originalInventories);
     }
-    toast.success(`Revealed properties for ${item.name}.`);
   };
 
   /**
-   * Deletes an item from an inventory.
+   * Deletes an item from an inventory, moving it to the campaign's trash.
    * @param {object} item - The item to delete.
    * @param {string} playerId - The ID of the item's owner.
    * @param {('grid'|'tray')} source - The location of the item.
    * @param {string} containerId - The ID of the container holding the item.
    */
   const handleDeleteItem = async (item, playerId, source, containerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId || !source) return;
 
-    if (containerId && containerId !== 'tray') {
-        const containerDocRef = doc(db, "campaigns", campaignId, "inventories", playerId, "containers", containerId);
-        const currentContainer = inventories[playerId]?.containers?.[containerId];
-        if (!currentContainer) return;
+    const originalInventories = inventories;
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const removedItem = newInventories[playerId] && removeItemFromInventory(newInventories[playerId], item.id);
+    if (!removedItem) return;
 
-        let updatePayload = {};
-        if (source === 'grid') {
-            updatePayload.gridItems = currentContainer.gridItems.filter(i => i.id !== item.id);
-        } else { 
-            updatePayload.trayItems = currentContainer.trayItems.filter(i => i.id !== item.id);
-        }
-        await updateDoc(containerDocRef, updatePayload);
-    
-    } else if (source === 'tray') {
-        const playerInvRef = doc(db, "campaigns", campaignId, "inventories", playerId);
-        const playerInv = inventories[playerId];
-        if (!playerInv?.trayItems) return;
+    setInventoriesOptimistic(newInventories);
 
-        const updatedTrayItems = playerInv.trayItems.filter(i => i.id !== item.id);
-        await updateDoc(playerInvRef, { trayItems: updatedTrayItems });
+    try {
+      await trashItems(campaignId, inventories, newInventories, playerId, [removedItem]);
+      recordHistory(`Delete ${item.name}`, originalInventories, newInventories, [playerId]);
+      toast.success(`Moved ${item.name} to the trash.`);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to delete item. Reverting changes."));
+      console.error("Firestore batch write failed:", error);
+      setInventoriesOptimistic(originalInventories);
     }
-    toast.success(`Deleted ${item.name}.`);
   };
 
   /**
@@ -734,6 +1021,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {string} [targetPlayerId] - The ID of the player to receive the item (used when adding from compendium).
    */
   const handleAddItem = async (itemData, targetPlayerId) => {
+    const { inventories } = useCampaignStore.getState();
     let finalPlayerId;
 
     if (itemToEdit) {
@@ -755,62 +1043,65 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     // --- 1. EDIT EXISTING ITEM ---
     if (itemToEdit) {
       const { item: originalItem, containerId } = itemToEdit;
+      const originalInventories = inventories;
+      const newInventories = JSON.parse(JSON.stringify(inventories));
+      let showResult;
       
       // A. Item is in a GRID (and not the main tray)
-      if (containerId && containerId !== 'tray' && !isTargetDM) {
+      if (containerId && containerId !== 'tray' && (!isTargetDM || isNestedContainerId(containerId))) {
         
-        const container = playerInventory.containers[containerId];
+        const targetInv = newInventories[finalPlayerId];
+        const container = resolveGridContainer(targetInv, containerId);
         const otherItems = container.gridItems.filter(i => i.id !== originalItem.id);
         const updatedItem = { ...originalItem, ...itemData };
 
-        const canStayInPlace = !outOfBounds(updatedItem.x, updatedItem.y, updatedItem, container.gridWidth, container.gridHeight) &&
+        const canStayInPlace = !outOfBounds(updatedItem.x, updatedItem.y, updatedItem, container.gridWidth, container.gridHeight, container.blockedCells) &&
                                !otherItems.some(other => onOtherItem(updatedItem.x, updatedItem.y, updatedItem, other));
 
         let finalGridItems;
-        let finalTrayItems = [...(playerInventory.trayItems || [])];
+        let finalTrayItems = [...(targetInv.trayItems || [])];
 
         if (canStayInPlace) {
             finalGridItems = container.gridItems.map(i => i.id === originalItem.id ? updatedItem : i);
-            toast.success(`Updated ${itemData.name}.`);
+            showResult = () => toast.success(`Updated ${itemData.name}.`);
         } else {
-            const newSlot = findFirstAvailableSlot(otherItems, updatedItem, container.gridWidth, container.gridHeight);
+            const newSlot = findFirstAvailableSlot(otherItems, updatedItem, container.gridWidth, container.gridHeight, container.blockedCells);
             if (newSlot) {
                 finalGridItems = [...otherItems, { ...updatedItem, ...newSlot }];
-                toast.success(`Updated ${itemData.name} and moved.`);
+                showResult = () => toast.success(`Updated ${itemData.name} and moved.`);
             } else {
                 const { x, y, ...trayItem } = updatedItem;
                 finalGridItems = otherItems;
                 finalTrayItems.push(trayItem);
-                toast.error(`Moved ${itemData.name} to tray.`);
+                showResult = () => toast.error(`Moved ${itemData.name} to tray.`);
             }
         }
 
-        const batch = writeBatch(db);
-        const playerInvRef = doc(db, 'campaigns', campaignId, 'inventories', finalPlayerId);
-        const containerRef = doc(playerInvRef, 'containers', containerId);
-        batch.update(containerRef, { gridItems: finalGridItems });
-        batch.update(playerInvRef, { trayItems: finalTrayItems });
-        await batch.commit();
+        container.gridItems = finalGridItems;
+        targetInv.trayItems = finalTrayItems;
 
       } else {
-        // B. Item is in a TRAY (either main tray or a container's tray)
-        
-        // FIX: Only treat it as a DM Container Item if it is NOT the main 'tray'
-        const isSpecificContainer = containerId && containerId !== 'tray';
-
-        if (isTargetDM && isSpecificContainer) {
-            // Update item inside a specific DM container (e.g. Backpack)
-            const container = playerInventory.containers[containerId];
-            const updatedTrayItems = (container.trayItems || []).map(i => i.id === originalItem.id ? { ...i, ...itemData } : i);
-            const containerDocRef = doc(db, "campaigns", campaignId, "inventories", finalPlayerId, "containers", containerId);
-            await updateDoc(containerDocRef, { trayItems: updatedTrayItems });
-        } else {
-            // Update item in the Main Tray (Floor/Ground) - For Players OR DM
-            const updatedTrayItems = (playerInventory.trayItems || []).map(i => i.id === originalItem.id ? { ...i, ...itemData } : i);
-            const playerInvRef = doc(db, "campaigns", campaignId, "inventories", finalPlayerId);
-            await updateDoc(playerInvRef, { trayItems: updatedTrayItems });
+        // B. Item is in a TRAY (the main tray, a legacy DM container's tray, or equipped)
+        const storedItem = findItemInInventory(newInventories[finalPlayerId], originalItem.id);
+        if (!storedItem) {
+            toast.error("Item to edit not found.");
+            setItemToEdit(null);
+            return;
         }
-        toast.success(`Updated ${itemData.name}.`);
+        Object.assign(storedItem, itemData);
+        showResult = () => toast.success(`Updated ${itemData.name}.`);
+      }
+
+      setInventoriesOptimistic(newInventories);
+
+      try {
+        await commitInventoryChange(campaignId, originalInventories, newInventories, [finalPlayerId]);
+        recordHistory(`Edit ${itemData.name}`, originalInventories, newInventories, [finalPlayerId]);
+        showResult();
+      } catch (error) {
+        toast.error(getCommitErrorMessage(error, "Failed to update item. Reverting changes."));
+        console.error("Firestore write failed:", error);
+        setInventoriesOptimistic(originalInventories);
       }
     }  
     // --- 2. CREATE NEW ITEM ---
@@ -823,18 +1114,16 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       if (!targetInv.trayItems) targetInv.trayItems = [];
       targetInv.trayItems.push(itemData);
 
-      const inventoryDocRef = doc(db, "campaigns", campaignId, "inventories", finalPlayerId);
-      // Use setDoc with merge to be safe, it works for both updates and creates
-      const firestorePromise = setDoc(inventoryDocRef, { trayItems: targetInv.trayItems }, { merge: true });
-      
       setInventoriesOptimistic(newInventories);
       
       try {
-        await firestorePromise;
+        await commitInventoryChange(campaignId, originalInventories, newInventories, [finalPlayerId]);
+        recordHistory(`Add ${itemData.name}`, originalInventories, newInventories, [finalPlayerId]);
+        logActivity(campaignId, { type: 'add', targetInventoryId: finalPlayerId, item: itemData });
         const targetName = playerInventory?.characterName || playerProfiles[finalPlayerId]?.displayName;
         toast.success(`Added ${itemData.name} to ${targetName}.`);
       } catch (error) {
-        toast.error("Failed to add item. Reverting changes.");
+        toast.error(getCommitErrorMessage(error, "Failed to add item. Reverting changes."));
         console.error("Firestore write failed:", error);
         setInventoriesOptimistic(originalInventories);
       }
@@ -849,6 +1138,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {number} splitAmount - The quantity for the new stack.
    */
   const handleSplitStack = async (splitAmount) => {
+    const { inventories } = useCampaignStore.getState();
     if (!splittingItem) return;
 
     const { item: originalItem, playerId, containerId } = splittingItem;
@@ -856,17 +1146,20 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
 
     if (isNaN(amount) || amount <= 0 || amount >= originalItem.quantity) return;
 
-    const container = inventories[playerId].containers[containerId];
-    const containerDocRef = doc(db, "campaigns", campaignId, "inventories", playerId, "containers", containerId);
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const container = resolveGridContainer(newInventories[playerId], containerId);
+    if (!container) return;
 
     const updatedOriginalItem = { ...originalItem, quantity: originalItem.quantity - amount };
     const newItem = { ...originalItem, id: crypto.randomUUID(), quantity: amount };
 
     const itemsForCollisionCheck = container.gridItems.map(i => i.id === originalItem.id ? updatedOriginalItem : i);
-    const availableSlot = findFirstAvailableSlot(itemsForCollisionCheck, newItem, container.gridWidth, container.gridHeight);
+    const availableSlot = findAvailableSlotWithRotation(itemsForCollisionCheck, newItem, container.gridWidth, container.gridHeight, container.blockedCells);
 
+    // Items carried inside another item have no tray of their own, so they spill into the main one.
+    const trayHolder = isNestedContainerId(containerId) ? newInventories[playerId] : container;
     let finalGridItems = itemsForCollisionCheck;
-    let finalTrayItems = [...(container.trayItems || [])];
+    let finalTrayItems = [...(trayHolder.trayItems || [])];
 
     if (availableSlot) {
       finalGridItems.push({ ...newItem, ...availableSlot });
@@ -882,10 +1175,15 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         finalTrayItems = finalTrayItems.map(i => i.id === originalItem.id ? updatedOriginalItem : i)
     }
 
-    await updateDoc(containerDocRef, {
-      gridItems: finalGridItems,
-      trayItems: finalTrayItems,
-    });
+    container.gridItems = finalGridItems;
+    trayHolder.trayItems = finalTrayItems;
+    try {
+      await commitInventoryChange(campaignId, inventories, newInventories, [playerId]);
+      recordHistory(`Split ${originalItem.name}`, inventories, newInventories, [playerId]);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to split the stack."));
+      console.error("Firestore transaction failed:", error);
+    }
     setSplittingItem(null);
   };
 
@@ -895,6 +1193,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {object} event - The drag start event from dnd-kit.
    */
   const handleDragStart = (event) => {
+    const { inventories } = useCampaignStore.getState();
     const { active } = event;
     const item = active.data.current?.item;
     const source = active.data.current?.source;
@@ -907,7 +1206,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (source === 'grid' && containerId && gridRefs.current[containerId]) {
       const gridElement = gridRefs.current[containerId];
       const ownerId = active.data.current?.ownerId;
-      const container = inventories[ownerId]?.containers?.[containerId];
+      const container = resolveGridContainer(inventories[ownerId], containerId);
       
       if (container) {
         const cellSize = {
@@ -931,6 +1230,23 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     setActiveItem(null);
   };
 
+  /**
+   * Converts where the dragged item currently is on screen into cell coordinates of a grid.
+   * @param {object} active - The active draggable from dnd-kit.
+   * @param {string} containerId - The ID of the grid's container.
+   * @param {object} container - The container holding the grid (`gridWidth`, `gridHeight`).
+   * @returns {{x: number, y: number} | null} The top-left cell, or `null` if the grid isn't on screen.
+   */
+  const getGridDropPosition = (active, containerId, container) => {
+    const gridElement = gridRefs.current[containerId];
+    if (!gridElement || !active.rect.current.translated) return null;
+    const cellSize = { width: gridElement.offsetWidth / container.gridWidth, height: gridElement.offsetHeight / container.gridHeight };
+    const rect = gridElement.getBoundingClientRect();
+    const dropX = active.rect.current.translated.left - rect.left;
+    const dropY = active.rect.current.translated.top - rect.top;
+    return { x: Math.round(dropX / cellSize.width), y: Math.round(dropY / cellSize.height) };
+  };
+
   /**
    * Handles the end of a drag-and-drop operation. This is the core logic for
    * moving items, stacking items, and transferring items between players. It updates
@@ -938,6 +1254,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {object} event - The drag end event from dnd-kit.
    */
   const handleDragEnd = async (event) => {
+    const { inventories } = useCampaignStore.getState();
     setActiveItem(null);
     const { active, over } = event;
 
@@ -962,77 +1279,42 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (!item || !startPlayerId || !endPlayerId) return;
 
     const newInventories = JSON.parse(JSON.stringify(inventories));
-    
-    const passiveItem = over.data.current?.item;
-    if (item && passiveItem && item.id !== passiveItem.id && passiveItem.stackable && item.name === passiveItem.name && item.type === passiveItem.type) {
-        
-        const maxStack = passiveItem.maxStack || 20;
-        const roomInStack = maxStack - passiveItem.quantity;
-        const amountToTransfer = Math.min(item.quantity, roomInStack);
-
-        if (amountToTransfer <= 0) {
-            toast.error("Stack is already full.");
-            return;
-        }
-
-        const remainingQuantity = item.quantity - amountToTransfer;
-
-        const endPlayerInv = newInventories[endPlayerId];
-        const isEndDM = endPlayerInv.characterName === "DM";
-        if (endDestination === 'grid') {
-            endPlayerInv.containers[endContainerId].gridItems.find(i => i.id === passiveItem.id).quantity += amountToTransfer;
-        } else {
-            const targetTray = isEndDM ? endPlayerInv.containers[endContainerId].trayItems : endPlayerInv.trayItems;
-            targetTray.find(i => i.id === passiveItem.id).quantity += amountToTransfer;
-        }
-
-        const startPlayerInv = newInventories[startPlayerId];
-        const isStartDM = startPlayerInv.characterName === "DM";
-        if (remainingQuantity <= 0) {
-            if (startSource === 'grid') {
-                startPlayerInv.containers[startContainerId].gridItems = startPlayerInv.containers[startContainerId].gridItems.filter(i => i.id !== item.id);
-            } else {
-                if (isStartDM) {
-                    startPlayerInv.containers[startContainerId].trayItems = startPlayerInv.containers[startContainerId].trayItems.filter(i => i.id !== item.id);
-                } else {
-                    startPlayerInv.trayItems = startPlayerInv.trayItems.filter(i => i.id !== item.id);
-                }
-            }
-        } else {
-            if (startSource === 'grid') {
-                startPlayerInv.containers[startContainerId].gridItems.find(i => i.id === item.id).quantity = remainingQuantity;
-            } else {
-                const sourceTray = isStartDM ? startPlayerInv.containers[startContainerId].trayItems : startPlayerInv.trayItems;
-                sourceTray.find(i => i.id === item.id).quantity = remainingQuantity;
-            }
-        }
-        
-        setInventoriesOptimistic(newInventories);
+    const startPlayerInv = newInventories[startPlayerId];
+    const endPlayerInv = newInventories[endPlayerId];
+    if (!startPlayerInv || !endPlayerInv) return;
 
-        const batch = writeBatch(db);
-        const sourceInvRef = doc(db, 'campaigns', campaignId, 'inventories', startPlayerId);
-        const targetInvRef = doc(db, 'campaigns', campaignId, 'inventories', endPlayerId);
+    if (endPlayerId === 'public-loot' && !isDM) {
+        toast.error("Only the DM can add items to the Loot Pile.");
+        return;
+    }
 
-        batch.update(sourceInvRef, { trayItems: newInventories[startPlayerId].trayItems });
-        Object.values(newInventories[startPlayerId].containers).forEach(c => batch.update(doc(sourceInvRef, 'containers', c.id), { gridItems: c.gridItems, trayItems: c.trayItems }));
-        
-        if (startPlayerId !== endPlayerId) {
-            batch.update(targetInvRef, { trayItems: newInventories[endPlayerId].trayItems });
-            Object.values(newInventories[endPlayerId].containers).forEach(c => batch.update(doc(targetInvRef, 'containers', c.id), { gridItems: c.gridItems, trayItems: c.trayItems }));
-        }
+    // A bag can't be put inside itself (or inside anything it carries).
+    if (isNestedContainerId(endContainerId) && itemContains(item, nestedContainerItemId(endContainerId))) {
+        toast.error("A container can't be put inside itself.");
+        return;
+    }
 
-        try {
-            await batch.commit();
-            toast.success(`Stacked ${amountToTransfer} ${item.name}.`);
-        } catch (error) {
-            toast.error("Failed to stack items. Reverting.");
-            console.error("Firestore batch write failed:", error);
-            setInventoriesOptimistic(inventories); 
+    const endContainer = endDestination === 'grid' ? resolveGridContainer(endPlayerInv, endContainerId) : null;
+    const dropPosition = endContainer ? getGridDropPosition(active, endContainerId, endContainer) : null;
+
+    // --- STACKING ---
+    // A stack dropped onto a matching stack (or overlapping one in a grid) is merged into it,
+    // up to the target's `maxStack`. Whatever doesn't fit stays behind as its own stack.
+    const endItems = getItemList(endPlayerInv, endDestination, endContainerId) || [];
+    let passiveItem = null;
+    if (canStackWith(item, over.data.current?.item)) {
+        passiveItem = endItems.find(i => i.id === over.data.current.item.id);
+        if (passiveItem && getStackRoom(passiveItem) <= 0) {
+            toast.error("Stack is already full.");
+            return;
         }
-        return; 
+    } else if (dropPosition) {
+        passiveItem = endItems.find(other => canStackWith(item, other) && getStackRoom(other) > 0 && onOtherItem(dropPosition.x, dropPosition.y, item, other));
     }
 
     // --- MERCHANT LOGIC (Buying) ---
+    // The player pays in the same transaction that hands the item over.
+    let payment = null;
     const sourceInv = inventories[startPlayerId];
     if (sourceInv?.isMerchant && startPlayerId !== endPlayerId) {
         // We are dragging FROM a merchant TO someone else
@@ -1049,118 +1331,131 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                 return; // STOP the drag
             }
 
-            // Execute Payment
-            // Note: We use optimistic updates for the item, but let's fire the wallet update now
-            updateCurrency(campaignId, endPlayerId, newWallet);
-            toast.success(`Bought for ${item.cost}.`);
+            payment = { inventoryId: endPlayerId, amount: costInCp };
+            endPlayerInv.currency = newWallet;
         }
     }
 
-    let movedItem = null;
-    const startPlayerInv = newInventories[startPlayerId];
-    const endPlayerInv = newInventories[endPlayerId];
-    if (!startPlayerInv || !endPlayerInv) return;
+    /**
+     * Logs an item that changed hands (moves inside one inventory aren't worth a log entry).
+     * @param {object} transferredItem - The item as it arrived, with the quantity that moved.
+     */
+    const logTransfer = (transferredItem) => {
+        if (startPlayerId === endPlayerId) return;
+        const isPurchase = !!sourceInv?.isMerchant;
+        logActivity(campaignId, {
+            type: isPurchase ? 'purchase' : 'move',
+            sourceInventoryId: startPlayerId,
+            targetInventoryId: endPlayerId,
+            item: transferredItem,
+            ...(isPurchase && { details: { cost: item.cost || null } }),
+        });
+    };
 
-    const isStartDM = startPlayerInv.characterName === 'DM';
-    const isEndDM = endPlayerInv.characterName === 'DM';
+    if (passiveItem) {
+        const sourceItems = getItemList(startPlayerInv, startSource, startContainerId);
+        const sourceItem = sourceItems?.find(i => i.id === item.id);
+        if (!sourceItem) return;
 
-    if (endPlayerId === 'public-loot' && !isDM) {
-        toast.error("Only the DM can add items to the Loot Pile.");
-        return;
-    }
+        const amountToTransfer = Math.min(sourceItem.quantity, getStackRoom(passiveItem));
+        passiveItem.quantity += amountToTransfer;
+        if (sourceItem.quantity - amountToTransfer <= 0) {
+            sourceItems.splice(sourceItems.indexOf(sourceItem), 1);
+        } else {
+            sourceItem.quantity -= amountToTransfer;
+        }
 
-    if (startSource === 'grid') {
-        const sourceContainer = startPlayerInv.containers?.[startContainerId];
-        if (!sourceContainer?.gridItems) return;
-        const itemIndex = sourceContainer.gridItems.findIndex(i => i.id === item.id);
-        if (itemIndex > -1) [movedItem] = sourceContainer.gridItems.splice(itemIndex, 1);
-    } else if (startSource === 'equipped') {
-        if (!startPlayerInv.equippedItems) return;
-        const itemIndex = startPlayerInv.equippedItems.findIndex(i => i.id === item.id);
-        if (itemIndex > -1) [movedItem] = startPlayerInv.equippedItems.splice(itemIndex, 1);
-    } else {
-        const sourceTray = isStartDM ? startPlayerInv.containers?.[startContainerId]?.trayItems : startPlayerInv.trayItems;
-        if (!sourceTray) return;
-        const itemIndex = sourceTray.findIndex(i => i.id === item.id);
-        if (itemIndex > -1) [movedItem] = sourceTray.splice(itemIndex, 1);
+        setInventoriesOptimistic(newInventories);
+
+        try {
+            await commitInventoryChange(campaignId, inventories, newInventories, [startPlayerId, endPlayerId], payment);
+            recordHistory(`Stack ${item.name}`, inventories, newInventories, [startPlayerId, endPlayerId]);
+            logTransfer({ ...sourceItem, quantity: amountToTransfer });
+            if (payment) toast.success(`Bought for ${item.cost}.`);
+            toast.success(`Stacked ${amountToTransfer} ${item.name}.`);
+        } catch (error) {
+            toast.error(getCommitErrorMessage(error, "Failed to stack items. Reverting."));
+            console.error("Firestore batch write failed:", error);
+            setInventoriesOptimistic(inventories); 
+        }
+        return; 
     }
+
+    let movedItem = null;
+    const sourceItems = getItemList(startPlayerInv, startSource, startContainerId);
+    if (!sourceItems) return;
+    const itemIndex = sourceItems.findIndex(i => i.id === item.id);
+    if (itemIndex > -1) [movedItem] = sourceItems.splice(itemIndex, 1);
     if (!movedItem) return;
 
     if (endDestination === 'grid') {
-        const endContainer = endPlayerInv.containers?.[endContainerId];
-        if (!endContainer) return;
-        const gridElement = gridRefs.current[endContainerId];
-        if (!gridElement) return;
-        const { gridWidth, gridHeight } = endContainer;
-        const cellSize = { width: gridElement.offsetWidth / gridWidth, height: gridElement.offsetHeight / gridHeight };
-        const rect = gridElement.getBoundingClientRect();
-        const dropX = active.rect.current.translated.left - rect.left;
-        const dropY = active.rect.current.translated.top - rect.top;
-        let finalPos = { x: Math.round(dropX / cellSize.width), y: Math.round(dropY / cellSize.height) };
-        if (outOfBounds(finalPos.x, finalPos.y, movedItem, gridWidth, gridHeight) || endContainer.gridItems.some(other => onOtherItem(finalPos.x, finalPos.y, movedItem, other))) {
-            finalPos = findFirstAvailableSlot(endContainer.gridItems, movedItem, gridWidth, gridHeight);
+        if (!endContainer || !dropPosition) return;
+        if (!endContainer.gridItems) endContainer.gridItems = [];
+        const { gridWidth, gridHeight, blockedCells } = endContainer;
+        let finalPos = dropPosition;
+
+        // --- SWAPPING ---
+        // Dropping onto a single item of the same inventory swaps the two when the other
+        // item fits where the dragged one came from (in the same or another container).
+        const displacedItems = endContainer.gridItems.filter(other => onOtherItem(finalPos.x, finalPos.y, movedItem, other));
+        const startContainer = startSource === 'grid' ? resolveGridContainer(startPlayerInv, startContainerId) : null;
+        if (displacedItems.length === 1 && startContainer && startPlayerId === endPlayerId) {
+            const [displacedItem] = displacedItems;
+            const isSameGrid = startContainer === endContainer;
+            const canSwap = !(isNestedContainerId(startContainerId) && itemContains(displacedItem, nestedContainerItemId(startContainerId))) &&
+                canSwapItems(movedItem, finalPos.x, finalPos.y, displacedItem,
+                    { items: endContainer.gridItems, gridWidth, gridHeight, blockedCells },
+                    isSameGrid ? undefined : { items: startContainer.gridItems, gridWidth: startContainer.gridWidth, gridHeight: startContainer.gridHeight, blockedCells: startContainer.blockedCells });
+            if (canSwap) {
+                endContainer.gridItems = endContainer.gridItems.filter(i => i.id !== displacedItem.id);
+                endContainer.gridItems.push({ ...movedItem, ...finalPos });
+                const startGridItems = isSameGrid ? endContainer.gridItems : startContainer.gridItems;
+                startGridItems.push({ ...displacedItem, x: movedItem.x, y: movedItem.y });
+
+                setInventoriesOptimistic(newInventories);
+                try {
+                    await commitInventoryChange(campaignId, inventories, newInventories, [startPlayerId]);
+                    recordHistory(`Swap ${item.name} and ${displacedItem.name}`, inventories, newInventories, [startPlayerId]);
+                } catch (error) {
+                    toast.error(getCommitErrorMessage(error, "Failed to swap items. Reverting changes."));
+                    console.error("Firestore batch write failed:", error);
+                    setInventoriesOptimistic(inventories);
+                }
+                return;
+            }
+        }
+
+        if (outOfBounds(finalPos.x, finalPos.y, movedItem, gridWidth, gridHeight, blockedCells) || endContainer.gridItems.some(other => onOtherItem(finalPos.x, finalPos.y, movedItem, other))) {
+            // The fallback slot may use the rotated footprint, which `finalPos` carries as `w`/`h`.
+            finalPos = findAvailableSlotWithRotation(endContainer.gridItems, movedItem, gridWidth, gridHeight, blockedCells);
         }
         if (finalPos) {
             endContainer.gridItems.push({ ...movedItem, ...finalPos });
         } else {
             toast.error("No space in destination!");
-            const sourceTray = isStartDM ? startPlayerInv.containers[startContainerId].trayItems : startPlayerInv.trayItems;
-            sourceTray.push(movedItem);
+            // The item stays where it was, so there's nothing to pay.
+            payment = null;
+            endPlayerInv.currency = inventories[endPlayerId].currency;
+            const { x, y, ...trayItem } = movedItem;
+            const sourceTray = getItemList(startPlayerInv, 'tray', isNestedContainerId(startContainerId) ? 'tray' : startContainerId, true);
+            sourceTray.push(trayItem);
         }
     } else { 
         const { x, y, ...trayItem } = movedItem;
-        if (endDestination === 'equipped') {
-            if (!endPlayerInv.equippedItems) endPlayerInv.equippedItems = [];
-            endPlayerInv.equippedItems.push(trayItem);
-        } else if (isEndDM) {
-            const destContainer = endPlayerInv.containers?.[endContainerId];
-            if (!destContainer) return;
-            if (!destContainer.trayItems) destContainer.trayItems = [];
-            destContainer.trayItems.push(trayItem);
-        } else { 
-            if (!endPlayerInv.trayItems) endPlayerInv.trayItems = [];
-            endPlayerInv.trayItems.push(trayItem);
-        }
+        const destinationItems = getItemList(endPlayerInv, endDestination, endContainerId, true);
+        if (!destinationItems) return;
+        destinationItems.push(trayItem);
     }
 
     setInventoriesOptimistic(newInventories);
 
-    const batch = writeBatch(db);
-    const finalSourceInventory = newInventories[startPlayerId];
-    const finalEndInventory = newInventories[endPlayerId];
-
-    const sourcePlayerInvRef = doc(db, "campaigns", campaignId, "inventories", startPlayerId);
-    batch.update(sourcePlayerInvRef, { 
-        trayItems: finalSourceInventory.trayItems || [],
-        equippedItems: finalSourceInventory.equippedItems || [],
-    });
-    Object.values(finalSourceInventory.containers).forEach(container => {
-        const containerRef = doc(sourcePlayerInvRef, 'containers', container.id);
-        batch.update(containerRef, { 
-            gridItems: container.gridItems || [],
-            trayItems: container.trayItems || [] 
-        });
-    });
-    
-    if (startPlayerId !== endPlayerId) {
-        const endPlayerInvRef = doc(db, "campaigns", campaignId, "inventories", endPlayerId);
-        batch.update(endPlayerInvRef, { 
-            trayItems: finalEndInventory.trayItems || [],
-            equippedItems: finalEndInventory.equippedItems || [],
-        });
-        Object.values(finalEndInventory.containers).forEach(container => {
-            const containerRef = doc(endPlayerInvRef, 'containers', container.id);
-            batch.update(containerRef, { 
-                gridItems: container.gridItems || [],
-                trayItems: container.trayItems || []
-            });
-        });
-    }
-    
     try {
-        await batch.commit();
+        await commitInventoryChange(campaignId, inventories, newInventories, [startPlayerId, endPlayerId], payment);
+        recordHistory(`Move ${item.name}`, inventories, newInventories, [startPlayerId, endPlayerId]);
+        logTransfer(movedItem);
+        if (payment) toast.success(`Bought for ${item.cost}.`);
     } catch (error) {
-        toast.error("Failed to move item. Reverting changes.");
+        toast.error(getCommitErrorMessage(error, "Failed to move item. Reverting changes."));
         console.error("Firestore batch write failed:", error);
         setInventoriesOptimistic(inventories); 
     }
@@ -1175,6 +1470,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {string} sourceContainerId - The ID of the container the item is coming from.
    */
   const handleSendItem = async (item, source, sourcePlayerId, targetPlayerId, sourceContainerId, isSourcePlayerDM) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !source || !sourcePlayerId || !targetPlayerId) return;
 
     const originalInventories = inventories;
@@ -1188,22 +1484,16 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         return;
     }
 
-    // --- 1. Remove from Source ---
-    if (sourceInventory.equippedItems) {
-        sourceInventory.equippedItems = sourceInventory.equippedItems.filter(i => i.id !== item.id);
-    }
-    if (sourceInventory.trayItems) {
-         sourceInventory.trayItems = sourceInventory.trayItems.filter(i => i.id !== item.id);
-    }
-    if (sourceInventory.containers) {
-        Object.values(sourceInventory.containers).forEach(container => {
-            if (container.gridItems) container.gridItems = container.gridItems.filter(i => i.id !== item.id);
-            if (container.trayItems) container.trayItems = container.trayItems.filter(i => i.id !== item.id);    
-        });
+    // --- 1. Remove from Source (wherever it is, even inside another item) ---
+    // The stored copy is sent so a container item keeps everything it carries.
+    const removedItem = removeItemFromInventory(sourceInventory, item.id);
+    if (!removedItem) {
+        toast.error("Item to send not found.");
+        return;
     }
     
     // --- 2. Add to Target ---
-    const { x, y, ...itemForTray } = item;
+    const { x, y, ...itemForTray } = removedItem;
     
     // SIMPLIFIED: Always send to the main tray (Floor/Ground), whether it's a Player or DM.
     if (!targetInventory.trayItems) targetInventory.trayItems = [];
@@ -1213,37 +1503,15 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     setInventoriesOptimistic(newInventories);
 
     // --- 3. Save to Firestore ---
-    const batch = writeBatch(db);
-    const sourcePlayerInvRef = doc(db, "campaigns", campaignId, "inventories", sourcePlayerId);
-    const targetPlayerInvRef = doc(db, "campaigns", campaignId, "inventories", targetPlayerId);
-
-    // Update Source
-    batch.update(sourcePlayerInvRef, { 
-        trayItems: newInventories[sourcePlayerId].trayItems || [],
-        equippedItems: newInventories[sourcePlayerId].equippedItems || [] 
-    });
-    if (newInventories[sourcePlayerId].containers) {
-        Object.values(newInventories[sourcePlayerId].containers).forEach(c => {
-            batch.update(doc(sourcePlayerInvRef, 'containers', c.id), { 
-                gridItems: c.gridItems || [], 
-                trayItems: c.trayItems || [] 
-            });
-        });
-    }
-    
-    // Update Target (We only need to update the main doc since we pushed to trayItems)
-    batch.update(targetPlayerInvRef, { 
-        trayItems: newInventories[targetPlayerId].trayItems || [],
-        equippedItems: newInventories[targetPlayerId].equippedItems || [] 
-    });
-    
     try {
-      await batch.commit();
+      await commitInventoryChange(campaignId, inventories, newInventories, [sourcePlayerId, targetPlayerId]);
+      recordHistory(`Send ${item.name}`, originalInventories, newInventories, [sourcePlayerId, targetPlayerId]);
+      logActivity(campaignId, { type: 'send', sourceInventoryId: sourcePlayerId, targetInventoryId: targetPlayerId, item: removedItem });
       const targetName = targetInventory.characterName || playerProfiles[targetPlayerId]?.displayName;
       toast.success(`Sent ${item.name} to ${targetName}.`);
     } catch (error) {
       console.error("Failed to send item:", error);
-      toast.error("Failed to send item.");
+      toast.error(getCommitErrorMessage(error, "Failed to send item."));
       setInventoriesOptimistic(originalInventories);
     }
   };
@@ -1254,6 +1522,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {string} playerId - The ID of the item's owner.
    */
   const handleDuplicateItem = async (item, playerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId) return;
 
     const originalInventories = inventories;
@@ -1262,13 +1531,10 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
     if (!playerInv) return;
 
     const { x, y, ...itemForTray } = item;
-    const newItem = {
-      ...itemForTray,
-      id: crypto.randomUUID(),
-    };
+    // Container items are duplicated along with their contents, every copy getting a fresh ID.
+    const newItem = cloneItemWithNewIds(itemForTray);
 
     const isPlayerDM = campaign?.dmId === playerId;
-    let firestorePromise;
 
     if (isPlayerDM) {
         const container = Object.values(playerInv.containers || {})[0];
@@ -1278,29 +1544,27 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         }
         if (!container.trayItems) container.trayItems = [];
         container.trayItems.push(newItem);
-        const containerRef = doc(db, 'campaigns', campaignId, 'inventories', playerId, 'containers', container.id);
-        firestorePromise = updateDoc(containerRef, { trayItems: container.trayItems });
     } else {
         if (!playerInv.trayItems) playerInv.trayItems = [];
         playerInv.trayItems.push(newItem);
-        const playerInvRef = doc(db, 'campaigns', campaignId, 'inventories', playerId);
-        firestorePromise = updateDoc(playerInvRef, { trayItems: playerInv.trayItems });
     }
 
     setInventoriesOptimistic(newInventories);
 
     try {
-        await firestorePromise;
+        await commitInventoryChange(campaignId, originalInventories, newInventories, [playerId]);
+        recordHistory(`Duplicate ${item.name}`, originalInventories, newInventories, [playerId]);
+        logActivity(campaignId, { type: 'add', targetInventoryId: playerId, item: newItem });
         toast.success(`Duplicated ${item.name}.`);
     } catch (error) {
-        toast.error("Failed to duplicate item. Reverting.");
+        toast.error(getCommitErrorMessage(error, "Failed to duplicate item. Reverting."));
         console.error("Firestore write failed:", error);
         setInventoriesOptimistic(originalInventories);
     }
   };
 
   /**
-   * Rotates an item in a grid by swapping its width and height.
+   * Rotates an item in a grid by swapping its width and height (and rotating its cell mask, if any).
    * It performs collision checks to see if the item can stay in place. If not, it
    * attempts to find a new available slot or moves the item to the tray if no space is found.
    * @param {object} item - The grid item to rotate.
@@ -1308,24 +1572,25 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
    * @param {string} containerId - The ID of the container holding the item.
    */
   const handleRotateItem = async (item, playerId, containerId) => {
+    const { inventories } = useCampaignStore.getState();
     if (!item || !playerId || !containerId) return;
 
     const newInventories = JSON.parse(JSON.stringify(inventories));
     const inventory = newInventories[playerId];
-    const container = inventory?.containers?.[containerId];
+    const container = resolveGridContainer(inventory, containerId);
     if (!container) return;
 
-    const rotatedItem = { ...item, w: item.h, h: item.w };
+    const rotatedItem = rotateItem(item);
     const otherItems = container.gridItems.filter(i => i.id !== item.id);
 
-    const canStayInPlace = !outOfBounds(rotatedItem.x, rotatedItem.y, rotatedItem, container.gridWidth, container.gridHeight) &&
+    const canStayInPlace = !outOfBounds(rotatedItem.x, rotatedItem.y, rotatedItem, container.gridWidth, container.gridHeight, container.blockedCells) &&
                            !otherItems.some(other => onOtherItem(rotatedItem.x, rotatedItem.y, rotatedItem, other));
 
     if (canStayInPlace) {
       container.gridItems = container.gridItems.map(i => i.id === item.id ? rotatedItem : i);
       toast.success(`Rotated ${item.name}.`);
     } else {
-      const availableSlot = findFirstAvailableSlot(otherItems, rotatedItem, container.gridWidth, container.gridHeight);
+      const availableSlot = findFirstAvailableSlot(otherItems, rotatedItem, container.gridWidth, container.gridHeight, container.blockedCells);
       if (availableSlot) {
         container.gridItems = [...otherItems, { ...rotatedItem, ...availableSlot }];
         toast.success(`Rotated ${item.name} and moved it to a new slot.`);
@@ -1338,20 +1603,215 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       }
     }
 
-    const batch = writeBatch(db);
-    const playerDocRef = doc(db, 'campaigns', campaignId, 'inventories', playerId);
-    
-    batch.update(playerDocRef, { trayItems: inventory.trayItems || [] });
-    
-    Object.values(inventory.containers).forEach(c => {
-        const containerRef = doc(playerDocRef, 'containers', c.id);
-        batch.update(containerRef, { 
-            gridItems: c.gridItems || [],
-            trayItems: c.trayItems || []
-        });
+    try {
+      await commitInventoryChange(campaignId, inventories, newInventories, [playerId]);
+      recordHistory(`Rotate ${item.name}`, inventories, newInventories, [playerId]);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to rotate item."));
+      console.error("Firestore transaction failed:", error);
+    }
+  };
+
+  /**
+   * Adds an item to the multi-selection, or removes it if it is already selected.
+   * Selecting an item of another inventory starts a new selection.
+   * @param {React.MouseEvent} event - The click event.
+   * @param {object} item - The clicked item.
+   * @param {string} playerId - The ID of the item's owner.
+   * @param {('grid'|'tray'|'equipped')} source - The location of the item.
+   * @param {string} containerId - The ID of the container holding the item.
+   */
+  const handleSelectItem = (event, item, playerId, source, containerId) => {
+    setSelection(prev => {
+      const items = prev.playerId === playerId ? prev.items : [];
+      const isSelected = items.some(i => i.id === item.id);
+      return {
+        playerId,
+        items: isSelected ? items.filter(i => i.id !== item.id) : [...items, { id: item.id, source, containerId }],
+      };
     });
+  };
 
-    await batch.commit();
+  /**
+   * Selects the items caught by a lasso. Without a modifier key they replace the selection;
+   * an empty lasso (a plain click on empty space) clears it.
+   * @param {string[]} itemIds - The IDs of the items under the lasso.
+   * @param {string} playerId - The ID of the inventory the lasso was drawn in.
+   * @param {('grid'|'tray'|'equipped')} source - The location of the items.
+   * @param {string} containerId - The ID of the container holding the items.
+   * @param {boolean} additive - Whether to keep the current selection.
+   */
+  const handleLassoSelect = (itemIds, playerId, source, containerId, additive) => {
+    setSelection(prev => {
+      const kept = additive && prev.playerId === playerId ? prev.items.filter(i => !itemIds.includes(i.id)) : [];
+      const picked = itemIds.map(id => ({ id, source, containerId }));
+      if (kept.length === 0 && picked.length === 0) return { playerId: null, items: [] };
+      return { playerId, items: [...kept, ...picked] };
+    });
+  };
+
+  /**
+   * Returns the selection props for a `PlayerInventory`.
+   * @param {string} playerId - The ID of the inventory.
+   * @returns {object}
+   */
+  const getSelectionProps = (playerId) => ({
+    selectedItemIds: selection.playerId === playerId ? selectedItemIds : undefined,
+    onSelectItem: itemHandlers.onSelectItem,
+    onLassoSelect: itemHandlers.onLassoSelect,
+    onRotateItem: itemHandlers.onRotateItem,
+  });
+  itemHandlersRef.current = { handleContextMenu, handleSelectItem, handleLassoSelect, handleRotateItem };
+
+  /**
+   * Applies one action to every selected item at once and saves all the affected
+   * inventories in a single batch.
+   * @param {('send'|'move'|'equip'|'delete')} action - What to do with the selection.
+   * @param {string} [targetId] - The receiving inventory for 'send', or the destination container for 'move' ('tray' for the floor).
+   */
+  const handleBulkAction = async (action, targetId) => {
+    const { inventories } = useCampaignStore.getState();
+    const { playerId, items: selectedItems } = selection;
+    if (!playerId || selectedItems.length === 0) return;
+    if (action === 'delete' && !window.confirm(`Move ${selectedItems.length} items to the trash?`)) return;
+
+    const originalInventories = inventories;
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const sourceInv = newInventories[playerId];
+    const targetInv = action === 'send' ? newInventories[targetId] : sourceInv;
+    if (!sourceInv || !targetInv) {
+      toast.error("Source or target inventory not found.");
+      return;
+    }
+
+    // Items inside a selected bag travel with it, so they may already be gone when their turn comes.
+    const removedItems = selectedItems.map(({ id }) => removeItemFromInventory(sourceInv, id)).filter(Boolean);
+    let spilledCount = 0;
+    removedItems.forEach(removedItem => {
+      const { x, y, ...looseItem } = removedItem;
+      if (action === 'send') {
+        getItemList(targetInv, 'tray', 'tray', true).push(looseItem);
+      } else if (action === 'equip') {
+        getItemList(targetInv, 'equipped', 'equipped', true).push(looseItem);
+      } else if (action === 'move') {
+        const container = targetId !== 'tray' ? targetInv.containers?.[targetId] : null;
+        if (container && !container.gridItems) container.gridItems = [];
+        const slot = container && findAvailableSlotWithRotation(container.gridItems, looseItem, container.gridWidth, container.gridHeight, container.blockedCells);
+        if (slot) {
+          container.gridItems.push({ ...looseItem, ...slot });
+        } else {
+          if (container) spilledCount++;
+          getItemList(targetInv, 'tray', 'tray', true).push(looseItem);
+        }
+      }
+    });
+
+    setInventoriesOptimistic(newInventories);
+    setSelection({ playerId: null, items: [] });
+
+    try {
+      if (action === 'delete') {
+        await trashItems(campaignId, inventories, newInventories, playerId, removedItems);
+      } else {
+        await commitInventoryChange(campaignId, inventories, newInventories, action === 'send' ? [playerId, targetId] : [playerId]);
+      }
+      const count = removedItems.length;
+      const actionLabel = { send: 'Send', move: 'Move', equip: 'Equip', delete: 'Delete' }[action];
+      recordHistory(`${actionLabel} ${count} items`, originalInventories, newInventories, [playerId, targetId]);
+      if (action === 'send') {
+        logActivity(campaignId, removedItems.map(removedItem => (
+          { type: 'send', sourceInventoryId: playerId, targetInventoryId: targetId, item: removedItem }
+        )));
+        const targetName = targetId === 'public-loot' ? 'the Loot Pile' : targetInv.characterName || playerProfiles[targetId]?.displayName;
+        toast.success(`Sent ${count} items to ${targetName}.`);
+      } else if (action === 'equip') {
+        toast.success(`Equipped ${count} items.`);
+      } else if (action === 'delete') {
+        toast.success(`Moved ${count} items to the trash.`);
+      } else {
+        toast.success(`Moved ${count} items.`);
+        if (spilledCount > 0) toast.error(`${spilledCount} item(s) did not fit and were left on the ground.`);
+      }
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to update the selected items. Reverting changes."));
+      console.error("Firestore batch write failed:", error);
+      setInventoriesOptimistic(originalInventories);
+    }
+  };
+
+  /**
+   * Opens the grid of an item that holds other items (a bag, a chest...) below its owner's containers.
+   * @param {string} playerId - The ID of the item's owner.
+   * @param {string} itemId - The ID of the container item.
+   */
+  const handleOpenNestedContainer = (playerId, itemId) => {
+    setOpenNestedContainers(prev => ({
+      ...prev,
+      [playerId]: [...(prev[playerId] || []).filter(id => id !== itemId), itemId],
+    }));
+  };
+
+  /**
+   * Closes the grid of a container item opened with `handleOpenNestedContainer`.
+   * @param {string} playerId - The ID of the item's owner.
+   * @param {string} itemId - The ID of the container item.
+   */
+  const handleCloseNestedContainer = useCallback((playerId, itemId) => {
+    setOpenNestedContainers(prev => ({
+      ...prev,
+      [playerId]: (prev[playerId] || []).filter(id => id !== itemId),
+    }));
+  }, []);
+
+  /**
+   * Replaces the grid layout of a container with a repacked one produced by `packItems`.
+   * The whole layout is saved as a single change.
+   * @param {string} playerId - The ID of the container's owner.
+   * @param {string} containerId - The ID of the container being organized.
+   * @param {object[]} packedItems - The repositioned grid items.
+   */
+  const handleOrganizeContainer = async (playerId, containerId, packedItems) => {
+    const { inventories } = useCampaignStore.getState();
+    if (!playerId || !containerId || !packedItems) return;
+
+    const originalInventories = inventories;
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const container = newInventories[playerId]?.containers?.[containerId];
+    if (!container) return;
+
+    container.gridItems = packedItems;
+    setInventoriesOptimistic(newInventories);
+
+    try {
+      await commitInventoryChange(campaignId, originalInventories, newInventories, [playerId]);
+      recordHistory(`Organize ${container.name}`, originalInventories, newInventories, [playerId]);
+      toast.success(`Organized ${container.name}.`);
+    } catch (error) {
+      toast.error(getCommitErrorMessage(error, "Failed to organize container. Reverting changes."));
+      console.error("Firestore write failed:", error);
+      setInventoriesOptimistic(originalInventories);
+    }
+  };
+
+  /**
+   * Moves an item picked up with the keyboard by one cell of the grid it is over
+   * (or of the grid it came from) for each arrow key press.
+   * @param {KeyboardEvent} event - The keydown event.
+   * @param {object} args - The KeyboardSensor arguments (`currentCoordinates` and `context`).
+   * @returns {{x: number, y: number} | undefined} The new coordinates, or nothing for other keys.
+   */
+  const getKeyboardCoordinates = (event, { currentCoordinates, context }) => {
+    const direction = { ArrowRight: [1, 0], ArrowLeft: [-1, 0], ArrowDown: [0, 1], ArrowUp: [0, -1] }[event.code];
+    if (!direction) return undefined;
+    event.preventDefault();
+
+    const over = context.over;
+    const overContainerId = over ? over.data.current?.containerId ?? over.id.toString().split('|')[1] : null;
+    const step = cellSizes[overContainerId] || cellSizes[context.active?.data.current?.containerId] || { width: 40, height: 40 };
+    return {
+      x: currentCoordinates.x + direction[0] * step.width,
+      y: currentCoordinates.y + direction[1] * step.height,
+    };
   };
 
   const sensors = useSensors(
@@ -1362,13 +1822,91 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         distance: 8,
       },
     }),
+    useSensor(KeyboardSensor, { coordinateGetter: getKeyboardCoordinates }),
   );
 
+  /**
+   * Finds the drop target under the pointer, or under the dragged item when it
+   * is moved with the keyboard (there are no pointer coordinates then).
+   * @param {object} args - The collision detection arguments from dnd-kit.
+   * @returns {object[]} The collisions, best first.
+   */
+  const detectCollisions = (args) => args.pointerCoordinates ? pointerWithin(args) : rectIntersection(args);
+
+  /**
+   * Describes an inventory location for screen readers, e.g. "Aria's Backpack".
+   * @param {string} playerId - The ID of the inventory.
+   * @param {string} containerId - The ID of the container (or 'tray' / 'equipped').
+   * @param {('grid'|'tray'|'equipped')} source - The kind of location.
+   * @returns {string}
+   */
+  const describeLocation = (playerId, containerId, source) => {
+    const { inventories } = useCampaignStore.getState();
+    const inventory = inventories[playerId];
+    if (playerId === 'public-loot') return 'the Loot Pile';
+    const ownerName = inventory?.characterName || playerProfiles[playerId]?.displayName || 'an unknown player';
+    if (source === 'equipped') return `${ownerName}'s equipped items`;
+    if (source === 'grid') {
+      const name = isNestedContainerId(containerId)
+        ? findItemInInventory(inventory, nestedContainerItemId(containerId))?.name
+        : inventory?.containers?.[containerId]?.name;
+      return `${ownerName}'s ${name || 'container'}`;
+    }
+    return `${ownerName}'s floor`;
+  };
+
+  /**
+   * Describes a drop target for screen readers, including the cell when it is a grid.
+   * @param {object} active - The active draggable.
+   * @param {object} over - The droppable under it.
+   * @returns {string}
+   */
+  const describeDropTarget = (active, over) => {
+    const { inventories } = useCampaignStore.getState();
+    const [playerId, containerId, source] = over.data.current?.item
+      ? [over.data.current.ownerId, over.data.current.containerId, over.data.current.source]
+      : over.id.toString().split('|');
+    let description = describeLocation(playerId, containerId, source);
+    const container = source === 'grid' ? resolveGridContainer(inventories[playerId], containerId) : null;
+    const position = container && getGridDropPosition(active, containerId, container);
+    if (position) description += `, column ${position.x + 1}, row ${position.y + 1}`;
+    if (over.data.current?.item) description += `, on ${over.data.current.item.name}`;
+    return description;
+  };
+
+  const lastAnnouncement = useRef(null);
+  const accessibility = {
+    screenReaderInstructions: {
+      draggable: 'To pick up an item, press Space or Enter. Use the arrow keys to move it, then press Space or Enter again to drop it, or Escape to cancel. When not moving an item, the arrow keys move between items, R rotates the item and Shift+F10 opens its actions.',
+    },
+    announcements: {
+      onDragStart: ({ active }) => {
+        lastAnnouncement.current = null;
+        return `Picked up ${active.data.current?.item?.name}.`;
+      },
+      onDragMove: ({ active, over }) => {
+        if (!over) return undefined;
+        const announcement = `${active.data.current?.item?.name} is over ${describeDropTarget(active, over)}.`;
+        if (announcement === lastAnnouncement.current) return undefined;
+        lastAnnouncement.current = announcement;
+        return announcement;
+      },
+      onDragOver: ({ active, over }) => {
+        if (over) return undefined; // onDragMove already reads out the new target.
+        return `${active.data.current?.item?.name} is not over an inventory.`;
+      },
+      onDragEnd: ({ active, over }) => over
+        ? `Dropped ${active.data.current?.item?.name} on ${describeDropTarget(active, over)}.`
+        : `${active.data.current?.item?.name} was dropped outside any inventory and stays where it was.`,
+      onDragCancel: ({ active }) => `Stopped moving ${active.data.current?.item?.name}. It is back where it was.`,
+    },
+  };
+
   if (isLoading) {
     return <Spinner />;
   }
 
-  if (!isLoading && Object.keys(inventories).length === 0) {
+  if (!isLoading && Object.keys(inventorySummaries).length === 0) {
     return (
       <div className="text-center text-text-muted mt-16 p-4">
         <h2 className="text-2xl font-bold text-text-base">
@@ -1389,20 +1927,17 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
           onClose={() => setActiveTrade(null)}
           user={user}
           playerProfiles={playerProfiles}
-          inventories={inventories}
           campaign={campaign}
         />
       )}
 
-      <TradeNotifications campaignId={campaignId} inventories={inventories} />
-
       {isTrading && (
         <StartTrade
           onClose={() => setIsTrading(false)}
           campaign={{id: campaignId, ...campaign}}
           user={user}
           playerProfiles={playerProfiles}
-          inventories={inventories}
+          inventories={inventorySummaries}
           onTradeStarted={handleTradeStarted}
         />
       )}
@@ -1410,9 +1945,9 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       {showCompendium && (
         <AddFromCompendium
           onClose={() => setShowCompendium(false)}
-          players={Object.keys(inventories)}
+          players={Object.keys(inventorySummaries)}
           dmId={campaign?.dmId}
-          inventories={inventories}
+          inventories={inventorySummaries}
           playerProfiles={playerProfiles}
           onAddItem={handleAddItem}
           user={user}
@@ -1432,12 +1967,61 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       {showLayoutSettings && (
         <CampaignLayout
           campaign={{ id: campaignId, ...campaign }}
-          inventories={inventories}
+          inventories={inventorySummaries}
           playerProfiles={playerProfiles}
           onClose={() => setShowLayoutSettings(false)}
         />
       )}
 
+      {showActivity && (
+        <ActivityFeed
+          campaignId={campaignId}
+          inventories={inventorySummaries}
+          playerProfiles={playerProfiles}
+          onClose={() => setShowActivity(false)}
+        />
+      )}
+
+      {showTradeHistory && (
+        <TradeHistory
+          campaignId={campaignId}
+          inventories={inventorySummaries}
+          playerProfiles={playerProfiles}
+          isDM={isDM}
+          onClose={() => setShowTradeHistory(false)}
+        />
+      )}
+
+      {showTrash && (
+        <TrashBin
+          campaignId={campaignId}
+          campaign={campaign}
+          user={user}
+          playerProfiles={playerProfiles}
+          onClose={() => setShowTrash(false)}
+        />
+      )}
+
+      {organizingContainerData && (
+        <OrganizeContainer
+          container={organizingContainerData}
+          onClose={() => setOrganizingContainer(null)}
+          onApply={(packedItems) => {
+            handleOrganizeContainer(organizingContainer.playerId, organizingContainer.containerId, packedItems);
+            setOrganizingContainer(null);
+          }}
+        />
+      )}
+
+      {syncConflict && (
+        <SyncConflictDialog
+          conflict={syncConflict}
+          remainingCount={pendingChanges.length - 1}
+          inventories={inventorySummaries}
+          onResolve={handleResolveConflict}
+        />
+      )}
+
       {splittingItem && (
         <SplitStack
           item={splittingItem.item}
@@ -1468,12 +2052,26 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
         />
       )}
 
+      {selection.items.length > 0 && (
+        <div className="fixed z-20 bottom-4 left-1/2 -translate-x-1/2 bg-surface/90 backdrop-blur-sm border border-accent/30 rounded-full shadow-lg px-4 py-2 flex items-center space-x-3">
+          <span className="text-sm font-bold text-text-base">{selection.items.length} selected</span>
+          <span className="text-xs text-text-muted hidden sm:inline">Right-click a selected item for actions</span>
+          <button
+            onClick={() => setSelection({ playerId: null, items: [] })}
+            className="text-xs font-bold text-text-muted hover:text-accent px-2 py-1 rounded hover:bg-background transition-colors"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       <DndContext
         sensors={sensors}
         onDragStart={handleDragStart}
         onDragEnd={handleDragEnd}
         onDragCancel={handleDragCancel}
-        collisionDetection={pointerWithin}
+        collisionDetection={detectCollisions}
+        accessibility={accessibility}
         dropAnimation={{
             duration: 150,
             easing: 'cubic-bezier(0.18, 1, 0.4, 1)',
@@ -1481,16 +2079,35 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
       >
         {/* Main Content Area */}
         <div className="w-full h-full flex flex-col flex-grow min-w-0 relative">
-          {isDM && (
-            <div className="w-full max-w-4xl flex justify-end mb-4 px-4 pt-4 mx-auto">
+          <div className="w-full max-w-4xl flex justify-end gap-2 mb-4 px-4 pt-4 mx-auto">
+              <button 
+                  onClick={() => setShowActivity(true)} 
+                  className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors text-sm"
+              >
+                  Activity
+              </button>
+              <button 
+                  onClick={() => setShowTradeHistory(true)} 
+                  className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors text-sm"
+              >
+                  Trades
+              </button>
+              <button 
+                  onClick={() => setShowTrash(true)} 
+                  className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors text-sm"
+              >
+                  Trash
+              </button>
+              {isDM && (
                 <button 
                     onClick={() => setShowLayoutSettings(true)} 
                     className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors text-sm"
                 >
                     Manage Campaign
                 </button>
-            </div>
-          )}
+              )}
+          </div>
+          <TradeNotifications campaignId={campaignId} inventories={inventorySummaries} />
           <div className="w-full flex-grow overflow-auto p-4 space-y-8 pb-24 overscroll-contain max-w-4xl mx-auto">
 
             {/* --- LOOT PILE SECTION --- */}
@@ -1522,6 +2139,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                                 {lootPileData.isVisibleToPlayers ? 'Visible' : 'Hidden'}
                             </span>
                         )}
+                        <PendingSyncBadge count={pendingSyncCounts['public-loot']} isOnline={isOnline} />
                     </div>
 
                     {/* Right: Buttons */}
@@ -1570,16 +2188,16 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                 <div className={`transition-all duration-300 ease-in-out overflow-hidden ${isLootExpanded ? 'max-h-[800px] opacity-100' : 'max-h-0 opacity-0'}`}>
                     <PlayerInventory
                         playerId="public-loot"
-                        inventoryData={lootPileData}
                         campaign={campaign}
-                        playerProfiles={{}} 
+                        playerProfiles={NO_PROFILES}
                         user={user}
-                        setEditingSettings={() => {}} // Disable settings
                         cellSizes={cellSizes}
                         gridRefs={gridRefs}
-                        onContextMenu={handleContextMenu}
-                        onToggleEquipped={() => {}}
+                        onContextMenu={itemHandlers.onContextMenu}
                         isEquippedVisible={false}
+                        openNestedContainers={openNestedContainers['public-loot']}
+                        {...getSelectionProps('public-loot')}
+                        onCloseNestedContainer={handleCloseNestedContainer}
                         isLootPile={true} // <--- Important: Activate loot pile styling
                     />
                 </div>
@@ -1595,6 +2213,7 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                                 <h2 className="text-xl font-fantasy text-slate-200 tracking-widest drop-shadow-md">
                                     {merchant.characterName} (Shop)
                                 </h2>
+                                <PendingSyncBadge count={pendingSyncCounts[merchant.ownerId]} isOnline={isOnline} />
                                 {isDM && (
                                     <button 
                                         onClick={() => {
@@ -1613,16 +2232,16 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                             </div>
                             <PlayerInventory
                                 playerId={merchant.ownerId}
-                                inventoryData={merchant}
                                 campaign={campaign}
-                                playerProfiles={{}}
+                                playerProfiles={NO_PROFILES}
                                 user={user}
-                                setEditingSettings={() => {}}
                                 cellSizes={cellSizes}
                                 gridRefs={gridRefs}
-                                onContextMenu={handleContextMenu}
-                                onToggleEquipped={() => {}}
+                                onContextMenu={itemHandlers.onContextMenu}
                                 isEquippedVisible={false}
+                                openNestedContainers={openNestedContainers[merchant.ownerId]}
+                                {...getSelectionProps(merchant.ownerId)}
+                                onCloseNestedContainer={handleCloseNestedContainer}
                                 isLootPile={true} // Reuse the "clean" styling
                             />
                         </div>
@@ -1630,25 +2249,56 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                 </div>
             )}
 
-            {orderedAndVisibleInventories.map(([playerId, inventoryData]) => (
+            {orderedAndVisibleInventories.map(([playerId]) => (
               <PlayerInventory
                 key={playerId}
                 playerId={playerId}
-                inventoryData={inventoryData}
                 campaign={campaign}
                 playerProfiles={playerProfiles}
                 user={user}
-                setEditingSettings={setEditingSettings}
+                onEditSettings={setEditingSettings}
                 cellSizes={cellSizes}
                 gridRefs={gridRefs}
-                onContextMenu={handleContextMenu}
-                onToggleEquipped={() => toggleEquipped(playerId)}
+                onContextMenu={itemHandlers.onContextMenu}
+                onToggleEquipped={toggleEquipped}
                 isEquippedVisible={showEquipped[playerId] ?? false}
+                onOrganizeContainer={handleOrganizeContainerRequest}
+                openNestedContainers={openNestedContainers[playerId]}
+                {...getSelectionProps(playerId)}
+                pendingSyncCount={pendingSyncCounts[playerId]}
+                isOnline={isOnline}
+                onCloseNestedContainer={handleCloseNestedContainer}
               />
             ))}
           </div>
           {/* --- Floating Action Buttons --- */}
           <div className="fixed z-10 bottom-4 right-4 sm:bottom-8 sm:right-8 flex flex-row sm:flex-col space-x-2 sm:space-x-0 sm:space-y-2">
+            {(undoLabel || redoLabel) && (
+              <div className="flex flex-row sm:flex-col space-x-2 sm:space-x-0 sm:space-y-2">
+                <button
+                  onClick={handleUndo}
+                  disabled={!undoLabel}
+                  className="bg-surface/80 backdrop-blur-sm border border-accent/30 text-text-muted hover:bg-accent hover:text-background rounded-full p-3 shadow-lg transition-all disabled:opacity-40 disabled:pointer-events-none"
+                  aria-label="Undo"
+                  title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M9 15L3 9m0 0l6-6M3 9h12a6 6 0 010 12h-3" />
+                  </svg>
+                </button>
+                <button
+                  onClick={handleRedo}
+                  disabled={!redoLabel}
+                  className="bg-surface/80 backdrop-blur-sm border border-accent/30 text-text-muted hover:bg-accent hover:text-background rounded-full p-3 shadow-lg transition-all disabled:opacity-40 disabled:pointer-events-none"
+                  aria-label="Redo"
+                  title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M15 15l6-6m0 0l-6-6m6 6H9a6 6 0 000 12h3" />
+                  </svg>
+                </button>
+              </div>
+            )}
             <button
               onClick={() => setShowCompendium(true)}
               className="bg-surface/80 backdrop-blur-sm border border-primary/50 text-primary hover:bg-primary hover:text-background rounded-full p-3 sm:p-4 shadow-lg transition-all"
@@ -1693,9 +2343,10 @@ export default function InventoryGrid({ campaignId, user, userProfile, isTrading
                 width: activeItem.dimensions.width,
                 height: activeItem.dimensions.height,
               }}
-              className={`${getColorForItemType(activeItem.item.type)} rounded-lg text-text-base font-bold p-1 text-center text-xs sm:text-sm flex items-center justify-center shadow-2xl scale-105`}
+              className={`${activeItem.item.shape ? '' : `${getColorForItemType(activeItem.item.type)} shadow-2xl`} relative rounded-lg text-text-base font-bold p-1 text-center text-xs sm:text-sm flex items-center justify-center scale-105`}
             >
-              {activeItem.item.name}
+              {activeItem.item.shape && <ItemShape item={activeItem.item} colorClass={getColorForItemType(activeItem.item.type)} />}
+              <span className="relative">{activeItem.item.name}</span>
               {activeItem.item.stackable && activeItem.item.quantity > 1 && (
                 <span className="absolute bottom-0 right-1 text-lg font-black" style={{ WebkitTextStroke: '1px black' }}>
                   {activeItem.item.quantity}
@@ -4,12 +4,56 @@ import { getColorForItemType } from '../utils/itemUtils';
 import { generateItemTooltip } from '../utils/itemUtils';
 import { useLongPress } from '../hooks/useLongPress';
 import DynamicIcon from './DynamicIcon';
+import ItemShape from './ItemShape';
+
+// Arrow keys move the focus to the closest item in that direction: [x, y].
+const ARROW_DIRECTIONS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowDown: [0, 1],
+  ArrowUp: [0, -1],
+};
+
+/**
+ * Moves the keyboard focus from an item to the closest item of the same grid or tray
+ * in the given direction. Items further off the arrow's axis count as further away.
+ * @param {HTMLElement} element - The focused item element.
+ * @param {number[]} direction - The `[x, y]` direction from `ARROW_DIRECTIONS`.
+ */
+const focusNeighbourItem = (element, [dirX, dirY]) => {
+  const area = element.closest('[data-item-area]');
+  if (!area) return;
+  const center = (el) => {
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  };
+  const from = center(element);
+
+  let best = null;
+  let bestScore = Infinity;
+  area.querySelectorAll('[data-item-focus]').forEach(candidate => {
+    if (candidate === element) return;
+    const to = center(candidate);
+    const along = (to.x - from.x) * dirX + (to.y - from.y) * dirY;
+    if (along <= 1) return;
+    const across = Math.abs((to.x - from.x) * dirY) + Math.abs((to.y - from.y) * dirX);
+    const score = along + across * 2;
+    if (score < bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  });
+  best?.focus();
+};
 
 /**
  * Renders a single draggable and droppable inventory item.
  * Now supports a 'disabled' prop to prevent interaction when hidden.
+ * Shift/ctrl/cmd-clicking the item calls `onSelect` to add it to (or remove it from) the selection.
+ * From the keyboard: arrows move the focus, Enter/Space pick up and drop (dnd-kit's KeyboardSensor),
+ * R rotates (when `onRotate` is given) and Shift+F10 or the context menu key open the item's actions.
  */
-export default function InventoryItem({ item, onContextMenu, playerId, source, cellSize, containerId, isViewerDM, disabled = false }) {
+export default function InventoryItem({ item, onContextMenu, playerId, source, cellSize, containerId, isViewerDM, disabled = false, isSelected = false, onSelect, onRotate }) {
   
   const { attributes, listeners, setNodeRef: setDraggableNodeRef, transform, isDragging } = useDraggable({
     id: item.id,
@@ -30,6 +74,9 @@ export default function InventoryItem({ item, onContextMenu, playerId, source, c
     500
   );
 
+  // Non-rectangular items only draw their mask on a grid; trays show the plain tile.
+  const isShaped = source === 'grid' && !!item.shape;
+
   const style = {
     gridColumn: source === 'grid' ? `${item.x + 1} / span ${item.w}` : undefined,
     gridRow: source === 'grid' ? `${item.y + 1} / span ${item.h}` : undefined,
@@ -44,7 +91,45 @@ export default function InventoryItem({ item, onContextMenu, playerId, source, c
     
     // Optional: visual cue that it's disabled (though usually it's hidden anyway)
     opacity: disabled ? 0.5 : 1,
-    pointerEvents: disabled ? 'none' : 'auto', 
+    // Shaped items let clicks through their empty cells; the filled cells re-enable pointer events.
+    pointerEvents: disabled || isShaped ? 'none' : 'auto', 
+  };
+
+  /**
+   * Toggles the item in the multi-selection when a modifier key is held.
+   * @param {React.MouseEvent} e - The click event.
+   */
+  const handleClick = (e) => {
+    if (disabled || !onSelect) return;
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      onSelect(e, item, source);
+    }
+  };
+
+  /**
+   * Handles the keyboard shortcuts of a focused item, then lets dnd-kit's
+   * KeyboardSensor see the key so Enter/Space can pick the item up.
+   * @param {React.KeyboardEvent} e - The keydown event.
+   */
+  const handleKeyDown = (e) => {
+    if (disabled) return;
+    if (!isDragging && ARROW_DIRECTIONS[e.key]) {
+      e.preventDefault();
+      focusNeighbourItem(e.currentTarget, ARROW_DIRECTIONS[e.key]);
+      return;
+    }
+    if (!isDragging && onRotate && (e.key === 'r' || e.key === 'R') && !e.ctrlKey && !e.metaKey) {
+      e.preventDefault();
+      onRotate(item);
+      return;
+    }
+    if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+      e.preventDefault();
+      onContextMenu(e, item, source);
+      return;
+    }
+    listeners?.onKeyDown?.(e);
   };
 
   const effectiveCellWidth = cellSize?.width > 0 ? cellSize.width : 80;
@@ -58,7 +143,9 @@ export default function InventoryItem({ item, onContextMenu, playerId, source, c
         setDroppableNodeRef(node);
       }}
       style={style}
-      className="relative flex"
+      className={`relative flex rounded-lg ${isSelected ? 'ring-2 ring-accent ring-offset-1 ring-offset-background' : ''}`}
+      data-item-id={item.id}
+      onClick={handleClick}
       // Only show tooltip if not disabled
       data-tooltip-id={disabled ? undefined : "item-tooltip"}
       data-tooltip-html={disabled ? undefined : generateItemTooltip(item, isViewerDM)}
@@ -67,8 +154,14 @@ export default function InventoryItem({ item, onContextMenu, playerId, source, c
       <div
         {...listeners}
         {...attributes}
-        className={`${getColorForItemType(item.type)} w-full h-full rounded-lg cursor-pointer active:cursor-grabbing select-none border border-surface/50 touch-none`}
+        onKeyDown={handleKeyDown}
+        data-item-focus
+        aria-label={`${item.stackable && item.quantity > 1 ? `${item.quantity} ${item.name}` : item.name}${isSelected ? ', selected' : ''}`}
+        className={`${isShaped ? '' : `${getColorForItemType(item.type)} border border-surface/50`} w-full h-full rounded-lg cursor-pointer active:cursor-grabbing select-none touch-none focus:outline-none focus-visible:ring-2 focus-visible:ring-accent`}
+        style={isShaped ? { pointerEvents: 'none' } : undefined}
       >
+        {isShaped && <ItemShape item={item} colorClass={getColorForItemType(item.type)} />}
+
         <div className="absolute inset-0 p-1 flex items-center justify-center pointer-events-none">
           {/* Render the icon */}
           {item.icon && (
@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db } from '../firebase';
-import { doc, writeBatch, getDoc, getDocs, collection } from "firebase/firestore";
+import { repository, paths, getCurrentUser } from '../repositories';
+import { useCampaignStore } from '../stores/useCampaignStore';
 import { calculateCarryingCapacity } from '../utils/dndUtils';
+import { toItemDocs } from '../utils/itemStorageUtils';
 import CollapsibleSection from './CollapsibleSection';
 
 const LBS_TO_KG = 0.453592;
@@ -35,6 +36,25 @@ export default function InventorySettings({ onClose, campaignId, userId, current
     );
   };
 
+  /**
+   * Toggles a single cell of a container between usable and blocked.
+   * Blocked cells are stored as `"x,y"` strings in the container's `blockedCells` array.
+   * @param {string} containerId - The ID of the container being painted.
+   * @param {number} x - The column of the cell.
+   * @param {number} y - The row of the cell.
+   */
+  const handleToggleBlockedCell = (containerId, x, y) => {
+    const cell = `${x},${y}`;
+    setContainers(prev => prev.map(c => {
+      if (c.id !== containerId) return c;
+      const blockedCells = c.blockedCells || [];
+      return {
+        ...c,
+        blockedCells: blockedCells.includes(cell) ? blockedCells.filter(b => b !== cell) : [...blockedCells, cell],
+      };
+    }));
+  };
+
   /**
    * Adds a new, temporary container object to the local `containers` state.
    * This new container is flagged with `isNew: true` to be identified during the save process.
@@ -47,8 +67,7 @@ export default function InventorySettings({ onClose, campaignId, userId, current
       gridWidth: 10,
       gridHeight: 5,
       trackWeight: true,
-      gridItems: [],
-      trayItems: [], 
+      blockedCells: [],
       isNew: true, // Flag to identify new containers
     };
     setContainers(prev => [...prev, newContainer]);
@@ -62,7 +81,7 @@ export default function InventorySettings({ onClose, campaignId, userId, current
    * @param {string} containerId - The ID of the container to delete.
    */
   const handleDeleteContainer = (containerId) => {
-    if (!window.confirm("Are you sure you want to delete this container and all items within it? This cannot be undone.")) {
+    if (!window.confirm("Are you sure you want to delete this container and all items within it? It will be moved to the trash, from where it can be restored.")) {
         return;
     }
     setContainers(prev => prev.filter(c => c.id !== containerId));
@@ -73,9 +92,10 @@ export default function InventorySettings({ onClose, campaignId, userId, current
   };
 
   /**
-   * Saves all character and inventory settings to Firestore using a batched write.
+   * Saves all character and inventory settings using a batched write.
    * This includes updating the character name and weight, creating new containers,
-   * updating existing ones, and deleting marked containers.
+   * updating existing ones, and moving marked containers to the campaign's trash
+   * (with the items they hold now).
    * @param {React.FormEvent} e - The form submission event.
    */
   const handleSave = async (e) => {
@@ -96,10 +116,9 @@ export default function InventorySettings({ onClose, campaignId, userId, current
     }
 
 
-    const batch = writeBatch(db);
-    const inventoryDocRef = doc(db, 'campaigns', campaignId, 'inventories', userId);
+    const batch = repository.batch();
 
-    batch.update(inventoryDocRef, { 
+    batch.update(paths.inventory(campaignId, userId), { 
       characterName: characterName.trim(),
       totalMaxWeight: finalMaxWeightLbs,
       weightUnit: weightUnit,
@@ -111,17 +130,18 @@ export default function InventorySettings({ onClose, campaignId, userId, current
     if (!isDMInventory) {
         containers.forEach(container => {
             const isNew = container.isNew;
-            const containerRef = isNew 
-                ? doc(inventoryDocRef, 'containers', crypto.randomUUID()) 
-                : doc(inventoryDocRef, 'containers', container.id);
+            const containerRef = paths.container(campaignId, userId, isNew ? crypto.randomUUID() : container.id);
             
             const containerData = {
                 name: container.name,
                 gridWidth: container.gridWidth,
                 gridHeight: container.gridHeight,
                 trackWeight: container.trackWeight ?? true, // 'true' if trackWeight undefined
-                gridItems: container.gridItems || [],
-                trayItems: container.trayItems || [],
+                // Drop painted cells that fell outside the grid after a resize.
+                blockedCells: (container.blockedCells || []).filter(cell => {
+                    const [x, y] = cell.split(',').map(Number);
+                    return x < container.gridWidth && y < container.gridHeight;
+                }),
             };
 
             if (isNew) {
@@ -132,8 +152,21 @@ export default function InventorySettings({ onClose, campaignId, userId, current
         });
         
         for (const containerId of containersToDelete) {
-            const containerRef = doc(inventoryDocRef, 'containers', containerId);
-            batch.delete(containerRef);
+            const latest = useCampaignStore.getState().inventories[userId]?.containers?.[containerId];
+            const { id, ...container } = latest || currentSettings.containers[containerId];
+            // The items go to the trash inside the container entry.
+            Object.keys(toItemDocs(userId, { containers: { [containerId]: container } })).forEach(itemId => {
+                batch.delete(paths.item(campaignId, itemId));
+            });
+            batch.set(paths.trashEntry(campaignId, crypto.randomUUID()), {
+                kind: 'container',
+                inventoryId: userId,
+                containerId,
+                container,
+                deletedBy: getCurrentUser()?.uid || null,
+                deletedAt: repository.timestamp(),
+            });
+            batch.delete(paths.container(campaignId, userId, containerId));
         }
     }
 
@@ -161,31 +194,8 @@ export default function InventorySettings({ onClose, campaignId, userId, current
         }
         setLoading(true);
         try {
-            const batch = writeBatch(db);
-            const campaignDocRef = doc(db, 'campaigns', campaignId);
-            const campaignSnap = await getDoc(campaignDocRef);
-            const campaignData = campaignSnap.data();
-
-            // 1. Delete the user's inventory and containers
-            const inventoryRef = doc(db, 'campaigns', campaignId, 'inventories', userId);
-            const containersRef = collection(inventoryRef, 'containers');
-            const containersSnap = await getDocs(containersRef);
-            containersSnap.forEach(doc => batch.delete(doc.ref));
-            batch.delete(inventoryRef);
-
-            // 2. Update the campaign document to remove the user
-            const newPlayers = campaignData.players.filter(p => p !== userId);
-            const newOrder = campaignData.layout?.order.filter(p => p !== userId);
-            const newVisible = { ...campaignData.layout?.visible };
-            delete newVisible[userId];
-
-            batch.update(campaignDocRef, {
-                players: newPlayers,
-                'layout.order': newOrder,
-                'layout.visible': newVisible,
-            });
-
-            await batch.commit();
+            // Deletes the user's inventory and containers and removes them from the campaign
+            await repository.campaigns.removePlayer(campaignId, userId);
             toast.success("You have left the campaign.");
             // Force a reload to go back to the campaign selection screen
             window.location.reload();
@@ -289,6 +299,30 @@ export default function InventorySettings({ onClose, campaignId, userId, current
                       </div>
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-bold mb-2 text-text-muted">Shape</label>
+                      <p className="text-xs text-text-muted mb-2">Click cells to block them out, e.g. a buckle gap or a narrow neck.</p>
+                      <div
+                        className="grid gap-px w-full max-w-xs"
+                        style={{ gridTemplateColumns: `repeat(${container.gridWidth}, 1fr)` }}
+                      >
+                        {Array.from({ length: container.gridWidth * container.gridHeight }).map((_, index) => {
+                          const x = index % container.gridWidth;
+                          const y = Math.floor(index / container.gridWidth);
+                          const isBlocked = (container.blockedCells || []).includes(`${x},${y}`);
+                          return (
+                            <button
+                              type="button"
+                              key={index}
+                              onClick={() => handleToggleBlockedCell(container.id, x, y)}
+                              className={`aspect-square rounded-sm border border-surface/50 ${isBlocked ? 'bg-black/60' : 'bg-surface/50 hover:bg-accent/30'}`}
+                              aria-label={`Cell ${x + 1}, ${y + 1}: ${isBlocked ? 'blocked' : 'usable'}`}
+                            />
+                          );
+                        })}
+                      </div>
+                    </div>
+
                     {!isDMInventory && (
                         <div className="flex items-center">
                             <input 
@@ -0,0 +1,40 @@
+import React from 'react';
+import { isShapeCellFilled } from '../utils/gridUtils';
+
+/**
+ * Draws the cell mask of a non-rectangular item over its bounding box.
+ * Filled cells get the item's color and receive pointer events; empty cells
+ * are transparent so the tiles underneath stay visible.
+ * @param {object} props - The component props.
+ * @param {object} props.item - The item, with `w`, `h` and a `shape` mask.
+ * @param {string} props.colorClass - The tailwind background class for filled cells.
+ * @returns {JSX.Element}
+ */
+export default function ItemShape({ item, colorClass }) {
+  const cells = [];
+  for (let row = 0; row < item.h; row++) {
+    for (let col = 0; col < item.w; col++) {
+      const filled = isShapeCellFilled(item.shape, col, row);
+      cells.push(
+        <div
+          key={`${col},${row}`}
+          className={filled ? `${colorClass} rounded-sm border border-surface/50` : ''}
+          style={{ pointerEvents: filled ? 'auto' : 'none' }}
+        />
+      );
+    }
+  }
+
+  return (
+    <div
+      className="absolute inset-0 grid"
+      style={{
+        gridTemplateColumns: `repeat(${item.w}, 1fr)`,
+        gridTemplateRows: `repeat(${item.h}, 1fr)`,
+        gap: '1px',
+      }}
+    >
+      {cells}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useCallback } from 'react';
 import { useDroppable } from '@dnd-kit/core';
 import InventoryItem from './InventoryItem';
+import { useLassoSelection } from '../hooks/useLassoSelection';
 
 
 /**
@@ -14,20 +15,32 @@ import InventoryItem from './InventoryItem';
  * @param {string} [props.source='tray'] - The source type for items in this tray.
  * @param {string} [props.emptyMessage] - A custom message to show when the tray is empty.
  * @param {boolean} [props.disabled=false] - Whether the droppable area is disabled.
+ * @param {Set<string>} [props.selectedItemIds] - The IDs of the currently selected items.
+ * @param {Function} [props.onSelectItem] - Toggles an item in the selection (shift/ctrl-click).
+ * @param {Function} [props.onLassoSelect] - Selects the items caught by a lasso drawn over the tray.
  * @returns {JSX.Element}
  */
-export default function ItemTray({ playerId, items, onContextMenu, isDM, containerId, isViewerDM, emptyMessage, source = 'tray', layout = 'horizontal', disabled = false }) {
+function ItemTray({ playerId, items, onContextMenu, isDM, containerId, isViewerDM, emptyMessage, source = 'tray', layout = 'horizontal', disabled = false, selectedItemIds, onSelectItem, onLassoSelect }) {
 
     const { setNodeRef, isOver } = useDroppable({
       id: `${playerId}|${containerId}|${source}`,
       disabled,
     });
+    const { setLassoRef, lassoProps, lassoStyle } = useLassoSelection(
+      useCallback((itemIds, additive) => onLassoSelect?.(itemIds, playerId, source, containerId, additive), [onLassoSelect, playerId, source, containerId]),
+      disabled || !onLassoSelect
+    );
 
    return (
       <div 
-        ref={setNodeRef} 
-        className={`flex gap-2 rounded-md transition-colors duration-200 ${isOver ? 'bg-accent/10' : ''} ${layout === 'vertical' ? 'flex-col' : 'flex-wrap items-center min-h-[6rem]'}`}
+        ref={(node) => {
+          setNodeRef(node);
+          setLassoRef(node);
+        }}
+        className={`relative flex gap-2 rounded-md transition-colors duration-200 ${isOver ? 'bg-accent/10' : ''} ${layout === 'vertical' ? 'flex-col' : 'flex-wrap items-center min-h-[6rem]'}`}
         style={{ pointerEvents: disabled ? 'none' : 'auto' }} // Extra safety
+        {...lassoProps}
+        data-item-area
       >
         {items.length === 0 && (
           <p className="text-text-muted text-sm px-4 font-fantasy italic w-full text-center">{emptyMessage || 'There is nothing on the ground.'}</p>
@@ -44,9 +57,16 @@ export default function ItemTray({ playerId, items, onContextMenu, isDM, contain
               isViewerDM={isViewerDM}
               cellSize={{ width: 80, height: 80 }}
               disabled={disabled}
+              isSelected={!!selectedItemIds?.has(item.id)}
+              onSelect={onSelectItem && ((e, item, itemSource) => onSelectItem(e, item, playerId, itemSource, containerId))}
             />
           </div>
         ))}
+        {lassoStyle && (
+          <div className="absolute z-30 border border-accent bg-accent/20 rounded-sm pointer-events-none" style={lassoStyle} />
+        )}
       </div>
   );
-}
\ No newline at end of file
+}
+
+export default React.memo(ItemTray);
@@ -2,9 +2,7 @@
 
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db, auth } from '../firebase';
-import { doc, updateDoc, arrayUnion, setDoc } from 'firebase/firestore';
-import { getDoc } from "firebase/firestore";
+import { repository, getCurrentUser } from '../repositories';
 import { useStarterPacks } from '../hooks/useStarterPacks';
 
 export default function JoinCampaign({ campaignId, onClose, onJoinSuccess, isDMAddingCharacter = false }) {
@@ -28,43 +26,28 @@ export default function JoinCampaign({ campaignId, onClose, onJoinSuccess, isDMA
       return;
     }
     setLoading(true);
-    const currentUser = auth.currentUser;
+    const currentUser = getCurrentUser();
     
     let startingItems = [];
     if (selectedPackId !== 'none') {
         const selectedPack = packs.find(p => p.id === selectedPackId);
         if (selectedPack) {
-            // THIS IS THE FIX (Part 1): Ensure every starter item has all the
-            // necessary default properties to be rendered correctly.
-            startingItems = selectedPack.items.map(item => ({
-                name: "Unknown Item",
-                w: 1, h: 1,
-                type: 'Gear',
-                stackable: item.quantity > 1,
-                ...item, // The item's data from the pack will override defaults
-                id: crypto.randomUUID()
-            }));
+            // Whatever the pack leaves out is filled in when the inventory is created (see `normalizeItem`).
+            startingItems = selectedPack.items.map(item => ({ ...item, id: crypto.randomUUID() }));
         }
     }
 
     try {
-      const campaignDocRef = doc(db, 'campaigns', campaignId);
-      const campaignDoc = await getDoc(campaignDocRef);
-      const campaignData = campaignDoc.data();
+      const campaignData = await repository.campaigns.get(campaignId);
 
       const defaultBackpackSize = campaignData?.defaultBackpackSize || { width: 10, height: 5 };
       
       if (isDMAddingCharacter) {
         const newCharacterId = crypto.randomUUID();
         
-        await updateDoc(campaignDocRef, {
-          players: arrayUnion(newCharacterId),
-          [`layout.order`]: arrayUnion(newCharacterId),
-          [`layout.visible.${newCharacterId}`]: true
-        });
+        await repository.campaigns.addPlayer(campaignId, newCharacterId);
 
-        const inventoryDocRef = doc(db, "campaigns", campaignId, "inventories", newCharacterId);
-        await setDoc(inventoryDocRef, {
+        await repository.inventories.create(campaignId, newCharacterId, {
           characterName: characterName.trim(),
           ownerId: currentUser.uid, // DM is the owner
           trayItems: startingItems,
@@ -74,42 +57,35 @@ export default function JoinCampaign({ campaignId, onClose, onJoinSuccess, isDMA
           size: 'Medium',
           useCalculatedWeight: true,
           currency: { gp: 0, sp: 0, cp: 0 },
-        });
-
-        const backpackRef = doc(inventoryDocRef, "containers", "backpack");
-        await setDoc(backpackRef, {
-          name: "Backpack",
-          gridItems: [],
-          gridWidth: defaultBackpackSize.width,
-          gridHeight: defaultBackpackSize.height,
-          trackWeight: true,
+        }, {
+          backpack: {
+            name: "Backpack",
+            gridItems: [],
+            gridWidth: defaultBackpackSize.width,
+            gridHeight: defaultBackpackSize.height,
+            trackWeight: true,
+          },
         });
 
       } else {
         // Existing logic for a player joining
-        await updateDoc(campaignDocRef, {
-          players: arrayUnion(currentUser.uid),
-          [`layout.order`]: arrayUnion(currentUser.uid),
-          [`layout.visible.${currentUser.uid}`]: true
-        });
+        await repository.campaigns.addPlayer(campaignId, currentUser.uid);
 
-        const inventoryDocRef = doc(db, "campaigns", campaignId, "inventories", currentUser.uid);
-        await setDoc(inventoryDocRef, {
+        await repository.inventories.create(campaignId, currentUser.uid, {
           characterName: characterName.trim(),
           ownerId: currentUser.uid,
           trayItems: startingItems,
           totalMaxWeight: 100,
           weightUnit: 'lbs',
           currency: { gp: 0, sp: 0, cp: 0 },
-        });
-        
-        const backpackRef = doc(inventoryDocRef, "containers", "backpack");
-        await setDoc(backpackRef, {
-          name: "Backpack",
-          gridItems: [], // The backpack starts empty
-          gridWidth: defaultBackpackSize.width,
-          gridHeight: defaultBackpackSize.height,
-          trackWeight: true,
+        }, {
+          backpack: {
+            name: "Backpack",
+            gridItems: [], // The backpack starts empty
+            gridWidth: defaultBackpackSize.width,
+            gridHeight: defaultBackpackSize.height,
+            trackWeight: true,
+          },
         });
       }
 
@@ -0,0 +1,91 @@
+import React, { useState, useMemo } from 'react';
+import { packItems } from '../utils/gridUtils';
+import { getColorForItemType } from '../utils/itemUtils';
+import ItemShape from './ItemShape';
+
+/**
+ * A modal that previews an automatically packed layout for a container grid
+ * before it is applied. Items are repacked largest first and, optionally,
+ * rotated to make room.
+ * @param {object} props - The component props.
+ * @param {object} props.container - The container to organize (needs `gridItems`, `gridWidth`, `gridHeight`).
+ * @param {Function} props.onApply - Called with the packed `gridItems` array when the user confirms.
+ * @param {Function} props.onClose - Closes the modal.
+ * @returns {JSX.Element}
+ */
+export default function OrganizeContainer({ container, onApply, onClose }) {
+  const [allowRotation, setAllowRotation] = useState(false);
+
+  const { gridWidth, gridHeight, blockedCells } = container;
+  const preview = useMemo(
+    () => packItems(container.gridItems || [], gridWidth, gridHeight, allowRotation, blockedCells),
+    [container, gridWidth, gridHeight, allowRotation, blockedCells]
+  );
+  const blocked = new Set(blockedCells || []);
+
+  const gridStyle = {
+    display: 'grid',
+    gridTemplateColumns: `repeat(${gridWidth}, 1fr)`,
+    gridTemplateRows: `repeat(${gridHeight}, 1fr)`,
+    aspectRatio: `${gridWidth} / ${gridHeight}`,
+    gap: '1px',
+  };
+
+  const canApply = preview.overflow.length === 0 && (container.gridItems || []).length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-40 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-auto" onClick={e => e.stopPropagation()}>
+        <h3 className="text-2xl font-bold mb-4 font-fantasy text-accent text-center">Organize {container.name}</h3>
+        <p className="text-text-muted mb-4 text-sm text-center">Preview of the packed layout. Nothing is saved until you apply it.</p>
+
+        <div className="relative w-full bg-background/50 rounded-lg border border-accent/10 shadow-inner" style={gridStyle}>
+          <div className="absolute inset-0 grid" style={gridStyle}>
+            {Array.from({ length: gridWidth * gridHeight }).map((_, index) => (
+              <div key={index} className={`${blocked.has(`${index % gridWidth},${Math.floor(index / gridWidth)}`) ? 'bg-black/60' : 'bg-surface/30'} rounded-sm`}></div>
+            ))}
+          </div>
+          {preview.items.map(item => (
+            <div
+              key={item.id}
+              style={{ gridColumn: `${item.x + 1} / span ${item.w}`, gridRow: `${item.y + 1} / span ${item.h}` }}
+              className={`${item.shape ? '' : `${getColorForItemType(item.type)} border border-surface/50`} relative z-10 rounded-lg flex items-center justify-center p-1 overflow-hidden`}
+            >
+              {item.shape && <ItemShape item={item} colorClass={getColorForItemType(item.type)} />}
+              <span className="relative truncate text-text-base font-bold text-xs">{item.name}</span>
+            </div>
+          ))}
+        </div>
+
+        {preview.overflow.length > 0 && (
+          <p className="text-destructive text-sm mt-4">
+            {preview.overflow.length} item(s) would not fit: {preview.overflow.map(i => i.name).join(', ')}.
+          </p>
+        )}
+
+        <div className="flex items-center mt-4">
+          <input
+            id="organize-allow-rotation"
+            type="checkbox"
+            checked={allowRotation}
+            onChange={(e) => setAllowRotation(e.target.checked)}
+            className="w-4 h-4 text-primary bg-background border-surface/50 rounded focus:ring-accent"
+          />
+          <label htmlFor="organize-allow-rotation" className="ml-2 text-sm font-medium text-text-muted">Rotate items to make room</label>
+        </div>
+
+        <div className="flex justify-end space-x-4 pt-4">
+          <button type="button" onClick={onClose} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Cancel</button>
+          <button
+            type="button"
+            onClick={() => onApply(preview.items)}
+            disabled={!canApply}
+            className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * A small badge showing how many changes to an inventory haven't reached the server yet.
+ * Renders nothing when everything is synced.
+ * @param {object} props - The component props.
+ * @param {number} props.count - The number of queued changes touching the inventory.
+ * @param {boolean} props.isOnline - Whether the app is connected (changes are syncing rather than waiting).
+ * @returns {JSX.Element | null}
+ */
+export default function PendingSyncBadge({ count, isOnline }) {
+  if (!count) return null;
+
+  const label = `${count} change${count === 1 ? '' : 's'} ${isOnline ? 'syncing' : 'waiting to sync'}`;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs font-bold px-2 py-0.5 rounded-full border ${isOnline ? 'bg-accent/10 border-accent/40 text-accent' : 'bg-amber-900/50 border-amber-500 text-amber-200'}`}
+      title={label}
+      aria-label={label}
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" className={`w-3.5 h-3.5 ${isOnline ? 'animate-pulse' : ''}`}>
+        <path d="M5.5 16a3.5 3.5 0 01-.369-6.98 4 4 0 117.753-1.977A4.5 4.5 0 1113.5 16h-8z" />
+      </svg>
+      {count}
+    </span>
+  );
+}
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useCallback } from 'react';
 import { useDroppable } from '@dnd-kit/core';
 import InventoryItem from './InventoryItem';
+import { useLassoSelection } from '../hooks/useLassoSelection';
 
 /**
  * Renders the droppable grid area for a single container. It displays the grid background,
@@ -9,24 +10,37 @@ import InventoryItem from './InventoryItem';
  * @param {Array<object>} props.items - The array of item objects in the grid.
  * @param {number} props.gridWidth - The width of the grid in cells.
  * @param {number} props.gridHeight - The height of the grid in cells.
+ * @param {string[]} [props.blockedCells] - The `"x,y"` cells of the container that are disabled.
  * @param {string} props.containerId - The ID of the container this grid belongs to.
  * @param {Function} props.onContextMenu - The context menu handler passed down from the parent.
  * @param {string} props.playerId - The ID of the player who owns this grid.
- * @param {Function} props.setGridRef - A function to pass the grid's DOM node ref to the parent.
+ * @param {object} props.gridRefs - The parent's ref holding the grid DOM nodes, keyed by container ID.
  * @param {object} props.cellSize - The calculated width and height of a single grid cell.
+ * @param {Set<string>} [props.selectedItemIds] - The IDs of the currently selected items.
+ * @param {Function} [props.onSelectItem] - Toggles an item in the selection (shift/ctrl-click).
+ * @param {Function} [props.onLassoSelect] - Selects the items caught by a lasso drawn over the grid.
+ * @param {Function} [props.onRotateItem] - Rotates an item (the R key on a focused item).
+ * @param {string} [props.label] - The name of the grid read out by screen readers.
  * @returns {JSX.Element}
  */
-export default function PlayerInventoryGrid({ items, gridWidth, gridHeight, containerId, onContextMenu, playerId, setGridRef, cellSize, isViewerDM }) {
+function PlayerInventoryGrid({ items, gridWidth, gridHeight, blockedCells, containerId, onContextMenu, playerId, gridRefs, cellSize, isViewerDM, selectedItemIds, onSelectItem, onLassoSelect, onRotateItem, label }) {
   
   const { setNodeRef, isOver } = useDroppable({ id: `${playerId}|${containerId}|grid` });
+  const { setLassoRef, lassoProps, lassoStyle } = useLassoSelection(
+    useCallback((itemIds, additive) => onLassoSelect?.(itemIds, playerId, 'grid', containerId, additive), [onLassoSelect, playerId, containerId]),
+    !onLassoSelect
+  );
 
   const combinedRef = (node) => {
       setNodeRef(node);
-      if (setGridRef) {
-        setGridRef(node);
+      setLassoRef(node);
+      if (gridRefs) {
+        gridRefs.current[containerId] = node;
       }
     };
 
+  const blocked = new Set(blockedCells || []);
+
   const gridStyle = {
     display: 'grid',
     gridTemplateColumns: `repeat(${gridWidth}, 1fr)`,
@@ -41,10 +55,16 @@ export default function PlayerInventoryGrid({ items, gridWidth, gridHeight, cont
       ref={combinedRef}
       style={gridStyle}
       className={`relative w-full bg-background/50 rounded-lg border border-accent/10 shadow-inner transition-colors duration-200 ${isOver ? 'bg-accent/10' : ''}`}
+      {...lassoProps}
+      data-item-area
+      role="group"
+      aria-label={label}
     >
       <div className="absolute inset-0 grid" style={gridStyle}>
         {Array.from({ length: gridWidth * gridHeight }).map((_, index) => (
-          <div key={index} className="bg-surface/30 rounded-sm"></div>
+          blocked.has(`${index % gridWidth},${Math.floor(index / gridWidth)}`)
+            ? <div key={index} className="bg-black/60 rounded-sm" title="Unusable space"></div>
+            : <div key={index} className="bg-surface/30 rounded-sm"></div>
         ))}
       </div>
       
@@ -64,8 +84,18 @@ export default function PlayerInventoryGrid({ items, gridWidth, gridHeight, cont
           source="grid"
           cellSize={cellSize}
           isViewerDM={isViewerDM}
+          isSelected={!!selectedItemIds?.has(item.id)}
+          onSelect={onSelectItem && ((e, item, source) => onSelectItem(e, item, playerId, source, containerId))}
+          onRotate={onRotateItem && ((item) => onRotateItem(item, playerId, containerId))}
         />
       ))}
+
+      {lassoStyle && (
+        <div className="absolute z-30 border border-accent bg-accent/20 rounded-sm pointer-events-none" style={lassoStyle} />
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+// Memoized so a change to one container doesn't re-render every other grid on screen.
+export default React.memo(PlayerInventoryGrid);
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { db, auth} from '../firebase';
-import { doc, setDoc } from "firebase/firestore";
+import { auth } from '../firebase';
+import { repository } from '../repositories';
 import toast from 'react-hot-toast';
 
 export default function ProfileSettings({ user, userProfile, onClose }) {
@@ -9,7 +9,7 @@ export default function ProfileSettings({ user, userProfile, onClose }) {
   const [error, setError] = useState('');
 
   /**
-   * Saves the user's updated profile settings (e.g., display name) to their document in Firestore.
+   * Saves the user's updated profile settings (e.g., display name) to their user document.
    * @param {React.FormEvent} e - The form submission event.
    */
   const handleSave = async (e) => {
@@ -21,10 +21,9 @@ export default function ProfileSettings({ user, userProfile, onClose }) {
     setLoading(true);
     setError('');
 
-    const userDocRef = doc(db, 'users', user.uid);
     try {
       // Save all profile fields, including the new dimensions
-      await setDoc(userDocRef, { 
+      await repository.users.set(user.uid, { 
         displayName,
       }, { merge: true });
       onClose();
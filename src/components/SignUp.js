@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db, auth } from '../firebase';
-import { doc, setDoc, serverTimestamp } from "firebase/firestore";
+import { auth } from '../firebase';
+import { repository } from '../repositories';
 import { createUserWithEmailAndPassword } from "firebase/auth";
 
 export default function SignUp({ onSwitchToLogin, onShowPolicy, onGoogleSignIn }) {
@@ -12,19 +12,18 @@ export default function SignUp({ onSwitchToLogin, onShowPolicy, onGoogleSignIn }
   /**
    * Handles the user sign-up process with email and password.
    * On successful creation of the Firebase Auth user, it also creates a
-   * corresponding user profile document in Firestore with default values.
+   * corresponding user profile document with default values.
    */
   const handleSignUp = async () => {
     setLoading(true);
     try {
       const userCredential = await createUserWithEmailAndPassword(auth, email, password);
       const user = userCredential.user;
-      await setDoc(doc(db, "users", user.uid), {
+      await repository.users.create(user.uid, {
         email: user.email,
         displayName: user.email.split('@')[0],
         gridWidth: 30,
         gridHeight: 10,
-        createdAt: serverTimestamp(),
       });
       toast.success("Account created successfully!");
     } catch (err) {
@@ -1,35 +1,39 @@
-import React from 'react';
+import React, { useState } from 'react';
 import toast from 'react-hot-toast';
-import { db } from '../firebase';
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { repository } from '../repositories';
 
 export default function StartTrade({ onClose, campaign, user, playerProfiles, onTradeStarted, inventories }) {
   const otherPlayers = campaign.players.filter(pId => pId !== user.uid);
+  const [selectedPlayers, setSelectedPlayers] = useState([]);
+
+  const togglePlayer = (playerId) => {
+    setSelectedPlayers(prev => (prev.includes(playerId) ? prev.filter(id => id !== playerId) : [...prev, playerId]));
+  };
 
   /**
-   * Initiates a trade with a target player by creating a new 'pending' trade document in Firestore.
+   * Initiates a trade with the selected players by creating a trade document in Firestore that
+   * only the initiator has joined so far; the others join by accepting the invitation.
    * After creation, it immediately opens the trade window for the initiator.
-   * @param {string} targetPlayerId - The UID of the player to send a trade request to.
    */
-  const handleInitiateTrade = async (targetPlayerId) => {
+  const handleInitiateTrade = async () => {
+    const players = [user.uid, ...selectedPlayers];
     try {
-      // Create the trade document in Firestore
-      const tradeDocRef = await addDoc(collection(db, 'trades'), {
+      // Create the trade document
+      const tradeId = await repository.trades.create({
         campaignId: campaign.id,
-        players: [user.uid, targetPlayerId],
-        playerA: user.uid,
-        playerB: targetPlayerId,
-        offerA: [],
-        offerB: [],
-        status: 'pending',
-        createdAt: serverTimestamp(),
+        initiatorId: user.uid,
+        players,
+        joined: [user.uid],
+        offers: Object.fromEntries(players.map(playerId => [playerId, []])),
+        coins: {},
+        accepted: {},
       });
       
-      const targetName = inventories[targetPlayerId]?.characterName || playerProfiles[targetPlayerId]?.displayName;
-      toast.success(`Trade request sent to ${targetName}.`);
+      const targetNames = selectedPlayers.map(pId => inventories[pId]?.characterName || playerProfiles[pId]?.displayName);
+      toast.success(`Trade request sent to ${targetNames.join(', ')}.`);
       
       // Immediately open the trade window for the initiator
-      onTradeStarted({ id: tradeDocRef.id });
+      onTradeStarted({ id: tradeId });
       onClose();
 
     } catch (error) {
@@ -43,20 +47,30 @@ export default function StartTrade({ onClose, campaign, user, playerProfiles, on
       <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-sm" onClick={e => e.stopPropagation()}>
         <h3 className="text-2xl font-bold mb-4 font-fantasy text-accent">Trade With...</h3>
         {otherPlayers.length > 0 ? (
+          <>
           <ul className="space-y-2">
             {otherPlayers.map(pId => {
               return (
                 <li key={pId}>
                   <button
-                    onClick={() => handleInitiateTrade(pId)}
-                    className="w-full text-left p-3 bg-background hover:bg-surface/80 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex justify-between items-center"
+                    onClick={() => togglePlayer(pId)}
+                    className={`w-full text-left p-3 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex justify-between items-center ${selectedPlayers.includes(pId) ? 'bg-primary/40 hover:bg-primary/50' : 'bg-background hover:bg-surface/80'}`}
                   >
                     <span>{inventories[pId]?.characterName || playerProfiles[pId]?.displayName || pId}</span>
+                    {selectedPlayers.includes(pId) && <span className="text-accent font-bold">✓</span>}
                   </button>
                 </li>
               );
             })}
           </ul>
+          <button
+            onClick={handleInitiateTrade}
+            disabled={selectedPlayers.length === 0}
+            className="w-full mt-4 bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50"
+          >
+            {selectedPlayers.length > 1 ? `Start Trade with ${selectedPlayers.length} Players` : 'Start Trade'}
+          </button>
+          </>
         ) : (
           <p className="text-text-muted">There are no other players in this campaign to trade with.</p>
         )}
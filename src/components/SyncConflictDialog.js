@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { diffItemListsSnapshots } from '../utils/deltaUtils';
+
+/**
+ * Lists the items a queued change touches, per inventory, so the user can recognize it.
+ * @param {{before: object, after: object}} change - The queued change.
+ * @param {object} inventories - All inventories, used for their names.
+ * @returns {{playerId: string, name: string, items: string[]}[]}
+ */
+const describeChange = (change, inventories) => {
+  return Object.entries(change.after).map(([playerId, after]) => {
+    const names = new Set();
+    diffItemListsSnapshots(change.before[playerId], after).forEach(({ delta }) => {
+      delta.removed.forEach(item => names.add(item.name));
+      delta.upserted.forEach(({ item }) => names.add(item.name));
+    });
+    return { playerId, name: inventories[playerId]?.characterName || 'An inventory', items: [...names] };
+  }).filter(entry => entry.items.length > 0);
+};
+
+/**
+ * Shown when a change made offline can't be synced because someone else changed the
+ * same items in the meantime. The user either keeps their version or the server's.
+ * @param {object} props - The component props.
+ * @param {{change: object, message: string}} props.conflict - The rejected change and why.
+ * @param {number} props.remainingCount - How many other changes are still waiting after this one.
+ * @param {object} props.inventories - All inventories, used for their names.
+ * @param {function(boolean): Promise<void>} props.onResolve - Called with `true` to keep the user's version.
+ * @returns {JSX.Element}
+ */
+export default function SyncConflictDialog({ conflict, remainingCount, inventories, onResolve }) {
+  const [isResolving, setIsResolving] = useState(false);
+  const affected = describeChange(conflict.change, inventories);
+
+  const handleResolve = async (keepMine) => {
+    setIsResolving(true);
+    try {
+      await onResolve(keepMine);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-30 backdrop-blur-sm" role="alertdialog" aria-labelledby="sync-conflict-title">
+      <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-md text-text-base">
+        <h3 id="sync-conflict-title" className="text-2xl font-bold mb-4 font-fantasy text-accent text-center">Sync Conflict</h3>
+        <p className="text-sm text-text-muted mb-2">
+          A change you made while offline clashes with changes someone else made in the meantime.
+        </p>
+        <p className="text-sm text-destructive mb-4">{conflict.message}</p>
+
+        <div className="bg-background/50 rounded-md p-3 border border-surface/50 space-y-2 mb-4 max-h-48 overflow-y-auto">
+          {affected.map(({ playerId, name, items }) => (
+            <div key={playerId} className="text-sm">
+              <span className="font-bold text-text-base">{name}:</span>{' '}
+              <span className="text-text-muted">{items.join(', ')}</span>
+            </div>
+          ))}
+        </div>
+
+        <ul className="text-xs text-text-muted space-y-1 mb-4 list-disc pl-4">
+          <li><span className="font-bold">Keep theirs</span> throws your change away.</li>
+          <li><span className="font-bold">Keep mine</span> puts these items back the way you left them, undoing their changes to them. Anything whose spot is now taken is moved to a free one.</li>
+        </ul>
+        {remainingCount > 0 && (
+          <p className="text-xs text-text-muted mb-2">
+            {remainingCount} more change{remainingCount === 1 ? '' : 's'} will sync after this one.
+          </p>
+        )}
+
+        <div className="flex justify-end space-x-4 pt-4">
+          <button type="button" disabled={isResolving} onClick={() => handleResolve(false)} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors duration-200 disabled:opacity-50">Keep theirs</button>
+          <button type="button" disabled={isResolving} onClick={() => handleResolve(true)} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors duration-200 disabled:opacity-50">Keep mine</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,18 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import toast from 'react-hot-toast';
-import { db } from '../firebase';
-import { doc, onSnapshot, updateDoc, getDoc, getDocs, collection, writeBatch, deleteDoc } from 'firebase/firestore';
+import { repository } from '../repositories';
 import Spinner from './Spinner';
+import { useCampaignStore } from '../stores/useCampaignStore';
 import { generateItemTooltip } from '../utils/itemUtils';
+import { offerItem, withdrawItem, redirectItem, withoutOffered, hasCoins } from '../utils/tradeUtils';
+
+// The coins a trade can carry, in the colours the wallet shows them in.
+const COINS = [
+  { key: 'gp', label: 'GP', color: 'text-yellow-500' },
+  { key: 'sp', label: 'SP', color: 'text-gray-400' },
+  { key: 'cp', label: 'CP', color: 'text-orange-400' },
+];
+const NO_COINS = { gp: 0, sp: 0, cp: 0 };
 
 /**
  * A simple component to render a single item in a list for the trade window.
@@ -27,60 +36,174 @@ function ItemListItem({ item, onClick }) {
 }
 
 /**
- * A component that displays a list of items being offered in the trade.
+ * A component that displays the items and coins a player offers in the trade.
  * @param {object} props - The component props.
- * @param {Array<object>} props.items - The array of item objects in the offer.
- * @param {Function} props.onItemClick - The function to call when an item in the offer is clicked.
+ * @param {Array<object>} props.items - The offered items, each with who receives it in `to`.
+ * @param {object} props.coins - The coins offered to each other player, by their ID.
+ * @param {boolean} props.showReceivers - Whether to say who receives what, for trades with more than two players.
+ * @param {Function} props.nameOf - Returns the name to show for a player ID.
+ * @param {Function} [props.onItemClick] - The function to call when an item in the offer is clicked.
  * @returns {JSX.Element}
  */
-function TradeOffer({ items, onItemClick }) {
+function TradeOffer({ items, coins, showReceivers, nameOf, onItemClick }) {
+    const coinOffers = Object.entries(coins || {}).filter(([, offered]) => hasCoins(offered));
     return (
         <div className="bg-background/50 min-h-[5rem] h-20 sm:min-h-[6rem] sm:h-24 rounded-lg p-2 flex items-center space-x-2 overflow-x-auto border border-accent/20">
-            {items.length === 0 ? (
+            {items.length === 0 && coinOffers.length === 0 ? (
                 <p className="text-text-muted text-sm px-2 italic w-full text-center">Offer is empty.</p>
             ) : (
-                items.map(item => (
+                <>
+                {coinOffers.map(([to, offered]) => (
+                    <div key={to} className="h-full flex-shrink-0 flex flex-col justify-center px-2 text-xs font-bold bg-surface/80 rounded-md">
+                        {COINS.filter(({ key }) => offered[key] > 0).map(({ key, label, color }) => (
+                            <span key={key} className={color}>{offered[key]} {label}</span>
+                        ))}
+                        {showReceivers && <span className="text-text-muted font-normal">→ {nameOf(to)}</span>}
+                    </div>
+                ))}
+                {items.map(item => (
                     <div
-                        key={item.id}
-                        className="w-20 h-full flex-shrink-0 sm:w-24"
+                        key={`${item.id}:${item.to}`}
+                        className="w-20 h-full flex-shrink-0 sm:w-24 flex flex-col"
                     >
-                       <ItemListItem item={item} onClick={() => onItemClick(item)} />
+                       <ItemListItem item={item} onClick={() => onItemClick?.(item)} />
+                       {showReceivers && <span className="text-text-muted text-xs truncate">→ {nameOf(item.to)}</span>}
                     </div>
-                ))
+                ))}
+                </>
             )}
         </div>
     );
 }
 
+/**
+ * Inputs for the coins a player gives another, each capped by what their wallet holds
+ * besides what they already give the others.
+ * @param {object} props - The component props.
+ * @param {{gp: number, sp: number, cp: number}} props.coins - The coins currently offered.
+ * @param {{gp: number, sp: number, cp: number}} props.max - The most of each coin that can be offered.
+ * @param {boolean} props.disabled - Whether the offer can no longer change.
+ * @param {Function} props.onChange - Called with the coin (`'gp'`, `'sp'` or `'cp'`) and the amount typed.
+ * @returns {JSX.Element}
+ */
+function CoinOffer({ coins, max, disabled, onChange }) {
+    return (
+        <div className="flex flex-wrap items-center gap-3 mt-2">
+            {COINS.map(({ key, label, color }) => (
+                <label key={key} className="flex items-center gap-1 text-sm">
+                    <input
+                        type="number"
+                        min={0}
+                        max={max[key]}
+                        value={coins[key]}
+                        disabled={disabled}
+                        onChange={(e) => onChange(key, e.target.value)}
+                        className="w-16 px-2 py-1 bg-background border border-surface/50 rounded text-right focus:outline-none focus:border-accent font-sans disabled:opacity-50"
+                    />
+                    <span className={`font-bold ${color}`}>{label}</span>
+                    <span className="text-text-muted text-xs">/ {max[key]}</span>
+                </label>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Asks how many of a stack to add to the offer, and who receives it when there is a choice.
+ * @param {object} props - The component props.
+ * @param {object} props.item - The item, with what is still available of it as `quantity`.
+ * @param {string[]} props.receivers - The IDs of the players who could receive it.
+ * @param {Function} props.nameOf - Returns the name to show for a player ID.
+ * @param {Function} props.onClose - Called when the picker is dismissed.
+ * @param {Function} props.onOffer - Called with the quantity to offer and the ID of the receiver.
+ * @returns {JSX.Element}
+ */
+function OfferItem({ item, receivers, nameOf, onClose, onOffer }) {
+    const [amount, setAmount] = useState(item.quantity);
+    const [receiver, setReceiver] = useState(receivers[0]);
+
+    const handleOffer = () => {
+        const quantity = parseInt(amount, 10);
+        if (isNaN(quantity) || quantity <= 0 || quantity > item.quantity) {
+            toast.error(`Please enter a number between 1 and ${item.quantity}.`);
+            return;
+        }
+        onOffer(quantity, receiver);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-50 backdrop-blur-sm">
+            <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-xs text-text-base space-y-4">
+                <h3 className="text-2xl font-bold font-fantasy text-accent text-center">Offer {item.name}</h3>
+                {item.stackable && item.quantity > 1 && (
+                    <div>
+                        <label className="block text-sm font-bold mb-2 text-text-muted">How many? (up to {item.quantity})</label>
+                        <input
+                            type="number"
+                            min="1"
+                            max={item.quantity}
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent transition-all duration-200"
+                        />
+                    </div>
+                )}
+                {receivers.length > 1 && (
+                    <div>
+                        <label className="block text-sm font-bold mb-2 text-text-muted">To whom?</label>
+                        <select
+                            value={receiver}
+                            onChange={(e) => setReceiver(e.target.value)}
+                            className="w-full p-2 bg-background border border-surface/50 rounded-md focus:outline-none focus:ring-2 focus:ring-accent"
+                        >
+                            {receivers.map(playerId => <option key={playerId} value={playerId}>{nameOf(playerId)}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="flex justify-end space-x-4 pt-4">
+                    <button type="button" onClick={onClose} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors duration-200">Cancel</button>
+                    <button type="button" onClick={handleOffer} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors duration-200">Offer</button>
+                </div>
+            </div>
+        </div>
+    );
+}
 
-export default function Trade({ onClose, tradeId, user, playerProfiles, inventories }) {
+/**
+ * The trading table, shared by everyone taking part in a trade. Each player builds their own
+ * offer from their items and coins, choosing who receives each, and sees everyone else's.
+ * Any change to an offer withdraws every acceptance; once all have accepted, the trade is
+ * finalized on the server.
+ */
+export default function Trade({ onClose, tradeId, user, playerProfiles }) {
     const [tradeData, setTradeData] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [isFinalizing, setIsFinalizing] = useState(false);
-    const [localInventory, setLocalInventory] = useState([]);
+    const [ownItems, setOwnItems] = useState(null);
     const [localOffer, setLocalOffer] = useState([]);
-    const [otherPlayerOffer, setOtherPlayerOffer] = useState([]);
-    const [isInventoryLoaded, setIsInventoryLoaded] = useState(false);
+    const [localCoins, setLocalCoins] = useState({});
+    const [pendingItem, setPendingItem] = useState(null);
     const snapshotUnsubscribe = useRef(null);
 
+    const logActivity = useCampaignStore(state => state.logActivity);
+    const inventories = useCampaignStore(state => state.inventories);
+
     useEffect(() => {
-        const tradeDocRef = doc(db, 'trades', tradeId);
         /**
          * Subscribes to real-time updates for the current trade document.
-         * Updates the local state (`tradeData`, `otherPlayerOffer`, `localOffer`) whenever the trade data changes in Firestore.
-         * This keeps the UI in sync for both players.
+         * Updates the local state (`tradeData`, `localOffer`, `localCoins`) whenever the trade data changes in Firestore.
+         * This keeps the UI in sync for every player.
          */
-        snapshotUnsubscribe.current = onSnapshot(tradeDocRef, (doc) => {
-            if (!doc.exists()) {
+        snapshotUnsubscribe.current = repository.trades.subscribe(tradeId, (updatedTradeData) => {
+            if (!updatedTradeData) {
                 onClose();
                 return;
             }
-            const updatedTradeData = doc.data();
             setTradeData(updatedTradeData);
-            const isPlayerA = user.uid === updatedTradeData.playerA;
-            setOtherPlayerOffer(isPlayerA ? updatedTradeData.offerB : updatedTradeData.offerA);
-            setLocalOffer(isPlayerA ? updatedTradeData.offerA : updatedTradeData.offerB);
+            setLocalOffer(updatedTradeData.offers?.[user.uid] || []);
+            setLocalCoins(updatedTradeData.coins?.[user.uid] || {});
         }, (error) => {
             console.error("Snapshot listener error:", error);
             onClose();
@@ -89,78 +212,107 @@ export default function Trade({ onClose, tradeId, user, playerProfiles, inventor
     }, [tradeId, user.uid, onClose]);
 
     useEffect(() => {
-        if (!tradeData || isInventoryLoaded) return;
+        if (!tradeData || ownItems) return;
         /**
-         * Fetches the user's complete inventory once when the trade window opens.
-         * It aggregates items from the main tray and all containers, then filters out
-         * any items that are already part of the initial trade offer.
+         * Lists the user's items once when the trade window opens.
+         * It aggregates items from the main tray and all containers.
          */
-        const fetchInitialInventory = async () => {
-            setIsLoading(true);
-            try {
-                const inventoryDocRef = doc(db, 'campaigns', tradeData.campaignId, 'inventories', user.uid);
-                const inventorySnap = await getDoc(inventoryDocRef);
-                if (inventorySnap.exists()) {
-                    const inventoryData = inventorySnap.data();
-                    let allItems = [...(inventoryData.trayItems || [])];
-                    const containersColRef = collection(inventoryDocRef, 'containers');
-                    const containersSnapshot = await getDocs(containersColRef);
-                    containersSnapshot.forEach(doc => {
-                        const d = doc.data();
-                        if (d.gridItems) allItems = [...allItems, ...d.gridItems];
-                        if (d.trayItems) allItems = [...allItems, ...d.trayItems];
-                    });
-                    const offerIds = new Set(localOffer.map(i => i.id));
-                    setLocalInventory(allItems.filter(i => !offerIds.has(i.id)));
-                    setIsInventoryLoaded(true);
-                }
-            } catch (e) { toast.error("Could not load inventory."); } 
-            finally { setIsLoading(false); }
-        };
-        fetchInitialInventory();
-    }, [tradeData, user.uid, localOffer, isInventoryLoaded]);
+        const inventoryData = inventories[user.uid];
+        // Its items are still loading; this runs again once they are in.
+        if (inventoryData?.isPartial) return;
+        if (inventoryData) {
+            let allItems = [...(inventoryData.trayItems || [])];
+            Object.values(inventoryData.containers || {}).forEach(d => {
+                if (d.gridItems) allItems = [...allItems, ...d.gridItems];
+                if (d.trayItems) allItems = [...allItems, ...d.trayItems];
+            });
+            setOwnItems(allItems);
+        } else {
+            toast.error("Could not load inventory.");
+        }
+        setIsLoading(false);
+    }, [tradeData, user.uid, ownItems, inventories]);
+
+    // What the user hasn't offered yet, with what is left of partly offered stacks.
+    const availableItems = useMemo(() => withoutOffered(ownItems || [], localOffer), [ownItems, localOffer]);
+
+    const nameOf = (playerId) => (playerId === user.uid
+        ? 'You'
+        : inventories[playerId]?.characterName || playerProfiles[playerId]?.displayName || 'Someone');
 
     /**
-     * Handles moving an item between the user's available inventory and their current trade offer.
-     * It updates the local state and then updates the user's offer in the Firestore trade document.
-     * @param {object} item - The item being moved.
-     * @param {('inventory'|'offer')} source - The area the item is being moved from.
+     * Replaces the user's offer, updating the local state first and then the trade document,
+     * which withdraws everyone's acceptance.
+     * @param {object[]} newOffer - The offered items, each with `to` and `quantity`.
+     * @param {object} newCoins - The coins offered to each other player, by their ID.
      */
-    const handleItemClick = async (item, source) => {
-        let newLocalInventory, newLocalOffer;
-        if (source === 'inventory') {
-            newLocalInventory = localInventory.filter(i => i.id !== item.id);
-            newLocalOffer = [...localOffer, item];
-        } else {
-            newLocalOffer = localOffer.filter(i => i.id !== item.id);
-            newLocalInventory = [...localInventory, item];
+    const saveOffer = async (newOffer, newCoins) => {
+        setLocalOffer(newOffer);
+        setLocalCoins(newCoins);
+        try {
+            await repository.trades.setOffer(tradeId, user.uid, newOffer, newCoins);
+        } catch (error) {
+            console.error("Failed to update offer:", error);
+            toast.error(error.message || "Failed to update offer.");
         }
-        setLocalInventory(newLocalInventory);
-        setLocalOffer(newLocalOffer);
-        const userOfferField = user.uid === tradeData.playerA ? 'offerA' : 'offerB';
-        await updateDoc(doc(db, 'trades', tradeId), {
-            [userOfferField]: newLocalOffer,
-            acceptedA: false,
-            acceptedB: false,
-        });
     };
 
     /**
-     * Marks the current user's side of the trade as 'accepted' in Firestore.
-     * If both players have accepted, it triggers the trade finalization process.
+     * Adds an available item to the user's offer. Stacks ask how many to offer first, and
+     * when there is more than one other player, the user picks who receives it.
+     * @param {object} item - The item, with what is still available of it as `quantity`.
+     */
+    const handleItemClick = (item) => {
+        const receivers = tradeData.players.filter(playerId => playerId !== user.uid);
+        if ((item.stackable && item.quantity > 1) || receivers.length > 1) {
+            setPendingItem(item);
+            return;
+        }
+        saveOffer(offerItem(localOffer, item, item.quantity, receivers[0]), localCoins);
+    };
+
+    /**
+     * Changes how many of a coin the user gives another player, up to what their wallet
+     * holds besides what they give the others.
+     * @param {string} to - The ID of the player who receives the coins.
+     * @param {('gp'|'sp'|'cp')} coin - The coin being changed.
+     * @param {string} value - The amount typed.
+     */
+    const handleCoinChange = (to, coin, value) => {
+        const current = { ...NO_COINS, ...localCoins[to] };
+        const amount = Math.min(Math.max(Math.floor(Number(value)) || 0, 0), coinsLeftFor(to)[coin]);
+        if (amount === current[coin]) return;
+        saveOffer(localOffer, { ...localCoins, [to]: { ...current, [coin]: amount } });
+    };
+
+    /**
+     * Works out how many of each coin the user can still give a player: what their wallet
+     * holds, less what they give everyone else.
+     * @param {string} to - The ID of the player who receives the coins.
+     * @returns {{gp: number, sp: number, cp: number}}
+     */
+    const coinsLeftFor = (to) => {
+        const wallet = { ...NO_COINS, ...inventories[user.uid]?.currency };
+        return Object.fromEntries(COINS.map(({ key }) => [
+            key,
+            Object.entries(localCoins).reduce((left, [receiver, offered]) => (
+                receiver === to ? left : left - (offered?.[key] || 0)
+            ), wallet[key]),
+        ]));
+    };
+
+    /**
+     * Marks the current user as accepting the trade as it stands.
+     * If everyone has now accepted, it triggers the trade finalization process.
      */
     const handleAcceptTrade = async () => {
         setIsSubmitting(true);
-        const tradeDocRef = doc(db, 'trades', tradeId);
-        const userAcceptField = user.uid === tradeData.playerA ? 'acceptedA' : 'acceptedB';
         try {
-            await updateDoc(tradeDocRef, { [userAcceptField]: true });
-            const updatedTradeSnap = await getDoc(tradeDocRef);
-            const updatedTradeData = updatedTradeSnap.data();
-            if (updatedTradeData.acceptedA && updatedTradeData.acceptedB) {
+            const everyoneAccepted = await repository.trades.accept(tradeId, user.uid);
+            if (everyoneAccepted) {
                 setIsFinalizing(true);
-                toast.success("Both players have accepted. Finalizing...");
-                await finalizeTradeOnClient(updatedTradeData);
+                toast.success("Everyone has accepted. Finalizing...");
+                await finalizeTrade(await repository.trades.get(tradeId));
             }
         } catch (error) {
             toast.error("Failed to accept trade.");
@@ -169,71 +321,22 @@ export default function Trade({ onClose, tradeId, user, playerProfiles, inventor
     };
     
     /**
-     * Finalizes the trade by performing the item swap between both players' inventories.
-     * This function reads the final state of the trade, then uses a batched write to
-     * remove items from the givers' inventories and add them to the receivers' trays.
-     * It operates on the client-side for immediate feedback.
-     * @param {object} finalTradeData - The complete trade data object when both players have accepted.
+     * Finalizes the trade once everyone has accepted. The server hands over the offered items
+     * and coins in a single transaction, which fails if anyone no longer has what they
+     * offered; the acceptances are then withdrawn so the offers can be fixed.
+     * @param {object} finalTradeData - The complete trade data object when everyone has accepted.
      */
-    const finalizeTradeOnClient = async (finalTradeData) => {
+    const finalizeTrade = async (finalTradeData) => {
         try {
-            const { campaignId, playerA, playerB, offerA, offerB } = finalTradeData;
-            const batch = writeBatch(db);
-
-            // Handle removals and additions in separate, non-conflicting steps.
-            const processPlayer = async (playerId, itemsToRemove, itemsToAdd) => {
-                const invRef = doc(db, 'campaigns', campaignId, 'inventories', playerId);
-                const invSnap = await getDoc(invRef);
-                if (!invSnap.exists()) throw new Error("Inventory not found.");
-                
-                const invData = invSnap.data();
-                const isDM = invData.characterName === "DM";
-                const itemsToRemoveIds = new Set(itemsToRemove.map(i => i.id));
-                const itemsWithStrippedCoords = itemsToAdd.map(({x, y, ...item}) => item);
-
-                // --- Step 1: Process all REMOVALS ---
-                // Remove from the player's main tray (if they are not a DM)
-                if (!isDM) {
-                    const newPlayerTray = (invData.trayItems || []).filter(i => !itemsToRemoveIds.has(i.id));
-                    batch.update(invRef, { trayItems: newPlayerTray });
-                }
+            const { campaignId, players, offers = {}, coins = {} } = finalTradeData;
+            await repository.trades.finalize(tradeId);
 
-                // Remove from all of the player's containers (grids and trays)
-                const containersRef = collection(invRef, 'containers');
-                const containersSnap = await getDocs(containersRef);
-                containersSnap.forEach(containerDoc => {
-                    const containerData = containerDoc.data();
-                    const newGrid = (containerData.gridItems || []).filter(i => !itemsToRemoveIds.has(i.id));
-                    const newTray = (containerData.trayItems || []).filter(i => !itemsToRemoveIds.has(i.id));
-                    batch.update(containerDoc.ref, { gridItems: newGrid, trayItems: newTray });
-                });
-
-
-                // --- Step 2: Process all ADDITIONS ---
-                if (isDM) {
-                    // For the DM, add received items to their first container's tray
-                    if (containersSnap.docs.length > 0) {
-                        const firstContainerRef = containersSnap.docs[0].ref;
-                        const firstContainerData = containersSnap.docs[0].data();
-                        const finalDMTray = [...(firstContainerData.trayItems || []).filter(i => !itemsToRemoveIds.has(i.id)), ...itemsWithStrippedCoords];
-                        batch.update(firstContainerRef, { trayItems: finalDMTray });
-                    }
-                } else {
-                    // For a player, add received items to their main tray
-                    const originalTray = invData.trayItems || [];
-                    const filteredTray = originalTray.filter(i => !itemsToRemoveIds.has(i.id));
-                    const finalPlayerTray = [...filteredTray, ...itemsWithStrippedCoords];
-                    batch.update(invRef, { trayItems: finalPlayerTray });
-                }
-            };
-
-            // Process both sides of the trade
-            await processPlayer(playerA, offerA, offerB);
-            await processPlayer(playerB, offerB, offerA);
-
-            // Delete the trade document now that it's complete
-            batch.delete(doc(db, 'trades', tradeId));
-            await batch.commit();
+            logActivity(campaignId, players.flatMap(from => [
+                ...(offers[from] || []).map(({ to, ...item }) => ({ type: 'trade', sourceInventoryId: from, targetInventoryId: to, item })),
+                ...Object.entries(coins[from] || {})
+                    .filter(([, offered]) => hasCoins(offered))
+                    .map(([to, offered]) => ({ type: 'trade', sourceInventoryId: from, targetInventoryId: to, details: { coins: offered } })),
+            ]));
 
             if (snapshotUnsubscribe.current) snapshotUnsubscribe.current();
             toast.success("Trade successful!");
@@ -241,21 +344,21 @@ export default function Trade({ onClose, tradeId, user, playerProfiles, inventor
 
         } catch (error) {
             toast.error(error.message || "Failed to finalize trade.");
-            await updateDoc(doc(db, 'trades', tradeId), { acceptedA: false, acceptedB: false });
+            await repository.trades.update(tradeId, { accepted: {} });
             setIsFinalizing(false);
             setIsSubmitting(false);
         }
     };
 
     /**
-     * Cancels the trade by deleting the trade document from Firestore.
-     * This closes the trade window for both participants.
+     * Takes the user out of the trade, with their offer and what was offered to them.
+     * A trade between two players is cancelled, which closes the window for both.
      */
-    const handleCancelTrade = async () => {
+    const handleLeaveTrade = async () => {
         setIsSubmitting(true);
         try {
-            await deleteDoc(doc(db, 'trades', tradeId));
-            toast.error("Trade cancelled.");
+            await repository.trades.leave(tradeId, user.uid);
+            toast.error(tradeData.players.length > 2 ? "You left the trade." : "Trade cancelled.");
             onClose();
         } catch (error) { toast.error(error.message); } 
         finally { setIsSubmitting(false); }
@@ -265,9 +368,9 @@ export default function Trade({ onClose, tradeId, user, playerProfiles, inventor
         return <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-40 backdrop-blur-sm"><Spinner /></div>;
     }
 
-    const isPlayerA = user.uid === tradeData.playerA;
-    const yourData = { id: user.uid, accepted: isPlayerA ? tradeData.acceptedA : tradeData.acceptedB };
-    const otherPlayer = { id: isPlayerA ? tradeData.playerB : tradeData.playerA, accepted: isPlayerA ? tradeData.acceptedB : tradeData.acceptedA };
+    const otherPlayers = tradeData.players.filter(playerId => playerId !== user.uid);
+    const isGroupTrade = otherPlayers.length > 1;
+    const hasAccepted = !!tradeData.accepted?.[user.uid];
 
     return (
         <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-40 backdrop-blur-sm p-4">
@@ -277,44 +380,98 @@ export default function Trade({ onClose, tradeId, user, playerProfiles, inventor
                   <div className="flex flex-col space-y-4 md:w-1/3">
                     <div>
                       <div className="flex justify-between items-center mb-1">
-                          <h4 className="font-bold text-lg">{(inventories[yourData.id]?.characterName || playerProfiles[yourData.id]?.displayName) || 'Your'}'s Offer</h4>
+                          <h4 className="font-bold text-lg">{inventories[user.uid]?.characterName || playerProfiles[user.uid]?.displayName || 'Your'}'s Offer</h4>
                       </div>
-                      <TradeOffer items={localOffer} onItemClick={(item) => handleItemClick(item, 'offer')} />
+                      <TradeOffer
+                        items={localOffer}
+                        coins={localCoins}
+                        showReceivers={isGroupTrade}
+                        nameOf={nameOf}
+                        onItemClick={(entry) => saveOffer(withdrawItem(localOffer, entry), localCoins)}
+                      />
+                      {isGroupTrade && localOffer.length > 0 && (
+                        <div className="mt-2 space-y-1">
+                          {localOffer.map(entry => (
+                            <label key={`${entry.id}:${entry.to}`} className="flex items-center justify-between gap-2 text-sm">
+                              <span className="truncate">{entry.name}{entry.quantity > 1 ? ` x${entry.quantity}` : ''} to</span>
+                              <select
+                                value={entry.to}
+                                disabled={isSubmitting || isFinalizing}
+                                onChange={(e) => saveOffer(redirectItem(localOffer, entry, e.target.value), localCoins)}
+                                className="px-2 py-1 bg-background border border-surface/50 rounded focus:outline-none focus:border-accent"
+                              >
+                                {otherPlayers.map(playerId => <option key={playerId} value={playerId}>{nameOf(playerId)}</option>)}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      {otherPlayers.map(playerId => (
+                        <div key={playerId}>
+                          {isGroupTrade && <p className="text-sm text-text-muted mt-2">Coins for {nameOf(playerId)}</p>}
+                          <CoinOffer
+                            coins={{ ...NO_COINS, ...localCoins[playerId] }}
+                            max={coinsLeftFor(playerId)}
+                            disabled={isSubmitting || isFinalizing}
+                            onChange={(coin, value) => handleCoinChange(playerId, coin, value)}
+                          />
+                        </div>
+                      ))}
                     </div>
-                    <div>
-                      <div className="flex justify-between items-center mb-1">
-                          <h4 className="font-bold text-lg">{(inventories[otherPlayer.id]?.characterName || playerProfiles[otherPlayer.id]?.displayName)}'s Offer</h4>
-                          {otherPlayer.accepted && (
-                            <span className="bg-green-800/80 text-text-base text-xs font-bold px-2 py-1 rounded-md">
-                              Accepted
-                            </span>
-                          )}
+                    {otherPlayers.map(playerId => (
+                      <div key={playerId}>
+                        <div className="flex justify-between items-center mb-1">
+                            <h4 className="font-bold text-lg">{nameOf(playerId)}'s Offer</h4>
+                            {tradeData.accepted?.[playerId] ? (
+                              <span className="bg-green-800/80 text-text-base text-xs font-bold px-2 py-1 rounded-md">
+                                Accepted
+                              </span>
+                            ) : !tradeData.joined?.includes(playerId) && (
+                              <span className="bg-surface text-text-muted text-xs font-bold px-2 py-1 rounded-md">
+                                Invited
+                              </span>
+                            )}
+                        </div>
+                        <TradeOffer
+                          items={tradeData.offers?.[playerId] || []}
+                          coins={tradeData.coins?.[playerId]}
+                          showReceivers={isGroupTrade}
+                          nameOf={nameOf}
+                        />
                       </div>
-                      <TradeOffer items={otherPlayerOffer} onItemClick={() => {}} />
-                    </div>
+                    ))}
                   </div>
                   <div className="flex flex-col space-y-2 flex-grow md:w-2/3 min-h-0">
                     <h4 className="font-bold text-lg">Your Available Items</h4>
                     <div className="flex-grow overflow-auto border border-surface/50 rounded-lg p-2 space-y-2">
-                        {localInventory.map(item => (
+                        {availableItems.map(item => (
                             <ItemListItem
                                 key={item.id}
                                 item={item}
-                                onClick={() => handleItemClick(item, 'inventory')}
+                                onClick={() => handleItemClick(item)}
                             />
                         ))}
                     </div>
                   </div>
                 </div>
                 <div className="flex justify-between items-center pt-4">
-                    <button onClick={handleCancelTrade} disabled={isSubmitting || isFinalizing} className="bg-destructive/80 hover:bg-destructive text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50">
-                        {isSubmitting ? '...' : 'Cancel Trade'}
+                    <button onClick={handleLeaveTrade} disabled={isSubmitting || isFinalizing} className="bg-destructive/80 hover:bg-destructive text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50">
+                        {isSubmitting ? '...' : (isGroupTrade ? 'Leave Trade' : 'Cancel Trade')}
                     </button>
-                    <button onClick={handleAcceptTrade} disabled={yourData.accepted || isSubmitting || isFinalizing} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50">
-                        {isFinalizing ? 'Finalizing...' : (isSubmitting ? '...' : (yourData.accepted ? 'Waiting...' : 'Accept Trade'))}
+                    <button onClick={handleAcceptTrade} disabled={hasAccepted || isSubmitting || isFinalizing} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50">
+                        {isFinalizing ? 'Finalizing...' : (isSubmitting ? '...' : (hasAccepted ? 'Waiting...' : 'Accept Trade'))}
                     </button>
                 </div>
             </div>
+            {pendingItem && (
+                <OfferItem
+                    item={pendingItem}
+                    receivers={otherPlayers}
+                    nameOf={nameOf}
+                    onClose={() => setPendingItem(null)}
+                    onOffer={(quantity, to) => saveOffer(offerItem(localOffer, pendingItem, quantity, to), localCoins)}
+                />
+            )}
         </div>
     );
 }
\ No newline at end of file
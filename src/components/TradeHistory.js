@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { repository } from '../repositories';
+import Spinner from './Spinner';
+import { formatCurrency } from '../utils/activityUtils';
+import { timestampToMillis } from '../utils/timeUtils';
+import { tradeRecordsToCsv } from '../utils/tradeUtils';
+
+const OUTCOMES = {
+  completed: { label: 'Completed', className: 'bg-green-800/80 text-text-base' },
+  cancelled: { label: 'Cancelled', className: 'bg-surface text-text-muted' },
+  declined: { label: 'Declined', className: 'bg-surface text-text-muted' },
+};
+
+const formatClosed = (record) => new Date(timestampToMillis(record.closedAt)).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+/**
+ * A panel listing the campaign's finished trades, most recent first: who took part, what each
+ * of them offered whom, and whether the trade went through. It can be narrowed down to one
+ * character, and the DM can export what is listed as a CSV file.
+ * @param {object} props - The component props.
+ * @param {string} props.campaignId - The ID of the campaign.
+ * @param {object} props.inventories - All inventories, used for their names and the character filter.
+ * @param {object} props.playerProfiles - The players' profiles, for names without an inventory.
+ * @param {boolean} props.isDM - Whether the viewer is the DM, who can export the history.
+ * @param {Function} props.onClose - Closes the panel.
+ * @returns {JSX.Element}
+ */
+export default function TradeHistory({ campaignId, inventories, playerProfiles, isDM, onClose }) {
+  const [records, setRecords] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [characterFilter, setCharacterFilter] = useState('');
+
+  useEffect(() => {
+    if (!campaignId) return;
+    const unsubscribe = repository.tradeHistory.subscribeAll(campaignId, (latestRecords) => {
+      setRecords(latestRecords);
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Failed to load the trade history:", error);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [campaignId]);
+
+  const getName = (id) => inventories[id]?.characterName || playerProfiles[id]?.displayName;
+
+  const visibleRecords = useMemo(() => (
+    records.filter(record => !characterFilter || record.participants?.includes(characterFilter))
+  ), [records, characterFilter]);
+
+  /**
+   * Downloads the listed records as a CSV file.
+   */
+  const handleExport = () => {
+    const blob = new Blob([tradeRecordsToCsv(visibleRecords, getName)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'trade-history.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const selectClassName = "p-2 bg-background border border-surface/50 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-accent";
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-30 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col text-text-base" onClick={e => e.stopPropagation()}>
+        <h3 className="text-2xl font-bold mb-4 font-fantasy text-accent text-center">Trade History</h3>
+
+        <select value={characterFilter} onChange={(e) => setCharacterFilter(e.target.value)} aria-label="Filter by character" className={`${selectClassName} mb-4`}>
+          <option value="">All characters</option>
+          {Object.entries(inventories).map(([id, inventory]) => (
+            <option key={id} value={id}>{inventory.characterName || playerProfiles[id]?.displayName || id}</option>
+          ))}
+        </select>
+
+        <div className="flex-grow overflow-y-auto space-y-3 pr-1">
+          {isLoading ? (
+            <Spinner />
+          ) : visibleRecords.length === 0 ? (
+            <p className="text-center text-text-muted text-sm py-8">No trades yet.</p>
+          ) : (
+            visibleRecords.map(record => {
+              const nameOf = (id) => getName(id) || record.names?.[id] || 'Someone';
+              const outcome = OUTCOMES[record.outcome] || OUTCOMES.cancelled;
+              const lines = [
+                ...(record.items || []).map(item => `${nameOf(item.from)} → ${nameOf(item.to)}: ${item.quantity > 1 ? `${item.quantity}× ` : ''}${item.name}`),
+                ...(record.coins || []).map(coins => `${nameOf(coins.from)} → ${nameOf(coins.to)}: ${formatCurrency(coins)}`),
+              ];
+              return (
+                <section key={record.id} className="bg-background/50 rounded-md px-3 py-2 text-sm">
+                  <div className="flex justify-between items-center gap-3 mb-1">
+                    <span className="font-bold">{record.participants.map(nameOf).join(', ')}</span>
+                    <span className={`text-xs font-bold px-2 py-1 rounded-md whitespace-nowrap ${outcome.className}`}>{outcome.label}</span>
+                  </div>
+                  <p className="text-xs text-text-muted mb-1">{formatClosed(record)}</p>
+                  {lines.length === 0 ? (
+                    <p className="text-text-muted italic">Nothing was offered.</p>
+                  ) : (
+                    <>
+                      {record.outcome !== 'completed' && <p className="text-text-muted italic">Offered, but nothing changed hands:</p>}
+                      <ul className={record.outcome === 'completed' ? '' : 'text-text-muted'}>
+                        {lines.map((line, index) => <li key={index}>{line}</li>)}
+                      </ul>
+                    </>
+                  )}
+                </section>
+              );
+            })
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 pt-4">
+          {isDM && (
+            <button type="button" onClick={handleExport} disabled={visibleRecords.length === 0} className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-2 px-4 rounded transition-colors disabled:opacity-50">Export CSV</button>
+          )}
+          <button type="button" onClick={onClose} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,92 +1,127 @@
-import React, { useEffect } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import toast from 'react-hot-toast';
-import { db, auth } from '../firebase';
-import { collection, query, where, onSnapshot, doc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { repository, getCurrentUser } from '../repositories';
 import { usePlayerProfiles } from '../hooks/usePlayerProfiles';
 
+const invitationToastId = (tradeId) => `trade-invitation-${tradeId}`;
+
+/**
+ * Accepts a trade request by joining the trade.
+ * Joining opens the trade window and shows the others that the user has arrived.
+ * @param {string} tradeId - The ID of the trade document to update.
+ * @param {string} userId - The UID of the current user.
+ */
+const handleAccept = async (tradeId, userId) => {
+    toast.dismiss(invitationToastId(tradeId));
+    try {
+        await repository.trades.join(tradeId, userId);
+        toast.success("Trade accepted! Opening trade window...");
+    } catch (error) {
+        toast.error(error.message);
+    }
+};
+
+/**
+ * Declines a trade request by leaving the trade, which cancels it if only one player would be left.
+ * @param {string} tradeId - The ID of the trade document to leave.
+ * @param {string} userId - The UID of the current user.
+ */
+const handleDecline = async (tradeId, userId) => {
+    toast.dismiss(invitationToastId(tradeId));
+    try {
+        await repository.trades.leave(tradeId, userId);
+        toast.error("Trade declined.");
+    } catch (error) {
+        toast.error(error.message || "Failed to decline the trade.");
+        console.error(error);
+    }
+};
+
+/**
+ * Says who invited the user to a trade, with Accept and Decline buttons.
+ * @param {object} props - The component props.
+ * @param {object} props.trade - The trade the user was invited to.
+ * @param {string} props.requesterName - The name of the player who started it.
+ * @param {string} props.userId - The UID of the current user.
+ * @param {boolean} [props.isStacked] - Whether to put the buttons under the text.
+ * @returns {JSX.Element}
+ */
+function Invitation({ trade, requesterName, userId, isStacked }) {
+    const othersCount = trade.players.length - 2;
+    return (
+        <div className={isStacked ? 'flex flex-col items-center gap-2' : 'flex items-center justify-between gap-3'}>
+            <span className={isStacked ? 'text-center' : 'text-sm'}>
+                <strong>{requesterName}</strong> wants to trade with you{othersCount > 0 ? ` and ${othersCount} other${othersCount > 1 ? 's' : ''}` : ''}.
+            </span>
+            <div className="flex gap-2 shrink-0">
+                <button
+                    onClick={() => handleDecline(trade.id, userId)}
+                    className="bg-destructive hover:bg-destructive/80 text-text-base font-bold py-1 px-3 rounded text-sm"
+                >
+                    Decline
+                </button>
+                <button
+                    onClick={() => handleAccept(trade.id, userId)}
+                    className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-1 px-3 rounded text-sm"
+                >
+                    Accept
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Lists the trades the current user was invited to and hasn't joined yet, so they can accept
+ * or decline them whenever they like. Each new invitation also pops up as a toast.
+ * @param {object} props - The component props.
+ * @param {string} props.campaignId - The ID of the campaign.
+ * @param {object} props.inventories - The inventories of the campaign, for the players' names.
+ * @returns {JSX.Element | null}
+ */
 export default function TradeNotifications({ campaignId, inventories }) {
     const { playerProfiles } = usePlayerProfiles(campaignId);
+    const [invitations, setInvitations] = useState([]);
+    const notifiedIds = useRef(new Set());
+    const currentUser = getCurrentUser();
+    const userId = currentUser?.uid;
 
     useEffect(() => {
         // If auth is not ready or campaign is missing, do nothing.
-        // This will re-run once auth.currentUser is available because it's now in the dependency array.
-        if (!auth.currentUser || !campaignId) return;
+        // This will re-run once the current user is available.
+        if (!userId || !campaignId) return;
+
+        const unsubscribe = repository.trades.subscribeForPlayer(campaignId, userId, (trades) => {
+            setInvitations(trades.filter(trade => !trade.joined?.includes(userId)));
+        }, (error) => console.error("Failed to load trade invitations:", error));
 
-        const tradesRef = collection(db, 'trades');
-        const q = query(
-            tradesRef, 
-            where('campaignId', '==', campaignId), 
-            where('players', 'array-contains', auth.currentUser.uid)
-        );
+        return () => unsubscribe();
+    }, [campaignId, userId]);
 
-        /**
-         * Listens for new trade requests where the current user is the recipient.
-         * When a 'pending' trade is added, it displays a toast notification with
-         * 'Accept' and 'Decline' buttons.
-         */
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            snapshot.docChanges().forEach((change) => {
-                if (change.type === 'added') {
-                    const trade = { id: change.doc.id, ...change.doc.data() };
-                     if (trade.status === 'pending' && trade.playerB === auth.currentUser.uid) {
-                        const requesterName = inventories?.[trade.playerA]?.characterName || playerProfiles[trade.playerA]?.displayName || 'A player';
+    const getRequesterName = useCallback((trade) => (
+        inventories?.[trade.initiatorId]?.characterName || playerProfiles[trade.initiatorId]?.displayName || 'A player'
+    ), [inventories, playerProfiles]);
 
-                        toast((t) => (
-                            <div className="flex flex-col items-center gap-2">
-                                <span className="text-center">
-                                    <strong>{requesterName}</strong> wants to trade with you.
-                                </span>
-                                <div className="flex gap-2">
-                                    <button 
-                                        onClick={() => handleDecline(t.id, trade.id)}
-                                        className="bg-destructive hover:bg-destructive/80 text-text-base font-bold py-1 px-3 rounded text-sm"
-                                    >
-                                        Decline
-                                    </button>
-                                    <button 
-                                        onClick={() => handleAccept(t.id, trade.id)}
-                                        className="bg-primary hover:bg-accent hover:text-background text-text-base font-bold py-1 px-3 rounded text-sm"
-                                    >
-                                        Accept
-                                    </button>
-                                </div>
-                            </div>
-                        ), {
-                            duration: 5000,
-                        });
-                    }
-                }
+    // Each invitation pops up once, when it arrives; it stays listed until it is answered.
+    useEffect(() => {
+        invitations.filter(trade => !notifiedIds.current.has(trade.id)).forEach(trade => {
+            notifiedIds.current.add(trade.id);
+            toast(() => <Invitation trade={trade} requesterName={getRequesterName(trade)} userId={userId} isStacked />, {
+                id: invitationToastId(trade.id),
+                duration: 5000,
             });
         });
+    }, [invitations, getRequesterName, userId]);
 
-        return () => unsubscribe();
-    }, [campaignId, playerProfiles, inventories]);
-
-    /**
-     * Accepts a trade request by updating its status to 'active' in Firestore.
-     * This signals to the trade initiator that the trade can begin.
-     * @param {string} toastId - The ID of the toast notification to dismiss.
-     * @param {string} tradeId - The ID of the trade document to update.
-     */
-    const handleAccept = async (toastId, tradeId) => {
-        toast.dismiss(toastId);
-        const tradeDocRef = doc(db, 'trades', tradeId);
-        // Set the status to 'active' to signal the trade can begin.
-        await updateDoc(tradeDocRef, { status: 'active' });
-        toast.success("Trade accepted! Opening trade window...");
-    };
-
-    /**
-     * Declines a trade request by deleting the corresponding trade document from Firestore.
-     * @param {string} toastId - The ID of the toast notification to dismiss.
-     * @param {string} tradeId - The ID of the trade document to delete.
-     */
-    const handleDecline = async (toastId, tradeId) => {
-        toast.dismiss(toastId);
-        const tradeDocRef = doc(db, 'trades', tradeId);
-        await deleteDoc(tradeDocRef);
-        toast.error("Trade declined.");
-    };
+    if (!userId || invitations.length === 0) return null;
 
-    return null;
-}
\ No newline at end of file
+    return (
+        <div className="w-full max-w-4xl px-4 mx-auto mb-4 space-y-2">
+            {invitations.map(trade => (
+                <div key={trade.id} className="p-3 bg-surface rounded-lg shadow-md">
+                    <Invitation trade={trade} requesterName={getRequesterName(trade)} userId={userId} />
+                </div>
+            ))}
+        </div>
+    );
+}
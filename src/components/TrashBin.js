@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { repository } from '../repositories';
+import { useCampaignStore } from '../stores/useCampaignStore';
+import Spinner from './Spinner';
+import { isNestedContainerId, nestedContainerItemId, findItemInInventory } from '../utils/inventoryUtils';
+import { isStaleChangeError } from '../utils/deltaUtils';
+import { timestampToMillis } from '../utils/timeUtils';
+import { getDaysUntilPurge, DEFAULT_TRASH_RETENTION_DAYS } from '../utils/trashUtils';
+
+const formatDeletedAt = (entry) => new Date(timestampToMillis(entry.deletedAt)).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const RESTORED_MESSAGES = {
+  original: 'back where it was',
+  moved: 'to a free spot in the same container',
+  tray: 'to the ground, as its spot is gone or full',
+};
+
+/**
+ * A panel listing the items and containers deleted in the campaign, which can be put back
+ * where they were or deleted for good until they are purged automatically. The DM sees
+ * everything; players only see what was deleted from their own inventories.
+ * @param {object} props - The component props.
+ * @param {string} props.campaignId - The ID of the campaign.
+ * @param {object} props.campaign - The campaign data, for the DM and the retention period.
+ * @param {object} props.user - The current user.
+ * @param {object} props.playerProfiles - The players' profiles, for names without an inventory.
+ * @param {Function} props.onClose - Closes the panel.
+ * @returns {JSX.Element}
+ */
+export default function TrashBin({ campaignId, campaign, user, playerProfiles, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyEntryId, setBusyEntryId] = useState(null);
+  const restoreTrashedItem = useCampaignStore(state => state.restoreTrashedItem);
+  // All inventories, for their names and ownership and where a deleted item was.
+  const inventories = useCampaignStore(state => state.inventories);
+
+  useEffect(() => {
+    if (!campaignId) return;
+    const unsubscribe = repository.trash.subscribeAll(campaignId, (trashEntries) => {
+      setEntries(trashEntries);
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Failed to load the trash:", error);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [campaignId]);
+
+  const isDM = campaign?.dmId === user?.uid;
+  const retentionDays = campaign?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+
+  const visibleEntries = useMemo(() => (
+    isDM ? entries : entries.filter(entry => inventories[entry.inventoryId]?.ownerId === user?.uid)
+  ), [entries, isDM, inventories, user]);
+
+  const getName = (id) => inventories[id]?.characterName || playerProfiles[id]?.displayName;
+
+  /**
+   * Describes where a trashed item or container came from, e.g. "Backpack of Aria".
+   * @param {object} entry
+   * @returns {string}
+   */
+  const describeOrigin = (entry) => {
+    const owner = getName(entry.inventoryId) || 'a removed inventory';
+    if (entry.kind === 'container') return owner;
+    const { source, containerId } = entry.location || {};
+    if (source === 'equipped') return `${owner}'s equipment`;
+    if (isNestedContainerId(containerId)) {
+      const parent = findItemInInventory(inventories[entry.inventoryId], nestedContainerItemId(containerId));
+      return parent ? `${parent.name} of ${owner}` : owner;
+    }
+    const container = inventories[entry.inventoryId]?.containers?.[containerId];
+    return container ? `${container.name} of ${owner}` : owner;
+  };
+
+  const handleRestore = async (entry) => {
+    setBusyEntryId(entry.id);
+    try {
+      if (entry.kind === 'container') {
+        await repository.trash.restoreContainer(campaignId, entry);
+        toast.success(`Restored ${entry.container.name}.`);
+      } else {
+        const placement = await restoreTrashedItem(campaignId, entry);
+        toast.success(placement === 'present'
+          ? `${entry.item.name} is already back in its inventory.`
+          : `Restored ${entry.item.name} ${RESTORED_MESSAGES[placement]}.`);
+      }
+    } catch (error) {
+      toast.error(isStaleChangeError(error) ? `${error.message} Please try again.` : "Failed to restore. Please try again.");
+      console.error("Failed to restore from the trash:", error);
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const handleDeleteForever = async (entry) => {
+    const name = entry.kind === 'container' ? entry.container.name : entry.item.name;
+    if (!window.confirm(`Delete ${name} for good? This cannot be undone.`)) return;
+    setBusyEntryId(entry.id);
+    try {
+      await repository.trash.remove(campaignId, [entry.id]);
+    } catch (error) {
+      toast.error("Failed to delete. Please try again.");
+      console.error("Failed to delete from the trash:", error);
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex justify-center items-center z-30 backdrop-blur-sm" onClick={onClose}>
+      <div className="bg-gradient-to-b from-surface to-background border border-accent/20 p-6 rounded-lg shadow-xl w-full max-w-lg max-h-[85vh] flex flex-col text-text-base" onClick={e => e.stopPropagation()}>
+        <h3 className="text-2xl font-bold mb-1 font-fantasy text-accent text-center">Trash</h3>
+        <p className="text-xs text-text-muted text-center mb-4">Deleted things are purged for good after {retentionDays} days.</p>
+
+        <div className="flex-grow overflow-y-auto space-y-2 pr-1">
+          {isLoading ? (
+            <Spinner />
+          ) : visibleEntries.length === 0 ? (
+            <p className="text-center text-text-muted text-sm py-8">The trash is empty.</p>
+          ) : (
+            visibleEntries.map(entry => {
+              const name = entry.kind === 'container' ? entry.container.name : entry.item.name;
+              const daysLeft = getDaysUntilPurge(entry, retentionDays);
+              // Nothing can go back into an inventory that has been removed from the campaign.
+              const canRestore = Boolean(inventories[entry.inventoryId]);
+              return (
+                <div key={entry.id} className="bg-background/50 rounded-md px-3 py-2 flex justify-between items-center gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-bold truncate">
+                      {entry.kind === 'item' && entry.item.quantity > 1 && `${entry.item.quantity}× `}{name}
+                      {entry.kind === 'container' && <span className="ml-2 text-xs font-normal text-text-muted">(container)</span>}
+                    </p>
+                    <p className="text-xs text-text-muted">
+                      From {describeOrigin(entry)} · deleted {formatDeletedAt(entry)} by {getName(entry.deletedBy) || 'someone'} · {daysLeft === 1 ? '1 day' : `${daysLeft} days`} left
+                    </p>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(entry)}
+                      disabled={!canRestore || busyEntryId === entry.id}
+                      title={canRestore ? undefined : "Its inventory no longer exists"}
+                      className="bg-primary hover:bg-accent hover:text-background text-text-base text-xs font-bold py-1 px-3 rounded transition-colors disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteForever(entry)}
+                      disabled={busyEntryId === entry.id}
+                      className="text-destructive/70 hover:text-destructive text-xs font-bold py-1 px-2 rounded transition-colors disabled:opacity-50"
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </div>
+              );
+            })
+          )}
+        </div>
+
+        <div className="flex justify-end pt-4">
+          <button type="button" onClick={onClose} className="bg-surface hover:bg-surface/80 text-text-base font-bold py-2 px-4 rounded transition-colors">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -47,7 +47,8 @@ export default function Wallet({ campaignId, inventoryId, currency, canEdit }) {
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   
-  const { updateCurrency } = useCampaignStore();
+  const updateCurrency = useCampaignStore(state => state.updateCurrency);
+  const logActivity = useCampaignStore(state => state.logActivity);
 
   const safeCurrency = currency || { gp: 0, sp: 0, cp: 0 };
   const [values, setValues] = useState(safeCurrency);
@@ -61,11 +62,13 @@ export default function Wallet({ campaignId, inventoryId, currency, canEdit }) {
     }
     setLoading(true);
     try {
-      await updateCurrency(campaignId, inventoryId, {
+      const newCurrency = {
         gp: Number(values.gp),
         sp: Number(values.sp),
         cp: Number(values.cp)
-      });
+      };
+      await updateCurrency(campaignId, inventoryId, newCurrency);
+      logActivity(campaignId, { type: 'currency', targetInventoryId: inventoryId, details: { before: safeCurrency, after: newCurrency } });
       setIsOpen(false);
       toast.success("Wallet updated");
     } catch (error) {
@@ -1,6 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { doc, onSnapshot, collection } from "firebase/firestore";
-import { db } from '../firebase';
+import { repository } from '../repositories';
 /**
  * Custom hook to manage all real-time data for a specific campaign.
  * It fetches the main campaign document, the top-level data for all player inventories,
@@ -25,7 +24,7 @@ export function useCampaignData(campaignId, user) {
     // Use a ref to hold the listener unsubscribe functions.
     const containerListenersRef = useRef({});
 
-    // Get data about the current campaign from Firestore.
+    // Get data about the current campaign.
     useEffect(() => {
         if (!campaignId || !user) {
             setIsLoading(true);
@@ -35,31 +34,28 @@ export function useCampaignData(campaignId, user) {
 
         setIsLoading(true);
 
-        const campaignDocRef = doc(db, 'campaigns', campaignId);
-        const unsubscribeCampaign = onSnapshot(campaignDocRef, (campaignDocSnap) => {
-            setCampaign(campaignDocSnap.exists() ? campaignDocSnap.data() : null);
+        const unsubscribeCampaign = repository.campaigns.subscribe(campaignId, (campaignData) => {
+            setCampaign(campaignData);
         });
 
-        const inventoriesColRef = collection(db, 'campaigns', campaignId, 'inventories');
-        const unsubscribeInventories = onSnapshot(inventoriesColRef, (inventoriesSnapshot) => {
+        const unsubscribeInventories = repository.inventories.subscribeAll(campaignId, (inventoryDocs) => {
             
             // This logic safely merges updates to top-level inventory data (like trayItems)
             // without discarding the container data that is loaded by a separate listener.
             setInventories(prevInventories => {
                 const newInventories = { ...prevInventories };
-                inventoriesSnapshot.forEach(doc => {
-                    const existingData = newInventories[doc.id] || {};
-                    newInventories[doc.id] = {
+                inventoryDocs.forEach(inventory => {
+                    const existingData = newInventories[inventory.id] || {};
+                    newInventories[inventory.id] = {
                         ...existingData, // IMPORTANT: Preserve existing container data
-                        ...doc.data(), // Overwrite with fresh top-level data
-                        id: doc.id,
+                        ...inventory, // Overwrite with fresh top-level data
                     };
                 });
                 return newInventories;
             });
 
             // Manage container listeners based on the current inventories
-            const currentInventoryIds = inventoriesSnapshot.docs.map(doc => doc.id);
+            const currentInventoryIds = inventoryDocs.map(inventory => inventory.id);
             const currentListeners = containerListenersRef.current;
 
             // Unsubscribe from listeners for players who are no longer in the campaign
@@ -73,12 +69,11 @@ export function useCampaignData(campaignId, user) {
             // Subscribe to container listeners for new players
             currentInventoryIds.forEach(inventoryId => {
                 if (!currentListeners[inventoryId]) {
-                    const containersColRef = collection(db, 'campaigns', campaignId, 'inventories', inventoryId, 'containers');
                     // Store the new unsubscribe function in our ref
-                    currentListeners[inventoryId] = onSnapshot(containersColRef, (containersSnapshot) => {
+                    currentListeners[inventoryId] = repository.containers.subscribeAll(campaignId, inventoryId, (containerDocs) => {
                         const playerContainers = {};
-                        containersSnapshot.forEach((containerDoc) => {
-                            playerContainers[containerDoc.id] = { id: containerDoc.id, ...containerDoc.data() };
+                        containerDocs.forEach((container) => {
+                            playerContainers[container.id] = container;
                         });
                         
                         // Merge the new container data into the state
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react';
-import { db, auth } from '../firebase';
-import { collection, onSnapshot, getDocs } from 'firebase/firestore';
+import { repository, getCurrentUser, isDemoMode } from '../repositories';
 
 // Manage the cached Global Compendium
 const getGlobalCompendium = async () => {
     const CACHE_KEY = 'globalCompendiumCache';
     const CACHE_DURATION_MS = 1000 * 60 * 60 * 24 * 30; // 30 days
 
+    // The demo's few sample items must not replace (or come from) the real cached compendium
+    if (isDemoMode) return repository.compendium.listGlobalItems();
+
     try {
         const cachedData = localStorage.getItem(CACHE_KEY);
         if (cachedData) {
@@ -21,10 +23,9 @@ const getGlobalCompendium = async () => {
         console.error("Could not read compendium from cache:", error);
     }
 
-    // If cache is empty or stale, fetch from Firestore
-    console.log("Fetching Global Compendium from Firestore...");
-    const querySnapshot = await getDocs(collection(db, 'globalCompendium'));
-    const items = querySnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+    // If cache is empty or stale, fetch from the database
+    console.log("Fetching Global Compendium...");
+    const items = await repository.compendium.listGlobalItems();
 
     // Save the new data and a timestamp to the cache
     try {
@@ -52,7 +53,7 @@ export function useCompendium() {
   const [globalItems, setGlobalItems] = useState([]);
   const [customItems, setCustomItems] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  const currentUser = auth.currentUser;
+  const currentUser = getCurrentUser();
 
   useEffect(() => {
     if (!currentUser) {
@@ -66,8 +67,7 @@ export function useCompendium() {
     });
 
     // Fetch custom items in real-time
-    const customUnsubscribe = onSnapshot(collection(db, 'compendiums', currentUser.uid, 'masterItems'), (snapshot) => {
-      const items = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+    const customUnsubscribe = repository.compendium.subscribeCustomItems(currentUser.uid, (items) => {
       setCustomItems(items);
       setIsLoading(false); // Loading is complete after custom items arrive
     });
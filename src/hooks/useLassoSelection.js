@@ -0,0 +1,86 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+/**
+ * A custom React hook to select items by dragging a rectangle ("lasso") over
+ * the empty space of an area. Items are found through their `data-item-id` attribute.
+ * A plain click on the empty space selects nothing, which clears the selection.
+ * @param {function(string[], boolean): void} onSelect - Called with the IDs of the items touched by the
+ * lasso and whether they should be added to the current selection (shift/ctrl/cmd held).
+ * @param {boolean} [disabled=false] - Whether lasso selection is turned off.
+ * @returns {{ setLassoRef: function, lassoProps: object, lassoStyle: object | null }} A ref callback for the
+ * area, handlers to spread onto it, and the style of the rectangle to draw (or `null` when not lassoing).
+ */
+export function useLassoSelection(onSelect, disabled = false) {
+    const areaRef = useRef(null);
+    const startRef = useRef(null);
+    const [lassoRect, setLassoRect] = useState(null);
+
+    const setLassoRef = useCallback((node) => {
+        areaRef.current = node;
+    }, []);
+
+    const onPointerDown = useCallback((event) => {
+        // Only start on the empty space of the area, with the main mouse button.
+        // Touch is left alone so the page can still scroll.
+        if (disabled || event.button !== 0 || event.pointerType === 'touch') return;
+        if (event.target.closest('[data-item-id]')) return;
+        startRef.current = { x: event.clientX, y: event.clientY, additive: event.shiftKey || event.ctrlKey || event.metaKey };
+        setLassoRect({ left: event.clientX, top: event.clientY, right: event.clientX, bottom: event.clientY });
+    }, [disabled]);
+
+    useEffect(() => {
+        if (!lassoRect) return;
+
+        const handleMove = (event) => {
+            const start = startRef.current;
+            if (!start) return;
+            setLassoRect({
+                left: Math.min(start.x, event.clientX),
+                top: Math.min(start.y, event.clientY),
+                right: Math.max(start.x, event.clientX),
+                bottom: Math.max(start.y, event.clientY),
+            });
+        };
+
+        const handleUp = () => {
+            const start = startRef.current;
+            startRef.current = null;
+            setLassoRect(null);
+            if (!start || !areaRef.current) return;
+
+            const ids = [];
+            areaRef.current.querySelectorAll('[data-item-id]').forEach(element => {
+                const rect = element.getBoundingClientRect();
+                const touches = rect.left < lassoRect.right && rect.right > lassoRect.left &&
+                                rect.top < lassoRect.bottom && rect.bottom > lassoRect.top;
+                if (touches) ids.push(element.dataset.itemId);
+            });
+            onSelect(ids, start.additive);
+        };
+
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+        return () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
+        };
+    }, [lassoRect, onSelect]);
+
+    // The rectangle is drawn relative to the area, which must be positioned.
+    let lassoStyle = null;
+    if (lassoRect && areaRef.current) {
+        const areaRect = areaRef.current.getBoundingClientRect();
+        lassoStyle = {
+            left: lassoRect.left - areaRect.left,
+            top: lassoRect.top - areaRect.top,
+            width: lassoRect.right - lassoRect.left,
+            height: lassoRect.bottom - lassoRect.top,
+        };
+    }
+
+    return {
+        setLassoRef,
+        lassoProps: { onPointerDown },
+        lassoStyle,
+    };
+}
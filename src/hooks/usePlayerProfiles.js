@@ -1,6 +1,5 @@
 import { useState, useEffect } from 'react';
-import { db } from '../firebase';
-import { collection, query, where, documentId, getDocs, doc, onSnapshot, getDoc } from 'firebase/firestore';
+import { repository } from '../repositories';
 
 /**
  * Custom hook that listens for real-time changes to a campaign's player list.
@@ -26,31 +25,27 @@ export function usePlayerProfiles(campaignId) {
         setIsLoading(true);
 
         // Listen for real-time changes to the campaign document, such as players joining or leaving.
-        const campaignDocRef = doc(db, 'campaigns', campaignId);
-        const unsubscribe = onSnapshot(campaignDocRef, async (campaignSnap) => {
-            if (campaignSnap.exists()) {
-                const campaignData = campaignSnap.data();
+        const unsubscribe = repository.campaigns.subscribe(campaignId, async (campaignData) => {
+            if (campaignData) {
                 const playerIds = campaignData.players || [];
 
                 if (playerIds.length > 0) {
                     try {
                         // Fetch the user profiles for all players in the campaign
-                        const profilesQuery = query(collection(db, "users"), where(documentId(), "in", playerIds));
-                        const querySnapshot = await getDocs(profilesQuery);
+                        const users = await repository.users.getMany(playerIds);
                         const profiles = {};
-                        querySnapshot.forEach((doc) => {
-                            profiles[doc.id] = doc.data();
+                        users.forEach(({ id, ...profile }) => {
+                            profiles[id] = profile;
                         });
 
                         // Fetch the character names from their inventory documents
-                        const characterNamePromises = playerIds.map(playerId => 
-                            getDoc(doc(db, 'campaigns', campaignId, 'inventories', playerId))
+                        const inventories = await Promise.all(
+                            playerIds.map(playerId => repository.inventories.get(campaignId, playerId))
                         );
-                        const characterNameSnapshots = await Promise.all(characterNamePromises);
 
-                        characterNameSnapshots.forEach(docSnap => {
-                            if (docSnap.exists() && profiles[docSnap.id]) {
-                                profiles[docSnap.id].characterName = docSnap.data().characterName;
+                        inventories.forEach(inventory => {
+                            if (inventory && profiles[inventory.id]) {
+                                profiles[inventory.id].characterName = inventory.characterName;
                             }
                         });
 
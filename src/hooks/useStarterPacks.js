@@ -1,10 +1,9 @@
 import { useState, useEffect } from 'react';
-import { db } from '../firebase';
-import { collection, getDocs } from 'firebase/firestore';
+import { repository } from '../repositories';
 
 /**
  * A custom hook to fetch all available starter packs from the 'starterPacks'
- * collection in Firestore. This fetch is performed once when the hook is mounted.
+ * collection. This fetch is performed once when the hook is mounted.
  *
  * @returns {{packs: object[], isLoading: boolean}} An object containing the list of starter packs and the loading state.
  * @property {object[]} packs - An array of starter pack objects after they have been fetched.
@@ -17,8 +16,7 @@ export function useStarterPacks() {
     useEffect(() => {
         const fetchPacks = async () => {
             try {
-                const querySnapshot = await getDocs(collection(db, 'starterPacks'));
-                const packList = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                const packList = await repository.starterPacks.list();
                 setPacks(packList);
             } catch (error) {
                 console.error("Error fetching starter packs:", error);
@@ -0,0 +1,542 @@
+import { toItemDocs, withoutItemLists } from '../utils/itemStorageUtils';
+import { normalizeInventory, ITEM_SCHEMA_VERSION } from '../utils/schemaUtils';
+import { hasEveryoneAccepted, buildTradeRecord } from '../shared/trades';
+import { readSnapshotContents } from '../shared/snapshots';
+
+/**
+ * Where each kind of document lives. Every data access of the app goes through these paths,
+ * so the layout of the database is described in one place.
+ */
+export const paths = {
+  campaigns: () => 'campaigns',
+  campaign: (campaignId) => `campaigns/${campaignId}`,
+  inventories: (campaignId) => `campaigns/${campaignId}/inventories`,
+  inventory: (campaignId, inventoryId) => `campaigns/${campaignId}/inventories/${inventoryId}`,
+  containers: (campaignId, inventoryId) => `campaigns/${campaignId}/inventories/${inventoryId}/containers`,
+  container: (campaignId, inventoryId, containerId) => `campaigns/${campaignId}/inventories/${inventoryId}/containers/${containerId}`,
+  items: (campaignId) => `campaigns/${campaignId}/items`,
+  item: (campaignId, itemId) => `campaigns/${campaignId}/items/${itemId}`,
+  activity: (campaignId) => `campaigns/${campaignId}/activity`,
+  activityEntry: (campaignId, entryId) => `campaigns/${campaignId}/activity/${entryId}`,
+  trash: (campaignId) => `campaigns/${campaignId}/trash`,
+  trashEntry: (campaignId, entryId) => `campaigns/${campaignId}/trash/${entryId}`,
+  snapshots: (campaignId) => `campaigns/${campaignId}/snapshots`,
+  snapshot: (campaignId, snapshotId) => `campaigns/${campaignId}/snapshots/${snapshotId}`,
+  snapshotChunks: (campaignId, snapshotId) => `campaigns/${campaignId}/snapshots/${snapshotId}/chunks`,
+  tradeHistory: (campaignId) => `campaigns/${campaignId}/tradeHistory`,
+  tradeRecord: (campaignId, tradeId) => `campaigns/${campaignId}/tradeHistory/${tradeId}`,
+  trades: () => 'trades',
+  trade: (tradeId) => `trades/${tradeId}`,
+  user: (userId) => `users/${userId}`,
+  globalCompendium: () => 'globalCompendium',
+  customCompendium: (userId) => `compendiums/${userId}/masterItems`,
+  customCompendiumItem: (userId, itemId) => `compendiums/${userId}/masterItems/${itemId}`,
+  starterPacks: () => 'starterPacks',
+};
+
+/**
+ * Removes the ID added by the data source before data is written back.
+ * @param {object} data
+ * @returns {object}
+ */
+const withoutId = ({ id, ...data }) => data;
+
+// Firestore accepts at most 500 writes per batch.
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Builds the repositories the app reads and writes its data through, on top of a data
+ * source (`createFirestoreSource` or `createMemorySource`). Documents are returned as
+ * plain objects with their ID in `id`; subscriptions return an unsubscribe function.
+ * @param {object} source - The data source.
+ * @returns {object} The repositories, plus `batch`, `runTransaction` and `timestamp` for
+ * writes that span several of them (paths come from `paths`).
+ */
+export function createRepository(source) {
+  /**
+   * Adds the writes deleting an inventory and all of its containers and items to a batch.
+   * @param {object} batch
+   * @param {string} campaignId
+   * @param {string} inventoryId
+   */
+  const deleteInventoryInBatch = async (batch, campaignId, inventoryId) => {
+    const containers = await source.getDocs(paths.containers(campaignId, inventoryId));
+    containers.forEach(container => batch.delete(paths.container(campaignId, inventoryId, container.id)));
+    const itemDocs = await source.getDocs(paths.items(campaignId), [['inventoryId', '==', inventoryId]]);
+    itemDocs.forEach(item => batch.delete(paths.item(campaignId, item.id)));
+    batch.delete(paths.inventory(campaignId, inventoryId));
+  };
+
+  /**
+   * Deletes every document of a collection, in as many batches as needed.
+   * @param {string} collectionPath
+   */
+  const deleteCollection = async (collectionPath) => {
+    const documents = await source.getDocs(collectionPath);
+    for (let start = 0; start < documents.length; start += MAX_BATCH_WRITES) {
+      const batch = source.batch();
+      documents.slice(start, start + MAX_BATCH_WRITES).forEach(document => batch.delete(`${collectionPath}/${document.id}`));
+      await batch.commit();
+    }
+  };
+
+  /**
+   * Deletes a snapshot along with the chunks its contents are saved in.
+   * @param {string} campaignId
+   * @param {string} snapshotId
+   */
+  const deleteSnapshot = async (campaignId, snapshotId) => {
+    await deleteCollection(paths.snapshotChunks(campaignId, snapshotId));
+    await source.deleteDoc(paths.snapshot(campaignId, snapshotId));
+  };
+
+  const campaigns = {
+    get: (campaignId) => source.getDoc(paths.campaign(campaignId)),
+
+    subscribe: (campaignId, onNext, onError) => source.subscribeDoc(paths.campaign(campaignId), onNext, onError),
+
+    /** Lists the campaigns a user plays in (or runs). */
+    listForPlayer: (userId) => source.getDocs(paths.campaigns(), [['players', 'array-contains', userId]]),
+
+    /** Creates a campaign; new campaigns keep their items in the item collection from the start. */
+    create: (campaignId, data) => source.setDoc(paths.campaign(campaignId), { ...data, itemsInCollection: true, itemSchemaVersion: ITEM_SCHEMA_VERSION }),
+
+    update: (campaignId, changes) => source.updateDoc(paths.campaign(campaignId), changes),
+
+    /** Deletes a campaign along with every inventory, container, item, activity entry, trade record, trashed thing and snapshot in it. */
+    delete: async (campaignId) => {
+      await deleteCollection(paths.items(campaignId));
+      await deleteCollection(paths.activity(campaignId));
+      await deleteCollection(paths.tradeHistory(campaignId));
+      await deleteCollection(paths.trash(campaignId));
+      for (const snapshot of await source.getDocs(paths.snapshots(campaignId))) {
+        await deleteSnapshot(campaignId, snapshot.id);
+      }
+      const batch = source.batch();
+      const inventories = await source.getDocs(paths.inventories(campaignId));
+      for (const inventory of inventories) {
+        await deleteInventoryInBatch(batch, campaignId, inventory.id);
+      }
+      batch.delete(paths.campaign(campaignId));
+      await batch.commit();
+    },
+
+    /** Adds a player to the roster and the end of the DM's layout. */
+    addPlayer: (campaignId, playerId) => source.runTransaction(async (transaction) => {
+      const campaign = await transaction.get(paths.campaign(campaignId));
+      if (!campaign) throw new Error("Campaign not found.");
+      const players = campaign.players || [];
+      const order = campaign.layout?.order || [];
+      transaction.update(paths.campaign(campaignId), {
+        players: players.includes(playerId) ? players : [...players, playerId],
+        layout: {
+          order: order.includes(playerId) ? order : [...order, playerId],
+          visible: { ...campaign.layout?.visible, [playerId]: true },
+        },
+      });
+    }),
+
+    /** Removes a player from the campaign, deleting their inventory, containers and items. */
+    removePlayer: async (campaignId, playerId) => {
+      const campaign = await source.getDoc(paths.campaign(campaignId));
+      if (!campaign) throw new Error("Campaign not found.");
+      const batch = source.batch();
+      await deleteInventoryInBatch(batch, campaignId, playerId);
+
+      const visible = { ...campaign.layout?.visible };
+      delete visible[playerId];
+      batch.update(paths.campaign(campaignId), {
+        players: (campaign.players || []).filter(p => p !== playerId),
+        layout: { order: (campaign.layout?.order || []).filter(p => p !== playerId), visible },
+      });
+      await batch.commit();
+    },
+  };
+
+  const inventories = {
+    get: (campaignId, inventoryId) => source.getDoc(paths.inventory(campaignId, inventoryId)),
+
+    /** Calls `onNext(inventories, { fromCache, changes })` with the top-level data of every inventory. */
+    subscribeAll: (campaignId, onNext, onError) => source.subscribeCollection(paths.inventories(campaignId), [], onNext, onError),
+
+    /**
+     * Creates an inventory together with its containers and the items they start with. The
+     * items are brought up to the current schema (see `normalizeInventory`).
+     * @param {string} campaignId
+     * @param {string} inventoryId
+     * @param {object} data - The inventory fields; `trayItems` and `equippedItems` are stored as item documents.
+     * @param {object} [containers={}] - The containers to create, keyed by container ID (their
+     * `gridItems` and `trayItems` are stored as item documents as well).
+     */
+    create: (campaignId, inventoryId, data, containers = {}) => {
+      const batch = source.batch();
+      batch.set(paths.inventory(campaignId, inventoryId), withoutItemLists(data));
+      Object.entries(containers).forEach(([containerId, container]) => {
+        batch.set(paths.container(campaignId, inventoryId, containerId), withoutItemLists(container));
+      });
+      Object.values(toItemDocs(inventoryId, normalizeInventory({ ...data, containers }))).forEach(doc => {
+        batch.set(paths.item(campaignId, doc.id), doc);
+      });
+      return batch.commit();
+    },
+
+    set: (campaignId, inventoryId, data, options) => source.setDoc(paths.inventory(campaignId, inventoryId), data, options),
+
+    update: (campaignId, inventoryId, changes) => source.updateDoc(paths.inventory(campaignId, inventoryId), changes),
+
+    /** Deletes an inventory and all of its containers and items. */
+    delete: async (campaignId, inventoryId) => {
+      const batch = source.batch();
+      await deleteInventoryInBatch(batch, campaignId, inventoryId);
+      await batch.commit();
+    },
+  };
+
+  const containers = {
+    list: (campaignId, inventoryId) => source.getDocs(paths.containers(campaignId, inventoryId)),
+
+    subscribeAll: (campaignId, inventoryId, onNext, onError) => (
+      source.subscribeCollection(paths.containers(campaignId, inventoryId), [], onNext, onError)
+    ),
+
+    update: (campaignId, inventoryId, containerId, changes) => (
+      source.updateDoc(paths.container(campaignId, inventoryId, containerId), changes)
+    ),
+  };
+
+  const items = {
+    /** Calls `onNext(items, { fromCache, changes })` with the item documents of one inventory. */
+    subscribeInventory: (campaignId, inventoryId, onNext, onError) => (
+      source.subscribeCollection(paths.items(campaignId), [['inventoryId', '==', inventoryId]], onNext, onError)
+    ),
+
+    /**
+     * Moves the items of a campaign created before items had their own collection out of the
+     * arrays of its inventory and container documents, then flags the campaign with
+     * `itemsInCollection`. The items are brought up to the current schema on the way (see
+     * `normalizeInventory`), which also saves the items of inventories from before containers,
+     * kept in a grid on the inventory itself. Runs in a transaction, so several clients opening the campaign at
+     * once can't migrate it twice; item documents that already exist are left as they are.
+     * @param {string} campaignId
+     * @returns {Promise<boolean>} Whether this call migrated the campaign.
+     */
+    migrateCampaign: async (campaignId) => {
+      // Transactions can't run queries, so the documents to migrate are listed beforehand.
+      const inventoryIds = (await source.getDocs(paths.inventories(campaignId))).map(inventory => inventory.id);
+      const containerIds = {};
+      for (const inventoryId of inventoryIds) {
+        containerIds[inventoryId] = (await source.getDocs(paths.containers(campaignId, inventoryId))).map(container => container.id);
+      }
+
+      return source.runTransaction(async (transaction) => {
+        const campaign = await transaction.get(paths.campaign(campaignId));
+        if (!campaign || campaign.itemsInCollection) return false;
+
+        const rewrites = [];
+        let itemDocs = {};
+        for (const inventoryId of inventoryIds) {
+          const inventory = await transaction.get(paths.inventory(campaignId, inventoryId));
+          if (!inventory) continue;
+          const containers = {};
+          for (const containerId of containerIds[inventoryId]) {
+            const container = await transaction.get(paths.container(campaignId, inventoryId, containerId));
+            if (container) containers[containerId] = container;
+          }
+          itemDocs = { ...itemDocs, ...toItemDocs(inventoryId, normalizeInventory({ ...inventory, containers })) };
+          rewrites.push([paths.inventory(campaignId, inventoryId), inventory]);
+          Object.entries(containers).forEach(([containerId, container]) => {
+            rewrites.push([paths.container(campaignId, inventoryId, containerId), container]);
+          });
+        }
+        const existing = await Promise.all(Object.keys(itemDocs).map(itemId => transaction.get(paths.item(campaignId, itemId))));
+
+        Object.values(itemDocs).forEach((doc, index) => {
+          if (!existing[index]) transaction.set(paths.item(campaignId, doc.id), doc);
+        });
+        rewrites.forEach(([path, data]) => transaction.set(path, withoutItemLists(withoutId(data))));
+        transaction.update(paths.campaign(campaignId), { itemsInCollection: true, itemSchemaVersion: ITEM_SCHEMA_VERSION });
+        return true;
+      });
+    },
+  };
+
+  const trades = {
+    get: (tradeId) => source.getDoc(paths.trade(tradeId)),
+
+    subscribe: (tradeId, onNext, onError) => source.subscribeDoc(paths.trade(tradeId), onNext, onError),
+
+    /** Calls `onNext(trades, { changes })` with the trades of a campaign a user takes part in. */
+    subscribeForPlayer: (campaignId, userId, onNext, onError) => source.subscribeCollection(
+      paths.trades(),
+      [['campaignId', '==', campaignId], ['players', 'array-contains', userId]],
+      onNext,
+      onError
+    ),
+
+    /** Calls `onNext(trades)` with the trades of a campaign a user has joined. */
+    subscribeJoined: (campaignId, userId, onNext, onError) => source.subscribeCollection(
+      paths.trades(),
+      [['campaignId', '==', campaignId], ['joined', 'array-contains', userId]],
+      onNext,
+      onError
+    ),
+
+    /** Creates a trade and returns its ID. */
+    create: (data) => source.addDoc(paths.trades(), { ...data, createdAt: source.timestamp() }),
+
+    update: (tradeId, changes) => source.updateDoc(paths.trade(tradeId), changes),
+
+    /** Adds a player who accepted the invitation to those who have joined. */
+    join: (tradeId, userId) => source.runTransaction(async (transaction) => {
+      const trade = await transaction.get(paths.trade(tradeId));
+      if (!trade) throw new Error("This trade is no longer open.");
+      if (!trade.joined.includes(userId)) transaction.update(paths.trade(tradeId), { joined: [...trade.joined, userId] });
+    }),
+
+    /**
+     * Takes a player out of a trade, with their offer and whatever the others offered them, and
+     * withdraws everyone's acceptance. A trade left with fewer than two players is over: it is
+     * deleted, and recorded in the trade history as declined if the player never joined it, or
+     * as cancelled.
+     */
+    leave: (tradeId, userId) => source.runTransaction(async (transaction) => {
+      const trade = await transaction.get(paths.trade(tradeId));
+      if (!trade) return;
+      const players = trade.players.filter(playerId => playerId !== userId);
+      if (players.length < 2) {
+        const names = {};
+        for (const playerId of trade.players) {
+          const inventory = await transaction.get(paths.inventory(trade.campaignId, playerId));
+          if (inventory?.characterName) names[playerId] = inventory.characterName;
+        }
+        const outcome = trade.joined.includes(userId) ? 'cancelled' : 'declined';
+        transaction.set(paths.tradeRecord(trade.campaignId, tradeId), {
+          ...buildTradeRecord(trade, names, outcome, userId),
+          closedAt: source.timestamp(),
+        });
+        transaction.delete(paths.trade(tradeId));
+        return;
+      }
+      transaction.update(paths.trade(tradeId), {
+        players,
+        joined: trade.joined.filter(playerId => playerId !== userId),
+        offers: Object.fromEntries(players.map(playerId => [
+          playerId, (trade.offers?.[playerId] || []).filter(entry => entry.to !== userId),
+        ])),
+        coins: Object.fromEntries(players.map(playerId => [
+          playerId, Object.fromEntries(Object.entries(trade.coins?.[playerId] || {}).filter(([to]) => to !== userId)),
+        ])),
+        accepted: {},
+      });
+    }),
+
+    /**
+     * Replaces what a player offers and withdraws everyone's acceptance.
+     * @param {string} tradeId
+     * @param {string} userId
+     * @param {object[]} items - The items offered, each with `to` and `quantity`.
+     * @param {object} coins - The `{gp, sp, cp}` offered to each other player, by their ID.
+     */
+    setOffer: (tradeId, userId, items, coins) => source.runTransaction(async (transaction) => {
+      const trade = await transaction.get(paths.trade(tradeId));
+      if (!trade) throw new Error("This trade is no longer open.");
+      transaction.update(paths.trade(tradeId), {
+        offers: { ...trade.offers, [userId]: items },
+        coins: { ...trade.coins, [userId]: coins },
+        accepted: {},
+      });
+    }),
+
+    /**
+     * Marks a player as accepting the trade as it stands.
+     * @returns {Promise<boolean>} Whether everyone taking part has now accepted.
+     */
+    accept: (tradeId, userId) => source.runTransaction(async (transaction) => {
+      const trade = await transaction.get(paths.trade(tradeId));
+      if (!trade) throw new Error("This trade is no longer open.");
+      const accepted = { ...trade.accepted, [userId]: true };
+      transaction.update(paths.trade(tradeId), { accepted });
+      return hasEveryoneAccepted({ ...trade, accepted });
+    }),
+
+    /**
+     * Completes a trade everyone accepted. The server (in the demo, the memory source) moves
+     * the offered items and coins and deletes the trade in one transaction, or changes nothing
+     * if anyone no longer has what they offered.
+     * @param {string} tradeId
+     * @returns {Promise<{itemCount: number}>}
+     */
+    finalize: (tradeId) => source.callFunction('finalizeTrade', { tradeId }),
+  };
+
+  const tradeHistory = {
+    /** Calls `onNext(records)` with the records of a campaign's finished trades, most recently closed first. */
+    subscribeAll: (campaignId, onNext, onError) => source.subscribeCollection(
+      paths.tradeHistory(campaignId),
+      [],
+      onNext,
+      onError,
+      { orderBy: ['closedAt', 'desc'] }
+    ),
+  };
+
+  const activity = {
+    /**
+     * Adds entries to a campaign's activity log, stamping each with the time it was recorded.
+     * @param {string} campaignId
+     * @param {object[]} entries
+     */
+    record: (campaignId, entries) => {
+      const batch = source.batch();
+      entries.forEach(entry => {
+        batch.set(paths.activityEntry(campaignId, crypto.randomUUID()), { ...entry, createdAt: source.timestamp() });
+      });
+      return batch.commit();
+    },
+
+    /** Calls `onNext(entries)` with the latest entries of a campaign's log, newest first. */
+    subscribeRecent: (campaignId, count, onNext, onError) => source.subscribeCollection(
+      paths.activity(campaignId),
+      [],
+      onNext,
+      onError,
+      { orderBy: ['createdAt', 'desc'], limit: count }
+    ),
+  };
+
+  const trash = {
+    /** Calls `onNext(entries)` with everything in a campaign's trash, most recently deleted first. */
+    subscribeAll: (campaignId, onNext, onError) => source.subscribeCollection(
+      paths.trash(campaignId),
+      [],
+      onNext,
+      onError,
+      { orderBy: ['deletedAt', 'desc'] }
+    ),
+
+    /**
+     * Puts entries in a campaign's trash, stamping each with the time it was deleted.
+     * @param {string} campaignId
+     * @param {object[]} entries
+     * @returns {Promise<string[]>} The IDs of the new entries.
+     */
+    add: async (campaignId, entries) => {
+      const batch = source.batch();
+      const ids = entries.map(entry => {
+        const id = crypto.randomUUID();
+        batch.set(paths.trashEntry(campaignId, id), { ...entry, deletedAt: source.timestamp() });
+        return id;
+      });
+      await batch.commit();
+      return ids;
+    },
+
+    /** Deletes entries from the trash for good. */
+    remove: (campaignId, entryIds) => {
+      const batch = source.batch();
+      entryIds.forEach(id => batch.delete(paths.trashEntry(campaignId, id)));
+      return batch.commit();
+    },
+
+    /** Puts a trashed container, with the items it held, back into its inventory and takes it out of the trash. */
+    restoreContainer: async (campaignId, entry) => {
+      const inventory = await source.getDoc(paths.inventory(campaignId, entry.inventoryId));
+      if (!inventory) throw new Error("The inventory this container belonged to no longer exists.");
+      const batch = source.batch();
+      batch.set(paths.container(campaignId, entry.inventoryId, entry.containerId), withoutItemLists(entry.container));
+      const itemDocs = toItemDocs(entry.inventoryId, { containers: { [entry.containerId]: entry.container } });
+      Object.values(itemDocs).forEach(doc => batch.set(paths.item(campaignId, doc.id), doc));
+      batch.delete(paths.trashEntry(campaignId, entry.id));
+      await batch.commit();
+    },
+  };
+
+  const snapshots = {
+    /** Calls `onNext(snapshots)` with the snapshots of a campaign, newest first. */
+    subscribeAll: (campaignId, onNext, onError) => source.subscribeCollection(
+      paths.snapshots(campaignId),
+      [],
+      onNext,
+      onError,
+      { orderBy: ['createdAt', 'desc'] }
+    ),
+
+    /**
+     * Saves the current state of every inventory of a campaign (containers, items, coins,
+     * loot pile and merchants included). Done by a Cloud Function, so only the DM can.
+     * @param {string} campaignId
+     * @param {string} name - What the snapshot is for, e.g. "Before the dragon fight".
+     * @returns {Promise<{snapshotId: string}>}
+     */
+    create: (campaignId, name) => source.callFunction('createCampaignSnapshot', { campaignId, name }),
+
+    /**
+     * Rolls every inventory of a campaign back to a snapshot. The server first saves the
+     * current state as another snapshot, so a restore can itself be undone, and rolls back
+     * to it if the restore fails part-way.
+     * @param {string} campaignId
+     * @param {string} snapshotId
+     */
+    restore: (campaignId, snapshotId) => source.callFunction('restoreCampaignSnapshot', { campaignId, snapshotId }),
+
+    /**
+     * Reads what a snapshot saved. The contents are split into chunks so that no document
+     * grows past Firestore's size limit; older snapshots hold them in the snapshot document.
+     * @param {string} campaignId
+     * @param {object} snapshot - The snapshot document.
+     * @returns {Promise<{inventories: object, items: (object|undefined)}>}
+     */
+    getContents: (campaignId, snapshot) => (
+      readSnapshotContents(snapshot, () => source.getDocs(paths.snapshotChunks(campaignId, snapshot.id)))
+    ),
+
+    delete: deleteSnapshot,
+  };
+
+  const compendium = {
+    listGlobalItems: () => source.getDocs(paths.globalCompendium()),
+
+    subscribeGlobalItems: (onNext, onError) => source.subscribeCollection(paths.globalCompendium(), [], onNext, onError),
+
+    subscribeCustomItems: (userId, onNext, onError) => source.subscribeCollection(paths.customCompendium(userId), [], onNext, onError),
+
+    addCustomItem: (userId, item) => source.addDoc(paths.customCompendium(userId), withoutId(item)),
+
+    deleteCustomItem: (userId, itemId) => source.deleteDoc(paths.customCompendiumItem(userId, itemId)),
+  };
+
+  const users = {
+    get: (userId) => source.getDoc(paths.user(userId)),
+
+    getMany: async (userIds) => (await Promise.all(userIds.map(users.get))).filter(Boolean),
+
+    subscribe: (userId, onNext, onError) => source.subscribeDoc(paths.user(userId), onNext, onError),
+
+    /** Creates a user profile, stamping it with its creation time. */
+    create: (userId, data) => source.setDoc(paths.user(userId), { ...data, createdAt: source.timestamp() }),
+
+    set: (userId, data, options) => source.setDoc(paths.user(userId), data, options),
+  };
+
+  const starterPacks = {
+    list: () => source.getDocs(paths.starterPacks()),
+  };
+
+  return {
+    campaigns,
+    inventories,
+    containers,
+    items,
+    trades,
+    activity,
+    tradeHistory,
+    trash,
+    snapshots,
+    compendium,
+    users,
+    starterPacks,
+    batch: source.batch,
+    runTransaction: source.runTransaction,
+    timestamp: source.timestamp,
+  };
+}
@@ -0,0 +1,368 @@
+import { createRepository, paths } from './createRepository';
+import { createMemorySource } from './memorySource';
+import { createLocalFunctions } from './localFunctions';
+import { ITEM_SCHEMA_VERSION } from '../utils/schemaUtils';
+
+// Lets the memory source deliver its (asynchronous) listener notifications.
+const flushNotifications = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const campaign = {
+  name: 'Test Campaign',
+  dmId: 'dm',
+  players: ['dm', 'aria'],
+  layout: { order: ['dm', 'aria'], visible: { dm: true, aria: true } },
+};
+
+const setup = () => {
+  const source = createMemorySource({
+    [paths.campaign('c1')]: campaign,
+    [paths.inventory('c1', 'aria')]: { characterName: 'Aria', trayItems: [] },
+    [paths.container('c1', 'aria', 'backpack')]: { name: 'Backpack', gridItems: [] },
+  });
+  return { source, repository: createRepository(source) };
+};
+
+beforeAll(() => {
+  // jsdom does not provide `crypto.randomUUID`, so use Node's implementation.
+  global.crypto = global.crypto?.randomUUID ? global.crypto : require('crypto').webcrypto;
+});
+
+describe('campaigns', () => {
+  test('adding a player puts them on the roster and at the end of the layout once', async () => {
+    const { repository } = setup();
+    await repository.campaigns.addPlayer('c1', 'borin');
+    await repository.campaigns.addPlayer('c1', 'borin');
+
+    const updated = await repository.campaigns.get('c1');
+    expect(updated.players).toEqual(['dm', 'aria', 'borin']);
+    expect(updated.layout).toEqual({ order: ['dm', 'aria', 'borin'], visible: { dm: true, aria: true, borin: true } });
+  });
+
+  test('removing a player deletes their inventory and containers', async () => {
+    const { repository } = setup();
+    await repository.campaigns.removePlayer('c1', 'aria');
+
+    const updated = await repository.campaigns.get('c1');
+    expect(updated.players).toEqual(['dm']);
+    expect(updated.layout).toEqual({ order: ['dm'], visible: { dm: true } });
+    expect(await repository.inventories.get('c1', 'aria')).toBeNull();
+    expect(await repository.containers.list('c1', 'aria')).toEqual([]);
+  });
+});
+
+describe('activity', () => {
+  test('lists the latest entries first, up to the requested count', async () => {
+    const { repository } = setup();
+    await repository.activity.record('c1', [{ type: 'add', item: { name: 'Rope' } }]);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await repository.activity.record('c1', [{ type: 'send', item: { name: 'Torch' } }, { type: 'send', item: { name: 'Torch' } }]);
+
+    const onNext = jest.fn();
+    repository.activity.subscribeRecent('c1', 2, onNext);
+    await flushNotifications();
+    const [entries] = onNext.mock.calls[0];
+    expect(entries.map(entry => entry.type)).toEqual(['send', 'send']);
+    expect(entries[0].createdAt).toEqual(expect.any(String));
+  });
+
+  test('is deleted with its campaign', async () => {
+    const { source, repository } = setup();
+    await repository.activity.record('c1', [{ type: 'add' }]);
+    await repository.campaigns.delete('c1');
+    expect(await source.getDocs(paths.activity('c1'))).toEqual([]);
+  });
+});
+
+describe('items', () => {
+  const bag = { id: 'bag', name: 'Bag', x: 0, y: 0, contents: { gridWidth: 2, gridHeight: 2, gridItems: [{ id: 'gem', name: 'Gem', x: 1, y: 1 }] } };
+  const legacySetup = (extraDocs = {}) => {
+    const source = createMemorySource({
+      [paths.campaign('c1')]: campaign,
+      [paths.inventory('c1', 'aria')]: { characterName: 'Aria', trayItems: [{ id: 'rope', name: 'Rope' }], equippedItems: [] },
+      [paths.container('c1', 'aria', 'backpack')]: { name: 'Backpack', gridItems: [bag], trayItems: [] },
+      ...extraDocs,
+    });
+    return { source, repository: createRepository(source) };
+  };
+  const itemsById = async (source) => Object.fromEntries((await source.getDocs(paths.items('c1'))).map(item => [item.id, item]));
+
+  test('migrating a campaign moves its items out of the inventory documents, once', async () => {
+    const { source, repository } = legacySetup();
+    expect(await repository.items.migrateCampaign('c1')).toBe(true);
+    expect(await repository.items.migrateCampaign('c1')).toBe(false);
+
+    expect((await repository.campaigns.get('c1')).itemsInCollection).toBe(true);
+    expect(await repository.inventories.get('c1', 'aria')).toEqual({ id: 'aria', characterName: 'Aria' });
+    expect(await repository.containers.list('c1', 'aria')).toEqual([{ id: 'backpack', name: 'Backpack' }]);
+    const items = await itemsById(source);
+    expect(Object.keys(items).sort()).toEqual(['bag', 'gem', 'rope']);
+    expect(items.rope).toMatchObject({ inventoryId: 'aria', source: 'tray', containerId: 'tray' });
+    expect(items.bag).toMatchObject({ inventoryId: 'aria', source: 'grid', containerId: 'backpack', contents: { gridWidth: 2, gridHeight: 2 } });
+    expect(items.gem).toMatchObject({ inventoryId: 'aria', source: 'grid', containerId: 'nested:bag', x: 1, y: 1 });
+  });
+
+  test('migrating keeps the item documents that were already written', async () => {
+    const { source, repository } = legacySetup({
+      [paths.item('c1', 'rope')]: { id: 'rope', name: 'Frayed rope', inventoryId: 'aria', source: 'tray', containerId: 'tray', order: 0 },
+    });
+    await repository.items.migrateCampaign('c1');
+    expect((await itemsById(source)).rope.name).toBe('Frayed rope');
+  });
+
+  test('migrating keeps the items of the grid inventories had before containers, on the main tray', async () => {
+    const { source, repository } = legacySetup({
+      [paths.inventory('c1', 'aria')]: { characterName: 'Aria', gridItems: [{ id: 'torch', name: 'Torch', x: 3, y: 1 }] },
+    });
+    await repository.items.migrateCampaign('c1');
+    const { torch } = await itemsById(source);
+    expect(torch).toMatchObject({ inventoryId: 'aria', source: 'tray', containerId: 'tray', w: 1, h: 1 });
+    expect(torch.x).toBeUndefined();
+    expect((await repository.campaigns.get('c1')).itemSchemaVersion).toBe(ITEM_SCHEMA_VERSION);
+  });
+
+  test('subscribing to an inventory delivers only its items', async () => {
+    const { repository } = setup();
+    await repository.inventories.create('c1', 'borin', { characterName: 'Borin', trayItems: [{ id: 'axe', name: 'Axe' }] });
+    await repository.inventories.create('c1', 'cora', { characterName: 'Cora', trayItems: [{ id: 'bow', name: 'Bow' }] });
+
+    const onNext = jest.fn();
+    repository.items.subscribeInventory('c1', 'borin', onNext);
+    await flushNotifications();
+    const [items] = onNext.mock.calls[0];
+    expect(items.map(item => item.id)).toEqual(['axe']);
+  });
+
+  test('new inventories store their items as documents, which go when the inventory does', async () => {
+    const { source, repository } = setup();
+    await repository.inventories.create('c1', 'borin', { characterName: 'Borin', trayItems: [{ id: 'axe', name: 'Axe' }] }, {
+      sack: { name: 'Sack', gridWidth: 2, gridHeight: 2, gridItems: [{ id: 'apple', name: 'Apple', x: 0, y: 0 }] },
+    });
+    expect(await repository.inventories.get('c1', 'borin')).toEqual({ id: 'borin', characterName: 'Borin' });
+    expect(Object.keys(await itemsById(source)).sort()).toEqual(['apple', 'axe']);
+
+    await repository.inventories.delete('c1', 'borin');
+    expect(await source.getDocs(paths.items('c1'))).toEqual([]);
+  });
+});
+
+describe('trades', () => {
+  const tradeSetup = () => {
+    const source = createMemorySource({
+      [paths.trade('t1')]: {
+        campaignId: 'c1',
+        players: ['aria', 'borin', 'cora'],
+        joined: ['aria', 'borin'],
+        offers: { aria: [{ id: 'rope', name: 'Rope', quantity: 1, to: 'cora' }], borin: [{ id: 'axe', name: 'Axe', quantity: 1, to: 'aria' }], cora: [] },
+        coins: { aria: { borin: { gp: 2, sp: 0, cp: 0 }, cora: { gp: 1, sp: 0, cp: 0 } } },
+        accepted: { aria: true },
+      },
+    });
+    return { source, repository: createRepository(source) };
+  };
+
+  test('the trade completes once every player has accepted, not just those who joined', async () => {
+    const { repository } = tradeSetup();
+    expect(await repository.trades.accept('t1', 'borin')).toBe(false);
+    await repository.trades.join('t1', 'cora');
+    expect((await repository.trades.get('t1')).joined).toEqual(['aria', 'borin', 'cora']);
+    expect(await repository.trades.accept('t1', 'cora')).toBe(true);
+  });
+
+  test('changing an offer withdraws everyone\'s acceptance and leaves the other offers alone', async () => {
+    const { repository } = tradeSetup();
+    await repository.trades.setOffer('t1', 'cora', [{ id: 'gem', name: 'Gem', quantity: 1, to: 'aria' }], {});
+    const trade = await repository.trades.get('t1');
+    expect(trade.accepted).toEqual({});
+    expect(trade.offers.cora).toEqual([{ id: 'gem', name: 'Gem', quantity: 1, to: 'aria' }]);
+    expect(trade.offers.borin).toHaveLength(1);
+  });
+
+  test('a player who leaves takes what they were offered with them, and a trade left with one player ends', async () => {
+    const { repository } = tradeSetup();
+    await repository.trades.leave('t1', 'cora');
+    const trade = await repository.trades.get('t1');
+    expect(trade.players).toEqual(['aria', 'borin']);
+    expect(trade.offers).toEqual({ aria: [], borin: [{ id: 'axe', name: 'Axe', quantity: 1, to: 'aria' }] });
+    expect(trade.coins.aria).toEqual({ borin: { gp: 2, sp: 0, cp: 0 } });
+    expect(trade.accepted).toEqual({});
+
+    await repository.trades.leave('t1', 'borin');
+    expect(await repository.trades.get('t1')).toBeNull();
+  });
+
+  test('a trade declined by the last other player is kept in the trade history', async () => {
+    const { source, repository } = tradeSetup();
+    await source.setDoc(paths.inventory('c1', 'aria'), { characterName: 'Aria' });
+    await repository.trades.leave('t1', 'borin');
+    await repository.trades.leave('t1', 'cora');
+
+    const record = await source.getDoc(paths.tradeRecord('c1', 't1'));
+    expect(record).toMatchObject({
+      participants: ['aria', 'cora'],
+      names: { aria: 'Aria' },
+      items: [{ from: 'aria', to: 'cora', id: 'rope', name: 'Rope', quantity: 1 }],
+      coins: [{ from: 'aria', to: 'cora', gp: 1, sp: 0, cp: 0 }],
+      outcome: 'declined',
+      closedBy: 'cora',
+    });
+    expect(record.closedAt).toEqual(expect.any(String));
+  });
+});
+
+describe('finalizing trades', () => {
+  const finalizeSetup = () => {
+    const source = createMemorySource({
+      [paths.inventory('c1', 'aria')]: { characterName: 'Aria', currency: { gp: 10, sp: 0, cp: 0 } },
+      [paths.inventory('c1', 'dm')]: { characterName: 'DM', currency: { gp: 0, sp: 0, cp: 0 } },
+      [paths.container('c1', 'dm', 'satchel')]: { name: 'Satchel' },
+      [paths.item('c1', 'bag')]: { id: 'bag', name: 'Bag', x: 0, y: 0, inventoryId: 'aria', source: 'grid', containerId: 'backpack', order: 0 },
+      [paths.item('c1', 'gem')]: { id: 'gem', name: 'Gem', x: 1, y: 1, inventoryId: 'aria', source: 'grid', containerId: 'nested:bag', order: 0 },
+      [paths.item('c1', 'arrows')]: { id: 'arrows', name: 'Arrows', quantity: 20, stackable: true, inventoryId: 'aria', source: 'tray', containerId: 'tray', order: 1 },
+      [paths.item('c1', 'map')]: { id: 'map', name: 'Map', inventoryId: 'dm', source: 'tray', containerId: 'satchel', order: 0 },
+      [paths.trade('t1')]: {
+        campaignId: 'c1',
+        players: ['aria', 'dm'],
+        joined: ['aria', 'dm'],
+        offers: {
+          aria: [{ id: 'bag', name: 'Bag', quantity: 1, to: 'dm' }, { id: 'arrows', name: 'Arrows', quantity: 5, to: 'dm' }],
+          dm: [{ id: 'map', name: 'Map', quantity: 1, to: 'aria' }],
+        },
+        coins: { aria: { dm: { gp: 4, sp: 0, cp: 0 } } },
+        accepted: { aria: true, dm: true },
+      },
+    }, createLocalFunctions(() => 'aria'));
+    return { source, repository: createRepository(source) };
+  };
+
+  test('hands over the items, with what is inside them, and the coins, and keeps a record', async () => {
+    const { source, repository } = finalizeSetup();
+    expect(await repository.trades.finalize('t1')).toEqual({ itemCount: 3 });
+
+    const bag = await source.getDoc(paths.item('c1', 'bag'));
+    expect(bag).toMatchObject({ inventoryId: 'dm', source: 'tray', containerId: 'satchel' });
+    expect(bag.x).toBeUndefined();
+    expect(await source.getDoc(paths.item('c1', 'gem'))).toMatchObject({ inventoryId: 'dm', containerId: 'nested:bag', x: 1, y: 1 });
+    expect(await source.getDoc(paths.item('c1', 'map'))).toMatchObject({ inventoryId: 'aria', containerId: 'tray' });
+    expect(await source.getDoc(paths.item('c1', 'arrows'))).toMatchObject({ inventoryId: 'aria', quantity: 15 });
+    const [split] = (await source.getDocs(paths.items('c1'), [['inventoryId', '==', 'dm']])).filter(item => item.name === 'Arrows');
+    expect(split).toMatchObject({ quantity: 5, containerId: 'satchel' });
+    expect(split.id).not.toBe('arrows');
+
+    expect((await source.getDoc(paths.inventory('c1', 'aria'))).currency).toEqual({ gp: 6, sp: 0, cp: 0 });
+    expect((await source.getDoc(paths.inventory('c1', 'dm'))).currency).toEqual({ gp: 4, sp: 0, cp: 0 });
+    expect(await repository.trades.get('t1')).toBeNull();
+    expect(await source.getDoc(paths.tradeRecord('c1', 't1'))).toMatchObject({ outcome: 'completed', closedBy: 'aria' });
+  });
+
+  test('changes nothing if an offered item has left its owner', async () => {
+    const { source, repository } = finalizeSetup();
+    await source.updateDoc(paths.item('c1', 'map'), { inventoryId: 'aria' });
+    await expect(repository.trades.finalize('t1')).rejects.toThrow('Map is no longer in the inventory it was offered from.');
+    expect(await source.getDoc(paths.item('c1', 'bag'))).toMatchObject({ inventoryId: 'aria' });
+    expect((await source.getDoc(paths.inventory('c1', 'aria'))).currency.gp).toBe(10);
+    expect(await repository.trades.get('t1')).not.toBeNull();
+  });
+});
+
+describe('trash', () => {
+  test('a restored container goes back to its inventory and leaves the trash', async () => {
+    const { source, repository } = setup();
+    const [entryId] = await repository.trash.add('c1', [
+      { kind: 'container', inventoryId: 'aria', containerId: 'quiver', container: { name: 'Quiver', gridItems: [{ id: 'arrow', name: 'Arrow', x: 0, y: 0 }] } },
+    ]);
+    const entry = await source.getDoc(paths.trashEntry('c1', entryId));
+    expect(entry.deletedAt).toEqual(expect.any(String));
+
+    await repository.trash.restoreContainer('c1', entry);
+    expect((await repository.containers.list('c1', 'aria')).map(container => container.name)).toEqual(['Backpack', 'Quiver']);
+    expect(await source.getDoc(paths.item('c1', 'arrow'))).toMatchObject({ inventoryId: 'aria', source: 'grid', containerId: 'quiver' });
+    expect(await source.getDocs(paths.trash('c1'))).toEqual([]);
+  });
+
+  test('containers of an inventory that is gone cannot be restored', async () => {
+    const { source, repository } = setup();
+    const [entryId] = await repository.trash.add('c1', [{ kind: 'container', inventoryId: 'borin', containerId: 'sack', container: {} }]);
+    await expect(repository.trash.restoreContainer('c1', await source.getDoc(paths.trashEntry('c1', entryId)))).rejects.toThrow();
+  });
+});
+
+describe('snapshots', () => {
+  const addSnapshot = (source) => {
+    const chunks = [
+      { inventories: { aria: { characterName: 'Aria' } }, containers: { aria: { backpack: { name: 'Backpack' } } }, items: {} },
+      { inventories: {}, containers: { aria: { quiver: { name: 'Quiver' } } }, items: { rope: { name: 'Rope', inventoryId: 'aria' } } },
+    ];
+    chunks.forEach((chunk, index) => source.setDoc(`${paths.snapshotChunks('c1', 's1')}/${index}`, chunk));
+    return source.setDoc(paths.snapshot('c1', 's1'), { name: 'Before the dragon', chunkCount: chunks.length });
+  };
+
+  test('put what was saved back together from its chunks', async () => {
+    const { source, repository } = setup();
+    await addSnapshot(source);
+    const snapshot = await source.getDoc(paths.snapshot('c1', 's1'));
+    expect(await repository.snapshots.getContents('c1', snapshot)).toEqual({
+      inventories: { aria: { characterName: 'Aria', containers: { backpack: { name: 'Backpack' }, quiver: { name: 'Quiver' } } } },
+      items: { rope: { name: 'Rope', inventoryId: 'aria' } },
+    });
+  });
+
+  test('are deleted with their chunks, also along with their campaign', async () => {
+    const { source, repository } = setup();
+    await addSnapshot(source);
+    await repository.snapshots.delete('c1', 's1');
+    expect(await source.getDocs(paths.snapshotChunks('c1', 's1'))).toEqual([]);
+
+    await addSnapshot(source);
+    await repository.campaigns.delete('c1');
+    expect(await source.getDocs(paths.snapshots('c1'))).toEqual([]);
+    expect(await source.getDocs(paths.snapshotChunks('c1', 's1'))).toEqual([]);
+  });
+});
+
+describe('memory source', () => {
+  test('collection listeners receive the documents and what changed', async () => {
+    const { repository } = setup();
+    const onNext = jest.fn();
+    const unsubscribe = repository.inventories.subscribeAll('c1', onNext);
+    await flushNotifications();
+    expect(onNext).toHaveBeenLastCalledWith(
+      [{ id: 'aria', characterName: 'Aria', trayItems: [] }],
+      { fromCache: false, changes: [{ type: 'added', doc: { id: 'aria', characterName: 'Aria', trayItems: [] } }] }
+    );
+
+    await repository.inventories.update('c1', 'aria', { characterName: 'Aria the Bold' });
+    await flushNotifications();
+    expect(onNext).toHaveBeenCalledTimes(2);
+    expect(onNext.mock.calls[1][1].changes).toEqual([
+      { type: 'modified', doc: { id: 'aria', characterName: 'Aria the Bold', trayItems: [] } },
+    ]);
+
+    unsubscribe();
+    await repository.inventories.delete('c1', 'aria');
+    await flushNotifications();
+    expect(onNext).toHaveBeenCalledTimes(2);
+  });
+
+  test('a transaction is retried when a document it read changes before it commits', async () => {
+    const { source, repository } = setup();
+    let attempts = 0;
+    await repository.runTransaction(async (transaction) => {
+      attempts++;
+      const inventory = await transaction.get(paths.inventory('c1', 'aria'));
+      if (attempts === 1) await source.updateDoc(paths.inventory('c1', 'aria'), { trayItems: [{ id: 'rope' }] });
+      transaction.update(paths.inventory('c1', 'aria'), { trayItems: [...inventory.trayItems, { id: 'torch' }] });
+    });
+
+    expect(attempts).toBe(2);
+    expect((await repository.inventories.get('c1', 'aria')).trayItems).toEqual([{ id: 'rope' }, { id: 'torch' }]);
+  });
+
+  test('a failing write in a batch leaves no partial changes', async () => {
+    const { source, repository } = setup();
+    const batch = repository.batch();
+    batch.update(paths.inventory('c1', 'aria'), { characterName: 'Changed' });
+    batch.update(paths.inventory('c1', 'missing'), { characterName: 'Nobody' });
+    await expect(batch.commit()).rejects.toMatchObject({ code: 'not-found' });
+    expect((await source.getDoc(paths.inventory('c1', 'aria'))).characterName).toBe('Aria');
+  });
+});
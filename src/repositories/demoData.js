@@ -0,0 +1,126 @@
+import { paths } from './createRepository';
+import { toItemDocs, withoutItemLists } from '../utils/itemStorageUtils';
+
+/**
+ * The user the demo mode is signed in as. They run the demo campaign.
+ */
+export const DEMO_USER = {
+  uid: 'demo-dm',
+  email: 'demo@reinventory.app',
+  displayName: 'Demo DM',
+};
+
+export const DEMO_CAMPAIGN_ID = 'DEMO01';
+
+const ARIA_ID = 'demo-aria';
+const BORIN_ID = 'demo-borin';
+
+const item = (id, name, type, fields = {}) => ({
+  id, name, type, w: 1, h: 1, quantity: 1, rarity: 'Common', ...fields,
+});
+
+/**
+ * Builds the documents of an inventory: the inventory, its containers and its items.
+ * @param {string} inventoryId
+ * @param {object} data - The inventory, with its items in `trayItems` and `equippedItems`.
+ * @param {object} [containers={}] - Its containers with their items, keyed by container ID.
+ * @returns {object} The documents, keyed by path.
+ */
+const inventoryDocs = (inventoryId, data, containers = {}) => {
+  const docs = { [paths.inventory(DEMO_CAMPAIGN_ID, inventoryId)]: withoutItemLists(data) };
+  Object.entries(containers).forEach(([containerId, container]) => {
+    docs[paths.container(DEMO_CAMPAIGN_ID, inventoryId, containerId)] = withoutItemLists(container);
+  });
+  Object.values(toItemDocs(inventoryId, { ...data, containers })).forEach(doc => {
+    docs[paths.item(DEMO_CAMPAIGN_ID, doc.id)] = doc;
+  });
+  return docs;
+};
+
+/**
+ * Builds the documents the demo mode starts with: a campaign run by `DEMO_USER` with two
+ * characters, a loot pile, a shop, a starter pack and a few compendium entries.
+ * @returns {object} The documents, keyed by path.
+ */
+export function createDemoDocs() {
+  const characters = [DEMO_USER.uid, ARIA_ID, BORIN_ID];
+  const backpack = (gridItems = []) => ({ name: 'Backpack', gridWidth: 10, gridHeight: 5, trackWeight: true, gridItems });
+  const character = (characterName, trayItems = []) => ({
+    characterName,
+    ownerId: DEMO_USER.uid,
+    trayItems,
+    equippedItems: [],
+    totalMaxWeight: 150,
+    weightUnit: 'lbs',
+    strength: 10,
+    size: 'Medium',
+    useCalculatedWeight: true,
+    currency: { gp: 25, sp: 10, cp: 30 },
+  });
+
+  return {
+    [paths.user(DEMO_USER.uid)]: { displayName: DEMO_USER.displayName, email: DEMO_USER.email },
+
+    [paths.campaign(DEMO_CAMPAIGN_ID)]: {
+      name: 'The Sunless Citadel (Demo)',
+      dmId: DEMO_USER.uid,
+      players: characters,
+      layout: { order: characters, visible: Object.fromEntries(characters.map(id => [id, true])) },
+      itemsInCollection: true,
+    },
+
+    ...inventoryDocs(DEMO_USER.uid, { characterName: 'DM', ownerId: DEMO_USER.uid }, { backpack: backpack() }),
+
+    ...inventoryDocs(ARIA_ID, character('Aria', [item('demo-lute', 'Lute', 'Tool', { w: 1, h: 2, weight: '2 lbs', cost: '35 gp' })]), {
+      backpack: backpack([
+        item('demo-rapier', 'Rapier', 'Weapon', { h: 3, x: 0, y: 0, weight: '2 lbs', cost: '25 gp', weaponStats: { damage: '1d8', damageType: 'Piercing', properties: 'Finesse' } }),
+        item('demo-potion', 'Potion of Healing', 'Potion', { x: 1, y: 0, stackable: true, maxStack: 10, quantity: 3, weight: '0.5 lbs', cost: '50 gp' }),
+        item('demo-rations', 'Rations', 'Gear', { x: 2, y: 0, stackable: true, maxStack: 20, quantity: 5, weight: '2 lbs', cost: '5 sp' }),
+      ]),
+    }),
+
+    ...inventoryDocs(BORIN_ID, character('Borin'), {
+      backpack: backpack([
+        item('demo-axe', 'Battleaxe', 'Weapon', { w: 2, h: 3, x: 0, y: 0, weight: '4 lbs', cost: '10 gp', weaponStats: { damage: '1d8', damageType: 'Slashing', properties: 'Versatile (1d10)' } }),
+        item('demo-shield', 'Shield', 'Armor', { w: 2, h: 2, x: 2, y: 0, weight: '6 lbs', cost: '10 gp' }),
+        item('demo-arrows', 'Arrow', 'Ammunition', { x: 4, y: 0, stackable: true, maxStack: 20, quantity: 12, weight: '0.05 lbs', cost: '1 cp' }),
+      ]),
+    }),
+
+    ...inventoryDocs('public-loot', {
+      characterName: 'Loot Pile',
+      ownerId: 'public-loot',
+      isLootPile: true,
+      isVisibleToPlayers: true,
+      currency: { gp: 0, sp: 0, cp: 0 },
+      trayItems: [item('demo-gem', 'Moonstone', 'Treasure', { cost: '50 gp', rarity: 'Uncommon' })],
+    }),
+
+    ...inventoryDocs('merchant-demo', {
+      characterName: 'Meepo',
+      ownerId: 'merchant-demo',
+      isMerchant: true,
+      currency: { gp: 0, sp: 0, cp: 0 },
+      trayItems: [
+        item('demo-torch', 'Torch', 'Gear', { stackable: true, maxStack: 10, quantity: 10, weight: '1 lbs', cost: '1 cp' }),
+        item('demo-rope', 'Rope (50 ft)', 'Gear', { w: 2, h: 1, weight: '10 lbs', cost: '1 gp' }),
+      ],
+    }),
+
+    [`${paths.starterPacks()}/explorer`]: {
+      name: "Explorer's Pack",
+      items: [
+        { name: 'Bedroll', type: 'Gear', w: 2, h: 1, weight: '7 lbs' },
+        { name: 'Torch', type: 'Gear', quantity: 10, maxStack: 10, weight: '1 lbs' },
+        { name: 'Rations', type: 'Gear', quantity: 10, maxStack: 20, weight: '2 lbs' },
+      ],
+    },
+
+    [`${paths.globalCompendium()}/longsword`]: item('longsword', 'Longsword', 'Weapon', { h: 3, weight: '3 lbs', cost: '15 gp', weaponStats: { damage: '1d8', damageType: 'Slashing', properties: 'Versatile (1d10)' } }),
+    [`${paths.globalCompendium()}/chain-mail`]: item('chain-mail', 'Chain Mail', 'Armor', { w: 2, h: 3, weight: '55 lbs', cost: '75 gp' }),
+    [`${paths.globalCompendium()}/bag-of-holding`]: item('bag-of-holding', 'Bag of Holding', 'Magic', {
+      w: 2, h: 2, weight: '15 lbs', cost: '500 gp', rarity: 'Uncommon',
+      contents: { gridWidth: 6, gridHeight: 6, gridItems: [] },
+    }),
+  };
+}
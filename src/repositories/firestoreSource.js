@@ -0,0 +1,107 @@
+import {
+  doc, collection, query, where, orderBy, limit, getDoc, getDocs, setDoc, updateDoc, addDoc, deleteDoc,
+  onSnapshot, writeBatch, runTransaction, serverTimestamp,
+} from 'firebase/firestore';
+
+/**
+ * Converts a document snapshot to its data, with the document ID as `id`. Server timestamps
+ * that haven't been written yet read as the local estimate rather than `null`.
+ * @param {object} snapshot - A Firestore document snapshot.
+ * @returns {object | null} The data, or `null` if the document doesn't exist.
+ */
+const toData = (snapshot) => (snapshot.exists() ? { ...snapshot.data({ serverTimestamps: 'estimate' }), id: snapshot.id } : null);
+
+/**
+ * Builds a Firestore query for a collection, a list of `[field, op, value]` filters and
+ * optionally a sort order and a maximum number of results.
+ * @param {object} db - The Firestore instance.
+ * @param {string} collectionPath
+ * @param {Array<[string, string, *]>} [filters=[]]
+ * @param {{orderBy?: [string, ('asc'|'desc')], limit?: number}} [options={}]
+ * @returns {object}
+ */
+const buildQuery = (db, collectionPath, filters = [], options = {}) => {
+  const constraints = filters.map(([field, op, value]) => where(field, op, value));
+  if (options.orderBy) constraints.push(orderBy(...options.orderBy));
+  if (options.limit) constraints.push(limit(options.limit));
+  return constraints.length > 0 ? query(collection(db, collectionPath), ...constraints) : collection(db, collectionPath);
+};
+
+// The region the Cloud Functions of the project are deployed to.
+const FUNCTIONS_REGION = 'us-central1';
+
+/**
+ * Creates the data source backed by Cloud Firestore. Every document is addressed by its
+ * slash-separated path (e.g. `campaigns/abc/inventories/xyz`) and read as plain data with
+ * its ID in `id`, so the repositories built on top don't depend on the Firestore SDK.
+ * @param {object} db - The Firestore instance.
+ * @param {object} auth - The Firebase Auth instance, to authenticate Cloud Function calls.
+ * @returns {object} The data source.
+ */
+export function createFirestoreSource(db, auth) {
+  return {
+    getDoc: async (path) => toData(await getDoc(doc(db, path))),
+
+    getDocs: async (collectionPath, filters) => {
+      const snapshot = await getDocs(buildQuery(db, collectionPath, filters));
+      return snapshot.docs.map(toData);
+    },
+
+    setDoc: (path, data, options) => setDoc(doc(db, path), data, options || {}),
+
+    updateDoc: (path, changes) => updateDoc(doc(db, path), changes),
+
+    addDoc: async (collectionPath, data) => (await addDoc(collection(db, collectionPath), data)).id,
+
+    deleteDoc: (path) => deleteDoc(doc(db, path)),
+
+    subscribeDoc: (path, onNext, onError) => onSnapshot(doc(db, path), (snapshot) => onNext(toData(snapshot)), onError),
+
+    subscribeCollection: (collectionPath, filters, onNext, onError, options) => onSnapshot(
+      buildQuery(db, collectionPath, filters, options),
+      (snapshot) => onNext(snapshot.docs.map(toData), {
+        fromCache: snapshot.metadata.fromCache,
+        changes: snapshot.docChanges().map(change => ({ type: change.type, doc: toData(change.doc) })),
+      }),
+      onError
+    ),
+
+    batch: () => {
+      const batch = writeBatch(db);
+      return {
+        set: (path, data, options) => batch.set(doc(db, path), data, options || {}),
+        update: (path, changes) => batch.update(doc(db, path), changes),
+        delete: (path) => batch.delete(doc(db, path)),
+        commit: () => batch.commit(),
+      };
+    },
+
+    runTransaction: (updateFunction) => runTransaction(db, (transaction) => updateFunction({
+      get: async (path) => toData(await transaction.get(doc(db, path))),
+      set: (path, data, options) => transaction.set(doc(db, path), data, options || {}),
+      update: (path, changes) => transaction.update(doc(db, path), changes),
+      delete: (path) => transaction.delete(doc(db, path)),
+    })),
+
+    timestamp: () => serverTimestamp(),
+
+    /**
+     * Calls one of the project's HTTPS Cloud Functions as the signed-in user.
+     * @param {string} name - The name of the function.
+     * @param {object} data - Sent to the function as `req.body.data`.
+     * @returns {Promise<object>} The `data` of the function's response.
+     */
+    callFunction: async (name, data) => {
+      if (!auth.currentUser) throw new Error("You must be logged in.");
+      const token = await auth.currentUser.getIdToken();
+      const response = await fetch(`https://${FUNCTIONS_REGION}-${db.app.options.projectId}.cloudfunctions.net/${name}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ data }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error?.message || `${name} failed.`);
+      return result.data;
+    },
+  };
+}
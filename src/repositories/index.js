@@ -0,0 +1,31 @@
+import { db, auth } from '../firebase';
+import { createRepository } from './createRepository';
+import { createFirestoreSource } from './firestoreSource';
+import { createMemorySource } from './memorySource';
+import { createLocalFunctions } from './localFunctions';
+import { createDemoDocs, DEMO_USER } from './demoData';
+
+export { paths } from './createRepository';
+export { DEMO_USER, DEMO_CAMPAIGN_ID } from './demoData';
+
+/**
+ * Whether the app runs on local, in-memory data instead of Firestore: either the build sets
+ * `REACT_APP_DATA_BACKEND=memory`, or the page was opened with `?demo` in its URL.
+ */
+export const isDemoMode = process.env.REACT_APP_DATA_BACKEND === 'memory' ||
+  new URLSearchParams(window.location.search).has('demo');
+
+/**
+ * The repositories the whole app reads and writes its data through.
+ */
+export const repository = createRepository(
+  isDemoMode ? createMemorySource(createDemoDocs(), createLocalFunctions(() => DEMO_USER.uid)) : createFirestoreSource(db, auth)
+);
+
+/**
+ * Returns the signed-in user: the demo user in demo mode, the Firebase user otherwise.
+ * @returns {object | null}
+ */
+export function getCurrentUser() {
+  return isDemoMode ? DEMO_USER : auth.currentUser;
+}
@@ -0,0 +1,72 @@
+import { paths } from './createRepository';
+import { planTradeCompletion, buildTradeRecord } from '../shared/trades';
+
+/**
+ * Completes a trade everyone taking part has accepted, in a single transaction, as the
+ * `finalizeTrade` Cloud Function does (see `completeTrade` in functions/trades.js): the items
+ * and coins change hands, and the trade is replaced by its record in the trade history.
+ * @param {object} source - The data source.
+ * @param {string} tradeId
+ * @param {string} userId - The ID of the player completing the trade.
+ * @returns {Promise<{itemCount: number}>} How many offered items changed hands.
+ */
+const completeTrade = async (source, tradeId, userId) => {
+  const trade = await source.getDoc(paths.trade(tradeId));
+  if (!trade) throw new Error("Trade does not exist.");
+  const { campaignId, players = [] } = trade;
+
+  // Transactions only read single documents, so the players' items are listed first and read
+  // again inside. The DM has no tray of their own: what they receive goes on the tray of their
+  // first container.
+  const destinations = {};
+  const itemIds = [];
+  for (const playerId of players) {
+    const inventory = await source.getDoc(paths.inventory(campaignId, playerId));
+    const [firstContainer] = inventory?.characterName === 'DM' ? await source.getDocs(paths.containers(campaignId, playerId)) : [];
+    destinations[playerId] = firstContainer ? firstContainer.id : 'tray';
+    const itemDocs = await source.getDocs(paths.items(campaignId), [['inventoryId', '==', playerId]]);
+    itemIds.push(...itemDocs.map(doc => doc.id));
+  }
+
+  return source.runTransaction(async (transaction) => {
+    const current = await transaction.get(paths.trade(tradeId));
+    if (!current) throw new Error("Trade does not exist.");
+    if (current.players.join() !== players.join()) throw new Error("Someone joined or left the trade. Try again.");
+    const inventories = {};
+    for (const playerId of players) {
+      inventories[playerId] = await transaction.get(paths.inventory(campaignId, playerId));
+      if (!inventories[playerId]) throw new Error("Could not find player inventories.");
+    }
+    const itemDocs = {};
+    for (const itemId of itemIds) {
+      const itemDoc = await transaction.get(paths.item(campaignId, itemId));
+      if (itemDoc) itemDocs[itemId] = itemDoc;
+    }
+
+    const plan = planTradeCompletion(current, userId, inventories, destinations, itemDocs, () => crypto.randomUUID());
+    plan.itemSets.forEach(([itemId, data]) => transaction.set(paths.item(campaignId, itemId), data));
+    plan.itemUpdates.forEach(([itemId, changes]) => transaction.update(paths.item(campaignId, itemId), changes));
+    if (plan.wallets) {
+      players.forEach(playerId => transaction.update(paths.inventory(campaignId, playerId), { currency: plan.wallets[playerId] }));
+    }
+    transaction.set(paths.tradeRecord(campaignId, tradeId), {
+      ...buildTradeRecord(current, plan.names, 'completed', userId),
+      closedAt: source.timestamp(),
+    });
+    transaction.delete(paths.trade(tradeId));
+    return { itemCount: plan.itemCount };
+  });
+};
+
+/**
+ * Builds the Cloud Functions the memory source runs itself, as there is no server behind it.
+ * Each is called with the source and the data the app sends, and returns what the Cloud
+ * Function would.
+ * @param {Function} getUserId - Returns the ID of the signed-in user, who calls them.
+ * @returns {object} The functions, by name.
+ */
+export function createLocalFunctions(getUserId) {
+  return {
+    finalizeTrade: (source, { tradeId }) => completeTrade(source, tradeId, getUserId()),
+  };
+}
@@ -0,0 +1,232 @@
+/**
+ * A data source that keeps every document in memory, with the same interface as
+ * `createFirestoreSource`. It backs the demo mode and lets the inventory logic be tested
+ * without a Firebase project. Nothing is persisted: reloading the page starts over.
+ *
+ * Documents are stored under slash-separated paths (e.g. `campaigns/abc/inventories/xyz`).
+ * Like Firestore, listeners are notified asynchronously, and transactions are retried when
+ * a document they read is written by someone else before they commit.
+ */
+
+// How many times a transaction is attempted before giving up, as in Firestore.
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const idFromPath = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+const parentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+
+/**
+ * Creates an error carrying a Firestore-like `code`.
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+const sourceError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Checks whether a document matches a list of `[field, op, value]` filters.
+ * Supports the `==` and `array-contains` operators.
+ * @param {object} data
+ * @param {Array<[string, string, *]>} filters
+ * @returns {boolean}
+ */
+const matchesFilters = (data, filters) => filters.every(([field, op, value]) => {
+  if (op === '==') return data[field] === value;
+  if (op === 'array-contains') return Array.isArray(data[field]) && data[field].includes(value);
+  throw new Error(`Unsupported filter operator: ${op}`);
+});
+
+/**
+ * Creates an in-memory data source.
+ * @param {object} [initialDocs={}] - Documents to start with, keyed by path.
+ * @param {object} [functions={}] - The Cloud Functions it runs itself, by name (see
+ * `createLocalFunctions`).
+ * @returns {object} The data source.
+ */
+export function createMemorySource(initialDocs = {}, functions = {}) {
+  // path -> { data, version }
+  const documents = new Map();
+  let version = 0;
+  Object.entries(initialDocs).forEach(([path, data]) => {
+    documents.set(path, { data: clone(data), version: ++version });
+  });
+
+  const listeners = new Set();
+  let isFlushScheduled = false;
+
+  const readDoc = (path) => {
+    const entry = documents.get(path);
+    return entry ? { ...clone(entry.data), id: idFromPath(path) } : null;
+  };
+
+  const readCollection = (collectionPath, filters = [], options = {}) => {
+    let results = [];
+    documents.forEach((entry, path) => {
+      if (parentPath(path) === collectionPath && matchesFilters(entry.data, filters)) {
+        results.push(readDoc(path));
+      }
+    });
+    if (options.orderBy) {
+      const [field, direction = 'asc'] = options.orderBy;
+      const sign = direction === 'desc' ? -1 : 1;
+      results.sort((a, b) => (a[field] < b[field] ? -sign : a[field] > b[field] ? sign : 0));
+    }
+    if (options.limit) results = results.slice(0, options.limit);
+    return results;
+  };
+
+  /**
+   * Calls every listener whose data changed since it was last notified.
+   */
+  const flush = () => {
+    isFlushScheduled = false;
+    listeners.forEach(listener => listener.check());
+  };
+
+  const scheduleFlush = () => {
+    if (isFlushScheduled) return;
+    isFlushScheduled = true;
+    queueMicrotask(flush);
+  };
+
+  /**
+   * Applies a list of writes atomically and notifies the listeners.
+   * @param {Array<{type: string, path: string, data?: object, options?: object}>} writes
+   */
+  const applyWrites = (writes) => {
+    // Validate everything first so a failing write leaves no partial changes.
+    const pending = new Map();
+    const exists = (path) => (pending.has(path) ? pending.get(path) !== null : documents.has(path));
+    const current = (path) => (pending.has(path) ? pending.get(path) : documents.get(path)?.data);
+
+    writes.forEach(({ type, path, data, options }) => {
+      if (type === 'delete') {
+        pending.set(path, null);
+      } else if (type === 'update') {
+        if (!exists(path)) throw sourceError('not-found', `No document to update: ${path}`);
+        pending.set(path, { ...current(path), ...clone(data) });
+      } else {
+        pending.set(path, options?.merge && exists(path) ? { ...current(path), ...clone(data) } : clone(data));
+      }
+    });
+
+    pending.forEach((data, path) => {
+      if (data === null) {
+        documents.delete(path);
+      } else {
+        documents.set(path, { data, version: ++version });
+      }
+    });
+    scheduleFlush();
+  };
+
+  const source = {
+    getDoc: async (path) => readDoc(path),
+
+    getDocs: async (collectionPath, filters) => readCollection(collectionPath, filters),
+
+    setDoc: async (path, data, options) => applyWrites([{ type: 'set', path, data, options }]),
+
+    updateDoc: async (path, changes) => applyWrites([{ type: 'update', path, data: changes }]),
+
+    addDoc: async (collectionPath, data) => {
+      const id = crypto.randomUUID();
+      applyWrites([{ type: 'set', path: `${collectionPath}/${id}`, data }]);
+      return id;
+    },
+
+    deleteDoc: async (path) => applyWrites([{ type: 'delete', path }]),
+
+    subscribeDoc: (path, onNext) => {
+      let last;
+      const listener = {
+        check: () => {
+          const data = readDoc(path);
+          if (last !== undefined && JSON.stringify(data) === JSON.stringify(last)) return;
+          last = data;
+          onNext(data);
+        },
+      };
+      listeners.add(listener);
+      queueMicrotask(() => listeners.has(listener) && listener.check());
+      return () => listeners.delete(listener);
+    },
+
+    subscribeCollection: (collectionPath, filters, onNext, onError, options) => {
+      let last = null;
+      const listener = {
+        check: () => {
+          const docs = readCollection(collectionPath, filters, options);
+          const previous = new Map((last || []).map(d => [d.id, JSON.stringify(d)]));
+          const changes = [];
+          docs.forEach(d => {
+            if (!previous.has(d.id)) changes.push({ type: 'added', doc: d });
+            else if (previous.get(d.id) !== JSON.stringify(d)) changes.push({ type: 'modified', doc: d });
+          });
+          const ids = new Set(docs.map(d => d.id));
+          (last || []).forEach(d => {
+            if (!ids.has(d.id)) changes.push({ type: 'removed', doc: d });
+          });
+          if (last && changes.length === 0) return;
+          last = docs;
+          onNext(docs, { fromCache: false, changes });
+        },
+      };
+      listeners.add(listener);
+      queueMicrotask(() => listeners.has(listener) && listener.check());
+      return () => listeners.delete(listener);
+    },
+
+    batch: () => {
+      const writes = [];
+      return {
+        set: (path, data, options) => writes.push({ type: 'set', path, data, options }),
+        update: (path, changes) => writes.push({ type: 'update', path, data: changes }),
+        delete: (path) => writes.push({ type: 'delete', path }),
+        commit: async () => applyWrites(writes),
+      };
+    },
+
+    runTransaction: async (updateFunction) => {
+      for (let attempt = 1; ; attempt++) {
+        const readVersions = new Map();
+        const writes = [];
+        const transaction = {
+          get: async (path) => {
+            readVersions.set(path, documents.get(path)?.version ?? 0);
+            return readDoc(path);
+          },
+          set: (path, data, options) => writes.push({ type: 'set', path, data, options }),
+          update: (path, changes) => writes.push({ type: 'update', path, data: changes }),
+          delete: (path) => writes.push({ type: 'delete', path }),
+        };
+
+        const result = await updateFunction(transaction);
+        const isStale = [...readVersions].some(([path, readVersion]) => (documents.get(path)?.version ?? 0) !== readVersion);
+        if (!isStale) {
+          applyWrites(writes);
+          return result;
+        }
+        if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+          throw sourceError('aborted', 'Transaction failed: the data kept changing.');
+        }
+      }
+    },
+
+    timestamp: () => new Date().toISOString(),
+
+    // There is no server behind the memory source: the Cloud Functions it was given run here,
+    // the others aren't available.
+    callFunction: async (name, data) => {
+      if (!functions[name]) throw sourceError('unimplemented', `${name} needs the Firebase backend.`);
+      return functions[name](source, data);
+    },
+  };
+  return source;
+}
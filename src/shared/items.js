@@ -0,0 +1,59 @@
+/**
+ * What the app and the Cloud Functions both need to know about item documents.
+ *
+ * The files in this folder are shared with the Cloud Functions: `npm run copy-shared` in
+ * functions/ copies them there before the functions are deployed, served or tested. So they
+ * are CommonJS, and require nothing from outside this folder.
+ */
+
+// Items carried inside another item have a `containerId` made of this prefix and the ID of
+// that item.
+const NESTED_CONTAINER_PREFIX = 'nested:';
+
+/**
+ * The version of the item schema. Changing the shape of items means adding a migration to
+ * `ITEM_MIGRATIONS` and bumping it: the app migrates items as it reads them (see
+ * src/utils/schemaUtils.js), and the `migrateItemSchema` Cloud Function rewrites the stored
+ * item documents.
+ */
+const ITEM_SCHEMA_VERSION = 1;
+
+/**
+ * Each migration takes an item at the version before its own and returns it at its version.
+ * They run in order on any item whose `schemaVersion` is older.
+ */
+const ITEM_MIGRATIONS = [
+  {
+    version: 1,
+    // Items from before the schema, starter pack items in particular, could lack a size,
+    // a type or a quantity, and only had a quantity to say they stack.
+    migrate: (item) => ({
+      ...item,
+      name: item.name ?? 'Unknown Item',
+      w: item.w ?? 1,
+      h: item.h ?? 1,
+      type: item.type ?? 'Gear',
+      quantity: item.quantity ?? 1,
+      stackable: item.stackable ?? item.quantity > 1,
+    }),
+  },
+];
+
+/**
+ * Runs the migrations a piece of data hasn't been through yet.
+ * @param {object} data - The item or inventory.
+ * @param {{version: number, migrate: function(object): object}[]} migrations
+ * @returns {object} The data at the version of the last migration.
+ */
+const runMigrations = (data, migrations) => migrations.reduce((current, { version, migrate }) => (
+  (current.schemaVersion || 0) < version ? { ...migrate(current), schemaVersion: version } : current
+), data);
+
+/**
+ * Brings an item up to the current schema version.
+ * @param {object} item - The item, or the data of its document.
+ * @returns {object} The migrated item.
+ */
+const migrateItem = (item) => runMigrations(item, ITEM_MIGRATIONS);
+
+module.exports = { NESTED_CONTAINER_PREFIX, ITEM_SCHEMA_VERSION, runMigrations, migrateItem };
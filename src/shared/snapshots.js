@@ -0,0 +1,107 @@
+/**
+ * How the contents of a campaign snapshot are stored, shared by the Cloud Functions that take
+ * and restore snapshots and by the app, which reads them to show what changed since.
+ *
+ * Firestore documents hold at most 1 MiB, so the contents are split into chunks well below
+ * that, each a document of the snapshot's `chunks` sub-collection. A chunk keeps some of the
+ * inventories (without their containers), containers (by inventory) and items, each under its
+ * ID, in `inventories`, `containers` and `items`. The snapshot document says how many chunks
+ * there are in `chunkCount`; snapshots saved before they were split hold their contents in the
+ * snapshot document itself.
+ */
+
+const MAX_SNAPSHOT_CHUNK_BYTES = 512 * 1024;
+
+/**
+ * Counts the bytes a text takes in UTF-8, as Firestore measures strings.
+ * @param {string} text
+ * @returns {number}
+ */
+const byteLength = (text) => {
+  let bytes = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+};
+
+/**
+ * Adds what a chunk holds to another chunk.
+ * @param {object} target - The chunk added to (mutated in place).
+ * @param {object} chunk - The chunk to add.
+ */
+const addToChunk = (target, chunk) => {
+  Object.assign(target.inventories, chunk.inventories);
+  Object.assign(target.items, chunk.items);
+  Object.entries(chunk.containers || {}).forEach(([inventoryId, containers]) => {
+    target.containers[inventoryId] = { ...target.containers[inventoryId], ...containers };
+  });
+};
+
+/**
+ * Splits the contents of a snapshot into chunks that each fit in a document. Each inventory,
+ * container and item goes whole into one chunk.
+ * @param {{inventories: object, items: object}} contents - The inventories, each with its
+ * containers in `containers`, and the item documents, each keyed by ID.
+ * @param {number} [maxBytes=MAX_SNAPSHOT_CHUNK_BYTES] - How large a chunk may grow.
+ * @returns {object[]} The chunks.
+ */
+const splitSnapshot = ({ inventories, items }, maxBytes = MAX_SNAPSHOT_CHUNK_BYTES) => {
+  const entries = [
+    ...Object.entries(inventories).flatMap(([inventoryId, { containers, ...inventory }]) => [
+      { inventories: { [inventoryId]: inventory } },
+      ...Object.entries(containers || {}).map(([containerId, container]) => (
+        { containers: { [inventoryId]: { [containerId]: container } } }
+      )),
+    ]),
+    ...Object.entries(items).map(([itemId, item]) => ({ items: { [itemId]: item } })),
+  ];
+
+  const chunks = [];
+  let chunk = null;
+  let chunkBytes = 0;
+  entries.forEach(entry => {
+    const bytes = byteLength(JSON.stringify(entry));
+    if (!chunk || chunkBytes + bytes > maxBytes) {
+      chunk = { inventories: {}, containers: {}, items: {} };
+      chunks.push(chunk);
+      chunkBytes = 0;
+    }
+    addToChunk(chunk, entry);
+    chunkBytes += bytes;
+  });
+  return chunks;
+};
+
+/**
+ * Puts the contents of a snapshot back together from its chunks.
+ * @param {object[]} chunks - The chunk documents.
+ * @returns {{inventories: object, items: object}} The contents, with each inventory's
+ * containers in `containers`, as in snapshots saved in one document.
+ */
+const mergeSnapshotChunks = (chunks) => {
+  const merged = { inventories: {}, containers: {}, items: {} };
+  chunks.forEach(chunk => addToChunk(merged, chunk));
+  return {
+    inventories: Object.fromEntries(Object.entries(merged.inventories).map(([inventoryId, inventory]) => (
+      [inventoryId, { ...inventory, containers: merged.containers[inventoryId] || {} }]
+    ))),
+    items: merged.items,
+  };
+};
+
+/**
+ * Reads the contents of a snapshot, from its chunks or, for older snapshots, from the
+ * snapshot document.
+ * @param {object} snapshot - The snapshot document.
+ * @param {function(): Promise<object[]>} loadChunks - Reads the chunk documents.
+ * @returns {Promise<{inventories: object, items: (object|undefined)}>}
+ */
+const readSnapshotContents = (snapshot, loadChunks) => (
+  snapshot.chunkCount === undefined
+    ? Promise.resolve({ inventories: snapshot.inventories, items: snapshot.items })
+    : loadChunks().then(mergeSnapshotChunks)
+);
+
+module.exports = { splitSnapshot, mergeSnapshotChunks, readSnapshotContents };
@@ -0,0 +1,32 @@
+import { splitSnapshot, mergeSnapshotChunks, readSnapshotContents } from './snapshots';
+
+const contents = {
+  inventories: {
+    aria: { characterName: 'Aria', containers: { backpack: { name: 'Backpack' }, quiver: { name: 'Quiver' } } },
+    borin: { characterName: 'Börin', containers: {} },
+  },
+  items: {
+    rope: { name: 'Rope', inventoryId: 'aria' },
+    map: { name: 'Map of the Ürdal Pass', inventoryId: 'borin' },
+  },
+};
+
+describe('snapshot chunks', () => {
+  test('hold whole inventories, containers and items, and put them back together', () => {
+    const chunks = splitSnapshot(contents, 80);
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(Object.keys(chunk)).toEqual(['inventories', 'containers', 'items']));
+    expect(mergeSnapshotChunks(chunks)).toEqual(contents);
+  });
+
+  test('keep everything in one chunk while it fits', () => {
+    expect(splitSnapshot(contents)).toHaveLength(1);
+  });
+
+  test('are only read for snapshots saved in chunks', async () => {
+    const loadChunks = jest.fn(() => Promise.resolve(splitSnapshot(contents)));
+    expect(await readSnapshotContents({ ...contents }, loadChunks)).toEqual(contents);
+    expect(loadChunks).not.toHaveBeenCalled();
+    expect(await readSnapshotContents({ chunkCount: 1 }, loadChunks)).toEqual(contents);
+  });
+});
@@ -0,0 +1,192 @@
+const { NESTED_CONTAINER_PREFIX } = require('./items');
+
+/**
+ * Completing and recording trades, shared by the `finalizeTrade` Cloud Function
+ * (functions/trades.js) and the memory source the demo runs on (src/repositories/localFunctions.js),
+ * so that a trade completes, and is recorded, the same whichever of them closes it. See
+ * src/utils/tradeUtils.js for the shape of a trade.
+ */
+
+const COINS = ['gp', 'sp', 'cp'];
+
+/**
+ * Creates an error that the `finalizeTrade` Cloud Function sends back with an HTTP status.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The message shown to the player.
+ * @returns {Error}
+ */
+const tradeError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Checks whether an amount of coins has any coin in it.
+ * @param {{gp?: number, sp?: number, cp?: number}} [coins]
+ * @returns {boolean}
+ */
+const hasCoins = (coins) => COINS.some(coin => coins?.[coin] > 0);
+
+/**
+ * Checks whether everyone taking part in a trade has accepted it.
+ * @param {object} trade
+ * @returns {boolean}
+ */
+const hasEveryoneAccepted = (trade) => trade.players.every(playerId => trade.accepted?.[playerId]);
+
+/**
+ * Reads coins offered in a trade as whole, non-negative amounts.
+ * @param {{gp?: number, sp?: number, cp?: number}} [offered]
+ * @returns {{gp: number, sp: number, cp: number}}
+ */
+const readCoins = (offered) => Object.fromEntries(COINS.map(coin => {
+  const amount = Number(offered?.[coin]);
+  return [coin, Number.isInteger(amount) && amount > 0 ? amount : 0];
+}));
+
+/**
+ * Reads how many of a stack were offered. Items that don't stack, and offers from before
+ * stacks could be split, give the whole item.
+ * @param {object} entry - The item as it appears in the offer.
+ * @param {object} itemDoc - The item as it is stored.
+ * @returns {number}
+ */
+const readOfferedQuantity = (entry, itemDoc) => {
+  const quantity = Number(entry.quantity);
+  if (!itemDoc.stackable || !Number.isInteger(quantity) || quantity <= 0) return Number(itemDoc.quantity) || 1;
+  return quantity;
+};
+
+/**
+ * Works out what completing a trade writes, checking everything first so that a failed trade
+ * leaves no trace. Each offered item moves, with everything inside it, from wherever it is in
+ * the giver's inventory (a container, a tray, equipped) to the receiver's destination; when
+ * only part of a stack goes to a receiver, that many leave the giver's stack and make a new
+ * stack for them. The coins leave the giver's wallet for the receiver's. An item that is inside
+ * another offered item can't be offered itself.
+ * @param {object} trade - The trade document.
+ * @param {string} userId - The ID of the player completing it, who must take part in it.
+ * @param {object} inventories - The inventory of each player, by ID.
+ * @param {object} destinations - Where each player receives items: `'tray'`, or the ID of a
+ * container whose tray they go on.
+ * @param {object} itemDocs - The item documents of the players, by ID.
+ * @param {Function} createId - Makes the ID of a new item.
+ * @returns {{itemSets: Array, itemUpdates: Array, wallets: (object|null), names: object, itemCount: number}}
+ * The item documents to write whole and to update, each as `[itemId, data]`, the new wallet of
+ * each player if any coins change hands, and the name of each player for the trade record.
+ * @throws {Error} With the HTTP `status` to answer with, if the trade can't go through.
+ */
+const planTradeCompletion = (trade, userId, inventories, destinations, itemDocs, createId) => {
+  const players = trade.players || [];
+  if (!players.includes(userId)) throw tradeError(403, 'You are not a participant in this trade.');
+  if (!hasEveryoneAccepted({ ...trade, players })) throw tradeError(409, 'Everyone must accept the trade.');
+
+  const transfers = players.flatMap(from => (trade.offers?.[from] || []).map(entry => ({ from, to: entry.to, entry })));
+  const coinTransfers = players.flatMap(from => Object.entries(trade.coins?.[from] || {})
+    .map(([to, offered]) => ({ from, to, coins: readCoins(offered) })));
+
+  const left = {};
+  transfers.forEach(({ from, to, entry }) => {
+    const itemDoc = itemDocs[entry.id];
+    if (itemDoc?.inventoryId !== from) throw tradeError(409, `${entry.name} is no longer in the inventory it was offered from.`);
+    if (to === from || !players.includes(to)) throw tradeError(400, `${entry.name} is offered to someone who is not in the trade.`);
+    if (left[entry.id] === undefined) left[entry.id] = Number(itemDoc.quantity) || 1;
+    const quantity = readOfferedQuantity(entry, itemDoc);
+    if (quantity > left[entry.id]) throw tradeError(409, `There are no longer ${quantity} ${entry.name} to trade.`);
+    left[entry.id] -= quantity;
+  });
+  // An item inside another offered item already goes along with it, to whoever receives that
+  // one, so it can't be offered on its own as well.
+  const offeredIds = new Set(transfers.map(({ entry }) => entry.id));
+  transfers.forEach(({ entry }) => {
+    const visited = new Set([entry.id]);
+    let containerId = itemDocs[entry.id].containerId;
+    while (typeof containerId === 'string' && containerId.startsWith(NESTED_CONTAINER_PREFIX)) {
+      const parentId = containerId.slice(NESTED_CONTAINER_PREFIX.length);
+      if (offeredIds.has(parentId)) throw tradeError(400, `${entry.name} is inside ${itemDocs[parentId].name}, which is offered too.`);
+      if (visited.has(parentId) || !itemDocs[parentId]) break;
+      visited.add(parentId);
+      containerId = itemDocs[parentId].containerId;
+    }
+  });
+  const wallets = Object.fromEntries(players.map(playerId => [playerId, readCoins(inventories[playerId].currency)]));
+  coinTransfers.forEach(({ from, to, coins }) => {
+    if (to === from || !players.includes(to)) throw tradeError(400, 'Coins are offered to someone who is not in the trade.');
+    COINS.forEach(coin => {
+      wallets[from][coin] -= coins[coin];
+      wallets[to][coin] += coins[coin];
+    });
+  });
+  players.forEach(playerId => {
+    if (COINS.some(coin => wallets[playerId][coin] < 0)) {
+      throw tradeError(409, `${inventories[playerId].characterName || 'A player'} no longer has the coins they offered.`);
+    }
+  });
+
+  const itemSets = [];
+  const itemUpdates = [];
+  const order = Date.now();
+  const remaining = {};
+  transfers.forEach(({ from, to, entry }, index) => {
+    const { x, y, ...looseItem } = itemDocs[entry.id];
+    const quantity = readOfferedQuantity(entry, looseItem);
+    const received = { source: 'tray', containerId: destinations[to], order: order + index, quantity, inventoryId: to };
+    if (remaining[entry.id] === undefined) remaining[entry.id] = Number(looseItem.quantity) || 1;
+    remaining[entry.id] -= quantity;
+
+    // Whoever receives the last of a stack gets the item itself; the others get new stacks.
+    if (remaining[entry.id] > 0) {
+      const newId = createId();
+      itemSets.push([newId, { ...looseItem, ...received, id: newId }]);
+      return;
+    }
+    itemSets.push([entry.id, { ...looseItem, ...received }]);
+
+    // The items inside go along, however deep they are.
+    const parentIds = [entry.id];
+    while (parentIds.length > 0) {
+      const containerId = NESTED_CONTAINER_PREFIX + parentIds.pop();
+      Object.values(itemDocs).filter(doc => doc.inventoryId === from && doc.containerId === containerId).forEach(doc => {
+        itemUpdates.push([doc.id, { inventoryId: to }]);
+        parentIds.push(doc.id);
+      });
+    }
+  });
+  Object.entries(left).forEach(([itemId, quantity]) => {
+    if (quantity > 0) itemUpdates.push([itemId, { quantity }]);
+  });
+
+  const names = Object.fromEntries(players
+    .filter(playerId => inventories[playerId].characterName)
+    .map(playerId => [playerId, inventories[playerId].characterName]));
+  return {
+    itemSets,
+    itemUpdates,
+    wallets: coinTransfers.some(({ coins }) => hasCoins(coins)) ? wallets : null,
+    names,
+    itemCount: transfers.length,
+  };
+};
+
+/**
+ * Builds the record of a trade that is kept in the campaign's trade history once it is over:
+ * who took part and what each of them offered whom, with items reduced to their name and
+ * quantity so the record reads the same whatever becomes of them.
+ * @param {object} trade - The trade document.
+ * @param {object} names - The character name of each player, by ID.
+ * @param {('completed'|'cancelled'|'declined')} outcome
+ * @param {string} closedBy - The ID of the player who completed, cancelled or declined it.
+ * @returns {object} The record, without the time it was closed (`closedAt`).
+ */
+const buildTradeRecord = (trade, names, outcome, closedBy) => ({
+  participants: trade.players,
+  names,
+  items: trade.players.flatMap(from => (trade.offers?.[from] || []).map(item => ({
+    from, to: item.to, id: item.id, name: item.name, quantity: item.quantity || 1,
+  }))),
+  coins: trade.players.flatMap(from => Object.entries(trade.coins?.[from] || {})
+    .map(([to, offered]) => ({ from, to, ...readCoins(offered) }))
+    .filter(hasCoins)),
+  outcome,
+  closedBy,
+  startedAt: trade.createdAt || null,
+});
+
+module.exports = { tradeError, hasCoins, hasEveryoneAccepted, planTradeCompletion, buildTradeRecord };
@@ -0,0 +1,83 @@
+import { planTradeCompletion, buildTradeRecord } from './trades';
+
+const arrows = { id: 'arrows', name: 'Arrows', quantity: 20, stackable: true };
+
+describe('planTradeCompletion', () => {
+  const inventories = { aria: { characterName: 'Aria', currency: { gp: 5 } }, borin: { characterName: 'Borin' }, cora: {} };
+  const destinations = { aria: 'tray', borin: 'tray', cora: 'tray' };
+  const itemDocs = {
+    arrows: { ...arrows, inventoryId: 'aria', containerId: 'tray' },
+    quiver: { id: 'quiver', name: 'Quiver', inventoryId: 'borin', containerId: 'tray' },
+    bolt: { id: 'bolt', name: 'Bolt', inventoryId: 'borin', containerId: 'nested:quiver', x: 1, y: 0 },
+  };
+  const trade = {
+    players: ['aria', 'borin', 'cora'],
+    offers: {
+      aria: [{ ...arrows, quantity: 5, to: 'borin' }, { ...arrows, quantity: 15, to: 'cora' }],
+      borin: [{ id: 'quiver', name: 'Quiver', quantity: 1, to: 'aria' }],
+    },
+    coins: { aria: { cora: { gp: 5 } } },
+    accepted: { aria: true, borin: true, cora: true },
+  };
+  const plan = (changes = {}, userId = 'aria') => (
+    planTradeCompletion({ ...trade, ...changes }, userId, inventories, destinations, itemDocs, () => 'new-stack')
+  );
+
+  test('splits stacks, moves what is inside items along and hands over the coins', () => {
+    const { itemSets, itemUpdates, wallets, names, itemCount } = plan();
+    expect(itemSets.map(([id, data]) => [id, data.inventoryId, data.quantity])).toEqual([
+      ['new-stack', 'borin', 5],
+      ['arrows', 'cora', 15],
+      ['quiver', 'aria', 1],
+    ]);
+    expect(itemUpdates).toEqual([['bolt', { inventoryId: 'aria' }]]);
+    expect(wallets.aria).toEqual({ gp: 0, sp: 0, cp: 0 });
+    expect(wallets.cora).toEqual({ gp: 5, sp: 0, cp: 0 });
+    expect(names).toEqual({ aria: 'Aria', borin: 'Borin' });
+    expect(itemCount).toBe(3);
+  });
+
+  test('keeps what is left of a stack with the giver', () => {
+    const { itemUpdates } = plan({ offers: { aria: [{ ...arrows, quantity: 5, to: 'borin' }] }, coins: {} });
+    expect(itemUpdates).toEqual([['arrows', { quantity: 15 }]]);
+  });
+
+  test('refuses trades that cannot go through as they stand', () => {
+    expect(() => plan({}, 'dorn')).toThrow('You are not a participant in this trade.');
+    expect(() => plan({ accepted: { aria: true } })).toThrow('Everyone must accept the trade.');
+    expect(() => plan({ offers: { aria: [{ ...arrows, quantity: 25, to: 'borin' }] } })).toThrow('There are no longer 25 Arrows to trade.');
+    expect(() => plan({ coins: { aria: { cora: { gp: 6 } } } })).toThrow('Aria no longer has the coins they offered.');
+    expect(() => plan({ offers: { cora: [{ id: 'bolt', name: 'Bolt', to: 'aria' }] } })).toThrow('Bolt is no longer in the inventory it was offered from.');
+  });
+
+  test('refuses an item offered along with the item it is inside', () => {
+    const offers = { borin: [{ id: 'quiver', name: 'Quiver', to: 'aria' }, { id: 'bolt', name: 'Bolt', to: 'cora' }] };
+    expect(() => plan({ offers })).toThrow('Bolt is inside Quiver, which is offered too.');
+  });
+});
+
+describe('buildTradeRecord', () => {
+  const trade = {
+    players: ['aria', 'borin'],
+    offers: { aria: [{ ...arrows, quantity: 5, to: 'borin', x: 2 }], borin: [] },
+    coins: { borin: { aria: { gp: 3, sp: 0, cp: 0 } }, aria: { borin: { gp: 0, sp: 0, cp: 0 } } },
+    createdAt: '2026-10-01T18:00:00.000Z',
+  };
+
+  test('keep the name and quantity of what each player offered whom', () => {
+    expect(buildTradeRecord(trade, { aria: 'Aria', borin: 'Borin' }, 'completed', 'borin')).toEqual({
+      participants: ['aria', 'borin'],
+      names: { aria: 'Aria', borin: 'Borin' },
+      items: [{ from: 'aria', to: 'borin', id: 'arrows', name: 'Arrows', quantity: 5 }],
+      coins: [{ from: 'borin', to: 'aria', gp: 3, sp: 0, cp: 0 }],
+      outcome: 'completed',
+      closedBy: 'borin',
+      startedAt: '2026-10-01T18:00:00.000Z',
+    });
+  });
+
+  test('keeps coins as whole, non-negative amounts', () => {
+    const record = buildTradeRecord({ ...trade, coins: { borin: { aria: { gp: '3', sp: -2, cp: 1.5 } } } }, {}, 'cancelled', 'aria');
+    expect(record.coins).toEqual([{ from: 'borin', to: 'aria', gp: 3, sp: 0, cp: 0 }]);
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * How many days deleted items and containers stay in a campaign's trash when the DM hasn't
+ * set `trashRetentionDays`, before the `purgeTrash` Cloud Function removes them for good.
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+module.exports = { DEFAULT_TRASH_RETENTION_DAYS };
@@ -1,6 +1,309 @@
 import { create } from 'zustand';
-import { db } from '../firebase';
-import { doc, onSnapshot, collection, updateDoc, setDoc, deleteDoc } from 'firebase/firestore'; // <--- Added updateDoc
+import { repository, paths, isDemoMode, getCurrentUser } from '../repositories';
+import { getItemListsSnapshot, applyItemListsSnapshot, findItemLocation, findItemInInventory, isNestedContainerId, nestedContainerItemId } from '../utils/inventoryUtils';
+import { toItemSnapshot } from '../utils/activityUtils';
+import { placeRestoredItem } from '../utils/trashUtils';
+import { findGridConflict, staleChangeError, isStaleChangeError, shareUnchanged, diffItemListsSnapshots, rebaseItemListsChange, forceItemListsChange } from '../utils/deltaUtils';
+import { assembleInventory, planItemDocChanges, isSameItemDoc, isSamePlacement, fromItemDoc } from '../utils/itemStorageUtils';
+import { normalizeInventory, normalizeItem } from '../utils/schemaUtils';
+import { deductCurrency } from '../utils/currencyUtils';
+
+// How many changes can be undone in a session.
+const MAX_HISTORY = 50;
+
+// Changes made while offline are kept in localStorage under this prefix + the campaign ID,
+// so they survive a reload until they reach the server. The demo data starts over on every
+// reload, so the demo mode doesn't keep them.
+const PENDING_CHANGES_KEY = 'pendingChanges:';
+
+const loadPendingChanges = (campaignId) => {
+  if (isDemoMode) return [];
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_CHANGES_KEY + campaignId)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const savePendingChanges = (campaignId, pendingChanges) => {
+  if (isDemoMode) return;
+  if (pendingChanges.length > 0) {
+    localStorage.setItem(PENDING_CHANGES_KEY + campaignId, JSON.stringify(pendingChanges));
+  } else {
+    localStorage.removeItem(PENDING_CHANGES_KEY + campaignId);
+  }
+};
+
+// Firestore reports these codes when the server can't be reached.
+const isNetworkError = (error) => ['unavailable', 'deadline-exceeded'].includes(error?.code);
+
+/**
+ * Replays the pending changes that touch an inventory on top of its server version, payments
+ * included. Changes that no longer apply are left out; they surface as a conflict when they are synced.
+ * @param {object} inventory - The inventory as it is on the server.
+ * @param {string} playerId - The ID of the inventory.
+ * @param {object[]} pendingChanges - The queued changes, oldest first.
+ * @returns {object} The inventory as the user expects to see it.
+ */
+const withPendingChanges = (inventory, playerId, pendingChanges) => {
+  return pendingChanges.reduce((current, change) => {
+    if (!change.after[playerId]) return current;
+    try {
+      const rebased = rebaseItemListsChange(current, diffItemListsSnapshots(change.before[playerId], change.after[playerId]));
+      const currency = change.payment?.inventoryId === playerId && deductCurrency(current.currency || {}, change.payment.amount);
+      return currency ? { ...rebased, currency } : rebased;
+    } catch (error) {
+      if (isStaleChangeError(error)) return current;
+      throw error;
+    }
+  }, inventory);
+};
+
+/**
+ * Builds the inventories shown on screen from their server versions and the pending changes.
+ * Inventories whose data didn't change keep their current objects so they don't re-render.
+ * @param {object} previous - The inventories currently shown, keyed by inventory ID.
+ * @param {object} remoteInventories - The server versions, keyed by inventory ID.
+ * @param {object[]} pendingChanges - The queued changes, oldest first.
+ * @returns {object} The inventories to show.
+ */
+const deriveInventories = (previous, remoteInventories, pendingChanges) => {
+  return Object.fromEntries(Object.entries(remoteInventories).map(([playerId, remote]) => (
+    [playerId, shareUnchanged(previous[playerId], withPendingChanges(remote, playerId, pendingChanges))]
+  )));
+};
+
+/**
+ * Rebuilds the server version of some inventories from their documents and the item documents,
+ * brought up to the current schema, then the inventories shown on screen. Inventories whose
+ * containers and items aren't loaded (see `watchInventories`) only get their own fields, empty
+ * item lists and `isPartial: true`.
+ * @param {object} state - The current state of the store.
+ * @param {object} remoteDocs - The inventory documents, each with its container documents in `containers`.
+ * @param {object} remoteItems - The item documents, keyed by item ID.
+ * @param {Iterable<string>} inventoryIds - The inventories whose documents or items changed.
+ * @param {object} [loadedInventories=state.loadedInventories] - The inventories whose containers
+ * and items are loaded, as `{[inventoryId]: true}`.
+ * @returns {object} The state update.
+ */
+const withRemoteData = (state, remoteDocs, remoteItems, inventoryIds, loadedInventories = state.loadedInventories) => {
+  const remoteInventories = { ...state.remoteInventories };
+  for (const inventoryId of inventoryIds) {
+    if (!remoteDocs[inventoryId]) {
+      delete remoteInventories[inventoryId];
+    } else if (loadedInventories[inventoryId]) {
+      const itemDocs = Object.values(remoteItems).filter(doc => doc.inventoryId === inventoryId);
+      remoteInventories[inventoryId] = normalizeInventory(assembleInventory(remoteDocs[inventoryId], itemDocs));
+    } else {
+      remoteInventories[inventoryId] = { ...normalizeInventory(assembleInventory(remoteDocs[inventoryId], [])), isPartial: true };
+    }
+  }
+  return {
+    remoteDocs,
+    remoteItems,
+    remoteInventories,
+    loadedInventories,
+    inventories: deriveInventories(state.inventories, remoteInventories, state.pendingChanges),
+  };
+};
+
+/**
+ * Listens to the containers and the items of one inventory.
+ * @param {string} campaignId
+ * @param {string} inventoryId
+ * @param {function} set - The store's `set`.
+ * @returns {function(): void} Stops listening.
+ */
+const listenToInventory = (campaignId, inventoryId, set) => {
+  // The inventory is loaded once both its containers and its items are in.
+  const loadedParts = new Set();
+  const withLoaded = (state, part) => {
+    loadedParts.add(part);
+    return loadedParts.size === 2 ? { ...state.loadedInventories, [inventoryId]: true } : state.loadedInventories;
+  };
+
+  const containersUnsub = repository.containers.subscribeAll(campaignId, inventoryId, (containerDocs) => {
+    const containers = Object.fromEntries(containerDocs.map(container => [container.id, container]));
+    set(state => {
+      // Safety check: the inventory may have been deleted or unwatched while this listener fired.
+      if (!state.remoteDocs[inventoryId] || !state.inventoryListeners[inventoryId]) return state;
+      const remoteDocs = { ...state.remoteDocs, [inventoryId]: { ...state.remoteDocs[inventoryId], containers } };
+      // Only the containers that actually changed get a new object (and re-render).
+      return withRemoteData(state, remoteDocs, state.remoteItems, [inventoryId], withLoaded(state, 'containers'));
+    });
+  }, (err) => {
+    console.error("Error fetching containers:", err);
+    set({ error: 'Failed to fetch inventories.' });
+  });
+
+  const itemsUnsub = repository.items.subscribeInventory(campaignId, inventoryId, (itemDocs) => {
+    set(state => {
+      if (!state.inventoryListeners[inventoryId]) return state;
+      // An item that has just moved here may still be listed under the inventory it left,
+      // until that inventory's listener fires: it is rebuilt as well.
+      const changedIds = new Set([inventoryId]);
+      const remoteItems = Object.fromEntries(Object.entries(state.remoteItems).filter(([, doc]) => doc.inventoryId !== inventoryId));
+      itemDocs.forEach(doc => {
+        if (remoteItems[doc.id]) changedIds.add(remoteItems[doc.id].inventoryId);
+        remoteItems[doc.id] = doc;
+      });
+      return withRemoteData(state, state.remoteDocs, remoteItems, changedIds, withLoaded(state, 'items'));
+    });
+  }, (err) => {
+    console.error("Error fetching items:", err);
+    set({ error: 'Failed to fetch items.' });
+  });
+
+  return () => {
+    containersUnsub();
+    itemsUnsub();
+  };
+};
+
+/**
+ * Returns the `order` to write an item document with: the one it has on the server if it stays
+ * in the same list, so it keeps its place, otherwise one after everything already in its new list.
+ * @param {object} doc - The item document to write.
+ * @param {object | null} remote - The item document on the server.
+ * @param {number} fallback - The order to use if the item goes to another list.
+ * @returns {number}
+ */
+const orderFor = (doc, remote, fallback) => (remote && isSamePlacement(remote, doc) ? remote.order : fallback);
+
+/**
+ * Checks whether an item document on the server is the one a change expects. The change was
+ * made on the items as the app shows them, brought up to the current schema, so the server's
+ * version is compared in the same form; writing the change stores the item in that form.
+ * @param {object | null} remote - The item document on the server.
+ * @param {object | null} expected - The item document the change was made on.
+ * @returns {boolean}
+ */
+const isExpectedItemDoc = (remote, expected) => isSameItemDoc(remote && normalizeItem(remote), expected && normalizeItem(expected));
+
+/**
+ * Saves a change to the server in a single transaction. Only the item documents the change
+ * added, removed, modified or moved are written (see `planItemDocChanges`); everything else is
+ * kept as it is on the server. If an item the change touches was modified by someone else in the
+ * meantime, or a placed item now overlaps something, the whole change is rejected with a
+ * `STALE_CHANGE` error.
+ *
+ * Each inventory document counts the changes made to each of its grids in `gridVersions`, by
+ * container ID (`nested:<itemId>` for the grid inside an item). A change that puts items in a
+ * grid bumps its count, and is rejected if the count isn't the one we know of: someone else has
+ * changed the grid, maybe with items we haven't received yet and so can't check for overlaps.
+ *
+ * A change that pays for something (buying from a merchant) takes the coins from the wallet as
+ * it is on the server, in the same transaction, and is rejected if they are no longer there.
+ * @param {string} campaignId
+ * @param {{before: object, after: object, payment?: object}} change - The item lists of each
+ * touched inventory, keyed by inventory ID, and what the change costs whom, as
+ * `{ inventoryId, amount }` in copper pieces.
+ * @param {{remoteDocs: object, remoteItems: object}} known - The inventory documents and the
+ * item documents we know of, to find what else is in the grids items are placed in.
+ * @returns {Promise<object>} The new `gridVersions` of each inventory whose grids the change
+ * wrote to, keyed by inventory ID (see `withGridVersions`).
+ */
+const runChangeTransaction = async (campaignId, change, { remoteDocs, remoteItems }) => {
+  const { upserted, removed } = planItemDocChanges(change);
+  if (upserted.length === 0 && removed.length === 0) return {};
+  const touchedIds = new Set([...upserted.map(({ doc }) => doc.id), ...removed.map(doc => doc.id)]);
+
+  // The grids items are placed in, to check nothing else is in the way. Transactions can't run
+  // queries, so the other items of a grid are the ones we know of; each is re-read.
+  const grids = new Map();
+  upserted.forEach(({ doc }) => {
+    if (doc.source !== 'grid') return;
+    const key = `${doc.inventoryId}/${doc.containerId}`;
+    if (!grids.has(key)) {
+      const others = Object.values(remoteItems)
+        .filter(other => !touchedIds.has(other.id) && other.inventoryId === doc.inventoryId && other.containerId === doc.containerId)
+        .map(other => other.id);
+      const path = isNestedContainerId(doc.containerId)
+        ? paths.item(campaignId, nestedContainerItemId(doc.containerId))
+        : paths.container(campaignId, doc.inventoryId, doc.containerId);
+      grids.set(key, { path, placed: [], others });
+    }
+    grids.get(key).placed.push(doc);
+  });
+
+  return repository.runTransaction(async (transaction) => {
+    // Firestore transactions need every read to happen before the first write.
+    const read = (itemIds) => Promise.all(itemIds.map(itemId => transaction.get(paths.item(campaignId, itemId))));
+    const inventoryIds = [...new Set([...upserted.map(({ doc }) => doc.inventoryId), ...(change.payment ? [change.payment.inventoryId] : [])])];
+    const inventories = await Promise.all(inventoryIds.map(inventoryId => transaction.get(paths.inventory(campaignId, inventoryId))));
+    const upsertedRemote = await read(upserted.map(({ doc }) => doc.id));
+    const removedRemote = await read(removed.map(doc => doc.id));
+    const gridReads = await Promise.all([...grids.values()].map(async (grid) => ({
+      ...grid,
+      data: await transaction.get(grid.path),
+      others: await read(grid.others),
+    })));
+
+    if (inventories.some(inventory => !inventory)) throw staleChangeError("This inventory was removed by someone else.");
+    upserted.forEach(({ doc, previous }, index) => {
+      if (!isExpectedItemDoc(upsertedRemote[index], previous)) throw staleChangeError(`${doc.name} was changed or moved by someone else.`);
+    });
+    removed.forEach((doc, index) => {
+      if (!isExpectedItemDoc(removedRemote[index], doc)) throw staleChangeError(`${doc.name} was changed or moved by someone else.`);
+    });
+    const gridVersions = {};
+    gridReads.forEach(({ data, placed, others }) => {
+      const [{ inventoryId, containerId }] = placed;
+      const versions = inventories[inventoryIds.indexOf(inventoryId)].gridVersions || {};
+      const version = versions[containerId] || 0;
+      if (version !== (remoteDocs[inventoryId]?.gridVersions?.[containerId] || 0)) {
+        throw staleChangeError("Someone else has just changed what is in this container.");
+      }
+      gridVersions[inventoryId] = { ...(gridVersions[inventoryId] || versions), [containerId]: version + 1 };
+      // The grid of an item inside another one is the `contents` of that item, which may be changing too.
+      const grid = isNestedContainerId(containerId)
+        ? (upserted.find(({ doc }) => doc.id === nestedContainerItemId(containerId))?.doc || (data && normalizeItem(data)))?.contents
+        : data;
+      if (!grid) throw staleChangeError("This container was removed by someone else.");
+      const items = [
+        ...others.filter(other => other && other.inventoryId === inventoryId && other.containerId === containerId).map(normalizeItem),
+        ...placed,
+      ].map(fromItemDoc);
+      const conflict = findGridConflict(items, new Set(placed.map(doc => doc.id)), grid.gridWidth, grid.gridHeight, grid.blockedCells);
+      if (conflict) throw staleChangeError(`Someone else has put something where ${conflict.name} was going.`);
+    });
+    const payer = change.payment && inventories[inventoryIds.indexOf(change.payment.inventoryId)];
+    const wallet = payer && deductCurrency(payer.currency || {}, change.payment.amount);
+    if (payer && !wallet) throw staleChangeError("There are no longer enough coins in the wallet to pay for this.");
+
+    const order = Date.now();
+    upserted.forEach(({ doc }, index) => {
+      transaction.set(paths.item(campaignId, doc.id), { ...doc, order: orderFor(doc, upsertedRemote[index], order + index) });
+    });
+    removed.forEach(doc => transaction.delete(paths.item(campaignId, doc.id)));
+    if (wallet) transaction.update(paths.inventory(campaignId, change.payment.inventoryId), { currency: wallet });
+    Object.entries(gridVersions).forEach(([inventoryId, versions]) => {
+      transaction.update(paths.inventory(campaignId, inventoryId), { gridVersions: versions });
+    });
+    return gridVersions;
+  });
+};
+
+/**
+ * Notes the grid versions a change we saved has just written, so the next change to the same
+ * grids isn't taken for a stale one before the inventories listener brings them in. A version
+ * the listener already brought in that is higher (someone else changed the grid since) is kept.
+ * @param {object} state - The current state of the store.
+ * @param {object} gridVersions - What `runChangeTransaction` returned.
+ * @returns {object} The state update.
+ */
+const withGridVersions = (state, gridVersions) => {
+  const remoteDocs = { ...state.remoteDocs };
+  Object.entries(gridVersions).forEach(([inventoryId, versions]) => {
+    if (!remoteDocs[inventoryId]) return;
+    const known = remoteDocs[inventoryId].gridVersions || {};
+    const merged = Object.fromEntries(Object.entries(versions).map(([containerId, version]) => (
+      [containerId, Math.max(version, known[containerId] || 0)]
+    )));
+    remoteDocs[inventoryId] = { ...remoteDocs[inventoryId], gridVersions: { ...known, ...merged } };
+  });
+  return { remoteDocs };
+};
 
 export const useCampaignStore = create((set, get) => ({
   // --- STATE ---
@@ -8,16 +311,45 @@ export const useCampaignStore = create((set, get) => ({
   inventories: {},
   isLoading: true,
   error: null,
+  activeCampaignId: null,
+
+  // The inventories exactly as the server (or the offline cache) has them. `inventories`
+  // is this plus the changes that haven't been synced yet.
+  remoteInventories: {},
+
+  // What `remoteInventories` is built from: the inventory documents (each with its container
+  // documents in `containers`) and the item documents, keyed by ID.
+  remoteDocs: {},
+  remoteItems: {},
+
+  // The inventories whose containers and items have arrived, as `{[inventoryId]: true}`.
+  // Only the watched ones are listened to (see `watchInventories`).
+  loadedInventories: {},
+
+  // Offline support: changes waiting to reach the server, oldest first ({ id, before, after }
+  // like a history entry), and the queued change the server rejected, if any.
+  isOnline: typeof navigator === 'undefined' ? true : navigator.onLine,
+  pendingChanges: [],
+  isSyncing: false,
+  syncConflict: null,
+  connectivityListener: null,
   
   // To hold the Firestore listeners so we can unsubscribe later
   campaignListener: null,
   inventoriesListener: null,
-  containerListeners: {},
+  // The containers and items of each watched inventory, keyed by inventory ID.
+  inventoryListeners: {},
+
+  // Undo/redo stacks for this session. Each entry holds the item lists of the
+  // inventories a change touched, before and after it: { label, before, after }.
+  history: { past: [], future: [] },
 
   // --- ACTIONS ---
   
   /**
-   * Fetches and listens to real-time updates for a specific campaign.
+   * Fetches and listens to real-time updates for a specific campaign: the campaign and the
+   * top-level data of every inventory. The containers and items of an inventory are only
+   * listened to once it is watched (see `watchInventories`).
    * @param {string} campaignId - The ID of the campaign to fetch.
    */
   fetchCampaign: (campaignId) => {
@@ -27,76 +359,86 @@ export const useCampaignStore = create((set, get) => ({
       return set({ isLoading: false, campaignData: null, inventories: {} });
     }
 
-    set({ isLoading: true });
+    set({ isLoading: true, activeCampaignId: campaignId, pendingChanges: loadPendingChanges(campaignId) });
+
+    // --- Connectivity ---
+    // Queued changes are synced as soon as the connection comes back.
+    const handleOnline = () => {
+      set({ isOnline: true });
+      get().syncPendingChanges(campaignId);
+    };
+    const handleOffline = () => set({ isOnline: false });
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    set({
+      isOnline: navigator.onLine,
+      connectivityListener: () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+      },
+    });
+
+    // The campaign is ready once it uses the item collection and its inventories are in.
+    const loaded = new Set();
+    const markLoaded = (part) => {
+      loaded.add(part);
+      if (loaded.size === 2) set({ isLoading: false });
+    };
+
+    // Campaigns from before items had their own collection are moved over when first opened.
+    let isMigrating = false;
+    const migrateCampaign = async () => {
+      if (isMigrating) return;
+      isMigrating = true;
+      try {
+        // The campaign listener picks up the flag the migration sets.
+        await repository.items.migrateCampaign(campaignId);
+      } catch (err) {
+        console.error("Error migrating campaign:", err);
+        set({ error: 'Failed to upgrade the campaign data.', isLoading: false });
+      }
+    };
 
     // --- Main Campaign Listener ---
-    const campaignDocRef = doc(db, 'campaigns', campaignId);
-    const campaignUnsub = onSnapshot(campaignDocRef, (campaignDoc) => {
-      // Include the ID in the data object so campaign.id is accessible in UI
-      set({ campaignData: campaignDoc.exists() ? { id: campaignDoc.id, ...campaignDoc.data() } : null });
+    const campaignUnsub = repository.campaigns.subscribe(campaignId, (campaign) => {
+      // The ID is included in the data object so campaign.id is accessible in UI
+      set({ campaignData: campaign });
+      if (campaign && !campaign.itemsInCollection) migrateCampaign();
+      else markLoaded('campaign');
     }, (err) => {
       console.error("Error fetching campaign:", err);
       set({ error: 'Failed to fetch campaign.', isLoading: false });
     });
 
-    // --- Inventories & Containers Listener ---
-    const inventoriesColRef = collection(db, 'campaigns', campaignId, 'inventories');
-    const inventoriesUnsub = onSnapshot(inventoriesColRef, (invSnapshot) => {
-      const currentListeners = get().containerListeners;
-      
-      // Create a shallow copy so React detects state changes
-      const newInventories = { ...get().inventories };
-      
-      const allPlayerIds = invSnapshot.docs.map(d => d.id);
-
-      // --- FIX: Remove deleted inventories from local state ---
-      Object.keys(newInventories).forEach(inventoryId => {
-        if (!allPlayerIds.includes(inventoryId)) {
-          // 1. Delete from state object
-          delete newInventories[inventoryId];
-          
-          // 2. Unsubscribe from its container listeners (cleanup)
-          if (currentListeners[inventoryId]) {
-            currentListeners[inventoryId]();
-            delete currentListeners[inventoryId];
-          }
-        }
+    // --- Inventories Listener ---
+    const inventoriesUnsub = repository.inventories.subscribeAll(campaignId, (invDocs, { fromCache }) => {
+      const ids = new Set(invDocs.map(d => d.id));
+
+      // Stop listening to the containers and items of deleted inventories.
+      const inventoryListeners = { ...get().inventoryListeners };
+      Object.keys(inventoryListeners).forEach(inventoryId => {
+        if (ids.has(inventoryId)) return;
+        inventoryListeners[inventoryId]();
+        delete inventoryListeners[inventoryId];
       });
-      
-      // --- Handle Updates & Additions ---
-      invSnapshot.forEach(invDoc => {
-        const playerId = invDoc.id;
-        const invData = invDoc.data();
-
-        // Update top-level inventory data
-        newInventories[playerId] = { ...(newInventories[playerId] || {}), ...invData, id: playerId };
-        
-        // Subscribe to container listeners for new players
-        if (!currentListeners[playerId]) {
-          const containersColRef = collection(invDoc.ref, 'containers');
-          currentListeners[playerId] = onSnapshot(containersColRef, (containersSnap) => {
-            const playerContainers = {};
-            containersSnap.forEach(containerDoc => {
-              playerContainers[containerDoc.id] = { id: containerDoc.id, ...containerDoc.data() };
-            });
-            
-            // Update the state with the new container data
-            set(state => {
-                // Safety check: if the player was deleted while this listener fired
-                if (!state.inventories[playerId]) return state;
-                
-                return {
-                  inventories: {
-                    ...state.inventories,
-                    [playerId]: { ...state.inventories[playerId], containers: playerContainers },
-                  }
-                };
-            });
-          });
-        }
+
+      set(state => {
+        // Keep the containers of each inventory, which come from its own listener.
+        const remoteDocs = Object.fromEntries(invDocs.map(invData => (
+          [invData.id, { ...invData, containers: state.remoteDocs[invData.id]?.containers || {} }]
+        )));
+        const changedIds = new Set([...Object.keys(state.remoteDocs), ...ids]);
+        const loadedInventories = Object.fromEntries(Object.keys(state.loadedInventories)
+          .filter(inventoryId => ids.has(inventoryId)).map(inventoryId => [inventoryId, true]));
+        return {
+          ...withRemoteData(state, remoteDocs, state.remoteItems, changedIds, loadedInventories),
+          inventoryListeners,
+        };
       });
+      markLoaded('inventories');
 
-      set({ inventories: newInventories, isLoading: false, containerListeners: currentListeners });
+      // Data straight from the server means we're connected: push anything still queued.
+      if (!fromCache) get().syncPendingChanges(campaignId);
     }, (err) => {
       console.error("Error fetching inventories:", err);
       set({ error: 'Failed to fetch inventories.', isLoading: false });
@@ -106,6 +448,45 @@ export const useCampaignStore = create((set, get) => ({
     set({ campaignListener: campaignUnsub, inventoriesListener: inventoriesUnsub });
   },
 
+  /**
+   * Sets which inventories have their containers and items listened to, so a campaign with
+   * many inventories only loads the ones on screen. The others stay in `inventories` with
+   * only their own fields and `isPartial: true`. Listeners of inventories that stay watched
+   * are kept as they are.
+   * @param {string} campaignId
+   * @param {string[]} inventoryIds - The inventories to watch.
+   */
+  watchInventories: (campaignId, inventoryIds) => {
+    if (get().activeCampaignId !== campaignId) return;
+    const wanted = new Set(inventoryIds);
+    const inventoryListeners = { ...get().inventoryListeners };
+    const unwatched = Object.keys(inventoryListeners).filter(inventoryId => !wanted.has(inventoryId));
+    unwatched.forEach(inventoryId => {
+      inventoryListeners[inventoryId]();
+      delete inventoryListeners[inventoryId];
+    });
+    wanted.forEach(inventoryId => {
+      if (!inventoryListeners[inventoryId]) inventoryListeners[inventoryId] = listenToInventory(campaignId, inventoryId, set);
+    });
+    if (unwatched.length === 0) return set({ inventoryListeners });
+
+    // Forget what was loaded for the inventories no longer watched.
+    const gone = new Set(unwatched);
+    set(state => {
+      const remoteDocs = { ...state.remoteDocs };
+      unwatched.forEach(inventoryId => {
+        if (remoteDocs[inventoryId]) remoteDocs[inventoryId] = { ...remoteDocs[inventoryId], containers: {} };
+      });
+      const remoteItems = Object.fromEntries(Object.entries(state.remoteItems).filter(([, doc]) => !gone.has(doc.inventoryId)));
+      const loadedInventories = Object.fromEntries(Object.keys(state.loadedInventories)
+        .filter(inventoryId => !gone.has(inventoryId)).map(inventoryId => [inventoryId, true]));
+      return {
+        ...withRemoteData(state, remoteDocs, remoteItems, unwatched, loadedInventories),
+        inventoryListeners,
+      };
+    });
+  },
+
   /**
    * Updates the currency for a specific player.
    * @param {string} campaignId 
@@ -114,35 +495,352 @@ export const useCampaignStore = create((set, get) => ({
    */
   updateCurrency: async (campaignId, playerId, newCurrency) => {
     if (!campaignId || !playerId) throw new Error("Missing ID");
-    const invRef = doc(db, 'campaigns', campaignId, 'inventories', playerId);
-    await updateDoc(invRef, { currency: newCurrency });
+    await repository.inventories.update(campaignId, playerId, { currency: newCurrency });
+  },
+
+  /**
+   * Records what happened in the campaign's activity log, as done by the current user.
+   * Each entry keeps the names of the inventories involved, so it still reads well after
+   * they are renamed or removed. The log is a record, not part of the change: failing to
+   * write it doesn't undo anything.
+   * @param {string} campaignId
+   * @param {object|object[]} entries - `{ type, sourceInventoryId?, targetInventoryId?, item?, details? }`
+   * for each thing that happened (`type` is one of `ACTIVITY_TYPES`).
+   */
+  logActivity: async (campaignId, entries) => {
+    const actorId = getCurrentUser()?.uid;
+    if (!campaignId || !actorId) return;
+    const { inventories } = get();
+    const records = (Array.isArray(entries) ? entries : [entries]).map(({ item, ...entry }) => {
+      const record = { actorId, sourceInventoryId: null, targetInventoryId: null, ...entry, item: item ? toItemSnapshot(item) : null };
+      const names = {};
+      [record.actorId, record.sourceInventoryId, record.targetInventoryId].forEach(id => {
+        if (inventories[id]?.characterName) names[id] = inventories[id].characterName;
+      });
+      return { ...record, names };
+    });
+    if (records.length === 0) return;
+    try {
+      await repository.activity.record(campaignId, records);
+    } catch (error) {
+      console.error("Failed to record activity:", error);
+    }
+  },
+
+  /**
+   * Deletes items by moving them to the campaign's trash, from where the owner or the DM can
+   * restore them. `afterInventories` must already have the items removed (with
+   * `removeItemFromInventory`); each trash entry keeps the whole item, contents included, and
+   * where it was in `beforeInventories`.
+   * The entries are written before the change, so a deleted item is never lost; if the change
+   * fails they are taken out again and the error is rethrown.
+   * @param {string} campaignId
+   * @param {object} beforeInventories - The inventories object the change was built from.
+   * @param {object} afterInventories - The inventories object without the items.
+   * @param {string} playerId - The ID of the inventory the items were deleted from.
+   * @param {object[]} removedItems - The items that were removed.
+   */
+  trashItems: async (campaignId, beforeInventories, afterInventories, playerId, removedItems) => {
+    const deletedBy = getCurrentUser()?.uid || null;
+    const entries = removedItems.map(item => ({
+      kind: 'item',
+      inventoryId: playerId,
+      item,
+      location: findItemLocation(beforeInventories[playerId], item.id),
+      deletedBy,
+    }));
+    // Offline, Firestore keeps the entries in its write queue but the promise only settles once
+    // they reach the server, so we don't wait for it (the change itself is queued as well), but
+    // still report the entries if the server turns them down.
+    const adding = repository.trash.add(campaignId, entries);
+    if (!get().isOnline) {
+      adding.catch(error => console.error("Failed to move the deleted items to the trash:", error));
+    }
+    const entryIds = get().isOnline ? await adding : [];
+
+    try {
+      await get().commitInventoryChange(campaignId, beforeInventories, afterInventories, [playerId]);
+    } catch (error) {
+      if (entryIds.length > 0) {
+        repository.trash.remove(campaignId, entryIds).catch(err => console.error("Failed to clean up the trash:", err));
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Puts a trashed item back into its inventory: where it was if that spot is still free,
+   * otherwise somewhere else in the same grid or on the ground (see `placeRestoredItem`).
+   * On failure the local state is reverted and the error is rethrown.
+   * @param {string} campaignId
+   * @param {object} entry - The trash entry of the item.
+   * @returns {Promise<('original'|'moved'|'tray'|'present')>} Where the item ended up; `'present'`
+   * if it was already back in the inventory (after an undo), in which case only the entry is removed.
+   */
+  restoreTrashedItem: async (campaignId, entry) => {
+    const { inventories, commitInventoryChange } = get();
+    if (!inventories[entry.inventoryId]) throw new Error("The inventory this item belonged to no longer exists.");
+    if (inventories[entry.inventoryId].isPartial) throw new Error("The inventory this item belonged to is still loading. Try again in a moment.");
+
+    if (findItemInInventory(inventories[entry.inventoryId], entry.item.id)) {
+      await repository.trash.remove(campaignId, [entry.id]);
+      return 'present';
+    }
+
+    const newInventories = JSON.parse(JSON.stringify(inventories));
+    const placement = placeRestoredItem(newInventories[entry.inventoryId], entry.item, entry.location);
+    get().setInventoriesOptimistic(newInventories);
+    try {
+      await commitInventoryChange(campaignId, inventories, newInventories, [entry.inventoryId]);
+    } catch (error) {
+      get().setInventoriesOptimistic(inventories);
+      throw error;
+    }
+    await repository.trash.remove(campaignId, [entry.id]);
+    return placement;
   },
 
   /**
    * Cleans up all Firestore listeners.
    */
   clearCampaign: () => {
-    const { campaignListener, inventoriesListener, containerListeners } = get();
+    const { campaignListener, inventoriesListener, inventoryListeners, connectivityListener } = get();
     if (campaignListener) campaignListener();
     if (inventoriesListener) inventoriesListener();
-    Object.values(containerListeners).forEach(unsub => unsub());
+    if (connectivityListener) connectivityListener();
+    Object.values(inventoryListeners).forEach(unsub => unsub());
     set({ 
       campaignData: null, 
       inventories: {}, 
+      remoteInventories: {},
+      remoteDocs: {},
+      remoteItems: {},
+      loadedInventories: {},
+      activeCampaignId: null,
+      pendingChanges: [],
+      isSyncing: false,
+      syncConflict: null,
+      connectivityListener: null,
       isLoading: true, 
       error: null,
       campaignListener: null,
       inventoriesListener: null,
-      containerListeners: {}
+      inventoryListeners: {},
+      history: { past: [], future: [] },
     });
   },
 
   /**
    * Updates the inventories state locally for an optimistic UI update.
+   * Parts of the inventories that didn't change keep their current objects, so only the
+   * containers and lists a change touched re-render.
    * @param {object} newInventories - The complete, updated inventories object.
    */
   setInventoriesOptimistic: (newInventories) => {
-    set({ inventories: newInventories });
+    set(state => ({ inventories: shareUnchanged(state.inventories, newInventories) }));
+  },
+
+  /**
+   * Saves a change to the items of some inventories.
+   * Only the item lists that differ between `beforeInventories` and `afterInventories` are
+   * written, as a conflict-checked delta (see `runChangeTransaction`); a change that is out of
+   * date is rejected with a `STALE_CHANGE` error.
+   * While offline (or while older changes are still waiting) the change is queued instead and
+   * synced later, so the call succeeds and the optimistic state stays on screen.
+   * Items carried inside other items are saved along with their parent.
+   * @param {string} campaignId
+   * @param {object} beforeInventories - The inventories object the change was built from.
+   * @param {object} afterInventories - The inventories object holding the changed state.
+   * @param {string[]} playerIds - The IDs of the inventories the change touched.
+   * @param {{inventoryId: string, amount: number}} [payment] - What the change costs, in copper
+   * pieces, and the inventory (one of `playerIds`) that pays it; it is paid along with the change.
+   */
+  commitInventoryChange: async (campaignId, beforeInventories, afterInventories, playerIds, payment) => {
+    if (!campaignId) throw new Error("Missing ID");
+
+    const ids = [...new Set(playerIds)].filter(id => beforeInventories[id] && afterInventories[id]);
+    const pick = (inventories) => Object.fromEntries(ids.map(id => [id, getItemListsSnapshot(inventories[id])]));
+    const change = { id: crypto.randomUUID(), before: pick(beforeInventories), after: pick(afterInventories), ...(payment && { payment }) };
+
+    if (get().isOnline && get().pendingChanges.length === 0) {
+      try {
+        const gridVersions = await runChangeTransaction(campaignId, change, get());
+        set(state => withGridVersions(state, gridVersions));
+        return;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+    get().queueChange(campaignId, change);
+  },
+
+  /**
+   * Adds a change to the offline queue and tries to sync it right away if we're online.
+   * @param {string} campaignId
+   * @param {{id: string, before: object, after: object}} change
+   */
+  queueChange: (campaignId, change) => {
+    const pendingChanges = [...get().pendingChanges, change];
+    savePendingChanges(campaignId, pendingChanges);
+    set(state => ({
+      pendingChanges,
+      inventories: deriveInventories(state.inventories, state.remoteInventories, pendingChanges),
+    }));
+    if (get().isOnline) get().syncPendingChanges(campaignId);
+  },
+
+  /**
+   * Removes a change from the offline queue and rebuilds the inventories it touched.
+   * @param {string} campaignId
+   * @param {string} changeId
+   */
+  dropPendingChange: (campaignId, changeId) => {
+    const pendingChanges = get().pendingChanges.filter(c => c.id !== changeId);
+    savePendingChanges(campaignId, pendingChanges);
+    set(state => ({
+      pendingChanges,
+      inventories: deriveInventories(state.inventories, state.remoteInventories, pendingChanges),
+    }));
+  },
+
+  /**
+   * Sends the queued changes to the server, oldest first. Stops when the connection drops,
+   * or when the server rejects a change because someone else modified the same items; that
+   * change becomes the `syncConflict` until the user resolves it.
+   * @param {string} campaignId
+   */
+  syncPendingChanges: async (campaignId) => {
+    if (get().isSyncing || get().syncConflict || get().pendingChanges.length === 0) return;
+    set({ isSyncing: true });
+    try {
+      while (get().activeCampaignId === campaignId) {
+        const change = get().pendingChanges[0];
+        if (!change) break;
+        try {
+          const gridVersions = await runChangeTransaction(campaignId, change, get());
+          set(state => withGridVersions(state, gridVersions));
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          console.error("Failed to sync change:", error);
+          set({ syncConflict: { change, message: error.message } });
+          break;
+        }
+        get().dropPendingChange(campaignId, change.id);
+      }
+    } finally {
+      set({ isSyncing: false });
+    }
+  },
+
+  /**
+   * Resolves the change the server rejected while syncing, then carries on with the queue.
+   * Keeping the user's version replays the change on the inventories as they are now (see
+   * `forceItemListsChange`): the items it touched get the user's version back, and any of them
+   * whose spot is now taken goes somewhere free instead. That is saved like any other change, so
+   * if it is rejected too (someone changed the items again), the conflict stays with the new reason.
+   * @param {string} campaignId
+   * @param {boolean} keepMine - `true` to overwrite the items the change touched with the
+   * user's version; `false` to throw the change away and keep what's on the server.
+   */
+  resolveSyncConflict: async (campaignId, keepMine) => {
+    const { syncConflict } = get();
+    if (!syncConflict) return;
+    const { change } = syncConflict;
+
+    if (keepMine) {
+      const { remoteInventories, remoteItems } = get();
+      // The inventories the change touched, and those that hold its items now.
+      const { upserted, removed } = planItemDocChanges(change);
+      const inventoryIds = new Set(Object.keys(change.after));
+      [...upserted.map(({ doc }) => doc), ...removed].forEach(doc => {
+        if (remoteItems[doc.id]) inventoryIds.add(remoteItems[doc.id].inventoryId);
+      });
+      const current = Object.fromEntries([...inventoryIds]
+        .filter(inventoryId => remoteInventories[inventoryId] && !remoteInventories[inventoryId].isPartial)
+        .map(inventoryId => [inventoryId, remoteInventories[inventoryId]]));
+      const pick = (inventories) => Object.fromEntries(Object.keys(current).map(id => [id, getItemListsSnapshot(inventories[id])]));
+      try {
+        const after = forceItemListsChange(current, change);
+        const gridVersions = await runChangeTransaction(campaignId, { before: pick(current), after: pick(after), payment: change.payment }, get());
+        set(state => withGridVersions(state, gridVersions));
+      } catch (error) {
+        if (isStaleChangeError(error)) set({ syncConflict: { change, message: error.message } });
+        throw error;
+      }
+    }
+
+    get().dropPendingChange(campaignId, change.id);
+    set({ syncConflict: null });
+    get().syncPendingChanges(campaignId);
+  },
+
+  /**
+   * Records a change to the items of some inventories so it can be undone.
+   * Recording a new change clears the redo stack.
+   * @param {string} label - A short description of the change (e.g. "Move Longsword").
+   * @param {object} beforeInventories - The inventories object before the change.
+   * @param {object} afterInventories - The inventories object after the change.
+   * @param {string[]} playerIds - The IDs of the inventories the change touched.
+   */
+  recordHistory: (label, beforeInventories, afterInventories, playerIds) => {
+    const ids = [...new Set(playerIds)].filter(id => beforeInventories[id] && afterInventories[id]);
+    if (ids.length === 0) return;
+    const pick = (inventories) => Object.fromEntries(ids.map(id => [id, getItemListsSnapshot(inventories[id])]));
+    const entry = { label, before: pick(beforeInventories), after: pick(afterInventories) };
+    set(state => ({
+      history: { past: [...state.history.past, entry].slice(-MAX_HISTORY), future: [] },
+    }));
+  },
+
+  /**
+   * Restores the item lists saved in a history entry, locally and in Firestore.
+   * On failure the local state is reverted and the error is rethrown.
+   * @param {string} campaignId
+   * @param {object} snapshots - The item lists to restore, keyed by inventory ID.
+   */
+  applyHistorySnapshots: async (campaignId, snapshots) => {
+    const { inventories, commitInventoryChange } = get();
+    const newInventories = { ...inventories };
+    Object.entries(snapshots).forEach(([playerId, snapshot]) => {
+      if (newInventories[playerId]) {
+        newInventories[playerId] = applyItemListsSnapshot(newInventories[playerId], snapshot);
+      }
+    });
+    get().setInventoriesOptimistic(newInventories);
+    try {
+      await commitInventoryChange(campaignId, inventories, newInventories, Object.keys(snapshots));
+    } catch (error) {
+      get().setInventoriesOptimistic(inventories);
+      throw error;
+    }
+  },
+
+  /**
+   * Undoes the last recorded change.
+   * @param {string} campaignId
+   * @returns {Promise<string | null>} The label of the undone change, or `null` if there was nothing to undo.
+   */
+  undo: async (campaignId) => {
+    const { past, future } = get().history;
+    const entry = past[past.length - 1];
+    if (!entry) return null;
+    await get().applyHistorySnapshots(campaignId, entry.before);
+    set({ history: { past: past.slice(0, -1), future: [...future, entry] } });
+    return entry.label;
+  },
+
+  /**
+   * Redoes the last undone change.
+   * @param {string} campaignId
+   * @returns {Promise<string | null>} The label of the redone change, or `null` if there was nothing to redo.
+   */
+  redo: async (campaignId) => {
+    const { past, future } = get().history;
+    const entry = future[future.length - 1];
+    if (!entry) return null;
+    await get().applyHistorySnapshots(campaignId, entry.after);
+    set({ history: { past: [...past, entry], future: future.slice(0, -1) } });
+    return entry.label;
   },
 
   /**
@@ -150,8 +848,8 @@ export const useCampaignStore = create((set, get) => ({
    */
   toggleLootPileVisibility: async (campaignId, currentVisibility) => {
     if (!campaignId) return;
-    const lootRef = doc(db, 'campaigns', campaignId, 'inventories', 'public-loot');
-    await updateDoc(lootRef, { isVisibleToPlayers: !currentVisibility });
+    await repository.inventories.update(campaignId, 'public-loot', { isVisibleToPlayers: !currentVisibility });
+    get().logActivity(campaignId, { type: 'reveal', targetInventoryId: 'public-loot', details: { visible: !currentVisibility } });
   },
 
   /**
@@ -159,12 +857,10 @@ export const useCampaignStore = create((set, get) => ({
    */
   createLootPile: async (campaignId) => {
     if (!campaignId) return;
-    const lootRef = doc(db, 'campaigns', campaignId, 'inventories', 'public-loot');
-    // Using setDoc with merge: true is safe; it won't overwrite if it exists
-    await setDoc(lootRef, {
+    // Setting with merge: true is safe; it won't overwrite if it exists
+    await repository.inventories.set(campaignId, 'public-loot', {
         characterName: "Loot Pile",
         ownerId: "public-loot",
-        trayItems: [], // Items on the 'ground' of the loot pile
         isLootPile: true, // Marker to help UI identify it
         currency: { gp: 0, sp: 0, cp: 0 } // Loot piles can have money too!
     }, { merge: true });
@@ -177,12 +873,9 @@ export const useCampaignStore = create((set, get) => ({
     if (!campaignId || !merchantName) return;
     
     const merchantId = `merchant-${crypto.randomUUID()}`;
-    const merchantRef = doc(db, 'campaigns', campaignId, 'inventories', merchantId);
-    
-    await setDoc(merchantRef, {
+    await repository.inventories.set(campaignId, merchantId, {
         characterName: merchantName,
         ownerId: merchantId, // Owned by itself/system
-        trayItems: [],
         isMerchant: true, // <--- The magic flag
         currency: { gp: 0, sp: 0, cp: 0 } // Merchants have infinite money logic-wise, but we keep structure
     });
@@ -193,7 +886,6 @@ export const useCampaignStore = create((set, get) => ({
    */
   deleteMerchant: async (campaignId, merchantId) => {
     if (!campaignId || !merchantId) return;
-    const merchantRef = doc(db, 'campaigns', campaignId, 'inventories', merchantId);
-    await deleteDoc(merchantRef);
+    await repository.inventories.delete(campaignId, merchantId);
   },
 }));
\ No newline at end of file
@@ -0,0 +1,121 @@
+import { timestampToMillis } from './timeUtils';
+
+/**
+ * Helpers for the campaign activity log: what an entry stores, how it reads in the feed,
+ * and how entries are grouped into play sessions.
+ */
+
+// Entries further apart than this belong to different play sessions.
+export const SESSION_GAP_MS = 1000 * 60 * 60 * 4; // 4 hours
+
+/**
+ * The kinds of activity the log records, with the label shown in the feed filters.
+ */
+export const ACTIVITY_TYPES = {
+  add: 'Added',
+  move: 'Moved',
+  send: 'Sent',
+  trade: 'Traded',
+  purchase: 'Bought',
+  currency: 'Coins',
+  reveal: 'Revealed',
+};
+
+/**
+ * Copies the fields of an item worth keeping in the log. Its position is left out, as it
+ * means nothing once the item has moved on.
+ * @param {object} item
+ * @returns {object}
+ */
+export const toItemSnapshot = (item) => {
+  const { x, y, ...snapshot } = item;
+  return snapshot;
+};
+
+/**
+ * Reads when an entry was recorded.
+ * @param {object} entry
+ * @returns {number} Milliseconds since the epoch.
+ */
+export const getActivityTime = (entry) => timestampToMillis(entry.createdAt);
+
+/**
+ * Groups activity entries into play sessions: a new session starts whenever nothing
+ * happened for `SESSION_GAP_MS`.
+ * @param {object[]} entries - The entries, newest first.
+ * @param {number} [gapMs=SESSION_GAP_MS]
+ * @returns {Array<{id: string, startedAt: number, endedAt: number, entries: object[]}>} The sessions, newest first.
+ */
+export const groupIntoSessions = (entries, gapMs = SESSION_GAP_MS) => {
+  const sessions = [];
+  let current = null;
+  entries.forEach(entry => {
+    const time = getActivityTime(entry);
+    if (!current || current.startedAt - time > gapMs) {
+      current = { startedAt: time, endedAt: time, entries: [] };
+      sessions.push(current);
+    }
+    current.startedAt = time;
+    current.entries.push(entry);
+  });
+  // A session is named after when it started, which stays put as newer entries arrive.
+  return sessions.map(session => ({ id: String(session.startedAt), ...session }));
+};
+
+/**
+ * Checks whether a player took part in an entry: as the one who acted, or as the owner of
+ * the inventory an item left or reached.
+ * @param {object} entry
+ * @param {string} playerId
+ * @returns {boolean}
+ */
+export const involvesPlayer = (entry, playerId) => (
+  entry.actorId === playerId || entry.sourceInventoryId === playerId || entry.targetInventoryId === playerId
+);
+
+/**
+ * Formats an amount of coins, e.g. "3 gp, 0 sp, 5 cp".
+ * @param {{gp?: number, sp?: number, cp?: number}} [currency]
+ * @returns {string}
+ */
+export const formatCurrency = (currency) => {
+  const { gp = 0, sp = 0, cp = 0 } = currency || {};
+  return `${gp} gp, ${sp} sp, ${cp} cp`;
+};
+
+/**
+ * Describes an entry in a sentence for the feed. Names come from `getName` when the
+ * inventory still exists, or from the names the entry was recorded with.
+ * @param {object} entry
+ * @param {Function} getName - Returns the current display name of an inventory (or user) ID, if any.
+ * @returns {string}
+ */
+export const describeActivity = (entry, getName) => {
+  const nameOf = (id) => getName(id) || entry.names?.[id] || 'Someone';
+  const actor = nameOf(entry.actorId);
+  const source = entry.sourceInventoryId && nameOf(entry.sourceInventoryId);
+  const target = entry.targetInventoryId && nameOf(entry.targetInventoryId);
+  const item = entry.item
+    ? `${entry.item.quantity > 1 ? `${entry.item.quantity}× ` : ''}${entry.item.name}`
+    : '';
+
+  switch (entry.type) {
+    case 'add':
+      return `${actor} added ${item} to ${target}.`;
+    case 'move':
+      return `${actor} moved ${item} from ${source} to ${target}.`;
+    case 'send':
+      return `${actor} sent ${item} from ${source} to ${target}.`;
+    case 'trade':
+      return `${source} traded ${item || formatCurrency(entry.details?.coins)} to ${target}.`;
+    case 'purchase':
+      return `${target} bought ${item} from ${source}${entry.details?.cost ? ` for ${entry.details.cost}` : ''}.`;
+    case 'currency':
+      return `${actor} changed ${target}'s coins from ${formatCurrency(entry.details?.before)} to ${formatCurrency(entry.details?.after)}.`;
+    case 'reveal':
+      if (entry.item) return `${actor} revealed the magic properties of ${item}.`;
+      return `${actor} ${entry.details?.visible ? 'revealed' : 'hid'} ${target}.`;
+    default:
+      return `${actor} changed ${item || target}.`;
+  }
+};
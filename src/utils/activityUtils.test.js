@@ -0,0 +1,57 @@
+import { getActivityTime, groupIntoSessions, involvesPlayer, describeActivity, toItemSnapshot, SESSION_GAP_MS } from './activityUtils';
+
+const HOUR = 1000 * 60 * 60;
+const at = (id, millis, fields = {}) => ({ id, createdAt: new Date(millis).toISOString(), ...fields });
+
+describe('getActivityTime', () => {
+  test('reads Firestore timestamps, ISO strings and milliseconds', () => {
+    expect(getActivityTime({ createdAt: { toMillis: () => 42 } })).toBe(42);
+    expect(getActivityTime({ createdAt: '1970-01-01T00:00:01.000Z' })).toBe(1000);
+    expect(getActivityTime({ createdAt: 7 })).toBe(7);
+  });
+});
+
+describe('groupIntoSessions', () => {
+  test('starts a new session after a long enough pause', () => {
+    const entries = [
+      at('d', 30 * HOUR),
+      at('c', 29 * HOUR),
+      at('b', 2 * HOUR),
+      at('a', 0),
+    ];
+    const sessions = groupIntoSessions(entries);
+    expect(sessions.map(s => s.entries.map(e => e.id))).toEqual([['d', 'c'], ['b', 'a']]);
+    expect(sessions[1]).toMatchObject({ id: '0', startedAt: 0, endedAt: 2 * HOUR });
+  });
+
+  test('keeps entries exactly one gap apart together', () => {
+    expect(groupIntoSessions([at('b', SESSION_GAP_MS), at('a', 0)])).toHaveLength(1);
+  });
+});
+
+describe('activity entries', () => {
+  const entry = { type: 'move', actorId: 'dm', sourceInventoryId: 'aria', targetInventoryId: 'public-loot', item: { name: 'Amulet', quantity: 1 } };
+
+  test('involve the actor and both inventories', () => {
+    expect(involvesPlayer(entry, 'dm')).toBe(true);
+    expect(involvesPlayer(entry, 'aria')).toBe(true);
+    expect(involvesPlayer(entry, 'borin')).toBe(false);
+  });
+
+  test('read as a sentence, falling back to the names they were recorded with', () => {
+    const names = { dm: 'DM', aria: 'Aria' };
+    const recorded = { ...entry, names: { 'public-loot': 'Old Loot Pile' } };
+    expect(describeActivity(recorded, id => names[id])).toBe('DM moved Amulet from Aria to Old Loot Pile.');
+    expect(describeActivity({ ...entry, type: 'purchase', item: { name: 'Torch', quantity: 3 }, details: { cost: '1 cp' } }, id => names[id]))
+      .toBe('Someone bought 3× Torch from Aria for 1 cp.');
+  });
+
+  test('of coins changing hands in a trade name the amount', () => {
+    const coins = { type: 'trade', sourceInventoryId: 'aria', targetInventoryId: 'dm', details: { coins: { gp: 15 } } };
+    expect(describeActivity(coins, id => ({ dm: 'DM', aria: 'Aria' })[id])).toBe('Aria traded 15 gp, 0 sp, 0 cp to DM.');
+  });
+
+  test('keep items without their position', () => {
+    expect(toItemSnapshot({ id: 'a', name: 'Amulet', x: 1, y: 2 })).toEqual({ id: 'a', name: 'Amulet' });
+  });
+});
@@ -0,0 +1,232 @@
+import { outOfBounds, onOtherItem } from './gridUtils';
+import { flattenItems, removeItemFromInventory } from './inventoryUtils';
+import { placeRestoredItem } from './trashUtils';
+
+/**
+ * Error code of the errors thrown when a change was built on data that someone else
+ * has modified in the meantime.
+ */
+export const STALE_CHANGE = 'inventory/stale-change';
+
+/**
+ * Creates the error thrown when a change can't be applied because it is out of date.
+ * @param {string} message A message describing what changed under us.
+ * @returns {Error} An error with `code` set to `STALE_CHANGE`.
+ */
+export function staleChangeError(message) {
+  const error = new Error(message);
+  error.code = STALE_CHANGE;
+  return error;
+}
+
+/**
+ * Checks whether an error was thrown because a change was out of date.
+ * @param {Error} error The error to check.
+ * @returns {boolean}
+ */
+export function isStaleChangeError(error) {
+  return error?.code === STALE_CHANGE;
+}
+
+/**
+ * Compares two plain values (as stored in Firestore) regardless of object key order.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} true if both hold the same data
+ */
+export function isDeepEqual(a, b) {
+  if (a === b) return true;
+  // Firestore drops `undefined` fields, so a missing field and an undefined one are the same.
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((value, index) => isDeepEqual(value, b[index]));
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (!isDeepEqual(a[key], b[key])) return false;
+  }
+  return true;
+}
+
+/**
+ * Computes what changed between two versions of an item list, matching items by ID.
+ * @param {object[]} [before=[]] The list before the change.
+ * @param {object[]} [after=[]] The list after the change.
+ * @returns {{removed: object[], upserted: {item: object, previous: object | null}[]}} The items that left the
+ * list, and the items that were added (`previous` is `null`) or modified.
+ */
+export function diffItemList(before = [], after = []) {
+  const beforeById = new Map(before.map(i => [i.id, i]));
+  const afterIds = new Set(after.map(i => i.id));
+  return {
+    removed: before.filter(i => !afterIds.has(i.id)),
+    upserted: after
+      .filter(i => !beforeById.has(i.id) || !isDeepEqual(beforeById.get(i.id), i))
+      .map(i => ({ item: i, previous: beforeById.get(i.id) || null })),
+  };
+}
+
+/**
+ * Checks whether a delta from `diffItemList` changes nothing.
+ * @param {{removed: object[], upserted: object[]}} delta
+ * @returns {boolean}
+ */
+export function isEmptyDelta(delta) {
+  return delta.removed.length === 0 && delta.upserted.length === 0;
+}
+
+/**
+ * Applies a delta from `diffItemList` on top of the current version of a list.
+ * Items the delta doesn't touch are kept as they are, so concurrent changes to other
+ * items survive. The delta is rejected if any item it touches is no longer in the state
+ * it was in when the change was made.
+ * @param {object[]} [current=[]] The list as it is now.
+ * @param {{removed: object[], upserted: {item: object, previous: object | null}[]}} delta
+ * @returns {object[]} The updated list.
+ * @throws {Error} A `STALE_CHANGE` error when the delta is out of date.
+ */
+export function applyItemListDelta(current = [], delta) {
+  const currentById = new Map(current.map(i => [i.id, i]));
+
+  delta.removed.forEach(item => {
+    if (!isDeepEqual(currentById.get(item.id), item)) {
+      throw staleChangeError(`${item.name} was changed or moved by someone else.`);
+    }
+  });
+  delta.upserted.forEach(({ item, previous }) => {
+    const remote = currentById.get(item.id);
+    if (previous ? !isDeepEqual(remote, previous) : remote) {
+      throw staleChangeError(`${item.name} was changed or moved by someone else.`);
+    }
+  });
+
+  const removedIds = new Set(delta.removed.map(i => i.id));
+  const updates = new Map(delta.upserted.map(({ item }) => [item.id, item]));
+  const result = current.filter(i => !removedIds.has(i.id)).map(i => updates.get(i.id) || i);
+  delta.upserted.forEach(({ item, previous }) => {
+    if (!previous) result.push(item);
+  });
+  return result;
+}
+
+/**
+ * Computes the deltas between two item list snapshots of an inventory (see `getItemListsSnapshot`).
+ * @param {object} before The item lists before the change.
+ * @param {object} after The item lists after the change.
+ * @returns {{containerId: string | null, field: string, delta: object}[]} One entry per list that
+ * changed; `containerId` is `null` for the lists stored on the inventory document itself.
+ */
+export function diffItemListsSnapshots(before, after) {
+  const changes = [];
+  ['trayItems', 'equippedItems'].forEach(field => {
+    const delta = diffItemList(before?.[field], after?.[field]);
+    if (!isEmptyDelta(delta)) changes.push({ containerId: null, field, delta });
+  });
+  Object.entries(after?.containers || {}).forEach(([containerId, container]) => {
+    const previous = before?.containers?.[containerId] || {};
+    ['gridItems', 'trayItems'].forEach(field => {
+      const delta = diffItemList(previous[field], container[field]);
+      if (!isEmptyDelta(delta)) changes.push({ containerId, field, delta });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Replays deltas from `diffItemListsSnapshots` on top of the current version of an inventory.
+ * @param {object} inventory The inventory as it is now.
+ * @param {{containerId: string | null, field: string, delta: object}[]} changes The deltas to apply.
+ * @returns {object} A copy of the inventory with the deltas applied.
+ * @throws {Error} A `STALE_CHANGE` error when a delta no longer applies.
+ */
+export function rebaseItemListsChange(inventory, changes) {
+  const result = { ...inventory, containers: { ...inventory.containers } };
+  changes.forEach(({ containerId, field, delta }) => {
+    if (!containerId) {
+      result[field] = applyItemListDelta(result[field] || [], delta);
+      return;
+    }
+    const container = result.containers[containerId];
+    if (!container) throw staleChangeError("A container you changed was removed by someone else.");
+    result.containers[containerId] = { ...container, [field]: applyItemListDelta(container[field] || [], delta) };
+  });
+  return result;
+}
+
+/**
+ * Replays a change on top of the current version of the inventories, keeping the user's version
+ * of every item it touches whatever happened to them since: the items it removed are removed,
+ * and the items it added or modified replace the current ones, with what is inside them. An item
+ * whose spot in a grid is now taken goes to a free spot of that grid, or failing that (or if the
+ * grid is gone) onto the main tray, as with `placeRestoredItem`.
+ * @param {object} inventories The current inventories the change touches, and any other that now
+ * holds one of its items, keyed by ID.
+ * @param {{before: object, after: object}} change The item lists of each touched inventory, keyed by inventory ID.
+ * @returns {object} A copy of the inventories with the change applied.
+ * @throws {Error} A `STALE_CHANGE` error when an inventory the change puts items in is gone.
+ */
+export function forceItemListsChange(inventories, change) {
+  const result = JSON.parse(JSON.stringify(inventories));
+  const changes = Object.entries(change.after).map(([inventoryId, after]) => (
+    [inventoryId, diffItemListsSnapshots(change.before[inventoryId], after)]
+  ));
+
+  // Everything the change touches first leaves wherever it is now, so it can't be in its own way.
+  const touched = changes.flatMap(([, lists]) => lists.flatMap(({ delta }) => [...delta.removed, ...delta.upserted.map(({ item }) => item)]));
+  const touchedIds = new Set(flattenItems(touched).map(item => item.id));
+  Object.values(result).forEach(inventory => touchedIds.forEach(itemId => removeItemFromInventory(inventory, itemId)));
+
+  changes.forEach(([inventoryId, lists]) => lists.forEach(({ containerId, field, delta }) => {
+    if (delta.upserted.length === 0) return;
+    if (!result[inventoryId]) throw staleChangeError("An inventory you changed was removed by someone else.");
+    const source = field === 'gridItems' ? 'grid' : field === 'equippedItems' ? 'equipped' : 'tray';
+    delta.upserted.forEach(({ item }) => placeRestoredItem(result[inventoryId], item, { source, containerId: containerId || source }));
+  }));
+  return result;
+}
+
+/**
+ * Finds the first of the given grid items that no longer fits: it is out of bounds,
+ * covers a blocked cell or overlaps another item. Used to reject a placement when
+ * someone else has put something in the same spot.
+ * @param {object[]} items Every item of the grid.
+ * @param {Set<string>} changedIds The IDs of the items that were just placed.
+ * @param {number} gridWidth The width of the grid.
+ * @param {number} gridHeight The height of the grid.
+ * @param {string[]} [blockedCells] The `"x,y"` tiles of the grid that cannot hold items.
+ * @returns {object | null} The item that doesn't fit, or `null` if the grid is valid.
+ */
+export function findGridConflict(items, changedIds, gridWidth, gridHeight, blockedCells) {
+  for (const item of items) {
+    if (!changedIds.has(item.id)) continue;
+    if (outOfBounds(item.x, item.y, item, gridWidth, gridHeight, blockedCells)) return item;
+    if (items.some(other => other.id !== item.id && onOtherItem(item.x, item.y, item, other))) return item;
+  }
+  return null;
+}
+
+/**
+ * Returns `next`, reusing the objects of `previous` wherever the data didn't change, so that
+ * components memoized on those objects (a container, an item list, an item) skip re-rendering.
+ * Array elements that have an `id` are matched by ID, others by position.
+ * @param {*} previous The value currently held in state.
+ * @param {*} next The new value, e.g. fresh from a Firestore snapshot.
+ * @returns {*} A value equal to `next` that shares every unchanged part with `previous`.
+ */
+export function shareUnchanged(previous, next) {
+  if (previous === next || isDeepEqual(previous, next)) return previous;
+  if (!previous || !next || typeof previous !== 'object' || typeof next !== 'object') return next;
+  if (Array.isArray(previous) !== Array.isArray(next)) return next;
+
+  if (Array.isArray(next)) {
+    const previousById = new Map(previous.filter(i => i?.id != null).map(i => [i.id, i]));
+    return next.map((value, index) => shareUnchanged(value?.id != null ? previousById.get(value.id) : previous[index], value));
+  }
+  const result = {};
+  Object.keys(next).forEach(key => {
+    result[key] = shareUnchanged(previous[key], next[key]);
+  });
+  return result;
+}
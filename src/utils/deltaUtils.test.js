@@ -0,0 +1,118 @@
+import { isDeepEqual, diffItemList, isEmptyDelta, applyItemListDelta, findGridConflict, isStaleChangeError, shareUnchanged, diffItemListsSnapshots, rebaseItemListsChange, forceItemListsChange } from './deltaUtils';
+
+const sword = { id: 'sword', name: 'Sword', w: 1, h: 3, x: 0, y: 0 };
+const shield = { id: 'shield', name: 'Shield', w: 2, h: 2, x: 1, y: 0 };
+const rope = { id: 'rope', name: 'Rope', w: 1, h: 1 };
+
+describe('isDeepEqual', () => {
+  test('ignores key order and missing fields', () => {
+    expect(isDeepEqual({ a: 1, b: [1, { c: 2 }] }, { b: [1, { c: 2 }], a: 1 })).toBe(true);
+    expect(isDeepEqual({ a: 1, b: undefined }, { a: 1 })).toBe(true);
+    expect(isDeepEqual({ a: 1 }, { a: 2 })).toBe(false);
+    expect(isDeepEqual([1, 2], [2, 1])).toBe(false);
+  });
+});
+
+describe('item list deltas', () => {
+  test('diff lists removed, added and modified items', () => {
+    const moved = { ...sword, x: 3 };
+    const delta = diffItemList([sword, shield], [moved, rope, shield]);
+    expect(delta.removed).toEqual([]);
+    expect(delta.upserted).toEqual([{ item: moved, previous: sword }, { item: rope, previous: null }]);
+    expect(isEmptyDelta(diffItemList([sword], [sword]))).toBe(true);
+  });
+
+  test('apply keeps concurrent changes to other items', () => {
+    const delta = diffItemList([sword, shield], [shield]);
+    const remote = [sword, { ...shield, x: 3 }, rope];
+    expect(applyItemListDelta(remote, delta)).toEqual([{ ...shield, x: 3 }, rope]);
+  });
+
+  test('apply rejects changes to items someone else modified', () => {
+    const delta = diffItemList([sword], []);
+    let error;
+    try {
+      applyItemListDelta([{ ...sword, x: 2 }], delta);
+    } catch (e) {
+      error = e;
+    }
+    expect(isStaleChangeError(error)).toBe(true);
+    expect(() => applyItemListDelta([], delta)).toThrow();
+    expect(() => applyItemListDelta([rope], diffItemList([], [rope]))).toThrow();
+  });
+});
+
+describe('findGridConflict', () => {
+  test('reports changed items that overlap or leave the grid', () => {
+    expect(findGridConflict([sword, shield], new Set(['shield']), 4, 4)).toBeNull();
+    expect(findGridConflict([sword, { ...shield, x: 0 }], new Set(['shield']), 4, 4).id).toBe('shield');
+    expect(findGridConflict([{ ...shield, x: 3 }], new Set(['shield']), 4, 4).id).toBe('shield');
+    expect(findGridConflict([sword], new Set(['sword']), 4, 4, ['0,1']).id).toBe('sword');
+  });
+});
+
+describe('shareUnchanged', () => {
+  test('keeps the objects of untouched containers and items', () => {
+    const previous = {
+      backpack: { id: 'backpack', gridItems: [sword, shield] },
+      pouch: { id: 'pouch', gridItems: [rope] },
+    };
+    const next = JSON.parse(JSON.stringify(previous));
+    next.backpack.gridItems[1].x = 3;
+
+    const shared = shareUnchanged(previous, next);
+    expect(shared).toEqual(next);
+    expect(shared.pouch).toBe(previous.pouch);
+    expect(shared.backpack).not.toBe(previous.backpack);
+    expect(shared.backpack.gridItems[0]).toBe(sword);
+    expect(shareUnchanged(previous, JSON.parse(JSON.stringify(previous)))).toBe(previous);
+  });
+});
+
+describe('replaying queued changes', () => {
+  const before = { trayItems: [rope], equippedItems: [], containers: { backpack: { gridItems: [sword], trayItems: [] } } };
+  const after = { trayItems: [], equippedItems: [], containers: { backpack: { gridItems: [sword, { ...rope, x: 2, y: 0 }], trayItems: [] } } };
+
+  test('lists one delta per changed list', () => {
+    const changes = diffItemListsSnapshots(before, after);
+    expect(changes.map(({ containerId, field }) => [containerId, field])).toEqual([[null, 'trayItems'], ['backpack', 'gridItems']]);
+  });
+
+  test('replays on top of newer server data', () => {
+    const server = { id: 'p1', trayItems: [rope, shield], containers: { backpack: { id: 'backpack', gridItems: [sword] } } };
+    const rebased = rebaseItemListsChange(server, diffItemListsSnapshots(before, after));
+    expect(rebased.trayItems).toEqual([shield]);
+    expect(rebased.containers.backpack.gridItems.map(i => i.id)).toEqual(['sword', 'rope']);
+    expect(server.trayItems).toHaveLength(2);
+    expect(() => rebaseItemListsChange({ trayItems: [rope], containers: {} }, diffItemListsSnapshots(before, after))).toThrow();
+  });
+});
+
+describe('keeping a change that conflicts', () => {
+  const before = { p1: { trayItems: [rope], equippedItems: [], containers: { backpack: { gridItems: [sword], trayItems: [] } } } };
+  const after = { p1: { trayItems: [], equippedItems: [], containers: { backpack: { gridItems: [sword, { ...rope, x: 1, y: 0 }], trayItems: [] } } } };
+
+  test('keeps the user\'s version of the items it touched', () => {
+    const server = {
+      p1: { id: 'p1', trayItems: [], equippedItems: [], containers: { backpack: { id: 'backpack', gridWidth: 4, gridHeight: 4, gridItems: [sword], trayItems: [] } } },
+      p2: { id: 'p2', trayItems: [{ ...rope, name: 'Old Rope' }], equippedItems: [], containers: {} },
+    };
+    const forced = forceItemListsChange(server, { before, after });
+    expect(forced.p1.containers.backpack.gridItems).toEqual([sword, { ...rope, x: 1, y: 0 }]);
+    expect(forced.p2.trayItems).toEqual([]);
+    expect(server.p2.trayItems).toHaveLength(1);
+  });
+
+  test('moves an item whose spot is now taken', () => {
+    const server = { p1: { id: 'p1', trayItems: [rope], equippedItems: [], containers: { backpack: { id: 'backpack', gridWidth: 4, gridHeight: 4, gridItems: [sword, shield], trayItems: [] } } } };
+    const placed = forceItemListsChange(server, { before, after }).p1.containers.backpack.gridItems.find(i => i.id === 'rope');
+    expect(placed).toBeDefined();
+    expect(findGridConflict([sword, shield, placed], new Set(['rope']), 4, 4)).toBeNull();
+  });
+
+  test('rejects putting items in an inventory that is gone', () => {
+    const empty = { trayItems: [], equippedItems: [], containers: {} };
+    const change = { before: { ...before, p2: empty }, after: { p1: { ...before.p1, trayItems: [] }, p2: { ...empty, trayItems: [rope] } } };
+    expect(() => forceItemListsChange({ p1: { id: 'p1', ...before.p1 } }, change)).toThrow('removed by someone else');
+  });
+});
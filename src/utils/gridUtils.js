@@ -5,12 +5,20 @@
  * @param {object} item The item beingo considered
  * @param {number} gridWidth The width (in tiles) of the grid where `item` is placed on
  * @param {number} gridHeight The height (in tiles) of the grid where `item` is placed on
+ * @param {string[]} [blockedCells] The `"x,y"` tiles of the grid that are disabled and cannot hold items
  * @returns {boolean} true if `item` has at least a tile out of the inventory
  */
-export function outOfBounds(X, Y, item, gridWidth, gridHeight) {
+export function outOfBounds(X, Y, item, gridWidth, gridHeight, blockedCells) {
   if (X < 0 || X > gridWidth - item.w || Y < 0 || Y > gridHeight - item.h) {
     return true;
   }
+  // A blocked tile counts as outside the grid, even when it sits in the middle of it.
+  if (blockedCells?.length) {
+    const blocked = new Set(blockedCells);
+    for (const tile of occupiedTiles(X, Y, item.w, item.h, item.shape)) {
+      if (blocked.has(tile)) return true;
+    }
+  }
   return false;
 }
 
@@ -20,11 +28,14 @@ export function outOfBounds(X, Y, item, gridWidth, gridHeight) {
  * @param {number} Y The Y coordinate (considering the top leftest tile) where the item is placed 
  * @param {number} W The width of the item in tiles
  * @param {number} H The height of the item in tiles
+ * @param {string[]} [shape] Optional cell mask of the item (see `isShapeCellFilled`), a full rectangle if omitted
  * @returns {Set.string} A set containing the coordinate of all the tiles occupied by the item
  */
-export function occupiedTiles(X, Y, W, H) {
+export function occupiedTiles(X, Y, W, H, shape) {
     let set = new Set();
-    for (let i = 0; i < W; i++) for (let j = 0; j < H; j++) set.add(`${X + i},${Y + j}`);
+    for (let i = 0; i < W; i++) for (let j = 0; j < H; j++) {
+        if (isShapeCellFilled(shape, i, j)) set.add(`${X + i},${Y + j}`);
+    }
     return set;
 }
 
@@ -37,13 +48,57 @@ export function occupiedTiles(X, Y, W, H) {
  * @returns {boolean} true if `activeItem` is being dropped on at least one tile of `passiveItem`
  */
 export function onOtherItem(X, Y, activeItem, passiveItem) {
-    let set1 = occupiedTiles(X, Y, activeItem.w, activeItem.h);
-    let set2 = occupiedTiles(passiveItem.x, passiveItem.y, passiveItem.w, passiveItem.h);
+    let set1 = occupiedTiles(X, Y, activeItem.w, activeItem.h, activeItem.shape);
+    let set2 = occupiedTiles(passiveItem.x, passiveItem.y, passiveItem.w, passiveItem.h, passiveItem.shape);
     // If the two sets have at least one tile in common the item are one "on top of" the other
     for (const tile of set1) { if (set2.has(tile)) return true; }
     return false;
 }
 
+/**
+ * Checks whether a cell of an item's footprint is part of the item.
+ * A shape is an array of `h` strings of `w` characters each, where `#` marks a
+ * filled cell and `.` an empty one (e.g. `['#.', '##']` is a small L).
+ * Items without a shape fill their whole `w` by `h` rectangle.
+ * @param {string[]} [shape] The item's cell mask.
+ * @param {number} col The column inside the item's footprint.
+ * @param {number} row The row inside the item's footprint.
+ * @returns {boolean} true if the cell is occupied by the item
+ */
+export function isShapeCellFilled(shape, col, row) {
+    if (!shape) return true;
+    return shape[row]?.[col] === '#';
+}
+
+/**
+ * Rotates a cell mask 90 degrees clockwise.
+ * @param {string[]} shape The cell mask to rotate.
+ * @returns {string[]} The rotated mask, whose width is the original height.
+ */
+export function rotateShape(shape) {
+    const height = shape.length;
+    const width = shape[0]?.length || 0;
+    const rotated = [];
+    for (let col = 0; col < width; col++) {
+        let row = '';
+        for (let r = height - 1; r >= 0; r--) row += shape[r][col];
+        rotated.push(row);
+    }
+    return rotated;
+}
+
+/**
+ * Returns a copy of an item rotated 90 degrees: width and height are swapped and,
+ * for non-rectangular items, the cell mask is rotated with them.
+ * @param {object} item The item to rotate.
+ * @returns {object} The rotated item.
+ */
+export function rotateItem(item) {
+    const rotated = { ...item, w: item.h, h: item.w };
+    if (item.shape) rotated.shape = rotateShape(item.shape);
+    return rotated;
+}
+
 /**
  * Finds the first available top-left coordinate (x, y) in a grid where a new
  * item can be placed without colliding with existing items.
@@ -51,12 +106,15 @@ export function onOtherItem(X, Y, activeItem, passiveItem) {
  * @param {object} newItem The new item to find a slot for. Must have `w` and `h` properties.
  * @param {number} gridWidth The total width of the grid.
  * @param {number} gridHeight The total height of the grid.
+ * @param {string[]} [blockedCells] The `"x,y"` tiles of the grid that cannot hold items.
  * @returns {{x: number, y: number} | null} An object with `{x, y}` coordinates for the first available slot, or `null` if no slot is found.
  */
-export function findFirstAvailableSlot(items, newItem, gridWidth, gridHeight) {
+export function findFirstAvailableSlot(items, newItem, gridWidth, gridHeight, blockedCells) {
   // Iterate through every possible top-left position for the new item.
   for (let y = 0; y <= gridHeight - newItem.h; y++) {
     for (let x = 0; x <= gridWidth - newItem.w; x++) {
+      // Skip positions that would cover a blocked tile of the container.
+      if (blockedCells?.length && outOfBounds(x, y, newItem, gridWidth, gridHeight, blockedCells)) continue;
       // Check if placing the new item at (x, y) would overlap with any existing item.
       const isColliding = items.some(existingItem =>
         onOtherItem(x, y, newItem, existingItem)
@@ -69,4 +127,99 @@ export function findFirstAvailableSlot(items, newItem, gridWidth, gridHeight) {
   }
   // If the loops complete without finding a spot, no slot is available.
   return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Like `findFirstAvailableSlot`, but when the item does not fit in its current orientation
+ * it also tries the rotated footprint (width and height swapped, mask rotated).
+ * @param {object[]} items An array of existing items already on the grid.
+ * @param {object} newItem The item to find a slot for. Must have `w` and `h` properties.
+ * @param {number} gridWidth The total width of the grid.
+ * @param {number} gridHeight The total height of the grid.
+ * @param {string[]} [blockedCells] The `"x,y"` tiles of the grid that cannot hold items.
+ * @returns {{x: number, y: number, w: number, h: number, shape?: string[]} | null} The slot and the footprint that fits there, or `null` if neither orientation fits.
+ */
+export function findAvailableSlotWithRotation(items, newItem, gridWidth, gridHeight, blockedCells) {
+  const slot = findFirstAvailableSlot(items, newItem, gridWidth, gridHeight, blockedCells);
+  if (slot) return { ...slot, w: newItem.w, h: newItem.h, ...(newItem.shape && { shape: newItem.shape }) };
+
+  // A square item without a mask looks the same rotated, so there is nothing else to try.
+  if (newItem.w === newItem.h && !newItem.shape) return null;
+
+  const rotated = rotateItem(newItem);
+  const rotatedSlot = findFirstAvailableSlot(items, rotated, gridWidth, gridHeight, blockedCells);
+  if (!rotatedSlot) return null;
+  return { ...rotatedSlot, w: rotated.w, h: rotated.h, ...(rotated.shape && { shape: rotated.shape }) };
+}
+
+/**
+ * Checks whether a dragged item and the item it was dropped onto can trade places:
+ * `movedItem` takes (X, Y) in the target grid and `displacedItem` takes the old position
+ * of `movedItem` in the source grid.
+ * @param {object} movedItem The dragged item, still carrying its original `x`/`y`.
+ * @param {number} X The X coordinate where `movedItem` was dropped
+ * @param {number} Y The Y coordinate where `movedItem` was dropped
+ * @param {object} displacedItem The item currently under the drop position.
+ * @param {{items: object[], gridWidth: number, gridHeight: number, blockedCells?: string[]}} target The grid `movedItem` is dropped on.
+ * @param {{items: object[], gridWidth: number, gridHeight: number, blockedCells?: string[]}} [source] The grid `movedItem` comes from, omitted when it is the same grid.
+ * @returns {boolean} true if both items fit in their new places
+ */
+export function canSwapItems(movedItem, X, Y, displacedItem, target, source) {
+  const isOther = i => i.id !== movedItem.id && i.id !== displacedItem.id;
+  const targetOthers = target.items.filter(isOther);
+  if (outOfBounds(X, Y, movedItem, target.gridWidth, target.gridHeight, target.blockedCells) ||
+      targetOthers.some(other => onOtherItem(X, Y, movedItem, other))) {
+    return false;
+  }
+
+  const sourceGrid = source || target;
+  const sourceOthers = source ? source.items.filter(isOther) : [...targetOthers, { ...movedItem, x: X, y: Y }];
+  return !outOfBounds(movedItem.x, movedItem.y, displacedItem, sourceGrid.gridWidth, sourceGrid.gridHeight, sourceGrid.blockedCells) &&
+         !sourceOthers.some(other => onOtherItem(movedItem.x, movedItem.y, displacedItem, other));
+}
+
+/**
+ * Repacks every item of a grid into a compact layout, placing the largest items first.
+ * Each item is dropped into the first free top-left slot; when `allowRotation` is set,
+ * the rotated footprint is also tried and the orientation that lands earliest is kept.
+ * @param {object[]} items The items currently on the grid.
+ * @param {number} gridWidth The total width of the grid.
+ * @param {number} gridHeight The total height of the grid.
+ * @param {boolean} [allowRotation=false] Whether items may be rotated to make room.
+ * @param {string[]} [blockedCells] The `"x,y"` tiles of the grid that cannot hold items.
+ * @returns {{items: object[], overflow: object[]}} The repositioned items and the ones that did not fit.
+ */
+export function packItems(items, gridWidth, gridHeight, allowRotation = false, blockedCells) {
+  // Most filled cells first, then the longest side, so long thin items are not left for last.
+  // Shaped items count only the cells they fill, not their whole bounding box.
+  const area = (item) => occupiedTiles(0, 0, item.w, item.h, item.shape).size;
+  const sorted = [...items].sort((a, b) =>
+    area(b) - area(a) || Math.max(b.w, b.h) - Math.max(a.w, a.h)
+  );
+
+  const packed = [];
+  const overflow = [];
+
+  for (const item of sorted) {
+    let best = null;
+    const slot = findFirstAvailableSlot(packed, item, gridWidth, gridHeight, blockedCells);
+    if (slot) best = { ...item, ...slot };
+
+    if (allowRotation && (item.w !== item.h || item.shape)) {
+      const rotated = rotateItem(item);
+      const rotatedSlot = findFirstAvailableSlot(packed, rotated, gridWidth, gridHeight, blockedCells);
+      // Keep the rotation only if it lands strictly earlier in reading order.
+      if (rotatedSlot && (!best || rotatedSlot.y < best.y || (rotatedSlot.y === best.y && rotatedSlot.x < best.x))) {
+        best = { ...rotated, ...rotatedSlot };
+      }
+    }
+
+    if (best) {
+      packed.push(best);
+    } else {
+      overflow.push(item);
+    }
+  }
+
+  return { items: packed, overflow };
+}
@@ -0,0 +1,115 @@
+import { packItems, findFirstAvailableSlot, findAvailableSlotWithRotation, onOtherItem, outOfBounds, occupiedTiles, rotateItem, canSwapItems } from './gridUtils';
+
+const item = (id, w, h, extra = {}) => ({ id, name: id, w, h, ...extra });
+
+describe('packItems', () => {
+  test('places the largest items first without overlaps', () => {
+    const items = [item('a', 1, 1, { x: 3, y: 3 }), item('b', 2, 2, { x: 0, y: 3 }), item('c', 1, 2, { x: 2, y: 0 })];
+    const { items: packed, overflow } = packItems(items, 4, 4);
+
+    expect(overflow).toEqual([]);
+    expect(packed.map(i => i.id)).toEqual(['b', 'c', 'a']);
+    expect(packed[0]).toMatchObject({ x: 0, y: 0 });
+    packed.forEach((placed, index) => {
+      expect(outOfBounds(placed.x, placed.y, placed, 4, 4)).toBe(false);
+      packed.slice(index + 1).forEach(other => expect(onOtherItem(placed.x, placed.y, placed, other)).toBe(false));
+    });
+  });
+
+  test('orders shaped items by the cells they fill, not their bounding box', () => {
+    const hook = item('hook', 3, 3, { shape: ['#..', '#..', '###'] });
+    const { items: packed } = packItems([hook, item('chest', 2, 3)], 5, 3);
+    expect(packed.map(i => i.id)).toEqual(['chest', 'hook']);
+  });
+
+  test('reports items that do not fit as overflow', () => {
+    const { items: packed, overflow } = packItems([item('a', 2, 2), item('b', 2, 2)], 2, 3);
+    expect(packed).toHaveLength(1);
+    expect(overflow.map(i => i.id)).toEqual(['b']);
+  });
+
+  test('rotates items only when allowed', () => {
+    const spear = item('spear', 1, 3);
+    expect(packItems([spear], 3, 1).overflow).toHaveLength(1);
+
+    const { items: packed, overflow } = packItems([spear], 3, 1, true);
+    expect(overflow).toEqual([]);
+    expect(packed[0]).toMatchObject({ x: 0, y: 0, w: 3, h: 1 });
+  });
+});
+
+describe('findAvailableSlotWithRotation', () => {
+  test('keeps the current orientation when it fits', () => {
+    expect(findAvailableSlotWithRotation([], item('spear', 1, 3), 3, 3)).toEqual({ x: 0, y: 0, w: 1, h: 3 });
+  });
+
+  test('falls back to the rotated footprint', () => {
+    const blocker = item('blocker', 3, 2, { x: 0, y: 0 });
+    expect(findAvailableSlotWithRotation([blocker], item('spear', 1, 3), 3, 3)).toEqual({ x: 0, y: 2, w: 3, h: 1 });
+  });
+
+  test('returns null when neither orientation fits', () => {
+    const blocker = item('blocker', 3, 2, { x: 0, y: 0 });
+    expect(findAvailableSlotWithRotation([blocker], item('shield', 2, 2), 3, 3)).toBeNull();
+  });
+});
+
+describe('item shapes', () => {
+  const crossbow = item('crossbow', 2, 2, { shape: ['#.', '##'] });
+
+  test('only the filled cells of a mask are occupied', () => {
+    expect([...occupiedTiles(0, 0, 2, 2, crossbow.shape)].sort()).toEqual(['0,0', '0,1', '1,1']);
+  });
+
+  test('items can interlock through empty cells', () => {
+    const other = item('other', 2, 2, { x: 1, y: -1, shape: ['##', '.#'] });
+    expect(onOtherItem(0, 0, crossbow, other)).toBe(false);
+    expect(onOtherItem(0, 0, crossbow, item('gem', 1, 1, { x: 1, y: 0 }))).toBe(false);
+    expect(onOtherItem(0, 0, crossbow, item('gem', 1, 1, { x: 1, y: 1 }))).toBe(true);
+  });
+
+  test('rotating an item rotates its mask clockwise', () => {
+    const halberd = item('halberd', 3, 2, { shape: ['###', '.#.'] });
+    expect(rotateItem(halberd)).toMatchObject({ w: 2, h: 3, shape: ['.#', '##', '.#'] });
+    expect(rotateItem(rotateItem(rotateItem(rotateItem(halberd)))).shape).toEqual(halberd.shape);
+  });
+});
+
+describe('blocked cells', () => {
+  test('an item covering a blocked cell is out of bounds', () => {
+    expect(outOfBounds(0, 0, item('dagger', 1, 2), 3, 3, ['0,1'])).toBe(true);
+    expect(outOfBounds(1, 0, item('dagger', 1, 2), 3, 3, ['0,1'])).toBe(false);
+  });
+
+  test('empty cells of a mask may sit on blocked cells', () => {
+    expect(outOfBounds(0, 0, item('crossbow', 2, 2, { shape: ['#.', '##'] }), 2, 2, ['1,0'])).toBe(false);
+  });
+
+  test('slot search skips blocked cells', () => {
+    expect(findFirstAvailableSlot([], item('sword', 2, 1), 3, 2, ['1,0'])).toEqual({ x: 0, y: 1 });
+  });
+});
+
+describe('canSwapItems', () => {
+  const grid = (items, gridWidth = 4, gridHeight = 2) => ({ items, gridWidth, gridHeight });
+
+  test('swaps two items of the same size within a grid', () => {
+    const sword = item('sword', 2, 1, { x: 0, y: 0 });
+    const shield = item('shield', 2, 1, { x: 2, y: 0 });
+    expect(canSwapItems(sword, 2, 0, shield, grid([shield]))).toBe(true);
+  });
+
+  test('refuses when the displaced item does not fit in the old spot', () => {
+    const dagger = item('dagger', 1, 1, { x: 0, y: 0 });
+    const shield = item('shield', 2, 2, { x: 2, y: 0 });
+    const potion = item('potion', 1, 1, { x: 1, y: 0 });
+    expect(canSwapItems(dagger, 2, 0, shield, grid([shield, potion]))).toBe(false);
+  });
+
+  test('swaps between two grids', () => {
+    const dagger = item('dagger', 1, 1, { x: 0, y: 0 });
+    const gem = item('gem', 1, 1, { x: 1, y: 1 });
+    expect(canSwapItems(dagger, 1, 1, gem, grid([gem], 2, 2), grid([], 1, 1))).toBe(true);
+    expect(canSwapItems(dagger, 1, 1, item('rod', 1, 2, { x: 1, y: 0 }), grid([], 2, 2), grid([], 1, 1))).toBe(false);
+  });
+});
@@ -0,0 +1,259 @@
+import { NESTED_CONTAINER_PREFIX } from '../shared/items';
+
+/**
+ * Builds the container ID used for the grid of an item that holds other items.
+ * @param {string} itemId The ID of the container item.
+ * @returns {string} The nested container ID.
+ */
+export function nestedContainerId(itemId) {
+  return `${NESTED_CONTAINER_PREFIX}${itemId}`;
+}
+
+/**
+ * Checks whether a container ID refers to the grid of an item rather than a container document.
+ * @param {string} containerId The container ID to check.
+ * @returns {boolean} true if the ID was built by `nestedContainerId`
+ */
+export function isNestedContainerId(containerId) {
+  return typeof containerId === 'string' && containerId.startsWith(NESTED_CONTAINER_PREFIX);
+}
+
+/**
+ * Extracts the ID of the container item from a nested container ID.
+ * @param {string} containerId A container ID built by `nestedContainerId`.
+ * @returns {string} The ID of the item that owns the grid.
+ */
+export function nestedContainerItemId(containerId) {
+  return containerId.slice(NESTED_CONTAINER_PREFIX.length);
+}
+
+/**
+ * Returns a flat list of the given items and every item carried inside them, at any depth.
+ * @param {object[]} items The top-level items.
+ * @returns {object[]} The items followed by the contents of any container items.
+ */
+export function flattenItems(items) {
+  return (items || []).flatMap(item => [item, ...flattenItems(item.contents?.gridItems)]);
+}
+
+/**
+ * Returns every top-level item list of an inventory: the main tray, equipped items,
+ * and the grid and tray of each container.
+ * @param {object} inventory The inventory object.
+ * @returns {object[][]} The item arrays (missing arrays are skipped).
+ */
+function topLevelItemLists(inventory) {
+  if (!inventory) return [];
+  const lists = [inventory.trayItems, inventory.equippedItems];
+  Object.values(inventory.containers || {}).forEach(container => {
+    lists.push(container.gridItems, container.trayItems);
+  });
+  return lists.filter(Boolean);
+}
+
+/**
+ * Finds an item anywhere in an inventory, including inside container items.
+ * The returned object is the one stored in the inventory, so mutating it mutates the inventory.
+ * @param {object} inventory The inventory object.
+ * @param {string} itemId The ID of the item to find.
+ * @returns {object | null} The item, or `null` if it is not in the inventory.
+ */
+export function findItemInInventory(inventory, itemId) {
+  for (const list of topLevelItemLists(inventory)) {
+    const found = flattenItems(list).find(i => i.id === itemId);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Finds where an item is in an inventory, in the terms `getItemList` takes.
+ * Items carried inside another item are in the grid of that item.
+ * @param {object} inventory The inventory object.
+ * @param {string} itemId The ID of the item to find.
+ * @returns {{source: ('grid'|'tray'|'equipped'), containerId: string} | null} The location, or `null` if the item is not in the inventory.
+ */
+export function findItemLocation(inventory, itemId) {
+  if (!inventory) return null;
+  const lists = [
+    { items: inventory.trayItems, source: 'tray', containerId: 'tray' },
+    { items: inventory.equippedItems, source: 'equipped', containerId: 'equipped' },
+  ];
+  Object.values(inventory.containers || {}).forEach(container => {
+    lists.push({ items: container.gridItems, source: 'grid', containerId: container.id });
+    lists.push({ items: container.trayItems, source: 'tray', containerId: container.id });
+  });
+
+  const findIn = (items, source, containerId) => {
+    for (const item of items || []) {
+      if (item.id === itemId) return { source, containerId };
+      const found = findIn(item.contents?.gridItems, 'grid', nestedContainerId(item.id));
+      if (found) return found;
+    }
+    return null;
+  };
+
+  for (const { items, source, containerId } of lists) {
+    const found = findIn(items, source, containerId);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Resolves a container ID to the object holding a grid (`gridItems`, `gridWidth`, `gridHeight`).
+ * Regular IDs resolve to a container document; nested IDs resolve to the `contents` of an item.
+ * @param {object} inventory The inventory object.
+ * @param {string} containerId The container ID.
+ * @returns {object | null} The grid holder, or `null` if it does not exist.
+ */
+export function resolveGridContainer(inventory, containerId) {
+  if (!inventory || !containerId) return null;
+  if (isNestedContainerId(containerId)) {
+    const item = findItemInInventory(inventory, nestedContainerItemId(containerId));
+    return item?.contents || null;
+  }
+  return inventory.containers?.[containerId] || null;
+}
+
+/**
+ * Returns the array that holds items for a given location of an inventory.
+ * @param {object} inventory The inventory object.
+ * @param {('grid'|'tray'|'equipped')} source The kind of location.
+ * @param {string} [containerId] The container ID ('tray' or 'equipped' for the inventory-level lists).
+ * @param {boolean} [create=false] Whether to create the array if it is missing.
+ * @returns {object[] | null} The item array, or `null` if the location does not exist.
+ */
+export function getItemList(inventory, source, containerId, create = false) {
+  if (!inventory) return null;
+  let holder;
+  let field;
+  if (source === 'grid') {
+    holder = resolveGridContainer(inventory, containerId);
+    field = 'gridItems';
+  } else if (source === 'equipped') {
+    holder = inventory;
+    field = 'equippedItems';
+  } else if (containerId && containerId !== 'tray' && inventory.containers?.[containerId]) {
+    // Legacy DM inventories keep their loose items in the tray of a container.
+    holder = inventory.containers[containerId];
+    field = 'trayItems';
+  } else {
+    holder = inventory;
+    field = 'trayItems';
+  }
+  if (!holder) return null;
+  if (!holder[field] && create) holder[field] = [];
+  return holder[field] || null;
+}
+
+/**
+ * Removes an item from wherever it is in an inventory, including inside container items.
+ * @param {object} inventory The inventory object (mutated in place).
+ * @param {string} itemId The ID of the item to remove.
+ * @returns {object | null} The removed item, or `null` if it was not found.
+ */
+export function removeItemFromInventory(inventory, itemId) {
+  const removeFrom = (list) => {
+    if (!list) return null;
+    const index = list.findIndex(i => i.id === itemId);
+    if (index > -1) return list.splice(index, 1)[0];
+    for (const item of list) {
+      const removed = removeFrom(item.contents?.gridItems);
+      if (removed) return removed;
+    }
+    return null;
+  };
+
+  for (const list of topLevelItemLists(inventory)) {
+    const removed = removeFrom(list);
+    if (removed) return removed;
+  }
+  return null;
+}
+
+/**
+ * Checks whether an item is, or carries somewhere inside it, the item with the given ID.
+ * Used to stop a bag from being put inside itself.
+ * @param {object} item The item to inspect.
+ * @param {string} itemId The ID to look for.
+ * @returns {boolean}
+ */
+export function itemContains(item, itemId) {
+  return flattenItems([item]).some(i => i.id === itemId);
+}
+
+/**
+ * Deep-copies an item, giving it and everything carried inside it fresh IDs.
+ * @param {object} item The item to copy.
+ * @returns {object} The copy.
+ */
+export function cloneItemWithNewIds(item) {
+  const copy = { ...item, id: crypto.randomUUID() };
+  if (item.contents) {
+    copy.contents = {
+      ...item.contents,
+      gridItems: (item.contents.gridItems || []).map(cloneItemWithNewIds),
+    };
+  }
+  return copy;
+}
+
+/**
+ * Stack size used for stackable items that don't define their own `maxStack`.
+ */
+export const DEFAULT_MAX_STACK = 20;
+
+/**
+ * Checks whether two different items are stacks of the same thing and can be merged.
+ * @param {object} item The item being dropped.
+ * @param {object} other The item it is dropped onto.
+ * @returns {boolean}
+ */
+export function canStackWith(item, other) {
+  return !!item && !!other && item.id !== other.id && !!item.stackable && !!other.stackable &&
+    item.name === other.name && item.type === other.type;
+}
+
+/**
+ * Returns how many more items a stack can take before reaching its `maxStack`.
+ * @param {object} stack The stackable item.
+ * @returns {number} The free room, never negative.
+ */
+export function getStackRoom(stack) {
+  return Math.max(0, (stack.maxStack || DEFAULT_MAX_STACK) - (stack.quantity || 1));
+}
+
+/**
+ * Copies the item lists of an inventory (tray, equipped, and each container's grid and tray),
+ * leaving out everything else (names, settings, currency...).
+ * @param {object} inventory The inventory object.
+ * @returns {object} A deep copy of the item lists.
+ */
+export function getItemListsSnapshot(inventory) {
+  const containers = {};
+  Object.values(inventory?.containers || {}).forEach(container => {
+    containers[container.id] = { gridItems: container.gridItems || [], trayItems: container.trayItems || [] };
+  });
+  return JSON.parse(JSON.stringify({
+    trayItems: inventory?.trayItems || [],
+    equippedItems: inventory?.equippedItems || [],
+    containers,
+  }));
+}
+
+/**
+ * Returns a copy of an inventory with its item lists replaced by a snapshot from `getItemListsSnapshot`.
+ * Containers that no longer exist are skipped; containers missing from the snapshot are left untouched.
+ * @param {object} inventory The current inventory object.
+ * @param {object} snapshot The item lists to restore.
+ * @returns {object} The updated inventory.
+ */
+export function applyItemListsSnapshot(inventory, snapshot) {
+  const restored = JSON.parse(JSON.stringify(snapshot));
+  const containers = {};
+  Object.values(inventory.containers || {}).forEach(container => {
+    containers[container.id] = { ...container, ...restored.containers[container.id] };
+  });
+  return { ...inventory, trayItems: restored.trayItems, equippedItems: restored.equippedItems, containers };
+}
@@ -0,0 +1,100 @@
+import { nestedContainerId, flattenItems, findItemInInventory, findItemLocation, resolveGridContainer, getItemList, removeItemFromInventory, itemContains, cloneItemWithNewIds, canStackWith, getStackRoom, getItemListsSnapshot, applyItemListsSnapshot } from './inventoryUtils';
+
+const gem = { id: 'gem', name: 'Gem', w: 1, h: 1, x: 0, y: 0 };
+const pouch = { id: 'pouch', name: 'Pouch', w: 1, h: 1, x: 0, y: 0, contents: { gridWidth: 2, gridHeight: 2, gridItems: [gem] } };
+const bag = { id: 'bag', name: 'Bag', w: 2, h: 2, x: 0, y: 0, contents: { gridWidth: 4, gridHeight: 4, gridItems: [pouch] } };
+
+const makeInventory = () => JSON.parse(JSON.stringify({
+  trayItems: [],
+  equippedItems: [],
+  containers: { backpack: { id: 'backpack', gridWidth: 5, gridHeight: 5, gridItems: [bag], trayItems: [] } },
+}));
+
+describe('nested containers', () => {
+  test('flattens items at any depth', () => {
+    expect(flattenItems([bag]).map(i => i.id)).toEqual(['bag', 'pouch', 'gem']);
+  });
+
+  test('finds and resolves grids inside items', () => {
+    const inventory = makeInventory();
+    expect(findItemInInventory(inventory, 'gem').name).toBe('Gem');
+    expect(resolveGridContainer(inventory, nestedContainerId('pouch')).gridWidth).toBe(2);
+    expect(resolveGridContainer(inventory, 'backpack').gridWidth).toBe(5);
+    expect(getItemList(inventory, 'grid', nestedContainerId('bag'))).toHaveLength(1);
+    expect(resolveGridContainer(inventory, nestedContainerId('missing'))).toBeNull();
+  });
+
+  test('locates items in containers, trays and other items', () => {
+    const inventory = makeInventory();
+    inventory.equippedItems.push({ id: 'ring', name: 'Ring' });
+    expect(findItemLocation(inventory, 'bag')).toEqual({ source: 'grid', containerId: 'backpack' });
+    expect(findItemLocation(inventory, 'gem')).toEqual({ source: 'grid', containerId: nestedContainerId('pouch') });
+    expect(findItemLocation(inventory, 'ring')).toEqual({ source: 'equipped', containerId: 'equipped' });
+    expect(findItemLocation(inventory, 'missing')).toBeNull();
+  });
+
+  test('removes an item from inside another item', () => {
+    const inventory = makeInventory();
+    expect(removeItemFromInventory(inventory, 'gem').id).toBe('gem');
+    expect(findItemInInventory(inventory, 'pouch').contents.gridItems).toEqual([]);
+    expect(removeItemFromInventory(inventory, 'gem')).toBeNull();
+  });
+
+  test('detects a container being put inside itself', () => {
+    expect(itemContains(bag, 'pouch')).toBe(true);
+    expect(itemContains(bag, 'bag')).toBe(true);
+    expect(itemContains(pouch, 'bag')).toBe(false);
+  });
+
+  test('copies carry fresh IDs all the way down', () => {
+    // jsdom does not provide `crypto.randomUUID`, so use Node's implementation.
+    global.crypto = global.crypto?.randomUUID ? global.crypto : require('crypto').webcrypto;
+    const copy = cloneItemWithNewIds(bag);
+    const ids = flattenItems([copy]).map(i => i.id);
+    expect(ids).toHaveLength(3);
+    ids.forEach(id => expect(['bag', 'pouch', 'gem']).not.toContain(id));
+    expect(flattenItems([copy]).map(i => i.name)).toEqual(['Bag', 'Pouch', 'Gem']);
+  });
+});
+
+describe('stacking', () => {
+  const arrows = (id, quantity, extra = {}) => ({ id, name: 'Arrow', type: 'Ammunition', stackable: true, quantity, ...extra });
+
+  test('only matching stackable items stack', () => {
+    expect(canStackWith(arrows('a', 5), arrows('b', 5))).toBe(true);
+    expect(canStackWith(arrows('a', 5), arrows('a', 5))).toBe(false);
+    expect(canStackWith(arrows('a', 5), arrows('b', 5, { name: 'Bolt' }))).toBe(false);
+    expect(canStackWith(arrows('a', 5), arrows('b', 5, { stackable: false }))).toBe(false);
+    expect(canStackWith(arrows('a', 5), undefined)).toBe(false);
+  });
+
+  test('room is bounded by maxStack', () => {
+    expect(getStackRoom(arrows('a', 15))).toBe(5);
+    expect(getStackRoom(arrows('a', 15, { maxStack: 50 }))).toBe(35);
+    expect(getStackRoom(arrows('a', 25))).toBe(0);
+  });
+});
+
+describe('item list snapshots', () => {
+  test('restore items to their exact container and coordinates', () => {
+    const inventory = { ...makeInventory(), characterName: 'Aria', currency: { gp: 5 } };
+    const snapshot = getItemListsSnapshot(inventory);
+
+    const changed = JSON.parse(JSON.stringify(inventory));
+    changed.containers.backpack.gridItems = [];
+    changed.trayItems = [{ ...bag, x: undefined, y: undefined }];
+    changed.currency = { gp: 1 };
+
+    const restored = applyItemListsSnapshot(changed, snapshot);
+    expect(restored.containers.backpack.gridItems).toEqual([bag]);
+    expect(restored.trayItems).toEqual([]);
+    expect(restored.currency).toEqual({ gp: 1 });
+    expect(restored.containers.backpack.gridWidth).toBe(5);
+  });
+
+  test('skip containers that no longer exist', () => {
+    const snapshot = getItemListsSnapshot(makeInventory());
+    const restored = applyItemListsSnapshot({ trayItems: [], containers: {} }, snapshot);
+    expect(restored.containers).toEqual({});
+  });
+});
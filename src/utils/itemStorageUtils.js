@@ -0,0 +1,180 @@
+import { nestedContainerId, isNestedContainerId, nestedContainerItemId } from './inventoryUtils';
+import { isDeepEqual } from './deltaUtils';
+
+/**
+ * Items are stored one document each (`campaigns/{campaignId}/items/{itemId}`) rather than in
+ * arrays on the inventory and container documents. Besides the item's own fields, a document
+ * says where the item is:
+ * - `inventoryId`: the inventory holding it;
+ * - `source` and `containerId`: the list it is in, in the terms `getItemList` takes
+ *   (`'tray'`/`'tray'` for the main tray, `'equipped'`/`'equipped'`, `'grid'` or `'tray'` and a
+ *   container ID, or `'grid'` and `nestedContainerId(parentId)` for items inside another item);
+ * - `order`: sorts the items of a list.
+ * The app still works on whole inventories with item arrays; these helpers convert between the two.
+ */
+
+// The fields of an item document that describe where the item is rather than the item itself.
+const PLACEMENT_FIELDS = ['inventoryId', 'source', 'containerId', 'order'];
+
+// The item list fields of inventory and container documents from before items had their own collection.
+const ITEM_LIST_FIELDS = ['trayItems', 'equippedItems', 'gridItems'];
+
+/**
+ * Returns an inventory or container document without its item lists, as it is stored now.
+ * @param {object} data - The document data.
+ * @returns {object}
+ */
+export function withoutItemLists(data) {
+  const rest = { ...data };
+  ITEM_LIST_FIELDS.forEach(field => delete rest[field]);
+  return rest;
+}
+
+/**
+ * Returns the item stored in an item document, without the fields saying where it is.
+ * @param {object} doc - The item document.
+ * @returns {object} The item.
+ */
+export function fromItemDoc(doc) {
+  const item = { ...doc };
+  PLACEMENT_FIELDS.forEach(field => delete item[field]);
+  return item;
+}
+
+/**
+ * Checks whether two item documents hold the same item in the same list, whatever their `order`.
+ * @param {object | null} a
+ * @param {object | null} b
+ * @returns {boolean}
+ */
+export function isSameItemDoc(a, b) {
+  if (!a || !b) return !a && !b;
+  const { order: orderA, ...restA } = a;
+  const { order: orderB, ...restB } = b;
+  return isDeepEqual(restA, restB);
+}
+
+/**
+ * Checks whether two item documents are in the same list.
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function isSamePlacement(a, b) {
+  return a.inventoryId === b.inventoryId && a.source === b.source && a.containerId === b.containerId;
+}
+
+/**
+ * Builds the item documents of the items of an inventory (or of some of its lists). Items
+ * carried inside other items get a document of their own; the container item keeps the size
+ * of its grid in `contents`, without the items. `order` is the position in the list.
+ * @param {string} inventoryId - The ID of the inventory.
+ * @param {object} lists - The inventory, or an item list snapshot of it (`getItemListsSnapshot`).
+ * @returns {object} The item documents, keyed by item ID.
+ */
+export function toItemDocs(inventoryId, lists) {
+  const docs = {};
+  const addList = (items, source, containerId) => {
+    (items || []).forEach((item, order) => {
+      const { contents, ...fields } = item;
+      const doc = { ...fields, inventoryId, source, containerId, order };
+      if (contents) {
+        const { gridItems, ...grid } = contents;
+        doc.contents = grid;
+        addList(gridItems, 'grid', nestedContainerId(item.id));
+      }
+      docs[item.id] = doc;
+    });
+  };
+
+  addList(lists?.trayItems, 'tray', 'tray');
+  addList(lists?.equippedItems, 'equipped', 'equipped');
+  Object.entries(lists?.containers || {}).forEach(([containerId, container]) => {
+    addList(container.gridItems, 'grid', containerId);
+    addList(container.trayItems, 'tray', containerId);
+  });
+  return docs;
+}
+
+/**
+ * Builds an inventory with its item arrays from its document, its containers and the item
+ * documents it holds. Items whose container is gone end up on the main tray, so nothing is
+ * ever hidden. Item arrays left on the documents from before the migration are ignored.
+ * @param {object} inventory - The inventory document, with its container documents in `containers`.
+ * @param {object[]} itemDocs - The item documents whose `inventoryId` is this inventory.
+ * @returns {object} The inventory as the app uses it.
+ */
+export function assembleInventory(inventory, itemDocs) {
+  const containers = {};
+  Object.entries(inventory.containers || {}).forEach(([containerId, container]) => {
+    containers[containerId] = { ...container, gridItems: [], trayItems: [] };
+  });
+  const result = { ...withoutItemLists(inventory), trayItems: [], equippedItems: [], containers };
+
+  const sorted = [...itemDocs].sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const items = new Map(sorted.map(doc => {
+    const item = fromItemDoc(doc);
+    if (item.contents) item.contents = { ...item.contents, gridItems: [] };
+    return [doc.id, item];
+  }));
+
+  const placeLoose = (item) => {
+    const { x, y, ...looseItem } = item;
+    result.trayItems.push(looseItem);
+  };
+
+  // Puts an item in its list; returns false if it goes inside an item that isn't placed yet.
+  const placed = new Set();
+  const place = (doc) => {
+    const item = items.get(doc.id);
+    let list = null;
+    if (doc.source === 'equipped') {
+      list = result.equippedItems;
+    } else if (isNestedContainerId(doc.containerId)) {
+      const parent = items.get(nestedContainerItemId(doc.containerId));
+      if (parent && !placed.has(parent.id)) return false;
+      list = parent?.contents?.gridItems || null;
+    } else if (doc.containerId === 'tray') {
+      list = result.trayItems;
+    } else if (containers[doc.containerId]) {
+      list = doc.source === 'grid' ? containers[doc.containerId].gridItems : containers[doc.containerId].trayItems;
+    }
+    if (list) list.push(item);
+    else placeLoose(item);
+    placed.add(doc.id);
+    return true;
+  };
+
+  // Items inside other items are placed once their parent is, however deep they are. What is
+  // left when nothing more can be placed (items inside each other in a loop) goes on the tray.
+  let remaining = sorted;
+  while (remaining.length > 0) {
+    const unplaced = remaining.filter(doc => !place(doc));
+    if (unplaced.length === remaining.length) break;
+    remaining = unplaced;
+  }
+  remaining.forEach(doc => placeLoose(items.get(doc.id)));
+  return result;
+}
+
+/**
+ * Works out which item documents a change writes: the items it added, modified or moved,
+ * and the items it removed. Items that only shifted within their list (because another one
+ * left it) are not rewritten: lists are sorted by `order`, which doesn't need to be contiguous.
+ * @param {{before: object, after: object}} change - The item list snapshots of each touched inventory, keyed by inventory ID.
+ * @returns {{upserted: {doc: object, previous: object | null}[], removed: object[]}} For each item
+ * to write, its new document and the one it replaces (`null` if new); the documents to delete.
+ */
+export function planItemDocChanges(change) {
+  const collect = (snapshots) => Object.assign({}, ...Object.entries(snapshots).map(([id, lists]) => toItemDocs(id, lists)));
+  const before = collect(change.before);
+  const after = collect(change.after);
+
+  const upserted = [];
+  Object.values(after).forEach(doc => {
+    const previous = before[doc.id] || null;
+    if (!isSameItemDoc(previous, doc)) upserted.push({ doc, previous });
+  });
+  const removed = Object.values(before).filter(doc => !after[doc.id]);
+  return { upserted, removed };
+}
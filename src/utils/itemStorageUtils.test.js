@@ -0,0 +1,80 @@
+import { toItemDocs, assembleInventory, planItemDocChanges, fromItemDoc } from './itemStorageUtils';
+import { nestedContainerId, getItemListsSnapshot } from './inventoryUtils';
+
+const gem = { id: 'gem', name: 'Gem', w: 1, h: 1, x: 1, y: 1 };
+const bag = { id: 'bag', name: 'Bag', w: 2, h: 2, x: 0, y: 0, contents: { gridWidth: 2, gridHeight: 2, gridItems: [gem] } };
+const rope = { id: 'rope', name: 'Rope' };
+const ring = { id: 'ring', name: 'Ring' };
+
+const makeInventory = () => JSON.parse(JSON.stringify({
+  id: 'aria',
+  characterName: 'Aria',
+  trayItems: [rope],
+  equippedItems: [ring],
+  containers: { backpack: { id: 'backpack', gridWidth: 5, gridHeight: 5, gridItems: [bag], trayItems: [] } },
+}));
+
+const bare = (inventory) => ({
+  ...inventory,
+  trayItems: undefined,
+  equippedItems: undefined,
+  containers: { backpack: { id: 'backpack', gridWidth: 5, gridHeight: 5 } },
+});
+
+describe('item documents', () => {
+  test('say where each item is, with items inside other items stored on their own', () => {
+    const docs = toItemDocs('aria', makeInventory());
+    expect(docs.rope).toEqual({ id: 'rope', name: 'Rope', inventoryId: 'aria', source: 'tray', containerId: 'tray', order: 0 });
+    expect(docs.ring).toMatchObject({ source: 'equipped', containerId: 'equipped' });
+    expect(docs.bag).toMatchObject({ source: 'grid', containerId: 'backpack', x: 0, y: 0, contents: { gridWidth: 2, gridHeight: 2 } });
+    expect(docs.bag.contents.gridItems).toBeUndefined();
+    expect(docs.gem).toMatchObject({ source: 'grid', containerId: nestedContainerId('bag'), x: 1, y: 1 });
+    expect(fromItemDoc(docs.gem)).toEqual(gem);
+  });
+
+  test('build the inventory back, whatever order they come in', () => {
+    const inventory = makeInventory();
+    const docs = Object.values(toItemDocs('aria', inventory)).reverse();
+    expect(assembleInventory(bare(inventory), docs)).toEqual(inventory);
+  });
+
+  test('whose container is gone end up on the main tray', () => {
+    const docs = [
+      { id: 'axe', name: 'Axe', x: 2, y: 0, inventoryId: 'aria', source: 'grid', containerId: 'quiver', order: 0 },
+      { id: 'coin', name: 'Coin', inventoryId: 'aria', source: 'grid', containerId: nestedContainerId('lost'), order: 0 },
+    ];
+    expect(assembleInventory(bare(makeInventory()), docs).trayItems).toEqual([
+      { id: 'axe', name: 'Axe' },
+      { id: 'coin', name: 'Coin' },
+    ]);
+  });
+});
+
+describe('planItemDocChanges', () => {
+  test('writes only the items that changed, not the ones that shifted in their list', () => {
+    const before = makeInventory();
+    before.trayItems.push({ id: 'torch', name: 'Torch' });
+    const after = JSON.parse(JSON.stringify(before));
+    after.trayItems.shift();
+    after.containers.backpack.gridItems[0].contents.gridItems[0].x = 0;
+
+    const { upserted, removed } = planItemDocChanges({
+      before: { aria: getItemListsSnapshot(before) },
+      after: { aria: getItemListsSnapshot(after) },
+    });
+    expect(upserted.map(({ doc }) => doc.id)).toEqual(['gem']);
+    expect(upserted[0].previous).toMatchObject({ x: 1 });
+    expect(removed.map(doc => doc.id)).toEqual(['rope']);
+  });
+
+  test('moves an item between inventories instead of deleting and recreating it', () => {
+    const aria = makeInventory();
+    const borin = { trayItems: [], equippedItems: [], containers: {} };
+    const { upserted, removed } = planItemDocChanges({
+      before: { aria: getItemListsSnapshot(aria), borin: getItemListsSnapshot(borin) },
+      after: { aria: { ...getItemListsSnapshot(aria), trayItems: [] }, borin: { ...getItemListsSnapshot(borin), trayItems: [rope] } },
+    });
+    expect(removed).toEqual([]);
+    expect(upserted).toEqual([{ doc: expect.objectContaining({ id: 'rope', inventoryId: 'borin' }), previous: expect.objectContaining({ inventoryId: 'aria' }) }]);
+  });
+});
@@ -0,0 +1,135 @@
+import { ITEM_SCHEMA_VERSION, runMigrations, migrateItem } from '../shared/items';
+
+/**
+ * The shape of items and inventories, in one place. Data is checked when it is read, so an
+ * item from a starter pack or an old campaign that lacks a size or has a malformed field
+ * can't break the grid: `normalizeItem` and `normalizeInventory` first bring it up to the
+ * current schema version with the migrations below, then replace what is still invalid
+ * with a default.
+ *
+ * The item migrations are shared with the `migrateItemSchema` Cloud Function, which applies
+ * them to the stored item documents (see src/shared/items.js).
+ */
+
+export { ITEM_SCHEMA_VERSION };
+
+/**
+ * Each migration takes an inventory at the version before its own and returns it at its version.
+ */
+const INVENTORY_MIGRATIONS = [
+  {
+    version: 1,
+    // Before containers existed, the grid was on the inventory itself. It has no size any
+    // more, so its items go to the main tray.
+    migrate: ({ gridItems, ...inventory }) => ({
+      ...inventory,
+      ...(gridItems?.length > 0 && {
+        trayItems: [...(inventory.trayItems || []), ...gridItems.map(({ x, y, ...item }) => item)],
+      }),
+    }),
+  },
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toInteger = (value, min, fallback) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : fallback;
+};
+
+/**
+ * Checks that a cell mask (see `isShapeCellFilled`) covers exactly `w` by `h` cells.
+ * @param {*} shape
+ * @param {number} w
+ * @param {number} h
+ * @returns {boolean}
+ */
+const isValidShape = (shape, w, h) => (
+  Array.isArray(shape) && shape.length === h && shape.every(row => typeof row === 'string' && row.length === w)
+);
+
+/**
+ * Brings an item up to the current schema and replaces whatever is still invalid with a
+ * default. Fields the schema doesn't know about, like those saying where an item document
+ * is, are kept as they are. Items inside the item are normalized too.
+ * @param {object} item - The item as it was stored.
+ * @returns {object} An item the app can rely on.
+ */
+export function normalizeItem(item) {
+  const result = migrateItem({ ...item });
+
+  if (typeof result.name !== 'string' || !result.name.trim()) result.name = 'Unknown Item';
+  if (typeof result.type !== 'string' || !result.type) result.type = 'Other';
+  result.w = toInteger(result.w, 1, 1);
+  result.h = toInteger(result.h, 1, 1);
+  result.quantity = toInteger(result.quantity, 1, 1);
+  result.stackable = !!result.stackable;
+  if (result.x !== undefined || result.y !== undefined) {
+    result.x = toInteger(result.x, 0, 0);
+    result.y = toInteger(result.y, 0, 0);
+  }
+  if (result.shape != null && !isValidShape(result.shape, result.w, result.h)) result.shape = null;
+  ['weaponStats', 'armorStats'].forEach(field => {
+    if (result[field] != null && !isPlainObject(result[field])) delete result[field];
+  });
+
+  if (result.contents != null) {
+    if (isPlainObject(result.contents)) {
+      const contents = {
+        ...result.contents,
+        gridWidth: toInteger(result.contents.gridWidth, 1, 1),
+        gridHeight: toInteger(result.contents.gridHeight, 1, 1),
+      };
+      // Item documents keep the items inside apart, so there may be no `gridItems` here.
+      if (result.contents.gridItems !== undefined) {
+        contents.gridItems = Array.isArray(result.contents.gridItems) ? result.contents.gridItems.map(normalizeItem) : [];
+      }
+      result.contents = contents;
+    } else {
+      delete result.contents;
+    }
+  }
+  return result;
+}
+
+const normalizeItemList = (items) => (Array.isArray(items) ? items.map(normalizeItem) : []);
+
+/**
+ * Replaces whatever is invalid in a container with a default, items included.
+ * @param {object} container
+ * @returns {object}
+ */
+const normalizeContainer = (container) => ({
+  ...container,
+  name: typeof container.name === 'string' ? container.name : 'Container',
+  gridWidth: toInteger(container.gridWidth, 1, 10),
+  gridHeight: toInteger(container.gridHeight, 1, 5),
+  blockedCells: Array.isArray(container.blockedCells) ? container.blockedCells.filter(cell => typeof cell === 'string') : [],
+  ...(container.gridItems !== undefined && { gridItems: normalizeItemList(container.gridItems) }),
+  ...(container.trayItems !== undefined && { trayItems: normalizeItemList(container.trayItems) }),
+});
+
+/**
+ * Brings an inventory up to the current schema and replaces whatever is still invalid with
+ * a default: its name, coins and containers, and every item it holds. Item lists and
+ * containers it doesn't have are left out, so inventory documents stay documents.
+ * @param {object} inventory - The inventory, with its containers in `containers` if any.
+ * @returns {object} An inventory the app can rely on.
+ */
+export function normalizeInventory(inventory) {
+  const result = runMigrations({ ...inventory }, INVENTORY_MIGRATIONS);
+
+  if (typeof result.characterName !== 'string') result.characterName = 'Unnamed';
+  if (result.currency != null) {
+    const currency = isPlainObject(result.currency) ? result.currency : {};
+    result.currency = { gp: toInteger(currency.gp, 0, 0), sp: toInteger(currency.sp, 0, 0), cp: toInteger(currency.cp, 0, 0) };
+  }
+  ['trayItems', 'equippedItems'].forEach(field => {
+    if (result[field] !== undefined) result[field] = normalizeItemList(result[field]);
+  });
+  if (result.containers !== undefined) {
+    result.containers = Object.fromEntries(Object.entries(isPlainObject(result.containers) ? result.containers : {})
+      .map(([containerId, container]) => [containerId, normalizeContainer(isPlainObject(container) ? container : {})]));
+  }
+  return result;
+}
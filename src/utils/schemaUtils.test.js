@@ -0,0 +1,64 @@
+import { normalizeItem, normalizeInventory, ITEM_SCHEMA_VERSION } from './schemaUtils';
+
+describe('normalizeItem', () => {
+  test('fills in what items from before the schema left out', () => {
+    expect(normalizeItem({ id: 'arrows', name: 'Arrows', quantity: 20 })).toEqual({
+      id: 'arrows', name: 'Arrows', w: 1, h: 1, type: 'Gear', quantity: 20, stackable: true, schemaVersion: ITEM_SCHEMA_VERSION,
+    });
+  });
+
+  test('replaces malformed fields and keeps the ones it does not know', () => {
+    const item = normalizeItem({
+      id: 'axe', name: '  ', w: '2', h: -1, x: 'left', y: 3, type: 7, quantity: 1.5,
+      shape: ['##', '#'], weaponStats: 'd6', inventoryId: 'aria', source: 'grid', schemaVersion: ITEM_SCHEMA_VERSION,
+    });
+    expect(item).toEqual({
+      id: 'axe', name: 'Unknown Item', w: 2, h: 1, x: 0, y: 3, type: 'Other', quantity: 1, stackable: false,
+      shape: null, inventoryId: 'aria', source: 'grid', schemaVersion: ITEM_SCHEMA_VERSION,
+    });
+  });
+
+  test('keeps a shape that fits the size of the item', () => {
+    expect(normalizeItem({ name: 'Bow', w: 2, h: 2, shape: ['#.', '##'] }).shape).toEqual(['#.', '##']);
+  });
+
+  test('normalizes the items inside an item, and leaves out those of item documents', () => {
+    const bag = normalizeItem({ name: 'Bag', contents: { gridWidth: 0, gridHeight: 3, gridItems: [{ name: 'Gem' }] } });
+    expect(bag.contents).toEqual({ gridWidth: 1, gridHeight: 3, gridItems: [expect.objectContaining({ name: 'Gem', w: 1, h: 1 })] });
+    expect(normalizeItem({ name: 'Bag', contents: { gridWidth: 2, gridHeight: 2 } }).contents).toEqual({ gridWidth: 2, gridHeight: 2 });
+  });
+
+  test('gives the same result when run again', () => {
+    const item = normalizeItem({ name: 'Rope', x: 1, y: 1, contents: { gridWidth: 2, gridHeight: 2, gridItems: [] } });
+    expect(normalizeItem(item)).toEqual(item);
+  });
+});
+
+describe('normalizeInventory', () => {
+  test('moves the items of the grid inventories had before containers to the main tray', () => {
+    const inventory = normalizeInventory({
+      characterName: 'Aria',
+      trayItems: [{ id: 'rope', name: 'Rope' }],
+      gridItems: [{ id: 'torch', name: 'Torch', x: 4, y: 2 }],
+    });
+    expect(inventory.gridItems).toBeUndefined();
+    expect(inventory.trayItems.map(item => item.id)).toEqual(['rope', 'torch']);
+    expect(inventory.trayItems[1].x).toBeUndefined();
+  });
+
+  test('replaces malformed coins and containers', () => {
+    const inventory = normalizeInventory({
+      characterName: 'Aria',
+      currency: { gp: '12', sp: -3 },
+      containers: { backpack: { name: 'Backpack', gridWidth: 'wide', blockedCells: ['0,0', 5], gridItems: [{ name: 'Gem' }] } },
+    });
+    expect(inventory.currency).toEqual({ gp: 12, sp: 0, cp: 0 });
+    expect(inventory.containers.backpack).toEqual({
+      name: 'Backpack', gridWidth: 10, gridHeight: 5, blockedCells: ['0,0'], gridItems: [expect.objectContaining({ name: 'Gem' })],
+    });
+  });
+
+  test('leaves out the item lists an inventory document does not have', () => {
+    expect(normalizeInventory({ characterName: 'Aria' })).toEqual({ characterName: 'Aria', schemaVersion: 1 });
+  });
+});
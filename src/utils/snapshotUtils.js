@@ -0,0 +1,83 @@
+import { flattenItems } from './inventoryUtils';
+import { assembleInventory } from './itemStorageUtils';
+
+/**
+ * Helpers for campaign snapshots: copies of every inventory of a campaign (with its containers,
+ * items and coins) taken by the `createCampaignSnapshot` Cloud Function, which the DM can
+ * compare with the current state and roll back to. How their contents are stored is in
+ * src/shared/snapshots.js.
+ */
+
+/**
+ * Returns the inventories saved in a snapshot, with their items. Snapshots taken since items
+ * have their own collection keep the item documents apart, in `items`; older ones hold the
+ * items in the inventories.
+ * @param {object} snapshot - The contents of the snapshot (see `snapshots.getContents`).
+ * @returns {object} The inventories, keyed by ID.
+ */
+export const getSnapshotInventories = (snapshot) => {
+  if (!snapshot.items) return snapshot.inventories || {};
+  const itemDocs = Object.entries(snapshot.items).map(([id, doc]) => ({ ...doc, id }));
+  return Object.fromEntries(Object.entries(snapshot.inventories || {}).map(([inventoryId, inventory]) => (
+    [inventoryId, assembleInventory(inventory, itemDocs.filter(doc => doc.inventoryId === inventoryId))]
+  )));
+};
+
+/**
+ * Returns every item of an inventory, including those inside other items, keyed by ID.
+ * @param {object} inventory - An inventory with its `containers`, as in the store or a snapshot.
+ * @returns {Map<string, object>}
+ */
+const itemsById = (inventory) => {
+  const lists = [inventory?.trayItems, inventory?.equippedItems];
+  Object.values(inventory?.containers || {}).forEach(container => {
+    lists.push(container.gridItems, container.trayItems);
+  });
+  return new Map(lists.flatMap(flattenItems).map(item => [item.id, item]));
+};
+
+// Compares two versions of an item, ignoring where it sits and what it holds (the items
+// inside are compared on their own).
+const itemSignature = ({ x, y, contents, ...item }) => JSON.stringify(item, Object.keys(item).sort());
+
+const sameCurrency = (a, b) => ['gp', 'sp', 'cp'].every(coin => (a?.[coin] || 0) === (b?.[coin] || 0));
+
+/**
+ * Summarizes what changed in each inventory between a snapshot and the current state.
+ * Inventories without any difference are left out.
+ * @param {object} snapshotInventories - The inventories saved in the snapshot, keyed by ID.
+ * @param {object} currentInventories - The inventories as they are now, keyed by ID.
+ * @returns {Array<{inventoryId: string, name: string, status: ('added'|'removed'|'changed'), itemsAdded: number, itemsRemoved: number, itemsChanged: number, containersAdded: number, containersRemoved: number, currency: ({before: object, after: object} | null)}>}
+ * One summary per inventory that differs: `added` if it only exists now, `removed` if it only exists in the snapshot.
+ */
+export const summarizeSnapshotDiff = (snapshotInventories = {}, currentInventories = {}) => {
+  const ids = [...new Set([...Object.keys(snapshotInventories), ...Object.keys(currentInventories)])];
+  return ids.map(inventoryId => {
+    const before = snapshotInventories[inventoryId];
+    const after = currentInventories[inventoryId];
+    const beforeItems = itemsById(before);
+    const afterItems = itemsById(after);
+    const beforeContainers = Object.keys(before?.containers || {});
+    const afterContainers = Object.keys(after?.containers || {});
+
+    let itemsChanged = 0;
+    afterItems.forEach((item, id) => {
+      if (beforeItems.has(id) && itemSignature(beforeItems.get(id)) !== itemSignature(item)) itemsChanged++;
+    });
+
+    return {
+      inventoryId,
+      name: after?.characterName || before?.characterName || inventoryId,
+      status: !before ? 'added' : !after ? 'removed' : 'changed',
+      itemsAdded: [...afterItems.keys()].filter(id => !beforeItems.has(id)).length,
+      itemsRemoved: [...beforeItems.keys()].filter(id => !afterItems.has(id)).length,
+      itemsChanged,
+      containersAdded: afterContainers.filter(id => !beforeContainers.includes(id)).length,
+      containersRemoved: beforeContainers.filter(id => !afterContainers.includes(id)).length,
+      currency: sameCurrency(before?.currency, after?.currency) ? null : { before: before?.currency, after: after?.currency },
+    };
+  }).filter(summary => (
+    summary.status !== 'changed' || summary.itemsAdded || summary.itemsRemoved || summary.itemsChanged ||
+    summary.containersAdded || summary.containersRemoved || summary.currency
+  ));
+};
@@ -0,0 +1,75 @@
+import { summarizeSnapshotDiff, getSnapshotInventories } from './snapshotUtils';
+
+const rope = { id: 'rope', name: 'Rope', quantity: 1, x: 0, y: 0 };
+const torch = { id: 'torch', name: 'Torch', quantity: 5 };
+
+const snapshot = {
+  aria: {
+    characterName: 'Aria',
+    currency: { gp: 10 },
+    trayItems: [torch],
+    containers: { backpack: { gridItems: [rope] } },
+  },
+  'merchant-1': { characterName: 'Smith', trayItems: [] },
+};
+
+describe('summarizeSnapshotDiff', () => {
+  test('reports nothing when the campaign still matches the snapshot', () => {
+    const moved = JSON.parse(JSON.stringify(snapshot));
+    moved.aria.containers.backpack.gridItems[0].x = 3;
+    expect(summarizeSnapshotDiff(snapshot, moved)).toEqual([]);
+  });
+
+  test('counts items, containers and coins that changed in each inventory', () => {
+    const current = {
+      aria: {
+        characterName: 'Aria',
+        currency: { gp: 4, sp: 0 },
+        trayItems: [{ ...torch, quantity: 2 }, { id: 'gem', name: 'Gem' }],
+        containers: { pouch: { gridItems: [] } },
+      },
+      'merchant-1': snapshot['merchant-1'],
+      'merchant-2': { characterName: 'Fletcher', trayItems: [] },
+    };
+    expect(summarizeSnapshotDiff(snapshot, current)).toEqual([
+      {
+        inventoryId: 'aria',
+        name: 'Aria',
+        status: 'changed',
+        itemsAdded: 1,
+        itemsRemoved: 1,
+        itemsChanged: 1,
+        containersAdded: 1,
+        containersRemoved: 1,
+        currency: { before: { gp: 10 }, after: { gp: 4, sp: 0 } },
+      },
+      expect.objectContaining({ inventoryId: 'merchant-2', name: 'Fletcher', status: 'added' }),
+    ]);
+  });
+
+  test('reports inventories that are gone since the snapshot', () => {
+    expect(summarizeSnapshotDiff(snapshot, { aria: snapshot.aria })).toEqual([
+      expect.objectContaining({ inventoryId: 'merchant-1', status: 'removed' }),
+    ]);
+  });
+});
+
+describe('getSnapshotInventories', () => {
+  test('puts the items saved apart back into their inventories', () => {
+    const saved = {
+      inventories: { aria: { characterName: 'Aria', containers: { backpack: { gridWidth: 4, gridHeight: 4 } } } },
+      items: {
+        rope: { ...rope, inventoryId: 'aria', source: 'grid', containerId: 'backpack', order: 0 },
+        torch: { ...torch, inventoryId: 'aria', source: 'tray', containerId: 'tray', order: 0 },
+      },
+    };
+    const { aria } = getSnapshotInventories(saved);
+    expect(aria.trayItems).toEqual([torch]);
+    expect(aria.containers.backpack.gridItems).toEqual([rope]);
+    expect(summarizeSnapshotDiff(getSnapshotInventories(saved), { aria })).toEqual([]);
+  });
+
+  test('reads older snapshots as they are', () => {
+    expect(getSnapshotInventories({ inventories: snapshot })).toBe(snapshot);
+  });
+});
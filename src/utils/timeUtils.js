@@ -0,0 +1,12 @@
+/**
+ * Reads a stored time, whatever form the backend keeps it in: a Firestore timestamp, an ISO
+ * string or milliseconds. A time the server hasn't filled in yet reads as now.
+ * @param {object|string|number|null} timestamp
+ * @returns {number} Milliseconds since the epoch.
+ */
+export const timestampToMillis = (timestamp) => {
+  if (!timestamp) return Date.now();
+  if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+  if (typeof timestamp === 'number') return timestamp;
+  return Date.parse(timestamp);
+};
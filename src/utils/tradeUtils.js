@@ -0,0 +1,87 @@
+import { timestampToMillis } from './timeUtils';
+
+/**
+ * Helpers for trades. A trade document lists everyone taking part in `players`, and those who
+ * have accepted the invitation in `joined`. Each player's offer is kept under their ID: in
+ * `offers`, the items they give, each once per receiver with `to` set to who receives it and
+ * `quantity` to how many of the stack; in `coins`, the coins they give to each other player.
+ * A trade completes once every player is in `accepted`.
+ *
+ * Once a trade is over, whether completed, cancelled or declined, a record of it is kept in
+ * the campaign's trade history (see `buildTradeRecord` in src/shared/trades.js).
+ */
+
+export { hasCoins, hasEveryoneAccepted } from '../shared/trades';
+
+/**
+ * Adds some of an item to an offer, for one receiver. What is already offered of the same
+ * item to the same receiver grows instead.
+ * @param {object[]} offer - The items offered.
+ * @param {object} item - The item, as it appears among the available items.
+ * @param {number} quantity - How many of the stack to offer.
+ * @param {string} to - The ID of the player who receives it.
+ * @returns {object[]} The new offer.
+ */
+export const offerItem = (offer, item, quantity, to) => {
+  const existing = offer.find(entry => entry.id === item.id && entry.to === to);
+  return existing
+    ? offer.map(entry => (entry === existing ? { ...entry, quantity: entry.quantity + quantity } : entry))
+    : [...offer, { ...item, quantity, to }];
+};
+
+/**
+ * Takes an entry out of an offer.
+ * @param {object[]} offer
+ * @param {object} entry - The entry to take out.
+ * @returns {object[]} The new offer.
+ */
+export const withdrawItem = (offer, entry) => offer.filter(e => e.id !== entry.id || e.to !== entry.to);
+
+/**
+ * Gives an offered entry to another receiver.
+ * @param {object[]} offer
+ * @param {object} entry - The entry to give to someone else.
+ * @param {string} to - The ID of the player who receives it now.
+ * @returns {object[]} The new offer.
+ */
+export const redirectItem = (offer, entry, to) => offerItem(withdrawItem(offer, entry), entry, entry.quantity, to);
+
+/**
+ * Takes what is already offered out of a player's items.
+ * @param {object[]} items - The items the player has.
+ * @param {object[]} offer - The items they offer, each with the quantity offered.
+ * @returns {object[]} The items still available, with what is left of partly offered stacks.
+ */
+export const withoutOffered = (items, offer) => items.flatMap(item => {
+  const offered = offer.filter(entry => entry.id === item.id).reduce((sum, entry) => sum + entry.quantity, 0);
+  if (offered === 0) return [item];
+  const left = item.quantity - offered;
+  return left > 0 ? [{ ...item, quantity: left }] : [];
+});
+
+const CSV_COLUMNS = ['Closed', 'Outcome', 'From', 'To', 'Item', 'Quantity', 'GP', 'SP', 'CP'];
+
+const toCsvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes trade records as CSV, one row for each item or amount of coins offered. A trade in
+ * which nothing was offered gets a row of its own, naming everyone who took part.
+ * @param {object[]} records - The records, as stored in the trade history.
+ * @param {Function} getName - Returns the current name of a player ID, if any.
+ * @returns {string}
+ */
+export const tradeRecordsToCsv = (records, getName) => {
+  const rows = records.flatMap(record => {
+    const nameOf = (id) => getName(id) || record.names?.[id] || id;
+    const closed = new Date(timestampToMillis(record.closedAt)).toISOString();
+    const recordRows = [
+      ...(record.items || []).map(item => [closed, record.outcome, nameOf(item.from), nameOf(item.to), item.name, item.quantity, '', '', '']),
+      ...(record.coins || []).map(coins => [closed, record.outcome, nameOf(coins.from), nameOf(coins.to), '', '', coins.gp, coins.sp, coins.cp]),
+    ];
+    return recordRows.length > 0 ? recordRows : [[closed, record.outcome, record.participants.map(nameOf).join('; '), '', '', '', '', '', '']];
+  });
+  return [CSV_COLUMNS, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+};
@@ -0,0 +1,59 @@
+import { offerItem, withdrawItem, redirectItem, withoutOffered, hasEveryoneAccepted, tradeRecordsToCsv } from './tradeUtils';
+import { buildTradeRecord } from '../shared/trades';
+
+const arrows = { id: 'arrows', name: 'Arrows', quantity: 20, stackable: true };
+const rope = { id: 'rope', name: 'Rope', quantity: 1 };
+
+describe('offerItem', () => {
+  test('offers part of a stack to one receiver', () => {
+    expect(offerItem([], arrows, 5, 'borin')).toEqual([{ ...arrows, quantity: 5, to: 'borin' }]);
+  });
+
+  test('adds to what the same receiver is already offered of a stack, and keeps receivers apart', () => {
+    const offer = offerItem(offerItem([{ ...arrows, quantity: 5, to: 'borin' }], arrows, 3, 'borin'), arrows, 2, 'cora');
+    expect(offer).toEqual([{ ...arrows, quantity: 8, to: 'borin' }, { ...arrows, quantity: 2, to: 'cora' }]);
+  });
+});
+
+describe('redirectItem', () => {
+  test('joins what the new receiver is already offered of the stack', () => {
+    const offer = [{ ...arrows, quantity: 5, to: 'borin' }, { ...arrows, quantity: 2, to: 'cora' }, { ...rope, to: 'borin' }];
+    expect(redirectItem(offer, offer[0], 'cora')).toEqual([{ ...arrows, quantity: 7, to: 'cora' }, { ...rope, to: 'borin' }]);
+    expect(withdrawItem(offer, offer[2])).toEqual(offer.slice(0, 2));
+  });
+});
+
+describe('withoutOffered', () => {
+  test('leaves out whole items and what is offered of stacks, to anyone', () => {
+    const offer = [{ ...rope, to: 'borin' }, { ...arrows, quantity: 5, to: 'borin' }, { ...arrows, quantity: 4, to: 'cora' }];
+    expect(withoutOffered([arrows, rope], offer)).toEqual([{ ...arrows, quantity: 11 }]);
+  });
+});
+
+describe('hasEveryoneAccepted', () => {
+  test('needs every player, not just those who have accepted so far', () => {
+    expect(hasEveryoneAccepted({ players: ['aria', 'borin', 'cora'], accepted: { aria: true, borin: true } })).toBe(false);
+    expect(hasEveryoneAccepted({ players: ['aria', 'borin'], accepted: { aria: true, borin: true } })).toBe(true);
+  });
+});
+
+describe('trade history', () => {
+  const trade = {
+    players: ['aria', 'borin'],
+    offers: { aria: [{ ...arrows, quantity: 5, to: 'borin', x: 2 }], borin: [] },
+    coins: { borin: { aria: { gp: 3, sp: 0, cp: 0 } }, aria: { borin: { gp: 0, sp: 0, cp: 0 } } },
+    createdAt: '2026-10-01T18:00:00.000Z',
+  };
+
+  test('export as CSV, with a row for trades in which nothing was offered', () => {
+    const closedAt = '2026-10-01T19:00:00.000Z';
+    const record = { ...buildTradeRecord(trade, { aria: 'Aria', borin: 'Borin' }, 'completed', 'borin'), closedAt };
+    const empty = { ...buildTradeRecord({ players: ['aria', 'cora'] }, { cora: 'Cora, the Bold' }, 'declined', 'cora'), closedAt };
+    expect(tradeRecordsToCsv([record, empty], id => (id === 'aria' ? 'Aria' : undefined)).split('\n')).toEqual([
+      'Closed,Outcome,From,To,Item,Quantity,GP,SP,CP',
+      '2026-10-01T19:00:00.000Z,completed,Aria,Borin,Arrows,5,,,',
+      '2026-10-01T19:00:00.000Z,completed,Borin,Aria,,,3,0,0',
+      '2026-10-01T19:00:00.000Z,declined,"Aria; Cora, the Bold",,,,,,',
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+import { timestampToMillis } from './timeUtils';
+import { getItemList, resolveGridContainer } from './inventoryUtils';
+import { outOfBounds, onOtherItem, findAvailableSlotWithRotation } from './gridUtils';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../shared/trash';
+
+export { DEFAULT_TRASH_RETENTION_DAYS };
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Returns how many whole days are left before a trash entry is purged.
+ * @param {object} entry - The trash entry.
+ * @param {number} [retentionDays=DEFAULT_TRASH_RETENTION_DAYS]
+ * @param {number} [now=Date.now()]
+ * @returns {number} The days left, never negative.
+ */
+export const getDaysUntilPurge = (entry, retentionDays = DEFAULT_TRASH_RETENTION_DAYS, now = Date.now()) => {
+  const purgeAt = timestampToMillis(entry.deletedAt) + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now) / DAY_MS));
+};
+
+/**
+ * Puts a deleted item back into an inventory, where it was if that spot is still free.
+ * Otherwise it goes to the first free slot of the same grid, and failing that (or if the grid
+ * is gone) onto the main tray.
+ * @param {object} inventory - The inventory object (mutated in place).
+ * @param {object} item - The item as it was when deleted.
+ * @param {{source: string, containerId: string} | null} location - Where it was, from `findItemLocation`.
+ * @returns {('original'|'moved'|'tray')} Where the item ended up.
+ */
+export const placeRestoredItem = (inventory, item, location) => {
+  const { x, y, ...looseItem } = item;
+
+  if (location?.source === 'grid') {
+    const container = resolveGridContainer(inventory, location.containerId);
+    if (container) {
+      if (!container.gridItems) container.gridItems = [];
+      const { gridWidth, gridHeight, blockedCells } = container;
+      const isFree = x !== undefined && !outOfBounds(x, y, item, gridWidth, gridHeight, blockedCells) &&
+        !container.gridItems.some(other => onOtherItem(x, y, item, other));
+      if (isFree) {
+        container.gridItems.push(item);
+        return 'original';
+      }
+      const slot = findAvailableSlotWithRotation(container.gridItems, looseItem, gridWidth, gridHeight, blockedCells);
+      if (slot) {
+        container.gridItems.push({ ...looseItem, ...slot });
+        return 'moved';
+      }
+    }
+  } else if (location) {
+    const list = getItemList(inventory, location.source, location.containerId, true);
+    if (list) {
+      list.push(looseItem);
+      return 'original';
+    }
+  }
+
+  getItemList(inventory, 'tray', 'tray', true).push(looseItem);
+  return 'tray';
+};
@@ -0,0 +1,53 @@
+import { placeRestoredItem, getDaysUntilPurge, DEFAULT_TRASH_RETENTION_DAYS } from './trashUtils';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+const makeInventory = () => ({
+  trayItems: [],
+  equippedItems: [],
+  containers: { backpack: { id: 'backpack', gridWidth: 2, gridHeight: 1, gridItems: [] } },
+});
+
+const sword = { id: 'sword', name: 'Sword', w: 1, h: 1, x: 1, y: 0 };
+const inBackpack = { source: 'grid', containerId: 'backpack' };
+
+describe('placeRestoredItem', () => {
+  test('puts an item back where it was when that spot is free', () => {
+    const inventory = makeInventory();
+    expect(placeRestoredItem(inventory, sword, inBackpack)).toBe('original');
+    expect(inventory.containers.backpack.gridItems).toEqual([sword]);
+  });
+
+  test('moves it to another free slot of the same grid when its spot is taken', () => {
+    const inventory = makeInventory();
+    inventory.containers.backpack.gridItems.push({ id: 'shield', w: 1, h: 1, x: 1, y: 0 });
+    expect(placeRestoredItem(inventory, sword, inBackpack)).toBe('moved');
+    expect(inventory.containers.backpack.gridItems[1]).toMatchObject({ id: 'sword', x: 0, y: 0 });
+  });
+
+  test('falls back to the tray when the grid is full or gone', () => {
+    const inventory = makeInventory();
+    inventory.containers.backpack.gridItems.push({ id: 'shield', w: 2, h: 1, x: 0, y: 0 });
+    expect(placeRestoredItem(inventory, sword, inBackpack)).toBe('tray');
+    expect(placeRestoredItem(inventory, { ...sword, id: 'axe' }, { source: 'grid', containerId: 'gone' })).toBe('tray');
+    expect(inventory.trayItems).toEqual([
+      { id: 'sword', name: 'Sword', w: 1, h: 1 },
+      { id: 'axe', name: 'Sword', w: 1, h: 1 },
+    ]);
+  });
+
+  test('restores equipped items to the equipment slots', () => {
+    const inventory = makeInventory();
+    expect(placeRestoredItem(inventory, { id: 'ring', name: 'Ring' }, { source: 'equipped', containerId: 'equipped' })).toBe('original');
+    expect(inventory.equippedItems).toEqual([{ id: 'ring', name: 'Ring' }]);
+  });
+});
+
+describe('getDaysUntilPurge', () => {
+  test('counts down from the retention period and stops at zero', () => {
+    const entry = { deletedAt: new Date(0).toISOString() };
+    expect(getDaysUntilPurge(entry, DEFAULT_TRASH_RETENTION_DAYS, 0)).toBe(30);
+    expect(getDaysUntilPurge(entry, 7, 2.5 * DAY)).toBe(5);
+    expect(getDaysUntilPurge(entry, 7, 10 * DAY)).toBe(0);
+  });
+});